@@ -110,6 +110,30 @@ const ModernPostCard = ({
         </div>
       </div>
 
+      {/* Retraction Notice */}
+      {post.retraction && (
+        <div className="mb-4 p-3 bg-amber-50 border border-amber-300 rounded-lg">
+          <div className="flex items-center space-x-2">
+            <span className="text-amber-600">↩️</span>
+            <span className="text-sm font-semibold text-amber-900">Retracted</span>
+            <span className="text-xs text-amber-700">
+              {formatTimeAgo(post.retraction.retracted_at)}
+            </span>
+          </div>
+          <p className="text-sm text-amber-800 mt-1 whitespace-pre-wrap">
+            {post.retraction.reason}
+          </p>
+          {post.retraction.corrected_post_id && (
+            <a
+              href={`/posts/${post.retraction.corrected_post_id}`}
+              className="inline-block mt-2 text-sm font-medium text-blue-600 hover:text-blue-700 underline"
+            >
+              See the corrected post
+            </a>
+          )}
+        </div>
+      )}
+
       {/* Content */}
       <div className="mb-4">
         <p className="text-gray-700 leading-relaxed whitespace-pre-wrap">
@@ -244,7 +268,7 @@ const ModernPostCard = ({
       </div>
 
       {/* Confidence Details */}
-      {post.confidence >= 0.7 && (
+      {post.confidence >= 0.7 && !post.retraction && (
         <motion.div
           initial={{ opacity: 0, y: 10 }}
           animate={{ opacity: 1, y: 0 }}
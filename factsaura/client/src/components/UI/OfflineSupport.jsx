@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AnimatedButton } from './';
+import { createIdempotencyKey } from '../../services/api';
 
 function OfflineSupport({ className = '' }) {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -38,10 +39,11 @@ function OfflineSupport({ className = '' }) {
   }, [offlineQueue]);
 
   const processOfflineQueue = async () => {
-    // Process queued actions when back online
+    // Process queued actions when back online. Each carries the Idempotency-Key it was
+    // queued with, so replaying one the server already handled does not repeat it.
     for (const action of offlineQueue) {
       try {
-        await action.execute();
+        await action.execute(action.idempotencyKey);
         console.log('Processed offline action:', action.type);
       } catch (error) {
         console.error('Failed to process offline action:', error);
@@ -51,7 +53,10 @@ function OfflineSupport({ className = '' }) {
   };
 
   const addToOfflineQueue = (action) => {
-    setOfflineQueue(prev => [...prev, action]);
+    setOfflineQueue(prev => [...prev, {
+      idempotencyKey: createIdempotencyKey(),
+      ...action
+    }]);
   };
 
   const dismissOfflineMessage = () => {
@@ -205,6 +210,7 @@ export function useOfflineQueue() {
       setQueue(prev => [...prev, {
         id: Date.now(),
         timestamp: new Date(),
+        idempotencyKey: createIdempotencyKey(),
         ...action
       }]);
       return true; // Added to queue
@@ -215,7 +221,7 @@ export function useOfflineQueue() {
   const processQueue = async () => {
     for (const action of queue) {
       try {
-        await action.execute();
+        await action.execute(action.idempotencyKey);
         console.log('Processed queued action:', action.type);
       } catch (error) {
         console.error('Failed to process queued action:', error);
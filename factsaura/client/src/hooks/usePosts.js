@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { postsAPI, APIError } from '../services/api';
 
 // Custom hook for managing posts data and state
@@ -12,6 +12,9 @@ export function usePosts(initialParams = {}) {
   const [lastUpdated, setLastUpdated] = useState(null);
   const [paginationError, setPaginationError] = useState(null);
 
+  // Cursor of the newest post we have, used to poll for deltas only
+  const sinceCursorRef = useRef(null);
+
   // Default parameters
   const defaultParams = {
     page: 1,
@@ -46,6 +49,9 @@ export function usePosts(initialParams = {}) {
       const requestParams = { ...params, ...newParams };
       console.log('🔄 Fetching posts with params:', requestParams);
 
+      // Cursors address a single request; don't keep them in the stored params
+      const { cursor: _cursor, since: _since, ...persistentParams } = requestParams;
+
       const response = await postsAPI.getPosts(requestParams);
       console.log('📦 Raw API Response:', response);
       
@@ -68,9 +74,14 @@ export function usePosts(initialParams = {}) {
           console.log('📝 Set posts array:', newPosts);
         }
         
+        // Appended pages are older posts - only a fresh load moves the delta cursor
+        if (!append || !sinceCursorRef.current) {
+          sinceCursorRef.current = newPagination?.since_cursor || null;
+        }
+        
         setPagination(newPagination);
         setFilters(newFilters);
-        setParams(requestParams);
+        setParams(persistentParams);
         setLastUpdated(new Date());
         
         // Reset retry state on success
@@ -159,10 +170,20 @@ export function usePosts(initialParams = {}) {
     }
   }, [params, retryCount, retryDelay]);
 
-  // Load more posts (pagination)
+  // Load more posts (pagination) - prefer the keyset cursor so new arrivals
+  // don't shift pages and cause skipped or duplicated posts
   const loadMore = useCallback(async () => {
     if (!pagination?.has_more || refreshing) return;
     
+    if (pagination.next_cursor) {
+      try {
+        await fetchPosts({ cursor: pagination.next_cursor }, true);
+      } catch (err) {
+        console.error('❌ Error loading more posts:', err);
+      }
+      return;
+    }
+
     const nextPage = pagination.next_page;
     if (nextPage) {
       try {
@@ -205,17 +226,51 @@ export function usePosts(initialParams = {}) {
     fetchPosts();
   }, []); // Empty dependency array for initial fetch only
 
+  // Fetch only posts newer than the newest one we have and prepend them
+  const fetchNewPosts = useCallback(async () => {
+    if (!sinceCursorRef.current) return;
+
+    try {
+      const response = await postsAPI.getPosts({ ...params, since: sinceCursorRef.current });
+
+      if (response.success && response.data) {
+        const { posts: newPosts, pagination: deltaPagination } = response.data;
+
+        if (newPosts.length > 0) {
+          setPosts(prevPosts => {
+            const knownIds = new Set(prevPosts.map(post => post.id));
+            const freshPosts = newPosts.filter(post => !knownIds.has(post.id));
+            console.log(`🆕 ${freshPosts.length} new posts from polling`);
+            return [...freshPosts, ...prevPosts];
+          });
+        }
+
+        sinceCursorRef.current = deltaPagination?.since_cursor || sinceCursorRef.current;
+        setLastUpdated(new Date());
+      }
+    } catch (err) {
+      // Polling failures are transient; the next tick will try again
+      console.error('❌ Error polling for new posts:', err);
+    }
+  }, [params]);
+
+  // Newest-first feeds can be kept current with deltas; other orders need a full reload
+  const canPollDeltas = params.sort_by === 'created_at' && params.sort_order === 'desc';
+
   // Real-time updates with polling every 30 seconds
   useEffect(() => {
-    // Don't start polling if we're not on the first page or if there's an error
-    if (pagination?.current_page !== 1 || error) {
+    // Full reloads only make sense on the first page; delta polling works at any depth
+    if ((!canPollDeltas && pagination?.current_page !== 1) || error) {
       return;
     }
 
     const pollInterval = setInterval(() => {
-      // Only poll if we're on the first page and not currently loading
-      if (pagination?.current_page === 1 && !loading && !refreshing && !error) {
-        console.log('🔄 Polling for new posts...');
+      if (loading || refreshing || error) return;
+
+      console.log('🔄 Polling for new posts...');
+      if (canPollDeltas && sinceCursorRef.current) {
+        fetchNewPosts();
+      } else if (pagination?.current_page === 1) {
         // Use a more stable approach to avoid dependency issues
         fetchPosts({ page: 1 }, false);
       }
@@ -228,7 +283,7 @@ export function usePosts(initialParams = {}) {
       clearInterval(pollInterval);
       console.log('🛑 Real-time polling stopped');
     };
-  }, [pagination?.current_page, error]); // Removed loading, refreshing, and fetchPosts to avoid frequent recreations
+  }, [pagination?.current_page, error, canPollDeltas, fetchNewPosts]); // Removed loading, refreshing, and fetchPosts to avoid frequent recreations
 
   // Add a post to the current list (for real-time updates)
   const addPost = useCallback((newPost) => {
@@ -271,6 +326,7 @@ export function usePosts(initialParams = {}) {
     retry,
     updateFilters,
     sortPosts,
+    fetchNewPosts,
     
     // Real-time updates
     addPost,
@@ -1,8 +1,20 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { GlassCard, AnimatedButton, ConfidenceMeter } from '../components/UI';
-import { postsAPI } from '../services/api';
+import { postsAPI, createIdempotencyKey } from '../services/api';
+
+// How long the page waits for background analysis before handing off to the feed
+const ANALYSIS_WAIT_TIMEOUT_MS = 120000;
+
+// How each verdict of an already-checked post is shown
+const VERDICT_LABELS = {
+  pending: { label: 'Not yet verified', className: 'bg-gray-100 text-gray-800 border-gray-200' },
+  disputed: { label: 'Disputed', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  confirmed_false: { label: 'Confirmed false', className: 'bg-red-100 text-red-800 border-red-200' },
+  confirmed_true: { label: 'Confirmed true', className: 'bg-green-100 text-green-800 border-green-200' },
+  outdated: { label: 'Outdated', className: 'bg-gray-100 text-gray-800 border-gray-200' }
+};
 
 function Submit() {
   const navigate = useNavigate();
@@ -16,6 +28,10 @@ function Submit() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState('');
+  // Already-checked posts the server matched this draft against (409 ALREADY_CHECKED)
+  const [duplicateCandidates, setDuplicateCandidates] = useState(null);
+  // One Idempotency-Key per draft, so a double tap or a retry cannot post it twice
+  const submissionKeyRef = useRef(null);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -24,10 +40,16 @@ function Submit() {
       [name]: value
     }));
     
+    // An edited draft is a new submission
+    submissionKeyRef.current = null;
+
     // Clear previous results when user starts typing
     if (analysisResult) {
       setAnalysisResult(null);
     }
+    if (duplicateCandidates) {
+      setDuplicateCandidates(null);
+    }
     if (error) {
       setError(null);
     }
@@ -59,6 +81,33 @@ function Submit() {
     return errors;
   };
 
+  // Poll the background analysis until it completes, fails or takes too long
+  const waitForAnalysis = async (postId, pollIntervalMs = 2000) => {
+    const deadline = Date.now() + ANALYSIS_WAIT_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const { data } = await postsAPI.getAnalysisStatus(postId);
+
+      if (data.analysis_status === 'completed' || data.analysis_status === 'failed') {
+        return data;
+      }
+
+      if (data.analysis_status === 'processing') {
+        setAnalysisProgress(data.attempts > 1
+          ? `Analyzing content with AI (retry ${data.attempts - 1})...`
+          : 'Analyzing content with AI...');
+      } else {
+        setAnalysisProgress(data.queue_position
+          ? `Queued for analysis (position ${data.queue_position})...`
+          : 'Queued for analysis...');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, data.poll_interval_ms || pollIntervalMs));
+    }
+
+    return null;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -69,52 +118,95 @@ function Submit() {
       return;
     }
 
+    await submitPost();
+  };
+
+  // Send the draft, optionally resolving a match with an already-checked post:
+  // link (post it, sharing that post's verdict), merge (count it there instead of posting)
+  // or ignore (post and analyze it as new)
+  const submitPost = async (duplicateResolution = null, duplicateOf = null) => {
     setIsAnalyzing(true);
     setError(null);
     setSuccess(false);
+    setDuplicateCandidates(null);
     setAnalysisProgress('Submitting content...');
 
     try {
-      // Show progress updates
-      setAnalysisProgress('Analyzing content with AI...');
       
       console.log('🚀 Submitting content:', {
         title: formData.title.trim(),
         content: formData.content.trim().substring(0, 100) + '...',
-        source_url: formData.source_url.trim() || null
+        source_url: formData.source_url.trim() || null,
+        duplicate_resolution: duplicateResolution
       });
       
-      // Submit content for AI analysis and posting
+      // Submit content for AI analysis and posting. The key is kept when resolving a
+      // match: the server released it when it answered ALREADY_CHECKED.
+      if (!submissionKeyRef.current) {
+        submissionKeyRef.current = createIdempotencyKey();
+      }
       const response = await postsAPI.createPost({
         title: formData.title.trim(),
         content: formData.content.trim(),
-        source_url: formData.source_url.trim() || null
-      });
+        source_url: formData.source_url.trim() || null,
+        ...(duplicateResolution ? { duplicate_resolution: duplicateResolution } : {}),
+        ...(duplicateOf ? { duplicate_of: duplicateOf } : {})
+      }, submissionKeyRef.current);
       
       console.log('✅ Received response:', response);
-      setAnalysisProgress('Processing results...');
-
-      if (response.success) {
-        // Combine post data with AI analysis for display
-        const analysisData = {
-          ...response.data.ai_analysis,
-          post_id: response.data.post.id,
-          title: response.data.post.title,
-          content: response.data.post.content,
-          created_at: response.data.post.created_at,
-          // Include mutation analysis if available
-          mutation_analysis: response.data.mutation_analysis
-        };
-        
-        setAnalysisResult(analysisData);
+
+      if (response.success && (response.data.merged || response.data.duplicate_of)) {
+        // Merged or linked posts share the already-checked post's analysis
+        const { post, merged } = response.data;
+        setSuccess(true);
+
+        setTimeout(() => {
+          navigate('/', {
+            state: {
+              message: merged
+                ? 'Thanks! Your submission was added to the already-checked post.'
+                : 'Content submitted and linked to an already-checked post.',
+              newPostId: post.id
+            }
+          });
+        }, 3000);
+      } else if (response.success) {
+        const { post, analysis } = response.data;
+
+        // The post is stored; AI analysis runs in the background
+        const status = await waitForAnalysis(post.id, analysis?.poll_interval_ms);
+
+        if (status?.analysis_status === 'failed') {
+          setError('Your post was submitted, but AI analysis failed. It will appear in the feed without an AI verdict.');
+          return;
+        }
+
+        if (status) {
+          setAnalysisProgress('Processing results...');
+
+          // Combine post data with AI analysis for display
+          setAnalysisResult({
+            ...status.ai_analysis,
+            crisis_context: status.ai_analysis.crisis_context || status.crisis_context,
+            post_id: post.id,
+            title: post.title,
+            content: post.content,
+            created_at: post.created_at,
+            // Include mutation analysis if available
+            mutation_analysis: status.mutation_analysis
+          });
+        }
+
         setSuccess(true);
         
         // Show success message and redirect to feed after 3 seconds
         setTimeout(() => {
           navigate('/', { 
             state: { 
-              message: 'Content submitted and analyzed successfully!',
-              newPostId: response.data.post.id 
+              message: status
+                ? 'Content submitted and analyzed successfully!'
+                : 'Content submitted! AI analysis is still running and will appear in the feed shortly.',
+              newPostId: post.id 
             }
           });
         }, 3000);
@@ -125,12 +217,18 @@ function Submit() {
       console.error('Submission error:', err);
       
       // Handle different types of errors
-      if (err.status === 400) {
+      if (err.code === 'ALREADY_CHECKED') {
+        setDuplicateCandidates(err.details?.candidates || []);
+      } else if (err.status === 400) {
         setError(err.message || 'Invalid input. Please check your data and try again.');
       } else if (err.status === 503) {
         setError('AI analysis service is temporarily unavailable. Please try again in a few moments.');
+      } else if (err.code === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') {
+        setError('Your submission is still being processed. Please wait a moment before trying again.');
+      } else if (err.code === 'DUPLICATE_POST_NOT_FOUND') {
+        setError('That post is no longer available. Please choose another match or submit as new.');
       } else if (err.status === 409) {
-        setError('A similar post already exists. Please try submitting different content.');
+        setError(err.message || 'This submission conflicts with an existing post. Please try again.');
       } else if (err.code === 'TIMEOUT') {
         setError('Request timed out. Please try again.');
       } else if (err.code === 'NETWORK_ERROR') {
@@ -254,6 +352,86 @@ function Submit() {
                 </motion.div>
               )}
 
+              {duplicateCandidates && (
+                <motion.div
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="alert-warning p-4 rounded-lg space-y-4"
+                >
+                  <div>
+                    <p className="font-bold text-amber-800 flex items-center">
+                      <span className="mr-2">🔎</span>
+                      This claim looks like one that has already been checked
+                    </p>
+                    <p className="text-sm text-amber-800 mt-1">
+                      Link your post to a match to share its verdict, add your submission to it, or submit as new if it is a different claim.
+                    </p>
+                  </div>
+
+                  {duplicateCandidates.map(candidate => {
+                    const verdict = VERDICT_LABELS[candidate.verdict?.status] || VERDICT_LABELS.pending;
+                    return (
+                      <div key={candidate.post_id} className="content-box p-3 rounded-lg space-y-2">
+                        <div className="flex items-start justify-between gap-2">
+                          <a
+                            href={candidate.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-medium text-primary hover:underline"
+                          >
+                            {candidate.title}
+                          </a>
+                          <span className={`px-2 py-1 rounded text-xs border whitespace-nowrap ${verdict.className}`}>
+                            {verdict.label}
+                          </span>
+                        </div>
+                        {candidate.verdict?.reason && (
+                          <p className="text-sm text-secondary">{candidate.verdict.reason}</p>
+                        )}
+                        {!candidate.verdict?.reason && candidate.ai_analysis?.explanation && (
+                          <p className="text-sm text-secondary">{candidate.ai_analysis.explanation}</p>
+                        )}
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-secondary">
+                          {candidate.similarity !== null && (
+                            <span>{Math.round(candidate.similarity * 100)}% similar</span>
+                          )}
+                          {candidate.duplicate_submissions > 0 && (
+                            <span>· submitted {candidate.duplicate_submissions + 1} times</span>
+                          )}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          <button
+                            type="button"
+                            onClick={() => submitPost('link', candidate.post_id)}
+                            disabled={isAnalyzing}
+                            className="glass-button text-sm px-3 py-1"
+                          >
+                            Link my post
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => submitPost('merge', candidate.post_id)}
+                            disabled={isAnalyzing}
+                            className="glass-button text-sm px-3 py-1"
+                          >
+                            Add to this post
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+
+                  <button
+                    type="button"
+                    onClick={() => submitPost('ignore')}
+                    disabled={isAnalyzing}
+                    className="text-sm text-amber-800 underline"
+                  >
+                    It&apos;s a different claim - submit as new
+                  </button>
+                </motion.div>
+              )}
+
               {success && (
                 <motion.div
                   initial={{ opacity: 0, y: -10 }}
@@ -264,7 +442,9 @@ function Submit() {
                     <div className="flex items-center">
                       <span className="text-green-600 mr-2">✅</span>
                       <span className="text-green-800 font-medium">
-                        Content submitted and analyzed successfully!
+                        {analysisResult
+                          ? 'Content submitted and analyzed successfully!'
+                          : 'Content submitted! AI analysis is still running.'}
                       </span>
                     </div>
                     <span className="text-green-600 text-sm">
@@ -319,9 +499,9 @@ function Submit() {
             {isAnalyzing && (
               <div className="text-center py-12">
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                <p className="text-primary font-medium">Analyzing content...</p>
+                <p className="text-primary font-medium">{analysisProgress || 'Analyzing content...'}</p>
                 <p className="text-secondary text-sm mt-2">
-                  This may take a few seconds
+                  Your post is saved - analysis can take up to a minute on slower hardware
                 </p>
               </div>
             )}
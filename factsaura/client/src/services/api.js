@@ -11,18 +11,30 @@ const API_TIMEOUT = 30000; // 30 seconds
  * Custom error class for API errors
  */
 class APIError extends Error {
-  constructor(message, status, code) {
+  constructor(message, status, code, details = null) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.code = code;
+    this.details = details;
   }
 }
 
+/**
+ * New key for an Idempotency-Key header. Create one per user action (e.g. per submit of
+ * a draft) and reuse it when retrying, so the server replays its first response.
+ * Keys are only honoured for signed-in users.
+ */
+export function createIdempotencyKey() {
+  return crypto.randomUUID();
+}
+
 /**
  * Generic API request handler with error handling and timeout
+ * @param {string} endpoint - Path under the API base URL
+ * @param {Object} options - fetch options, plus an optional idempotencyKey for mutating requests
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, { idempotencyKey, ...options } = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
   
   // Debug logging
@@ -42,6 +54,7 @@ async function apiRequest(endpoint, options = {}) {
     ...options,
     headers: {
       ...defaultOptions.headers,
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
       ...options.headers,
     },
   };
@@ -72,7 +85,7 @@ async function apiRequest(endpoint, options = {}) {
     if (!response.ok) {
       const errorMessage = data?.error?.message || data?.message || `HTTP ${response.status}`;
       const errorCode = data?.error?.code || 'HTTP_ERROR';
-      throw new APIError(errorMessage, response.status, errorCode);
+      throw new APIError(errorMessage, response.status, errorCode, data?.error?.details || null);
     }
 
     return data;
@@ -105,6 +118,12 @@ export const postsAPI = {
    * @param {number} params.page - Page number (default: 1)
    * @param {number} params.limit - Posts per page (default: 20)
    * @param {string} params.sort - Sort order ('recent', 'confidence', 'urgency')
+   * @param {string} params.sort_by - Column to sort by, or 'priority' for the crisis-priority ranking
+   * @param {string} params.cursor - Optional keyset cursor (pagination.next_cursor) to continue after
+   * @param {string} params.since - Optional cursor (pagination.since_cursor) or ISO timestamp; returns only newer posts
+   * @param {string} params.near - Optional "lat,lng"; only posts within radius_km of that point (each gets distance_km)
+   * @param {number} params.radius_km - Radius for near, in kilometres (default: 5)
+   * @param {string} params.area - Optional locality, ward or city name
    * @returns {Promise<Object>} Posts data with pagination info
    */
   async getPosts(params = {}) {
@@ -120,21 +139,128 @@ export const postsAPI = {
   },
 
   /**
-   * Create a new post with AI analysis
+   * Download URL for an export of posts and verdicts
+   * @param {Object} params - Query parameters
+   * @param {string} params.format - 'csv', 'jsonl' or 'claimreview' (schema.org JSON-LD)
+   * @param {string} params.urgency_level - Optional feed filter
+   * @param {string} params.location - Optional feed filter
+   * @param {number} params.limit - Optional maximum number of posts
+   * @returns {string} URL to link to or open
+   */
+  getExportUrl(params = {}) {
+    const queryParams = new URLSearchParams({ format: params.format || 'csv', ...params });
+    return `${API_BASE_URL}/posts/export?${queryParams}`;
+  },
+
+  /**
+   * The signed-in user's feed: critical alerts for their area pinned first, then posts
+   * ranked for their location, expertise and follows
+   * @param {Object} params - Optional page and limit (max 50)
+   * @returns {Promise<Object>} { pinned, posts, pagination, personalization }
+   */
+  async getMyFeed(params = {}) {
+    const queryParams = new URLSearchParams(params);
+    return apiRequest(`/posts/feed/me?${queryParams}`);
+  },
+
+  /**
+   * Change what the signed-in user follows or mutes in their feed
+   * @param {Object} follows - Any of followed_harm_categories, followed_locations, muted_topics (lists of names)
+   * @returns {Promise<Object>} Updated follows
+   */
+  async updateMyFollows(follows) {
+    return apiRequest('/posts/feed/me/follows', {
+      method: 'PUT',
+      body: JSON.stringify(follows),
+    });
+  },
+
+  /**
+   * Weights of the crisis-priority ranking (sort_by=priority)
+   * @returns {Promise<Object>} urgency, confidence, votes and expert weights, and half_life_hours
+   */
+  async getRankingWeights() {
+    return apiRequest('/posts/ranking-weights');
+  },
+
+  /**
+   * Tune the crisis-priority ranking (admins only)
+   * @param {Object} weights - Any of urgency_weight, confidence_weight, votes_weight, expert_weight (0-100)
+   *   and half_life_hours
+   * @returns {Promise<Object>} Updated weights
+   */
+  async updateRankingWeights(weights) {
+    return apiRequest('/posts/ranking-weights', {
+      method: 'PUT',
+      body: JSON.stringify(weights),
+    });
+  },
+
+  /**
+   * URL of an RSS or Atom feed of alerts, for subscribing in a feed reader
+   * @param {string} type - 'rss' or 'atom'
+   * @param {Object} params - Optional filters: urgency_level, location_relevance, harm_category, post_type, limit
+   * @returns {string} Feed URL
+   */
+  getFeedUrl(type = 'rss', params = {}) {
+    const queryParams = new URLSearchParams(params);
+    const query = queryParams.toString();
+    return `${API_BASE_URL}/posts/feeds/${type}${query ? `?${query}` : ''}`;
+  },
+
+  /**
+   * Full-text search across post titles, content, AI explanations and crisis keywords
+   * @param {string} query - Search text (supports quoted phrases and -exclusions)
+   * @param {Object} params - Optional filters
+   * @param {string} params.urgency_level - 'critical', 'high' or 'medium'
+   * @param {string} params.location - Location relevance filter
+   * @param {boolean} params.is_misinformation - Only misinformation (true) or verified (false) posts
+   * @param {string} params.from - ISO date; only posts created on or after
+   * @param {string} params.to - ISO date; only posts created on or before
+   * @param {number} params.page - Page number (default: 1)
+   * @param {number} params.limit - Results per page (default: 20)
+   * @returns {Promise<Object>} Ranked results with highlighted snippets and pagination info
+   */
+  async searchPosts(query, params = {}) {
+    const queryParams = new URLSearchParams({ ...params, q: query });
+    return apiRequest(`/posts/search?${queryParams}`);
+  },
+
+  /**
+   * Create a new post. AI analysis runs in the background; poll getAnalysisStatus for results.
+   * If the claim was already checked, this rejects with code ALREADY_CHECKED and
+   * error.details.candidates; resubmit with a duplicate_resolution to link, merge or ignore.
    * @param {Object} postData - Post data
    * @param {string} postData.title - Post title
    * @param {string} postData.content - Post content
    * @param {string} postData.url - Optional URL to analyze
    * @param {string} postData.type - Post type ('user_submitted', 'ai_detected')
-   * @returns {Promise<Object>} Created post with AI analysis
+   * @param {string|Object} postData.location - Optional area name, or { lat, lng, area }
+   * @param {string} postData.duplicate_resolution - Optional 'link', 'merge' or 'ignore'
+   * @param {string} postData.duplicate_of - Already-checked post ID to link or merge into
+   * @param {string} idempotencyKey - Optional key (see createIdempotencyKey); a retry with the
+   *   same key gets the first response back instead of creating the post twice
+   * @returns {Promise<Object>} Created post (analysis_status 'pending'), a linked post sharing
+   *   the earlier analysis, or the post a submission was merged into (merged: true)
    */
-  async createPost(postData) {
+  async createPost(postData, idempotencyKey) {
     return apiRequest('/posts', {
       method: 'POST',
       body: JSON.stringify(postData),
+      idempotencyKey,
     });
   },
 
+  /**
+   * Get the background analysis status of a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Status ('pending', 'processing', 'completed', 'failed'),
+   *   plus AI and mutation analysis once completed
+   */
+  async getAnalysisStatus(postId) {
+    return apiRequest(`/posts/${postId}/analysis-status`);
+  },
+
   /**
    * Get a specific post by ID
    * @param {string} postId - Post ID
@@ -147,8 +273,8 @@ export const postsAPI = {
   /**
    * Vote on a post (upvote/downvote)
    * @param {string} postId - Post ID
-   * @param {string} voteType - 'upvote' or 'downvote'
-   * @returns {Promise<Object>} Updated vote counts
+   * @param {string} voteType - 'upvote', 'downvote' or 'retract'
+   * @returns {Promise<Object>} Updated vote counts and the user's current vote
    */
   async voteOnPost(postId, voteType) {
     return apiRequest(`/posts/${postId}/vote`, {
@@ -158,12 +284,111 @@ export const postsAPI = {
   },
 
   /**
-   * Get comments for a post
+   * Change a post's fact-check verdict (experts and moderators; anyone signed in may dispute)
+   * @param {string} postId - Post ID
+   * @param {string} verdict - 'pending', 'disputed', 'confirmed_false', 'confirmed_true' or 'outdated'
+   * @param {string} reason - Why the verdict is changing
+   * @returns {Promise<Object>} New verdict and the recorded change
+   */
+  async updateVerdict(postId, verdict, reason) {
+    return apiRequest(`/posts/${postId}/verdict`, {
+      method: 'PUT',
+      body: JSON.stringify({ verdict, reason }),
+    });
+  },
+
+  /**
+   * Get the verdict history of a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Current verdict, allowed transitions and past changes
+   */
+  async getVerdictHistory(postId) {
+    return apiRequest(`/posts/${postId}/verdict/history`);
+  },
+
+  /**
+   * Retract a wrong post (moderators only). It stays visible with a correction notice.
+   * @param {string} postId - Post ID
+   * @param {string} reason - Correction notice shown with the post
+   * @param {string} correctedPostId - Optional post with the corrected information
+   * @returns {Promise<Object>} Retracted post and the recorded moderation action
+   */
+  async retractPost(postId, reason, correctedPostId) {
+    return apiRequest(`/posts/${postId}/retraction`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, corrected_post_id: correctedPostId }),
+    });
+  },
+
+  /**
+   * Report a post to moderators
+   * @param {string} postId - Post ID
+   * @param {string} reason - 'false_rescue_number', 'fake_shelter', 'medical_harm', 'spam' or 'harassment'
+   * @param {string} details - Optional context for moderators
+   * @returns {Promise<Object>} Report counters and whether the post went to moderation
+   */
+  async reportPost(postId, reason, details) {
+    return apiRequest(`/posts/${postId}/report`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, details }),
+    });
+  },
+
+  /**
+   * Submit an expert review of a post (experts only)
+   * @param {string} postId - Post ID
+   * @param {Object} review - Review details
+   * @param {string} review.verdict - 'confirmed_false', 'confirmed_true' or 'disputed'
+   * @param {string[]} review.evidence_links - Links to the evidence
+   * @param {string} review.notes - Explanation of the verdict
+   * @param {string} review.domain - Optional expertise domain ('health', 'safety', 'local_knowledge')
+   * @returns {Promise<Object>} Updated verdict, expert agreement and trust score
+   */
+  async verifyPost(postId, review) {
+    return apiRequest(`/posts/${postId}/expert-verifications`, {
+      method: 'POST',
+      body: JSON.stringify(review),
+    });
+  },
+
+  /**
+   * Get expert reviews of a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Reviews and the expertise domains the post needs
+   */
+  async getExpertVerifications(postId) {
+    return apiRequest(`/posts/${postId}/expert-verifications`);
+  },
+
+  /**
+   * Get threaded comments for a post
    * @param {string} postId - Post ID
-   * @returns {Promise<Array>} Comments array
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page of top-level threads (default: 1)
+   * @param {number} params.limit - Threads per page (default: 20)
+   * @param {string} params.sort - Thread order ('top', 'new', 'old')
+   * @returns {Promise<Object>} Comment threads with pagination info
    */
-  async getPostComments(postId) {
-    return apiRequest(`/posts/${postId}/comments`);
+  async getPostComments(postId, params = {}) {
+    const queryParams = new URLSearchParams(params);
+    const query = queryParams.toString();
+    return apiRequest(`/posts/${postId}/comments${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Post a comment or reply on a post
+   * @param {string} postId - Post ID
+   * @param {Object} commentData - Comment data
+   * @param {string} commentData.content - Comment text
+   * @param {string} commentData.parent_id - Optional parent comment ID for replies
+   * @param {Array<string>} commentData.expertise_tags - Optional expertise tags
+   * @returns {Promise<Object>} Created comment
+   */
+  async createComment(postId, commentData) {
+    return apiRequest(`/posts/${postId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify(commentData),
+    });
   },
 };
 
@@ -277,6 +502,111 @@ export const familyTreeAPI = {
   },
 };
 
+/**
+ * Users API Functions
+ */
+export const usersAPI = {
+  /**
+   * Public profile of a user
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { user, reputation, badges, expertise, accuracy, recent_posts }
+   */
+  async getUserProfile(username) {
+    return apiRequest(`/users/${encodeURIComponent(username)}`);
+  },
+
+  /**
+   * The signed-in user's alert preferences, with the languages and channels on offer
+   * @returns {Promise<Object>} { preferences, options }
+   */
+  async getMyPreferences() {
+    return apiRequest('/users/me/preferences');
+  },
+
+  /**
+   * Update the signed-in user's alert preferences; fields left out are kept
+   * @param {Object} preferences - Any of alert_locations, languages, notification_channels
+   * @returns {Promise<Object>} { preferences }
+   */
+  async updateMyPreferences(preferences) {
+    return apiRequest('/users/me/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(preferences),
+    });
+  },
+
+  /**
+   * The signed-in user's reputation and the ledger entries that explain it
+   * @param {Object} params - Optional page and limit (max 100)
+   * @returns {Promise<Object>} { reputation_score, community_trust_rating, events, pagination, rules }
+   */
+  async getMyReputation(params = {}) {
+    const queryParams = new URLSearchParams(params);
+    return apiRequest(`/users/me/reputation?${queryParams}`);
+  },
+
+  /**
+   * Every badge, which ones the signed-in user earned and progress toward the rest
+   * @returns {Promise<Object>} { badges, earned_count }
+   */
+  async getMyBadges() {
+    return apiRequest('/users/me/badges');
+  },
+
+  /**
+   * Rebuild every reputation score from the scoring rules (admins only)
+   * @returns {Promise<Object>} { events_recorded, users_updated, trust_ratings_refreshed }
+   */
+  async recomputeReputation() {
+    return apiRequest('/users/reputation/recompute', {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+  },
+
+  /**
+   * Every role with the permissions it grants (admins only)
+   * @returns {Promise<Object>} { roles }
+   */
+  async getRoles() {
+    return apiRequest('/roles');
+  },
+
+  /**
+   * Roles a user holds and who granted them (admins only)
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { user, roles }
+   */
+  async getUserRoles(username) {
+    return apiRequest(`/users/${encodeURIComponent(username)}/roles`);
+  },
+
+  /**
+   * Grant a role to a user (admins only)
+   * @param {string} username - Username
+   * @param {string} role - admin, moderator, expert or system
+   * @returns {Promise<Object>} { user, role, granted, granted_at }
+   */
+  async grantRole(username, role) {
+    return apiRequest(`/users/${encodeURIComponent(username)}/roles`, {
+      method: 'POST',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  /**
+   * Revoke a role from a user (admins only; the last admin cannot be revoked)
+   * @param {string} username - Username
+   * @param {string} role - admin, moderator, expert or system
+   * @returns {Promise<Object>} { user, role, revoked }
+   */
+  async revokeRole(username, role) {
+    return apiRequest(`/users/${encodeURIComponent(username)}/roles/${encodeURIComponent(role)}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
 /**
  * Demo API Functions
  */
@@ -378,6 +708,7 @@ export default {
   posts: postsAPI,
   ai: aiAPI,
   familyTree: familyTreeAPI,
+  users: usersAPI,
   demo: demoAPI,
   health: healthAPI,
   testConnectivity: testAPIConnectivity,
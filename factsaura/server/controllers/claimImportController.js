@@ -0,0 +1,109 @@
+// Claim Import Controller - bulk import of forwarded claims from CSV or JSONL
+const claimImportService = require('../services/claimImportService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const SOURCE_NAME_MAX_LENGTH = 255;
+
+// Formats implied by the Content-Type of a raw file upload
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl'
+};
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+/**
+ * Read the upload from either a raw CSV/JSONL body or a JSON body of { format, data }
+ * @returns {Object} { format, data, sourceName, dryRun }
+ */
+function readUpload(req) {
+  if (typeof req.body === 'string') {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return {
+      format: req.query.format || CONTENT_TYPE_FORMATS[contentType],
+      data: req.body,
+      sourceName: req.query.source_name,
+      dryRun: req.query.dry_run === 'true'
+    };
+  }
+
+  const body = req.body || {};
+  return {
+    format: body.format,
+    data: body.data,
+    sourceName: body.source_name,
+    dryRun: body.dry_run === true || req.query.dry_run === 'true'
+  };
+}
+
+// POST /api/posts/import
+const importClaims = async (req, res) => {
+  try {
+    const { format, data, sourceName, dryRun } = readUpload(req);
+
+    if (format !== 'csv' && format !== 'jsonl') {
+      return sendValidationError(res, 'format must be one of: csv, jsonl');
+    }
+    if (typeof data !== 'string' || !data.trim()) {
+      return sendValidationError(res, 'data must contain the CSV or JSONL file contents');
+    }
+    if (sourceName !== undefined && (typeof sourceName !== 'string' || sourceName.length > SOURCE_NAME_MAX_LENGTH)) {
+      return sendValidationError(res, `source_name must be ${SOURCE_NAME_MAX_LENGTH} characters or less`);
+    }
+
+    const report = await claimImportService.importClaims(format, data, {
+      authorId: req.user.id,
+      requestedBy: req.user.id,
+      sourceName: sourceName ? sourceName.trim() : null,
+      dryRun
+    });
+
+    console.log(`📥 Claim import${dryRun ? ' (dry run)' : ''}: ${report.valid}/${report.total_rows} valid, ${report.failed} failed`);
+
+    res.status(dryRun ? 200 : 202).json({
+      success: true,
+      message: dryRun
+        ? 'Claims validated, nothing was imported'
+        : `${report.imported} claims imported, AI analysis and mutation detection queued`,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error importing claims:', error);
+    sendError(res, error, 'Failed to import claims');
+  }
+};
+
+module.exports = {
+  importClaims
+};
@@ -0,0 +1,263 @@
+// Comments Controller - handles threaded comments on posts
+const commentsService = require('../services/commentsService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_EXPERTISE_TAGS = 5;
+const MAX_EXPERTISE_TAG_LENGTH = 50;
+const VALID_SORTS = ['top', 'new', 'old'];
+const VALID_FLAG_REASONS = ['misinformation', 'harassment', 'spam', 'off_topic', 'dangerous_advice', 'other'];
+const VOTE_VALUES = { upvote: 1, downvote: -1, retract: 0 };
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message, details) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+      details
+    }
+  });
+}
+
+/**
+ * Validate comment content and expertise tags
+ * @returns {Object} { error } or { content, expertise_tags }
+ */
+function validateCommentInput({ content, expertise_tags }) {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return { error: 'Content is required' };
+  }
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return { error: `Content must be ${MAX_COMMENT_LENGTH} characters or less` };
+  }
+
+  if (expertise_tags === undefined) {
+    return { content: content.trim(), expertise_tags: undefined };
+  }
+
+  if (!Array.isArray(expertise_tags) || expertise_tags.length > MAX_EXPERTISE_TAGS) {
+    return { error: `expertise_tags must be an array of at most ${MAX_EXPERTISE_TAGS} tags` };
+  }
+
+  const normalizedTags = [];
+  for (const tag of expertise_tags) {
+    if (typeof tag !== 'string' || !tag.trim() || tag.length > MAX_EXPERTISE_TAG_LENGTH) {
+      return { error: `Each expertise tag must be a non-empty string of at most ${MAX_EXPERTISE_TAG_LENGTH} characters` };
+    }
+    normalizedTags.push(tag.trim().toLowerCase().replace(/\s+/g, '_'));
+  }
+
+  return { content: content.trim(), expertise_tags: [...new Set(normalizedTags)] };
+}
+
+function invalidId(res, code, label) {
+  return res.status(400).json({
+    error: {
+      code,
+      message: `${label} must be a valid UUID`
+    }
+  });
+}
+
+// GET /api/posts/:id/comments
+const getPostComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_POST_ID', 'Post ID');
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const sort = VALID_SORTS.includes(req.query.sort) ? req.query.sort : 'top';
+
+    const result = await commentsService.getPostComments(id, { page, limit, sort });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error fetching comments:', error);
+    sendError(res, error, 'Failed to fetch comments');
+  }
+};
+
+// POST /api/posts/:id/comments
+const createComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_POST_ID', 'Post ID');
+
+    const { parent_id } = req.body;
+    if (parent_id && !UUID_PATTERN.test(parent_id)) {
+      return invalidId(res, 'INVALID_COMMENT_ID', 'parent_id');
+    }
+
+    const input = validateCommentInput(req.body);
+    if (input.error) return sendValidationError(res, input.error);
+
+    const comment = await commentsService.createComment(id, req.user.id, {
+      content: input.content,
+      parent_id: parent_id || null,
+      expertise_tags: input.expertise_tags || []
+    });
+
+    console.log(`💬 Comment ${comment.id} created on post ${id}`);
+
+    res.status(201).json({
+      success: true,
+      message: parent_id ? 'Reply posted successfully' : 'Comment posted successfully',
+      data: { comment: comment.toJSON() }
+    });
+  } catch (error) {
+    console.error('❌ Error creating comment:', error);
+    sendError(res, error, 'Failed to create comment');
+  }
+};
+
+// PUT /api/comments/:id
+const updateComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_COMMENT_ID', 'Comment ID');
+
+    const input = validateCommentInput(req.body);
+    if (input.error) return sendValidationError(res, input.error);
+
+    const comment = await commentsService.editComment(id, req.user.id, input);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment: comment.toJSON() }
+    });
+  } catch (error) {
+    console.error('❌ Error updating comment:', error);
+    sendError(res, error, 'Failed to update comment');
+  }
+};
+
+// DELETE /api/comments/:id
+const deleteComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_COMMENT_ID', 'Comment ID');
+
+    await commentsService.deleteComment(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { comment_id: id, is_deleted: true }
+    });
+  } catch (error) {
+    console.error('❌ Error deleting comment:', error);
+    sendError(res, error, 'Failed to delete comment');
+  }
+};
+
+// POST /api/comments/:id/flag
+const flagComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_COMMENT_ID', 'Comment ID');
+
+    const { reason, details } = req.body;
+    if (!VALID_FLAG_REASONS.includes(reason)) {
+      return sendValidationError(res, `reason must be one of: ${VALID_FLAG_REASONS.join(', ')}`);
+    }
+    if (details !== undefined && (typeof details !== 'string' || details.length > 1000)) {
+      return sendValidationError(res, 'details must be a string of at most 1000 characters');
+    }
+
+    const result = await commentsService.flagComment(id, req.user.id, reason, details || null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment flagged for review',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error flagging comment:', error);
+    sendError(res, error, 'Failed to flag comment');
+  }
+};
+
+// PUT /api/comments/:id/vote
+const voteOnComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_COMMENT_ID', 'Comment ID');
+
+    const voteType = req.body.vote_type || req.body.voteType;
+    if (!Object.prototype.hasOwnProperty.call(VOTE_VALUES, voteType)) {
+      return sendValidationError(res, `vote_type must be one of: ${Object.keys(VOTE_VALUES).join(', ')}`);
+    }
+
+    const result = await commentsService.voteOnComment(id, req.user.id, VOTE_VALUES[voteType]);
+
+    res.status(200).json({
+      success: true,
+      message: voteType === 'retract' ? 'Vote retracted' : 'Vote recorded',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error voting on comment:', error);
+    sendError(res, error, 'Failed to record comment vote');
+  }
+};
+
+// POST /api/comments/:id/verify (experts only)
+const verifyComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_COMMENT_ID', 'Comment ID');
+
+    const comment = await commentsService.verifyComment(id, req.user.id);
+
+    console.log(`🎓 Comment ${id} verified by expert ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment verified by expert',
+      data: { comment: comment.toJSON() }
+    });
+  } catch (error) {
+    console.error('❌ Error verifying comment:', error);
+    sendError(res, error, 'Failed to verify comment');
+  }
+};
+
+module.exports = {
+  getPostComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  flagComment,
+  voteOnComment,
+  verifyComment
+};
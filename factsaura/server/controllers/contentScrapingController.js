@@ -874,9 +874,12 @@ const initializeScheduler = () => {
     const autoStart = process.env.AUTO_START_SCHEDULER === 'true';
     const intervalMinutes = parseInt(process.env.SCRAPER_INTERVAL_MINUTES) || 5;
 
+    // Create the scheduler even when it is not auto-started so its job handlers
+    // are registered and auto-post jobs queued before a restart still run
+    const scheduler = getSchedulerInstance();
+
     if (autoStart) {
       console.log('🚀 Auto-starting content scraping scheduler...');
-      const scheduler = getSchedulerInstance();
       scheduler.start(intervalMinutes);
     } else {
       console.log('📅 Content scraping scheduler ready (not auto-started)');
@@ -0,0 +1,164 @@
+// Expert Verification Controller - expert reviews of posts with verdict, evidence and notes
+const Post = require('../models/Post');
+const ExpertVerification = require('../models/ExpertVerification');
+const expertVerificationService = require('../services/expertVerificationService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A review must cite its evidence and explain itself
+const MAX_EVIDENCE_LINKS = 10;
+const EVIDENCE_LINK_MAX_LENGTH = 2048;
+const NOTES_MIN_LENGTH = 10;
+const NOTES_MAX_LENGTH = 2000;
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+function invalidPostId(res) {
+  return res.status(400).json({
+    error: {
+      code: 'INVALID_POST_ID',
+      message: 'Post ID must be a valid UUID'
+    }
+  });
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string' || value.length > EVIDENCE_LINK_MAX_LENGTH) return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// POST /api/posts/:id/expert-verifications
+const verifyPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verdict, domain, evidence_links } = req.body;
+    const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() : '';
+
+    if (!UUID_PATTERN.test(id)) return invalidPostId(res);
+
+    if (!ExpertVerification.VERDICTS.includes(verdict)) {
+      return sendValidationError(res, `verdict must be one of: ${ExpertVerification.VERDICTS.join(', ')}`);
+    }
+    if (domain !== undefined && !ExpertVerification.DOMAINS.includes(domain)) {
+      return sendValidationError(res, `domain must be one of: ${ExpertVerification.DOMAINS.join(', ')}`);
+    }
+    if (!Array.isArray(evidence_links) || evidence_links.length === 0 || evidence_links.length > MAX_EVIDENCE_LINKS) {
+      return sendValidationError(res, `evidence_links must list between 1 and ${MAX_EVIDENCE_LINKS} links`);
+    }
+    if (!evidence_links.every(isHttpUrl)) {
+      return sendValidationError(res, 'evidence_links must be http or https URLs');
+    }
+    if (notes.length < NOTES_MIN_LENGTH || notes.length > NOTES_MAX_LENGTH) {
+      return sendValidationError(res, `notes must be between ${NOTES_MIN_LENGTH} and ${NOTES_MAX_LENGTH} characters`);
+    }
+
+    const result = await expertVerificationService.verifyPost(id, req.user, {
+      verdict,
+      domain: domain || null,
+      evidence_links: [...new Set(evidence_links)],
+      notes
+    });
+    const { post } = result;
+
+    console.log(`🎓 Expert review of post ${id}: ${verdict} (${result.verification.domain}) by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expert review recorded',
+      data: {
+        post_id: post.id,
+        verification: result.verification.toJSON(),
+        previous_verdict: result.previous_verdict,
+        verdict: post.toJSON().verdict,
+        verdict_changed: result.change !== null,
+        expert_verifications: post.engagement.expert_verifications,
+        expert_agreement: post.engagement.expert_agreement,
+        community_trust_score: post.engagement.community_trust_score,
+        expert_verifications_given: result.expert_verifications_given,
+        needs_expert_review: post.needsExpertReview()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error recording expert review:', error);
+    sendError(res, error, 'Failed to record expert review');
+  }
+};
+
+// GET /api/posts/:id/expert-verifications
+const getExpertVerifications = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) return invalidPostId(res);
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.is_published) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Post not found'
+        }
+      });
+    }
+
+    const verifications = await ExpertVerification.findByPost(post.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post_id: post.id,
+        verdict: post.toJSON().verdict,
+        review_domains: expertVerificationService.getPostDomains(post),
+        needs_expert_review: post.needsExpertReview(),
+        expert_verifications: post.engagement.expert_verifications,
+        expert_agreement: post.engagement.expert_agreement,
+        verifications: verifications.map(verification => verification.toJSON())
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching expert reviews:', error);
+    sendError(res, error, 'Failed to fetch expert reviews');
+  }
+};
+
+module.exports = {
+  verifyPost,
+  getExpertVerifications
+};
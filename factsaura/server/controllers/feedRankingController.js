@@ -0,0 +1,107 @@
+// Feed Ranking Controller - admin-tuned weights of the crisis-priority feed (sort_by=priority)
+const FeedRankingWeights = require('../models/FeedRankingWeights');
+const config = require('../config');
+
+// Upper bounds keep one signal from drowning out every other one by accident
+const MAX_WEIGHT = 100;
+const MAX_HALF_LIFE_HOURS = 24 * 30;
+
+function sendInternalError(res, error, message) {
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+/**
+ * Check a weights update
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWeights(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be an object of weights';
+  }
+
+  const fields = Object.keys(body);
+  if (fields.length === 0) {
+    return `Provide at least one of: ${FeedRankingWeights.FIELDS.join(', ')}`;
+  }
+
+  const unknown = fields.filter(field => !FeedRankingWeights.FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown fields: ${unknown.join(', ')}`;
+  }
+
+  for (const field of fields) {
+    const value = body[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `${field} must be a number`;
+    }
+    if (field === 'half_life_hours') {
+      if (value <= 0 || value > MAX_HALF_LIFE_HOURS) {
+        return `half_life_hours must be greater than 0 and at most ${MAX_HALF_LIFE_HOURS}`;
+      }
+    } else if (value < 0 || value > MAX_WEIGHT) {
+      return `${field} must be between 0 and ${MAX_WEIGHT}`;
+    }
+  }
+
+  return null;
+}
+
+// GET /api/posts/ranking-weights
+const getRankingWeights = async (req, res) => {
+  try {
+    const weights = await FeedRankingWeights.get();
+
+    res.status(200).json({
+      success: true,
+      data: weights.toJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching ranking weights:', error);
+    sendInternalError(res, error, 'Failed to fetch ranking weights');
+  }
+};
+
+// PUT /api/posts/ranking-weights
+const updateRankingWeights = async (req, res) => {
+  try {
+    const validationError = validateWeights(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const weights = await FeedRankingWeights.update(req.body, req.user.id);
+
+    console.log(`⚖️ Feed ranking weights updated by ${req.user.id}:`, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ranking weights updated',
+      data: weights.toJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating ranking weights:', error);
+    sendInternalError(res, error, 'Failed to update ranking weights');
+  }
+};
+
+module.exports = {
+  getRankingWeights,
+  updateRankingWeights
+};
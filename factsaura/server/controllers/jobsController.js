@@ -0,0 +1,172 @@
+// Jobs Controller - inspection API for the persistent background job queue
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const config = require('../config');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendInternalError(res, error, message) {
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function invalidJobId(res) {
+  return res.status(400).json({
+    error: {
+      code: 'INVALID_JOB_ID',
+      message: 'Job ID must be a valid UUID'
+    }
+  });
+}
+
+function jobNotFound(res) {
+  return res.status(404).json({
+    error: {
+      code: 'JOB_NOT_FOUND',
+      message: 'Job not found'
+    }
+  });
+}
+
+// GET /api/jobs
+const listJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+
+    if (status && !Job.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `status must be one of: ${Job.STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const offset = (page - 1) * limit;
+
+    const { jobs, total } = await Job.list({
+      status: status || null,
+      type: type || null,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => job.toJSON()),
+        pagination: {
+          current_page: page,
+          per_page: limit,
+          total,
+          has_more: offset + limit < total,
+          next_page: offset + limit < total ? page + 1 : null,
+          prev_page: page > 1 ? page - 1 : null
+        },
+        filters: {
+          status: status || null,
+          type: type || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    sendInternalError(res, error, 'Failed to list jobs');
+  }
+};
+
+// GET /api/jobs/stats
+const getJobStats = async (req, res) => {
+  try {
+    const rows = await Job.getStats();
+
+    const byStatus = Object.fromEntries(Job.STATUSES.map(status => [status, 0]));
+    const byType = {};
+    for (const row of rows) {
+      const count = Number(row.job_count);
+      byStatus[row.status] = (byStatus[row.status] || 0) + count;
+      byType[row.type] = byType[row.type] || { oldest_created_at: null };
+      byType[row.type][row.status] = count;
+
+      if (row.status === 'queued') {
+        byType[row.type].oldest_created_at = row.oldest_created_at;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        by_status: byStatus,
+        by_type: byType,
+        worker: jobQueue.getStatus()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job stats:', error);
+    sendInternalError(res, error, 'Failed to fetch job statistics');
+  }
+};
+
+// GET /api/jobs/:id
+const getJobById = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return invalidJobId(res);
+
+    const job = await Job.findById(req.params.id);
+    if (!job) return jobNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: { job: job.toJSON() }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    sendInternalError(res, error, 'Failed to fetch job');
+  }
+};
+
+// POST /api/jobs/:id/retry - move a dead-letter job back into the queue
+const retryJob = async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return invalidJobId(res);
+
+    const job = await Job.findById(req.params.id);
+    if (!job) return jobNotFound(res);
+
+    if (job.status !== 'dead') {
+      return res.status(409).json({
+        error: {
+          code: 'JOB_NOT_DEAD',
+          message: `Only dead-letter jobs can be retried (job is ${job.status})`
+        }
+      });
+    }
+
+    await jobQueue.retry(job);
+
+    console.log(`🔁 Job ${job.id} (${job.type}) re-queued by ${req.user?.id || 'unknown user'}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job re-queued',
+      data: { job: job.toJSON() }
+    });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    sendInternalError(res, error, 'Failed to retry job');
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJobStats,
+  getJobById,
+  retryJob
+};
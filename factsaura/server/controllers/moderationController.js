@@ -0,0 +1,256 @@
+// Moderation Controller - moderator queue for flagged posts and comments
+const ModerationAction = require('../models/ModerationAction');
+const moderationService = require('../services/moderationService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TARGET_TYPES = ['post', 'comment'];
+const VALID_ACTIONS = ['approve', 'unpublish', 'escalate'];
+const LOGGED_ACTIONS = [...VALID_ACTIONS, 'retract'];
+const VALID_QUEUE_STATUSES = ['pending', 'escalated'];
+const VALID_URGENCY_LEVELS = ['critical', 'high', 'medium', 'low'];
+const HARM_CATEGORY_MAX_LENGTH = 50; // posts.harm_category is free text set by the AI
+const REASON_MIN_LENGTH = 5;
+const REASON_MAX_LENGTH = 1000;
+const RETRACTION_REASON_MIN_LENGTH = 10; // shown to readers as the correction notice
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+/**
+ * Check an optional query value against its allowed values
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOption(name, value, allowed) {
+  if (value === undefined || allowed.includes(value)) return null;
+  return `${name} must be one of: ${allowed.join(', ')}`;
+}
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function buildPagination(page, limit, offset, total) {
+  return {
+    current_page: page,
+    per_page: limit,
+    total,
+    has_more: offset + limit < total,
+    next_page: offset + limit < total ? page + 1 : null,
+    prev_page: page > 1 ? page - 1 : null
+  };
+}
+
+// GET /api/moderation/queue
+const getQueue = async (req, res) => {
+  try {
+    const { type = 'post', urgency_level, harm_category, status } = req.query;
+
+    const validationError =
+      validateOption('type', type, TARGET_TYPES) ||
+      validateOption('urgency_level', urgency_level, VALID_URGENCY_LEVELS) ||
+      validateOption('status', status, VALID_QUEUE_STATUSES);
+    if (validationError) return sendValidationError(res, validationError);
+
+    if (harm_category !== undefined && (!harm_category.trim() || harm_category.length > HARM_CATEGORY_MAX_LENGTH)) {
+      return sendValidationError(res, `harm_category must be between 1 and ${HARM_CATEGORY_MAX_LENGTH} characters`);
+    }
+
+    const { page, limit, offset } = parsePagination(req.query);
+    const filters = {
+      urgency_level: urgency_level || null,
+      harm_category: harm_category ? harm_category.trim() : null,
+      status: status || null
+    };
+
+    const { items, total } = await moderationService.getQueue(type, { ...filters, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        type,
+        items,
+        pagination: buildPagination(page, limit, offset, total),
+        filters
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching moderation queue:', error);
+    sendError(res, error, 'Failed to fetch moderation queue');
+  }
+};
+
+// POST /api/moderation/:type/:id/actions
+const moderateItem = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const { action } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!TARGET_TYPES.includes(type)) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Unknown moderation target: ${type}`
+        }
+      });
+    }
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: type === 'post' ? 'INVALID_POST_ID' : 'INVALID_COMMENT_ID',
+          message: `${type === 'post' ? 'Post' : 'Comment'} ID must be a valid UUID`
+        }
+      });
+    }
+
+    if (!VALID_ACTIONS.includes(action)) {
+      return sendValidationError(res, `action must be one of: ${VALID_ACTIONS.join(', ')}`);
+    }
+    if (reason.length < REASON_MIN_LENGTH || reason.length > REASON_MAX_LENGTH) {
+      return sendValidationError(res, `reason must be between ${REASON_MIN_LENGTH} and ${REASON_MAX_LENGTH} characters`);
+    }
+
+    const result = await moderationService.moderate(type, id, action, req.user.id, reason);
+
+    console.log(`🛡️ Moderation: ${action} ${type} ${id} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${type === 'post' ? 'Post' : 'Comment'} ${action === 'escalate' ? 'escalated to an expert' : `${action}d`}`,
+      data: {
+        [type]: result.target.toJSON(),
+        queue_status: result.target.is_flagged ? moderationService.getQueueStatus(result.target) : null,
+        action: result.action.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error applying moderation action:', error);
+    sendError(res, error, 'Failed to apply moderation action');
+  }
+};
+
+// POST /api/posts/:id/retraction
+const retractPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { corrected_post_id } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+    if (reason.length < RETRACTION_REASON_MIN_LENGTH || reason.length > REASON_MAX_LENGTH) {
+      return sendValidationError(res, `reason must be between ${RETRACTION_REASON_MIN_LENGTH} and ${REASON_MAX_LENGTH} characters`);
+    }
+    if (corrected_post_id !== undefined && corrected_post_id !== null &&
+        (typeof corrected_post_id !== 'string' || !UUID_PATTERN.test(corrected_post_id))) {
+      return sendValidationError(res, 'corrected_post_id must be a valid UUID');
+    }
+
+    const result = await moderationService.retractPost(id, req.user.id, {
+      reason,
+      correctedPostId: corrected_post_id || null
+    });
+
+    console.log(`🛡️ Moderation: retract post ${id} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post retracted',
+      data: {
+        post: result.post.toJSON(),
+        corrected_post: result.correctedPost
+          ? { id: result.correctedPost.id, title: result.correctedPost.title }
+          : null,
+        action: result.action.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error retracting post:', error);
+    sendError(res, error, 'Failed to retract post');
+  }
+};
+
+// GET /api/moderation/actions - audit log
+const getActionLog = async (req, res) => {
+  try {
+    const { target_type, target_id, moderator_id, action } = req.query;
+
+    const validationError =
+      validateOption('target_type', target_type, TARGET_TYPES) ||
+      validateOption('action', action, LOGGED_ACTIONS);
+    if (validationError) return sendValidationError(res, validationError);
+
+    for (const [name, value] of [['target_id', target_id], ['moderator_id', moderator_id]]) {
+      if (value !== undefined && !UUID_PATTERN.test(value)) {
+        return sendValidationError(res, `${name} must be a valid UUID`);
+      }
+    }
+
+    const { page, limit, offset } = parsePagination(req.query);
+    const { actions, total } = await ModerationAction.list({
+      targetType: target_type || null,
+      targetId: target_id || null,
+      moderatorId: moderator_id || null,
+      action: action || null,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        actions: actions.map(entry => entry.toJSON()),
+        pagination: buildPagination(page, limit, offset, total)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching moderation log:', error);
+    sendError(res, error, 'Failed to fetch moderation log');
+  }
+};
+
+module.exports = {
+  getQueue,
+  moderateItem,
+  retractPost,
+  getActionLog
+};
@@ -0,0 +1,89 @@
+// Personalized Feed Controller - the signed-in user's feed and what they follow or mute
+const personalizedFeedService = require('../services/personalizedFeedService');
+const config = require('../config');
+
+function sendInternalError(res, error, message) {
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+// GET /api/posts/feed/me
+const getMyFeed = async (req, res) => {
+  try {
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const feed = await personalizedFeedService.getFeed(req.user, {
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Pinned alerts come first on every page
+        pinned: feed.pinned.map(({ post, reasons }) => ({
+          ...post.toJSON(),
+          personalization: { pinned: true, reasons }
+        })),
+        posts: feed.posts.map(({ post, score, reasons }) => ({
+          ...post.toJSON(),
+          personalization: { pinned: false, score: Math.round(score * 1000) / 1000, reasons }
+        })),
+        pagination: {
+          current_page: pageNum,
+          per_page: limitNum,
+          has_more: feed.has_more,
+          next_page: feed.has_more ? pageNum + 1 : null,
+          prev_page: pageNum > 1 ? pageNum - 1 : null
+        },
+        personalization: feed.personalization
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error building personalized feed:', error);
+    sendInternalError(res, error, 'Failed to fetch your feed');
+  }
+};
+
+// PUT /api/posts/feed/me/follows
+const updateMyFollows = async (req, res) => {
+  try {
+    const validationError = personalizedFeedService.validateFollows(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationError
+        }
+      });
+    }
+
+    const follows = personalizedFeedService.normalizeFollows(req.body);
+    await req.user.update(follows);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        followed_harm_categories: req.user.followed_harm_categories,
+        followed_locations: req.user.followed_locations,
+        muted_topics: req.user.muted_topics
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating feed follows:', error);
+    sendInternalError(res, error, 'Failed to update what you follow');
+  }
+};
+
+module.exports = {
+  getMyFeed,
+  updateMyFollows
+};
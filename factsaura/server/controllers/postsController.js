@@ -1,11 +1,60 @@
 // Posts Controller - handles post-related operations
 const Post = require('../models/Post');
-const aiService = require('../services/aiService');
-const MutationDetectionService = require('../services/mutationDetectionService');
+const Vote = require('../models/Vote');
+const PostReport = require('../models/PostReport');
+const postsService = require('../services/postsService');
+const postAnalysisWorker = require('../services/postAnalysisWorker');
+const exportService = require('../services/exportService');
+const syndicationService = require('../services/syndicationService');
+const geoService = require('../services/geoService');
+const duplicateClaimService = require('../services/duplicateClaimService');
+const badgeService = require('../services/badgeService');
 const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
 
-// Initialize mutation detection service
-const mutationService = new MutationDetectionService();
+// Post IDs are Postgres UUIDs (gen_random_uuid)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Size of the comment preview returned with post details
+const COMMENT_THREAD_LIMIT = 5;
+const COMMENT_REPLIES_LIMIT = 3;
+
+// Urgency levels accepted by the feed filters
+const VALID_URGENCY_LEVELS = ['critical', 'high', 'medium'];
+
+// Bounds for GET /api/posts/search?q=
+const SEARCH_QUERY_MIN_LENGTH = 2;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+
+// Suggested delay between GET /api/posts/:id/analysis-status polls
+const ANALYSIS_POLL_INTERVAL_MS = 2000;
+
+// Accepted vote_type values for PUT /api/posts/:id/vote
+const VALID_VOTE_ACTIONS = ['upvote', 'downvote', 'retract'];
+
+// Optional free text on reader reports
+const REPORT_DETAILS_MAX_LENGTH = 500;
+
+// Verdict changes must say why
+const VERDICT_REASON_MIN_LENGTH = 10;
+const VERDICT_REASON_MAX_LENGTH = 1000;
+
+// Response types of GET /api/posts/export
+const EXPORT_FORMAT_RESPONSES = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  claimreview: { contentType: 'application/ld+json; charset=utf-8', extension: 'jsonld' }
+};
+
+// RSS and Atom feeds: entries per document, and the response type of each
+const SYNDICATION_DEFAULT_LIMIT = 50;
+const SYNDICATION_MAX_LIMIT = 100;
+const SYNDICATION_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: 'buildRss' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: 'buildAtom' }
+};
+const VALID_POST_TYPES = ['user_submitted', 'ai_detected'];
+const HARM_CATEGORY_MAX_LENGTH = 50;
 
 const getPosts = async (req, res) => {
   try {
@@ -15,79 +64,149 @@ const getPosts = async (req, res) => {
       limit = 20,
       sort_by = 'created_at',
       sort_order = 'desc',
+      cursor,
+      since,
       urgency_level,
       location,
-      is_misinformation
+      is_misinformation,
+      near,
+      radius_km,
+      area
     } = req.query;
 
     // Validate pagination parameters
-    const pageNum = Math.max(1, parseInt(page, 10));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10))); // Max 100 posts per page
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20)); // Max 100 posts per page
     const offset = (pageNum - 1) * limitNum;
 
-    // Validate sort parameters
-    const validSortFields = ['created_at', 'updated_at', 'upvotes', 'downvotes', 'confidence_score', 'urgency_level'];
+    // Validate sort parameters. 'priority' ranks by the database-computed crisis priority
+    // (urgency, confidence, votes and expert reviews, decaying with age)
+    const validSortFields = ['created_at', 'updated_at', 'upvotes', 'downvotes', 'confidence_score', 'urgency_level', 'priority_score'];
     const validSortOrders = ['asc', 'desc'];
     
-    const sortBy = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const requestedSort = sort_by === 'priority' ? 'priority_score' : sort_by;
+    const sortBy = validSortFields.includes(requestedSort) ? requestedSort : 'created_at';
     const sortOrder = validSortOrders.includes(sort_order) ? sort_order : 'desc';
 
     // Validate filter parameters
-    const validUrgencyLevels = ['critical', 'high', 'medium'];
-    const urgencyFilter = validUrgencyLevels.includes(urgency_level) ? urgency_level : null;
-    
-    const locationFilter = location || null;
-    
-    let misinformationFilter = null;
-    if (is_misinformation === 'true') misinformationFilter = true;
-    if (is_misinformation === 'false') misinformationFilter = false;
+    const {
+      urgency_level: urgencyFilter,
+      location: locationFilter,
+      is_misinformation: misinformationFilter
+    } = parseFeedFilters({ urgency_level, location, is_misinformation });
+
+    // Geographic filters: a radius around a point and/or a named area or city
+    const { near: nearFilter, area: areaFilter, error: geoError } = parseGeoFilters({ near, radius_km, area });
+    if (geoError) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_LOCATION_FILTER',
+          message: geoError
+        }
+      });
+    }
+
+    // Resolve the pagination mode: delta (since), keyset (cursor) or legacy offset (page)
+    let after = null;
+    let sincePosition = null;
+    let mode = 'offset';
+
+    if (since) {
+      sincePosition = parseSinceParameter(since);
+      if (!sincePosition) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SINCE',
+            message: 'since must be a feed cursor or an ISO 8601 timestamp'
+          }
+        });
+      }
+      mode = 'since';
+    } else if (cursor) {
+      const decoded = Post.decodeFeedCursor(cursor);
+      if (!decoded || decoded.sort_by !== sortBy || decoded.sort_order !== sortOrder) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CURSOR',
+            message: 'Cursor is malformed or was issued for a different sort order'
+          }
+        });
+      }
+      after = { value: decoded.value, id: decoded.id };
+      mode = 'cursor';
+    }
 
     console.log('📄 Fetching posts with parameters:', {
-      page: pageNum,
+      mode,
+      page: mode === 'offset' ? pageNum : null,
       limit: limitNum,
-      offset,
       sort_by: sortBy,
       sort_order: sortOrder,
       urgency_level: urgencyFilter,
       location: locationFilter,
-      is_misinformation: misinformationFilter
+      is_misinformation: misinformationFilter,
+      near: nearFilter,
+      area: areaFilter
     });
 
-    // Fetch posts using the Post model
-    const posts = await Post.getFeed({
-      limit: limitNum,
+    // Fetch one extra post to know whether another page exists
+    const fetched = await Post.getFeed({
+      limit: limitNum + 1,
       offset,
+      after,
+      since: sincePosition,
       urgency_level: urgencyFilter,
       location: locationFilter,
       is_misinformation: misinformationFilter,
+      near: nearFilter,
+      area: areaFilter,
       sort_by: sortBy,
       sort_order: sortOrder
     });
 
-    console.log(`✅ Retrieved ${posts.length} posts`);
+    const hasMore = fetched.length > limitNum;
+    const pagePosts = fetched.slice(0, limitNum);
+
+    // Delta pages come back oldest first; present them newest first like the feed
+    const posts = mode === 'since' ? [...pagePosts].reverse() : pagePosts;
+
+    console.log(`✅ Retrieved ${posts.length} posts (${mode} mode)`);
+
+    // The cursor to send as `since` on the next poll is the newest post seen so far
+    const newestPost = findNewestPost(pagePosts);
+    let sinceCursor = null;
+    if (newestPost) {
+      sinceCursor = Post.encodeFeedCursor(newestPost);
+    } else if (mode === 'since') {
+      sinceCursor = since;
+    }
 
-    // Calculate pagination metadata
-    const hasMore = posts.length === limitNum;
-    const nextPage = hasMore ? pageNum + 1 : null;
-    const prevPage = pageNum > 1 ? pageNum - 1 : null;
+    const lastPost = pagePosts[pagePosts.length - 1];
 
     // Return paginated response
     res.status(200).json({
       success: true,
       data: {
-        posts: posts.map(post => post.toJSON()),
+        posts: posts.map(post => withDistance(post.toJSON(), nearFilter)),
         pagination: {
-          current_page: pageNum,
+          mode,
+          current_page: mode === 'offset' ? pageNum : null,
           per_page: limitNum,
           has_more: hasMore,
-          next_page: nextPage,
-          prev_page: prevPage,
+          next_page: mode === 'offset' && hasMore ? pageNum + 1 : null,
+          prev_page: mode === 'offset' && pageNum > 1 ? pageNum - 1 : null,
+          next_cursor: mode !== 'since' && hasMore && lastPost
+            ? Post.encodeFeedCursor(lastPost, sortBy, sortOrder)
+            : null,
+          since_cursor: sinceCursor,
           total_returned: posts.length
         },
         filters: {
           urgency_level: urgencyFilter,
           location: locationFilter,
           is_misinformation: misinformationFilter,
+          near: nearFilter,
+          area: areaFilter,
           sort_by: sortBy,
           sort_order: sortOrder
         }
@@ -121,42 +240,458 @@ const getPosts = async (req, res) => {
   }
 };
 
+/**
+ * Parse the urgency/location/misinformation filters shared by the feed endpoints
+ */
+function parseFeedFilters({ urgency_level, location, is_misinformation }) {
+  let misinformationFilter = null;
+  if (is_misinformation === 'true') misinformationFilter = true;
+  if (is_misinformation === 'false') misinformationFilter = false;
+
+  return {
+    urgency_level: VALID_URGENCY_LEVELS.includes(urgency_level) ? urgency_level : null,
+    location: location || null,
+    is_misinformation: misinformationFilter
+  };
+}
+
+/**
+ * Parse the near=lat,lng&radius_km= and area= feed filters
+ * @returns {Object} { near: { lat, lng, radius_km } | null, area: string | null, error: string | null }
+ */
+function parseGeoFilters({ near, radius_km, area }) {
+  let nearFilter = null;
+
+  if (near !== undefined) {
+    const point = geoService.parseNear(near);
+    if (!point) {
+      return { error: 'near must be "lat,lng" in decimal degrees' };
+    }
+
+    let radius = geoService.DEFAULT_RADIUS_KM;
+    if (radius_km !== undefined) {
+      radius = Number(radius_km);
+      if (!Number.isFinite(radius) || radius <= 0 || radius > geoService.MAX_RADIUS_KM) {
+        return { error: `radius_km must be greater than 0 and at most ${geoService.MAX_RADIUS_KM}` };
+      }
+    }
+
+    nearFilter = { ...point, radius_km: radius };
+  } else if (radius_km !== undefined) {
+    return { error: 'radius_km needs a near point' };
+  }
+
+  if (area !== undefined && (typeof area !== 'string' || !area.trim() || area.length > geoService.AREA_MAX_LENGTH)) {
+    return { error: `area must be 1 to ${geoService.AREA_MAX_LENGTH} characters` };
+  }
+
+  return {
+    near: nearFilter,
+    area: area !== undefined ? geoService.canonicalAreaName(area) : null,
+    error: null
+  };
+}
+
+/**
+ * Add the distance from the radius filter's centre to a serialized post
+ */
+function withDistance(postJSON, near) {
+  if (!near || !postJSON.location?.point) return postJSON;
+
+  const distance = geoService.distanceKm(near, postJSON.location.point);
+  return { ...postJSON, distance_km: Math.round(distance * 100) / 100 };
+}
+
+const searchPosts = async (req, res) => {
+  try {
+    const {
+      q,
+      page = 1,
+      limit = 20,
+      from,
+      to,
+      urgency_level,
+      location,
+      is_misinformation
+    } = req.query;
+
+    const queryText = typeof q === 'string' ? q.trim() : '';
+    if (queryText.length < SEARCH_QUERY_MIN_LENGTH || queryText.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Search query (q) must be between ${SEARCH_QUERY_MIN_LENGTH} and ${SEARCH_QUERY_MAX_LENGTH} characters`
+        }
+      });
+    }
+
+    // Validate date range
+    const dateRange = {};
+    for (const [key, value] of [['from', from], ['to', to]]) {
+      if (value === undefined) continue;
+      const timestamp = Date.parse(value);
+      if (isNaN(timestamp)) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `${key} must be an ISO 8601 date or timestamp`
+          }
+        });
+      }
+      dateRange[key] = new Date(timestamp).toISOString();
+    }
+
+    if (dateRange.from && dateRange.to && dateRange.from > dateRange.to) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'from must be earlier than to'
+        }
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+    const offset = (pageNum - 1) * limitNum;
+    const filters = parseFeedFilters({ urgency_level, location, is_misinformation });
+
+    console.log('🔎 Searching posts:', { q: queryText, ...filters, ...dateRange, page: pageNum });
+
+    const { results, total } = await Post.search(queryText, {
+      ...filters,
+      created_from: dateRange.from || null,
+      created_to: dateRange.to || null,
+      limit: limitNum,
+      offset
+    });
+
+    console.log(`✅ Search matched ${total} posts`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: queryText,
+        results: results.map(({ post, rank, highlights }) => ({
+          post: post.toJSON(),
+          rank,
+          highlights
+        })),
+        pagination: {
+          current_page: pageNum,
+          per_page: limitNum,
+          total_results: total,
+          has_more: offset + results.length < total,
+          next_page: offset + results.length < total ? pageNum + 1 : null,
+          prev_page: pageNum > 1 ? pageNum - 1 : null
+        },
+        filters: {
+          ...filters,
+          from: dateRange.from || null,
+          to: dateRange.to || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error searching posts:', error);
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to search posts',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+/**
+ * Parse the `since` feed parameter: either a feed cursor or an ISO timestamp
+ * @returns {Object|null} { created_at, id } position, or null if invalid
+ */
+function parseSinceParameter(since) {
+  const decoded = Post.decodeFeedCursor(since);
+  if (decoded) {
+    return { created_at: decoded.created_at, id: decoded.id };
+  }
+
+  const timestamp = Date.parse(since);
+  if (isNaN(timestamp)) return null;
+
+  return { created_at: new Date(timestamp).toISOString(), id: null };
+}
+
+/**
+ * Newest post by (created_at, id) - the feed may be sorted by another column
+ */
+function findNewestPost(posts) {
+  return posts.reduce((newest, post) => {
+    if (!newest) return post;
+    const diff = new Date(post.created_at) - new Date(newest.created_at);
+    if (diff > 0 || (diff === 0 && post.id > newest.id)) return post;
+    return newest;
+  }, null);
+}
+
+/**
+ * Write one page of posts in the requested format
+ * @returns {number} Number of records written
+ */
+function writeExportPage(res, format, posts, state) {
+  let written = 0;
+
+  for (const post of posts) {
+    if (format === 'csv') {
+      res.write(exportService.toCsvRow(exportService.toExportRecord(post)));
+    } else if (format === 'jsonl') {
+      res.write(`${JSON.stringify(exportService.toExportRecord(post))}\n`);
+    } else {
+      const review = exportService.toClaimReview(post);
+      if (!review) continue; // Nothing to publish until the post has a rating
+
+      // The graph carries the @context once for every review
+      const node = { ...review };
+      delete node['@context'];
+      res.write(`${state.first ? '\n' : ',\n'}${JSON.stringify(node)}`);
+      state.first = false;
+    }
+    written++;
+  }
+
+  return written;
+}
+
+// GET /api/posts/export
+const exportPosts = async (req, res) => {
+  try {
+    const { format = 'csv', urgency_level, location, is_misinformation, limit } = req.query;
+
+    if (!exportService.FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `format must be one of: ${exportService.FORMATS.join(', ')}`
+        }
+      });
+    }
+
+    let maxPosts = exportService.maxPosts;
+    if (limit !== undefined) {
+      const parsed = parseInt(limit, 10);
+      if (isNaN(parsed) || parsed < 1 || parsed > exportService.maxPosts) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `limit must be between 1 and ${exportService.maxPosts}`
+          }
+        });
+      }
+      maxPosts = parsed;
+    }
+
+    const filters = parseFeedFilters({ urgency_level, location, is_misinformation });
+
+    // Read the first page before sending headers so query errors still get a JSON response
+    const pages = exportService.iteratePosts(filters, maxPosts);
+    let page = await pages.next();
+
+    const { contentType, extension } = EXPORT_FORMAT_RESPONSES[format];
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="factsaura-posts-${date}.${extension}"`,
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (format === 'csv') res.write(exportService.csvHeader());
+    if (format === 'claimreview') res.write('{"@context":"https://schema.org","@graph":[');
+
+    const state = { first: true };
+    let exported = 0;
+    while (!page.done) {
+      exported += writeExportPage(res, format, page.value, state);
+      page = await pages.next();
+    }
+
+    if (format === 'claimreview') res.write('\n]}\n');
+    res.end();
+
+    console.log(`📤 Exported ${exported} posts as ${format}`);
+
+  } catch (error) {
+    console.error('❌ Error exporting posts:', error);
+
+    // Part of the file is already on its way; cut the download so it is not mistaken for a complete export
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to export posts',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+/**
+ * Send the RSS or Atom document for the feed filters in the query string
+ */
+async function sendSyndicationFeed(req, res, format) {
+  try {
+    const { urgency_level, location_relevance, location, harm_category, post_type, limit } = req.query;
+
+    if (urgency_level !== undefined && !VALID_URGENCY_LEVELS.includes(urgency_level)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `urgency_level must be one of: ${VALID_URGENCY_LEVELS.join(', ')}`
+        }
+      });
+    }
+
+    if (post_type !== undefined && !VALID_POST_TYPES.includes(post_type)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `post_type must be one of: ${VALID_POST_TYPES.join(', ')}`
+        }
+      });
+    }
+
+    if (harm_category !== undefined && (typeof harm_category !== 'string' || harm_category.length > HARM_CATEGORY_MAX_LENGTH)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `harm_category must be at most ${HARM_CATEGORY_MAX_LENGTH} characters`
+        }
+      });
+    }
+
+    const entryLimit = limit === undefined
+      ? SYNDICATION_DEFAULT_LIMIT
+      : Math.min(Math.max(parseInt(limit, 10) || SYNDICATION_DEFAULT_LIMIT, 1), SYNDICATION_MAX_LIMIT);
+
+    const filters = {
+      urgency_level: urgency_level || null,
+      location: location_relevance || location || null,
+      harm_category: harm_category || null,
+      post_type: post_type || null
+    };
+
+    const posts = await Post.getFeed({
+      ...filters,
+      limit: entryLimit,
+      sort_by: 'created_at',
+      sort_order: 'desc'
+    });
+
+    const { contentType, build } = SYNDICATION_FORMATS[format];
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const document = syndicationService[build](posts, { filters, selfUrl });
+
+    // Express adds an ETag and answers conditional requests with 304 Not Modified
+    res.status(200).set({
+      'Content-Type': contentType,
+      'Cache-Control': 'public, max-age=300'
+    });
+    if (posts.length > 0) {
+      res.set('Last-Modified', syndicationService.getFeedUpdated(posts).toUTCString());
+    }
+    res.send(document);
+
+  } catch (error) {
+    console.error(`❌ Error building ${format} feed:`, error);
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to build feed',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+}
+
+// GET /api/posts/feeds/rss
+const getRssFeed = (req, res) => sendSyndicationFeed(req, res, 'rss');
+
+// GET /api/posts/feeds/atom
+const getAtomFeed = (req, res) => sendSyndicationFeed(req, res, 'atom');
+
 const createPost = async (req, res) => {
   try {
     // Input validation
-    const { title, content, content_type = 'text', source_url } = req.body;
-    
-    if (!title || !content) {
+    const { title, content, content_type = 'text', source_url, location, duplicate_of, duplicate_resolution } = req.body;
+
+    const validationError = postsService.validateNewPost({ title, content });
+    if (validationError) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Title and content are required',
-          details: {
-            title: !title ? 'Title is required' : null,
-            content: !content ? 'Content is required' : null
-          }
+          ...validationError
         }
       });
     }
 
-    if (title.length > 200) {
+    const locationError = geoService.validateLocationInput(location);
+    if (locationError) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Title must be 200 characters or less'
+          message: locationError
         }
       });
     }
 
-    if (content.length > 10000) {
+    const resolutionError = duplicateClaimService.validateResolution(duplicate_resolution, duplicate_of);
+    if (resolutionError) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Content must be 10,000 characters or less'
+          message: resolutionError
         }
       });
     }
 
+    // Offer already-checked posts making the same claim before analyzing it again.
+    // The submitter resubmits with a duplicate_resolution: link, merge or ignore.
+    if (!duplicate_resolution) {
+      const candidates = await duplicateClaimService.findAlreadyChecked({ title, content });
+      if (candidates.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: 'ALREADY_CHECKED',
+            message: 'This claim looks like one that has already been checked',
+            details: {
+              candidates,
+              resolutions: duplicateClaimService.RESOLUTIONS
+            }
+          }
+        });
+      }
+    }
+
+    if (duplicate_resolution === 'merge') {
+      const original = await duplicateClaimService.mergeSubmission(duplicate_of);
+
+      console.log(`🔗 Submission merged into post ${original.id} (${original.duplicate_submissions} merged)`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Submission merged into an already-checked post',
+        data: {
+          post: original.toJSON(),
+          merged: true
+        }
+      });
+    }
+
+    const original = duplicate_resolution === 'link'
+      ? await duplicateClaimService.getOriginal(duplicate_of)
+      : null;
+
     // Get user ID from auth (for now, use system user)
     // TODO: Implement proper authentication in later tasks
     let author_id = req.user?.id;
@@ -185,125 +720,74 @@ const createPost = async (req, res) => {
       console.log('✅ Using system user ID:', author_id);
     }
 
-    console.log('🔍 Starting AI analysis for new post...');
-    
-    // Perform AI analysis on the content
-    const aiAnalysis = await aiService.analyzeContentBasic(content, {
-      include_crisis_context: true,
-      include_reasoning: true
-    });
-
-    console.log('✅ AI analysis completed:', {
-      is_misinformation: aiAnalysis.is_misinformation,
-      confidence: aiAnalysis.confidence_score,
-      urgency: aiAnalysis.crisis_context?.urgency_level
-    });
-
-    // 🧬 MUTATION DETECTION: Check if this content is a mutation of existing misinformation
-    console.log('🧬 Starting mutation detection analysis...');
-    const mutationAnalysis = await mutationService.detectMutation(content, {
-      source: req.headers['user-agent'] || 'web',
-      user_id: author_id,
-      timestamp: new Date().toISOString(),
-      ai_confidence: aiAnalysis.confidence_score
-    });
-
-    console.log('✅ Mutation analysis completed:', {
-      is_mutation: mutationAnalysis.is_mutation,
-      mutation_type: mutationAnalysis.mutation_type,
-      family_id: mutationAnalysis.family_id,
-      confidence: mutationAnalysis.confidence
-    });
-
-    // Extract crisis context from AI analysis
-    const crisisContext = aiAnalysis.crisis_context || {};
-    
-    // Prepare post data with AI analysis results and mutation detection
-    const postData = {
-      title: title.trim(),
-      content: content.trim(),
+    // Store the post right away - AI analysis and mutation detection run in the
+    // background worker and fill in the analysis columns when they finish
+    // Geography comes from the submitter's location, otherwise from places the text names
+    // A post linked to an already-checked one shares its analysis and is not queued
+    const geography = geoService.locatePost(location, `${title}\n${content}`);
+    const postData = postsService.buildSubmittedPost({
+      title,
+      content,
       content_type,
-      source_url: source_url || null,
-      post_type: 'user_submitted',
+      source_url,
       author_id,
-      
-      // Crisis context fields
-      urgency_level: crisisContext.urgency_level || 'medium',
-      location_relevance: 'global', // Default, can be enhanced later
-      harm_category: crisisContext.harm_category || 'general',
-      crisis_keywords: crisisContext.crisis_keywords_found || [],
-      
-      // AI analysis fields (including mutation data)
-      ai_analysis: {
-        ...aiAnalysis,
-        mutation_analysis: mutationAnalysis // Include mutation data in AI analysis
-      },
-      confidence_score: aiAnalysis.confidence_score || 0,
-      is_misinformation: aiAnalysis.is_misinformation || false,
-      analysis_explanation: aiAnalysis.explanation,
-      reasoning_steps: aiAnalysis.reasoning_steps || [],
-      sources_checked: aiAnalysis.sources_checked || [],
-      uncertainty_flags: aiAnalysis.uncertainty_flags || [],
-      analysis_timestamp: new Date().toISOString(),
-      
-      // 🧬 MUTATION DETECTION FIELDS (stored in ai_analysis for now until DB migration)
-      // TODO: Add dedicated mutation columns in future migration
-      // mutation_analysis: mutationAnalysis,
-      // is_mutation: mutationAnalysis.is_mutation || false,
-      // mutation_family_id: mutationAnalysis.family_id || null,
-      // mutation_type: mutationAnalysis.mutation_type || null,
-      // mutation_generation: mutationAnalysis.generation || null,
-      // mutation_confidence: mutationAnalysis.confidence || 0,
-      
-      // Default engagement values
-      upvotes: 0,
-      downvotes: 0,
-      comments_count: 0,
-      expert_verifications: 0,
-      community_trust_score: 0.5,
-      
-      // Publication status
-      is_published: true,
-      is_flagged: false,
-      is_verified: false
-    };
+      ...geoService.toPostColumns(geography),
+      ...(original ? duplicateClaimService.getLinkedColumns(original) : {})
+    });
 
     console.log('💾 Creating post in database...');
-    console.log('📝 Post data:', JSON.stringify(postData, null, 2));
     
     // Create post in database
     const newPost = await Post.create(postData);
     
     console.log('✅ Post created successfully:', newPost.id);
 
-    // Return success response with post data, AI analysis, and mutation detection
-    res.status(201).json({
+    if (req.user) {
+      await badgeService.evaluate(req.user.id, 'post_submitted');
+    }
+
+    if (original) {
+      return res.status(201).json({
+        success: true,
+        message: 'Post created and linked to an already-checked post',
+        data: {
+          post: newPost.toJSON(),
+          duplicate_of: duplicateClaimService.toCandidate(original)
+        }
+      });
+    }
+
+    // The post stays 'pending' if this fails; the worker re-queues it on startup
+    try {
+      await postAnalysisWorker.enqueue(newPost.id);
+    } catch (queueError) {
+      console.error('❌ Failed to queue post analysis:', queueError.message);
+    }
+
+    res.status(202).json({
       success: true,
-      message: 'Post created successfully with AI analysis and mutation detection',
+      message: 'Post created successfully, AI analysis and mutation detection in progress',
       data: {
         post: newPost.toJSON(),
-        ai_analysis: {
-          confidence_score: aiAnalysis.confidence_score,
-          is_misinformation: aiAnalysis.is_misinformation,
-          explanation: aiAnalysis.explanation,
-          reasoning_steps: aiAnalysis.reasoning_steps,
-          crisis_context: crisisContext,
-          processing_time_ms: aiAnalysis.processing_time_ms,
-          analysis_quality: aiAnalysis.analysis_quality
-        },
-        mutation_analysis: {
-          is_mutation: mutationAnalysis.is_mutation,
-          mutation_type: mutationAnalysis.mutation_type,
-          family_id: mutationAnalysis.family_id,
-          generation: mutationAnalysis.generation,
-          confidence: mutationAnalysis.confidence,
-          analysis: mutationAnalysis.analysis
+        analysis: {
+          status: newPost.analysis_status,
+          status_url: `/api/posts/${newPost.id}/analysis-status`,
+          poll_interval_ms: ANALYSIS_POLL_INTERVAL_MS
         }
       }
     });
 
   } catch (error) {
     console.error('❌ Error creating post:', error);
+
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
     
     // Handle specific error types
     if (error.message.includes('Content is required') || 
@@ -317,19 +801,6 @@ const createPost = async (req, res) => {
       });
     }
 
-    if (error.message.includes('AI analysis') || 
-        error.message.includes('Circuit breaker') ||
-        error.message.includes('timeout')) {
-      return res.status(503).json({
-        error: {
-          code: 'AI_SERVICE_ERROR',
-          message: 'AI analysis service temporarily unavailable',
-          details: error.message,
-          retry_after: 30
-        }
-      });
-    }
-
     if (error.code === '23505') { // PostgreSQL unique violation
       return res.status(409).json({
         error: {
@@ -351,36 +822,402 @@ const createPost = async (req, res) => {
 };
 
 const getPostById = async (req, res) => {
-  res.status(501).json({
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'Post retrieval will be implemented in Task 2.3'
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.is_published) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Post not found'
+        }
+      });
     }
-  });
+
+    // Lineage, discussion and the viewer's vote are independent lookups - fetch them together
+    const [mutationParent, topComments, userVote] = await Promise.all([
+      post.getMutationParent(),
+      post.getTopCommentThread(COMMENT_THREAD_LIMIT, COMMENT_REPLIES_LIMIT),
+      req.user ? Vote.findByUserAndPost(req.user.id, post.id) : null
+    ]);
+
+    const { upvotes, downvotes } = post.engagement;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post: post.toJSON(),
+        ai_analysis: {
+          ...post.ai_analysis,
+          ...post.analysis_metadata
+        },
+        mutation: {
+          ...post.mutation,
+          parent: mutationParent
+        },
+        votes: {
+          upvotes,
+          downvotes,
+          score: upvotes - downvotes,
+          total: upvotes + downvotes,
+          user_vote: userVote ? userVote.vote_type : null
+        },
+        comments: {
+          total: post.engagement.comments_count,
+          top_thread: topComments
+        },
+        // schema.org ClaimReview to embed in the post page as <script type="application/ld+json">
+        json_ld: exportService.toClaimReview(post)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching post:', error);
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch post',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const getAnalysisStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.is_published) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Post not found'
+        }
+      });
+    }
+
+    const status = post.analysis_status;
+    const inProgress = status === 'pending' || status === 'processing';
+    const isCompleted = status === 'completed';
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post_id: post.id,
+        analysis_status: status,
+        attempts: post.analysis_attempts,
+        max_attempts: postAnalysisWorker.maxAttempts,
+        queue_position: status === 'pending' ? await postAnalysisWorker.getQueuePosition(post.id) : null,
+        started_at: post.analysis_started_at,
+        completed_at: post.analysis_completed_at,
+        error: isCompleted ? null : post.analysis_error,
+        poll_interval_ms: inProgress ? ANALYSIS_POLL_INTERVAL_MS : null,
+
+        // Results are only meaningful once the worker has finished
+        ai_analysis: isCompleted ? {
+          ...post.ai_analysis,
+          ...post.analysis_metadata
+        } : null,
+        crisis_context: isCompleted ? post.crisis_context : null,
+        mutation_analysis: isCompleted ? post.mutation : null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching analysis status:', error);
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch analysis status',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
 };
 
 const voteOnPost = async (req, res) => {
-  res.status(501).json({
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'Voting functionality will be implemented in Task 3.1'
+  try {
+    const { id } = req.params;
+    const requestedVote = req.body.vote_type || req.body.voteType;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    if (!VALID_VOTE_ACTIONS.includes(requestedVote)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `vote_type must be one of: ${VALID_VOTE_ACTIONS.join(', ')}`
+        }
+      });
+    }
+
+    const voteType = requestedVote === 'retract' ? null : requestedVote;
+    const result = await postsService.voteOnPost(id, req.user.id, voteType);
+
+    console.log(`🗳️ Vote on post ${id}: ${result.previous_vote || 'none'} -> ${result.user_vote || 'none'}`);
+
+    res.status(200).json({
+      success: true,
+      message: voteType ? 'Vote recorded' : 'Vote retracted',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error voting on post:', error);
+
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
     }
-  });
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to record vote',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
 };
 
-const getPostComments = async (req, res) => {
-  res.status(501).json({
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'Comments functionality will be implemented in later tasks'
+// POST /api/posts/:id/report
+const reportPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details } = req.body;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    if (!PostReport.REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `reason must be one of: ${PostReport.REASONS.join(', ')}`
+        }
+      });
+    }
+
+    if (details !== undefined && details !== null &&
+        (typeof details !== 'string' || details.length > REPORT_DETAILS_MAX_LENGTH)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `details must be a string of at most ${REPORT_DETAILS_MAX_LENGTH} characters`
+        }
+      });
+    }
+
+    const result = await postsService.reportPost(id, req.user, {
+      reason,
+      details: details ? details.trim() : null
+    });
+
+    console.log(`🚩 Post ${id} reported (${reason}, weight ${result.weight})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report received',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error reporting post:', error);
+
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to report post',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// PUT /api/posts/:id/verdict
+const updateVerdict = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verdict } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    if (!Post.VERDICTS.includes(verdict)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `verdict must be one of: ${Post.VERDICTS.join(', ')}`
+        }
+      });
+    }
+
+    if (reason.length < VERDICT_REASON_MIN_LENGTH || reason.length > VERDICT_REASON_MAX_LENGTH) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `reason must be between ${VERDICT_REASON_MIN_LENGTH} and ${VERDICT_REASON_MAX_LENGTH} characters`
+        }
+      });
     }
-  });
+
+    const { post, previous_verdict, change } = await postsService.changeVerdict(id, req.user, verdict, reason);
+
+    console.log(`⚖️ Verdict on post ${id}: ${previous_verdict} -> ${verdict} by ${change.actor_role} ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verdict updated',
+      data: {
+        post_id: post.id,
+        previous_verdict,
+        verdict: post.toJSON().verdict,
+        change,
+        needs_expert_review: post.needsExpertReview(),
+        is_high_confidence_misinformation: post.isHighConfidenceMisinformation()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating verdict:', error);
+
+    if (error instanceof APIError) {
+      return res.status(error.statusCode).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update verdict',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// GET /api/posts/:id/verdict/history
+const getVerdictHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_POST_ID',
+          message: 'Post ID must be a valid UUID'
+        }
+      });
+    }
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.is_published) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Post not found'
+        }
+      });
+    }
+
+    const history = await post.getVerdictHistory();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post_id: post.id,
+        verdict: post.toJSON().verdict,
+        allowed_transitions: Post.VERDICT_TRANSITIONS[post.verdict] || [],
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching verdict history:', error);
+
+    res.status(500).json({
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch verdict history',
+        details: config.nodeEnv === 'development' ? error.message : undefined
+      }
+    });
+  }
 };
 
 module.exports = {
   getPosts,
+  searchPosts,
   createPost,
   getPostById,
+  exportPosts,
+  getRssFeed,
+  getAtomFeed,
+  getAnalysisStatus,
   voteOnPost,
-  getPostComments
+  reportPost,
+  updateVerdict,
+  getVerdictHistory
 };
\ No newline at end of file
@@ -0,0 +1,218 @@
+// Re-analysis Controller - re-runs AI analysis over stored posts and reports flipped verdicts
+const Post = require('../models/Post');
+const PostAnalysisHistory = require('../models/PostAnalysisHistory');
+const reanalysisService = require('../services/reanalysisService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+function invalidId(res, code, label) {
+  return res.status(400).json({
+    error: {
+      code,
+      message: `${label} must be a valid UUID`
+    }
+  });
+}
+
+/**
+ * Validate batch filters
+ * @returns {Object} { error } or { filters } in the shape Post.findForReanalysis expects
+ */
+function parseBatchFilters({ created_from, created_to, model_version, confidence_min, confidence_max }) {
+  const filters = {};
+
+  for (const [name, value, key] of [['created_from', created_from, 'createdFrom'], ['created_to', created_to, 'createdTo']]) {
+    if (value === undefined) continue;
+    if (isNaN(Date.parse(value))) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    filters[key] = new Date(value).toISOString();
+  }
+
+  if (model_version !== undefined) {
+    if (typeof model_version !== 'string' || !model_version.trim()) {
+      return { error: 'model_version must be a non-empty string' };
+    }
+    filters.modelVersion = model_version.trim();
+  }
+
+  for (const [name, value, key] of [['confidence_min', confidence_min, 'confidenceMin'], ['confidence_max', confidence_max, 'confidenceMax']]) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (value === null || value === '' || isNaN(number) || number < 0 || number > 1) {
+      return { error: `${name} must be a number between 0 and 1` };
+    }
+    filters[key] = number;
+  }
+
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom > filters.createdTo) {
+    return { error: 'created_from must be before created_to' };
+  }
+  if (filters.confidenceMin !== undefined && filters.confidenceMax !== undefined &&
+      filters.confidenceMin > filters.confidenceMax) {
+    return { error: 'confidence_min must not be greater than confidence_max' };
+  }
+
+  // Re-analyzing every post is never what anyone meant
+  if (Object.keys(filters).length === 0) {
+    return { error: 'At least one filter is required: created_from, created_to, model_version, confidence_min or confidence_max' };
+  }
+
+  return { filters };
+}
+
+// POST /api/posts/:id/reanalyze
+const reanalyzePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_POST_ID', 'Post ID');
+
+    const result = await reanalysisService.reanalyzePost(id, { requestedBy: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: result.verdict_flipped ? 'Post re-analyzed - AI verdict flipped' : 'Post re-analyzed',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error re-analyzing post:', error);
+    sendError(res, error, 'Failed to re-analyze post');
+  }
+};
+
+// POST /api/posts/reanalyze - queue a batch
+const startBatchReanalysis = async (req, res) => {
+  try {
+    const { error, filters } = parseBatchFilters(req.body);
+    if (error) return sendValidationError(res, error);
+
+    let limit = reanalysisService.maxBatchSize;
+    if (req.body.limit !== undefined) {
+      limit = parseInt(req.body.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > reanalysisService.maxBatchSize) {
+        return sendValidationError(res, `limit must be between 1 and ${reanalysisService.maxBatchSize}`);
+      }
+    }
+
+    const { batch, matched, queued } = await reanalysisService.startBatch(filters, {
+      limit,
+      requestedBy: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Re-analysis queued for ${queued} posts`,
+      data: {
+        batch: batch.toJSON(),
+        matched,
+        queued,
+        truncated: matched > batch.total_posts,
+        status_url: `/api/posts/reanalyze/${batch.id}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error starting batch re-analysis:', error);
+    sendError(res, error, 'Failed to start batch re-analysis');
+  }
+};
+
+// GET /api/posts/reanalyze/:batchId
+const getBatchReport = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    if (!UUID_PATTERN.test(batchId)) return invalidId(res, 'INVALID_BATCH_ID', 'Batch ID');
+
+    const report = await reanalysisService.getBatchReport(batchId);
+    if (!report) {
+      return res.status(404).json({
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Re-analysis batch not found'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error fetching re-analysis batch:', error);
+    sendError(res, error, 'Failed to fetch re-analysis batch');
+  }
+};
+
+// GET /api/posts/:id/analysis-history
+const getAnalysisHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) return invalidId(res, 'INVALID_POST_ID', 'Post ID');
+
+    const post = await Post.findById(id);
+    if (!post || !post.is_published) {
+      return res.status(404).json({
+        error: {
+          code: 'POST_NOT_FOUND',
+          message: 'Post not found'
+        }
+      });
+    }
+
+    const history = await PostAnalysisHistory.findByPost(post.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post_id: post.id,
+        current: {
+          ...post.ai_analysis,
+          ...post.analysis_metadata
+        },
+        history: history.map(entry => entry.toJSON())
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching analysis history:', error);
+    sendError(res, error, 'Failed to fetch analysis history');
+  }
+};
+
+module.exports = {
+  reanalyzePost,
+  startBatchReanalysis,
+  getBatchReport,
+  getAnalysisHistory
+};
@@ -0,0 +1,68 @@
+// Reputation Controller - a user's reputation ledger and admin recomputes of every score
+const ReputationEvent = require('../models/ReputationEvent');
+const reputationService = require('../services/reputationService');
+const config = require('../config');
+
+function sendInternalError(res, error, message) {
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+// GET /api/users/me/reputation - Score, trust rating and the ledger entries behind them
+const getMyReputation = async (req, res) => {
+  try {
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const offset = (pageNum - 1) * limitNum;
+
+    const { events, total } = await ReputationEvent.findByUser(req.user.id, { limit: limitNum, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reputation_score: req.user.reputation_score,
+        community_trust_rating: Number(req.user.community_trust_rating),
+        events: events.map(event => event.toJSON()),
+        pagination: {
+          current_page: pageNum,
+          per_page: limitNum,
+          total,
+          has_more: offset + limitNum < total,
+          next_page: offset + limitNum < total ? pageNum + 1 : null,
+          prev_page: pageNum > 1 ? pageNum - 1 : null
+        },
+        rules: reputationService.describeRules()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reputation ledger:', error);
+    sendInternalError(res, error, 'Failed to fetch your reputation');
+  }
+};
+
+// POST /api/users/reputation/recompute - Rebuild the ledger and every score from scratch (admins only)
+const recomputeReputation = async (req, res) => {
+  try {
+    console.log(`🏅 Reputation recompute requested by ${req.user.id}`);
+    const summary = await reputationService.recomputeAll();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reputation recomputed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('❌ Error recomputing reputation:', error);
+    sendInternalError(res, error, 'Failed to recompute reputation');
+  }
+};
+
+module.exports = {
+  getMyReputation,
+  recomputeReputation
+};
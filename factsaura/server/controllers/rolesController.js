@@ -0,0 +1,129 @@
+// Roles Controller - the role catalog and admin grants/revokes of users' roles
+const roleService = require('../services/roleService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// users.username is VARCHAR(50)
+const USERNAME_MAX_LENGTH = 50;
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    error: {
+      code: 'VALIDATION_ERROR',
+      message
+    }
+  });
+}
+
+function validateUsername(username) {
+  if (!username.trim() || username.length > USERNAME_MAX_LENGTH) {
+    return `username must be 1 to ${USERNAME_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// GET /api/roles - Every role with the permissions it grants
+const listRoles = async (req, res) => {
+  try {
+    const roles = await roleService.listRoles();
+
+    res.json({
+      success: true,
+      data: { roles }
+    });
+  } catch (error) {
+    console.error('Error listing roles:', error);
+    sendError(res, error, 'Failed to list roles');
+  }
+};
+
+// GET /api/users/:username/roles - Roles a user holds and who granted them
+const getUserRoles = async (req, res) => {
+  try {
+    const validationError = validateUsername(req.params.username);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const result = await roleService.getUserRoles(req.params.username);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching user roles:', error);
+    sendError(res, error, 'Failed to fetch user roles');
+  }
+};
+
+// POST /api/users/:username/roles - Grant a role ({ role }); granting a held role is a no-op
+const grantRole = async (req, res) => {
+  try {
+    const validationError = validateUsername(req.params.username) || roleService.validateRole(req.body.role);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const result = await roleService.grantRole(req.params.username, req.body.role, req.user);
+
+    res.status(result.granted ? 201 : 200).json({
+      success: true,
+      message: result.granted ? `Granted ${result.role}` : `${result.user.username} already holds ${result.role}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    sendError(res, error, 'Failed to grant role');
+  }
+};
+
+// DELETE /api/users/:username/roles/:role - Revoke a role (the last admin cannot be revoked)
+const revokeRole = async (req, res) => {
+  try {
+    const validationError = validateUsername(req.params.username) || roleService.validateRole(req.params.role);
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const result = await roleService.revokeRole(req.params.username, req.params.role, req.user);
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.role}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    sendError(res, error, 'Failed to revoke role');
+  }
+};
+
+module.exports = {
+  listRoles,
+  getUserRoles,
+  grantRole,
+  revokeRole
+};
@@ -1,45 +1,141 @@
-// Users Controller - handles user-related operations
-// To be implemented in later tasks
+// Users Controller - public profiles and each user's own alert preferences
+// (sign-up and login live in authController under /api/auth)
+const userProfileService = require('../services/userProfileService');
+const badgeService = require('../services/badgeService');
+const config = require('../config');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
 
-const login = async (req, res) => {
-  res.status(501).json({
+// users.username is VARCHAR(50)
+const USERNAME_MAX_LENGTH = 50;
+
+/**
+ * Send a structured error response, mapping service errors to their status codes
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof APIError) {
+    return res.status(error.statusCode).json({
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
     error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'User authentication will be implemented in Task 1.3'
+      code: 'INTERNAL_ERROR',
+      message: fallbackMessage,
+      details: config.nodeEnv === 'development' ? error.message : undefined
     }
   });
-};
+}
 
-const signup = async (req, res) => {
-  res.status(501).json({
+function sendValidationError(res, message) {
+  return res.status(400).json({
     error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'User registration will be implemented in Task 1.3'
+      code: 'VALIDATION_ERROR',
+      message
     }
   });
+}
+
+// GET /api/users/me - The signed-in user's profile with their preferences, roles and permissions
+const getMyProfile = async (req, res) => {
+  try {
+    const profile = await userProfileService.getPublicProfile(req.user.username);
+
+    res.json({
+      success: true,
+      data: {
+        ...profile,
+        preferences: req.user.getPreferences(),
+        roles: req.user.roles,
+        permissions: req.user.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching own profile:', error);
+    sendError(res, error, 'Failed to fetch your profile');
+  }
 };
 
-const getProfile = async (req, res) => {
-  res.status(501).json({
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'User profiles will be implemented in later tasks'
+// GET /api/users/me/preferences - The signed-in user's alert preferences
+const getMyPreferences = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      preferences: req.user.getPreferences(),
+      options: {
+        languages: userProfileService.LANGUAGES,
+        notification_channels: userProfileService.NOTIFICATION_CHANNELS
+      }
     }
   });
 };
 
-const updatePreferences = async (req, res) => {
-  res.status(501).json({
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'User preferences will be implemented in later tasks'
+// PUT /api/users/me/preferences - Update alert locations, languages or notification channels
+const updateMyPreferences = async (req, res) => {
+  try {
+    const validationError = userProfileService.validatePreferences(req.body);
+    if (validationError) {
+      return sendValidationError(res, validationError);
     }
-  });
+
+    const preferences = await userProfileService.updatePreferences(req.user, req.body);
+
+    res.json({
+      success: true,
+      data: { preferences }
+    });
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    sendError(res, error, 'Failed to update preferences');
+  }
+};
+
+// GET /api/users/me/badges - Every badge, which ones the signed-in user earned and progress toward the rest
+const getMyBadges = async (req, res) => {
+  try {
+    const metrics = await badgeService.getMetrics(req.user);
+    const badges = badgeService.getProgress(req.user, metrics);
+
+    res.json({
+      success: true,
+      data: {
+        badges,
+        earned_count: badges.filter(badge => badge.earned).length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching badges:', error);
+    sendError(res, error, 'Failed to fetch your badges');
+  }
+};
+
+// GET /api/users/:username - Public profile: reputation, badges, expertise, accuracy and recent posts
+const getProfile = async (req, res) => {
+  try {
+    const { username } = req.params;
+    if (!username.trim() || username.length > USERNAME_MAX_LENGTH) {
+      return sendValidationError(res, `username must be 1 to ${USERNAME_MAX_LENGTH} characters`);
+    }
+
+    const profile = await userProfileService.getPublicProfile(username);
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    sendError(res, error, 'Failed to fetch profile');
+  }
 };
 
 module.exports = {
-  login,
-  signup,
-  getProfile,
-  updatePreferences
-};
\ No newline at end of file
+  getMyProfile,
+  getMyPreferences,
+  updateMyPreferences,
+  getMyBadges,
+  getProfile
+};
@@ -0,0 +1,63 @@
+-- Atomic voting on posts
+-- Casts, changes or retracts a user's vote and adjusts the post counters in one transaction
+
+CREATE OR REPLACE FUNCTION cast_post_vote(
+  p_post_id UUID,
+  p_user_id UUID,
+  p_vote_type VARCHAR(10) -- 'upvote', 'downvote' or NULL to retract
+)
+RETURNS TABLE (
+  previous_vote VARCHAR(10),
+  current_vote VARCHAR(10),
+  post_upvotes INTEGER,
+  post_downvotes INTEGER,
+  post_author_id UUID
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_previous VARCHAR(10);
+  v_upvote_delta INTEGER := 0;
+  v_downvote_delta INTEGER := 0;
+BEGIN
+  -- Lock the post row so concurrent votes on the same post are serialized
+  PERFORM 1 FROM posts p WHERE p.id = p_post_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Post not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT v.vote_type INTO v_previous
+  FROM votes v
+  WHERE v.user_id = p_user_id AND v.post_id = p_post_id;
+
+  IF p_vote_type IS NULL THEN
+    DELETE FROM votes v WHERE v.user_id = p_user_id AND v.post_id = p_post_id;
+  ELSE
+    INSERT INTO votes (user_id, post_id, vote_type)
+    VALUES (p_user_id, p_post_id, p_vote_type)
+    ON CONFLICT (user_id, post_id) DO UPDATE SET vote_type = EXCLUDED.vote_type;
+  END IF;
+
+  -- Undo the previous vote and apply the new one
+  IF v_previous = 'upvote' THEN
+    v_upvote_delta := v_upvote_delta - 1;
+  ELSIF v_previous = 'downvote' THEN
+    v_downvote_delta := v_downvote_delta - 1;
+  END IF;
+
+  IF p_vote_type = 'upvote' THEN
+    v_upvote_delta := v_upvote_delta + 1;
+  ELSIF p_vote_type = 'downvote' THEN
+    v_downvote_delta := v_downvote_delta + 1;
+  END IF;
+
+  RETURN QUERY
+  UPDATE posts p
+  SET upvotes = GREATEST(p.upvotes + v_upvote_delta, 0),
+      downvotes = GREATEST(p.downvotes + v_downvote_delta, 0)
+  WHERE p.id = p_post_id
+  RETURNING v_previous, p_vote_type, p.upvotes, p.downvotes, p.author_id;
+END;
+$$;
+
+COMMENT ON FUNCTION cast_post_vote IS 'Atomically cast, change or retract a vote and update posts.upvotes/downvotes';
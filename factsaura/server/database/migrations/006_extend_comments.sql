@@ -0,0 +1,118 @@
+-- Threaded comments: depth tracking, expert verification, votes, flags and post counters
+
+-- Thread depth (0 = top-level) and expert verification audit fields
+ALTER TABLE comments
+ADD COLUMN IF NOT EXISTS depth INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_parent ON comments(post_id, parent_id);
+
+COMMENT ON COLUMN comments.depth IS 'Nesting level in the thread (0 = top-level comment)';
+COMMENT ON COLUMN comments.verified_by IS 'Expert who verified this comment';
+
+-- Community score votes on comments (one per user per comment)
+CREATE TABLE IF NOT EXISTS comment_votes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  comment_id UUID NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  vote_value SMALLINT NOT NULL CHECK (vote_value IN (-1, 1)),
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, comment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_votes_comment_id ON comment_votes(comment_id);
+
+CREATE TRIGGER update_comment_votes_updated_at
+    BEFORE UPDATE ON comment_votes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Flag reports on comments (one per user per comment)
+CREATE TABLE IF NOT EXISTS comment_flags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  comment_id UUID NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason VARCHAR(30) NOT NULL,
+  details TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, comment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_flags_comment_id ON comment_flags(comment_id);
+
+-- Atomically cast, change or retract (p_value = 0) a comment vote and adjust community_score
+CREATE OR REPLACE FUNCTION cast_comment_vote(
+  p_comment_id UUID,
+  p_user_id UUID,
+  p_value SMALLINT
+)
+RETURNS TABLE (
+  previous_value SMALLINT,
+  current_value SMALLINT,
+  comment_score INTEGER
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_previous SMALLINT := 0;
+BEGIN
+  PERFORM 1 FROM comments c WHERE c.id = p_comment_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT cv.vote_value INTO v_previous
+  FROM comment_votes cv
+  WHERE cv.user_id = p_user_id AND cv.comment_id = p_comment_id;
+  v_previous := COALESCE(v_previous, 0);
+
+  IF p_value = 0 THEN
+    DELETE FROM comment_votes cv WHERE cv.user_id = p_user_id AND cv.comment_id = p_comment_id;
+  ELSE
+    INSERT INTO comment_votes (user_id, comment_id, vote_value)
+    VALUES (p_user_id, p_comment_id, p_value)
+    ON CONFLICT (user_id, comment_id) DO UPDATE SET vote_value = EXCLUDED.vote_value;
+  END IF;
+
+  RETURN QUERY
+  UPDATE comments c
+  SET community_score = c.community_score - v_previous + p_value
+  WHERE c.id = p_comment_id
+  RETURNING v_previous, p_value, c.community_score;
+END;
+$$;
+
+-- Keep posts.comments_count in sync with visible (non-deleted) comments
+CREATE OR REPLACE FUNCTION sync_post_comments_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' AND NOT NEW.is_deleted THEN
+    UPDATE posts SET comments_count = comments_count + 1 WHERE id = NEW.post_id;
+  ELSIF TG_OP = 'UPDATE' AND OLD.is_deleted IS DISTINCT FROM NEW.is_deleted THEN
+    UPDATE posts
+    SET comments_count = GREATEST(comments_count + CASE WHEN NEW.is_deleted THEN -1 ELSE 1 END, 0)
+    WHERE id = NEW.post_id;
+  ELSIF TG_OP = 'DELETE' AND NOT OLD.is_deleted THEN
+    UPDATE posts SET comments_count = GREATEST(comments_count - 1, 0) WHERE id = OLD.post_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER sync_post_comments_count
+    AFTER INSERT OR UPDATE OF is_deleted OR DELETE ON comments
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_post_comments_count();
+
+-- Backfill existing counters
+UPDATE posts p
+SET comments_count = (
+  SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.is_deleted = false
+);
@@ -0,0 +1,110 @@
+-- Full-text search over posts
+-- Weighted tsvector over title, crisis keywords, AI explanation and content
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- Maintained by trigger (array_to_string is not immutable, so a generated column is not allowed)
+CREATE OR REPLACE FUNCTION update_posts_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(array_to_string(NEW.crisis_keywords, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(NEW.analysis_explanation, '')), 'C') ||
+    setweight(to_tsvector('english', COALESCE(NEW.content, '')), 'D');
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_posts_search_vector
+    BEFORE INSERT OR UPDATE OF title, content, analysis_explanation, crisis_keywords ON posts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_posts_search_vector();
+
+-- Backfill existing posts
+UPDATE posts SET search_vector =
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(array_to_string(crisis_keywords, ' '), '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(analysis_explanation, '')), 'C') ||
+  setweight(to_tsvector('english', COALESCE(content, '')), 'D');
+
+CREATE INDEX IF NOT EXISTS idx_posts_search_vector ON posts USING GIN(search_vector);
+
+COMMENT ON COLUMN posts.search_vector IS 'Weighted full-text index: title (A), crisis keywords (B), AI explanation (C), content (D)';
+
+-- Post text is user-submitted; it is HTML-escaped before ts_headline adds the <mark> tags so
+-- the highlights can be rendered as HTML. The parser reads &amp; etc. as entities, not words,
+-- so escaping does not change what matches.
+CREATE OR REPLACE FUNCTION html_escape(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT replace(replace(replace(p_text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;');
+$$;
+
+-- Ranked search with filters and highlighted snippets
+CREATE OR REPLACE FUNCTION search_posts(
+  p_query TEXT,
+  p_urgency_level VARCHAR DEFAULT NULL,
+  p_location VARCHAR DEFAULT NULL,
+  p_is_misinformation BOOLEAN DEFAULT NULL,
+  p_created_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_created_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  post JSONB,
+  rank REAL,
+  title_highlight TEXT,
+  content_snippet TEXT,
+  explanation_snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH search_query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  matches AS (
+    SELECT p.*, ts_rank_cd(p.search_vector, sq.tsq) AS match_rank, sq.tsq
+    FROM posts p, search_query sq
+    WHERE p.is_published = true
+      AND p.search_vector @@ sq.tsq
+      AND (p_urgency_level IS NULL OR p.urgency_level = p_urgency_level)
+      AND (p_location IS NULL OR p.location_relevance = p_location)
+      AND (p_is_misinformation IS NULL OR p.is_misinformation = p_is_misinformation)
+      AND (p_created_from IS NULL OR p.created_at >= p_created_from)
+      AND (p_created_to IS NULL OR p.created_at <= p_created_to)
+  ),
+  ranked AS (
+    SELECT m.*, COUNT(*) OVER () AS match_count
+    FROM matches m
+    ORDER BY m.match_rank DESC, m.created_at DESC, m.id
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT
+    (to_jsonb(r) - 'search_vector' - 'match_rank' - 'tsq' - 'match_count') || jsonb_build_object(
+      'author', (
+        SELECT jsonb_build_object(
+          'id', u.id, 'username', u.username, 'full_name', u.full_name, 'avatar_url', u.avatar_url,
+          'reputation_score', u.reputation_score, 'badges', u.badges,
+          'is_verified', u.is_verified, 'is_expert', u.is_expert
+        )
+        FROM users u WHERE u.id = r.author_id
+      )
+    ),
+    r.match_rank,
+    ts_headline('english', html_escape(r.title), r.tsq, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', html_escape(r.content), r.tsq, 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2'),
+    ts_headline('english', html_escape(COALESCE(r.analysis_explanation, '')), r.tsq, 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10'),
+    r.match_count
+  FROM ranked r
+  ORDER BY r.match_rank DESC, r.created_at DESC, r.id;
+$$;
+
+COMMENT ON FUNCTION html_escape IS 'Escape &, < and > so user text can be wrapped in <mark> highlights and rendered as HTML';
+COMMENT ON FUNCTION search_posts IS 'Relevance-ranked full-text search over published posts with filters and highlighted snippets';
@@ -0,0 +1,23 @@
+-- Asynchronous analysis pipeline state for posts
+-- User submissions are stored immediately as 'pending' and analyzed by the background worker
+
+-- Existing rows were analyzed inline before this migration, so they default to 'completed'
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS analysis_status VARCHAR(20) DEFAULT 'completed'
+  CHECK (analysis_status IN ('pending', 'processing', 'completed', 'failed')),
+ADD COLUMN IF NOT EXISTS analysis_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS analysis_error TEXT,
+ADD COLUMN IF NOT EXISTS analysis_started_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS analysis_completed_at TIMESTAMP WITH TIME ZONE;
+
+-- The worker only ever scans unfinished posts
+CREATE INDEX IF NOT EXISTS idx_posts_analysis_pending
+  ON posts(created_at)
+  WHERE analysis_status IN ('pending', 'processing');
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.analysis_status IS 'AI/mutation analysis state: pending, processing, completed or failed';
+COMMENT ON COLUMN posts.analysis_attempts IS 'Number of times the background worker has started analyzing this post';
+COMMENT ON COLUMN posts.analysis_error IS 'Last analysis error message, if any';
+COMMENT ON COLUMN posts.analysis_started_at IS 'When the current (or last) analysis attempt started';
+COMMENT ON COLUMN posts.analysis_completed_at IS 'When analysis finished successfully';
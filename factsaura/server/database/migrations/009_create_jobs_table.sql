@@ -0,0 +1,113 @@
+-- Persistent background job queue
+-- Jobs survive restarts; workers claim them with SKIP LOCKED so several processes can share the queue
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB DEFAULT '{}'::jsonb,
+
+  -- 0 = critical, 1 = high, 2 = medium, 3 = low; lower runs first
+  priority SMALLINT NOT NULL DEFAULT 2 CHECK (priority BETWEEN 0 AND 3),
+
+  -- Lifecycle: queued -> running -> completed, or back to queued for a retry, or dead
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts > 0),
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Not claimable before this (retry backoff)
+
+  -- Worker lock
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMP WITH TIME ZONE,
+
+  -- Outcome
+  last_error TEXT,
+  result JSONB,
+
+  -- Optional idempotency key: at most one job per key
+  dedupe_key VARCHAR(255) UNIQUE,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Claim order: most urgent first, then oldest due
+CREATE INDEX IF NOT EXISTS idx_jobs_claimable ON jobs(priority, run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_type_status ON jobs(type, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at DESC);
+
+CREATE TRIGGER update_jobs_updated_at
+    BEFORE UPDATE ON jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim the next due job of the given types for a worker.
+-- Running jobs whose lock is older than p_lock_timeout_seconds belonged to a worker that
+-- died; they are claimed again, or moved to 'dead' if they already used all their attempts.
+CREATE OR REPLACE FUNCTION claim_next_job(
+  p_worker_id VARCHAR(100),
+  p_types VARCHAR(50)[],
+  p_lock_timeout_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_stale_before TIMESTAMP WITH TIME ZONE := NOW() - make_interval(secs => p_lock_timeout_seconds);
+BEGIN
+  UPDATE jobs
+  SET status = 'dead',
+      locked_by = NULL,
+      locked_at = NULL,
+      last_error = COALESCE(last_error, 'Worker lock expired on final attempt')
+  WHERE status = 'running'
+    AND locked_at < v_stale_before
+    AND attempts >= max_attempts
+    AND type = ANY(p_types);
+
+  RETURN QUERY
+  UPDATE jobs
+  SET status = 'running',
+      attempts = jobs.attempts + 1,
+      locked_by = p_worker_id,
+      locked_at = NOW()
+  WHERE jobs.id = (
+    SELECT candidate.id
+    FROM jobs candidate
+    WHERE candidate.type = ANY(p_types)
+      AND (
+        (candidate.status = 'queued' AND candidate.run_at <= NOW())
+        OR (candidate.status = 'running' AND candidate.locked_at < v_stale_before)
+      )
+    ORDER BY candidate.priority ASC, candidate.run_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING jobs.*;
+END;
+$$;
+
+-- Job counts per type and status for the inspection API
+CREATE OR REPLACE FUNCTION job_queue_stats()
+RETURNS TABLE (
+  type VARCHAR(50),
+  status VARCHAR(20),
+  job_count BIGINT,
+  oldest_created_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT type, status, COUNT(*), MIN(created_at)
+  FROM jobs
+  GROUP BY type, status
+  ORDER BY type, status;
+$$;
+
+COMMENT ON TABLE jobs IS 'Persistent background job queue (AI analysis, auto-posting)';
+COMMENT ON COLUMN jobs.priority IS '0 = critical, 1 = high, 2 = medium, 3 = low; lower runs first';
+COMMENT ON COLUMN jobs.run_at IS 'Earliest time the job may be claimed (used for retry backoff)';
+COMMENT ON COLUMN jobs.dedupe_key IS 'Optional idempotency key; enqueueing an existing key returns the existing job';
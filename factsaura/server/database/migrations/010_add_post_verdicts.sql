@@ -0,0 +1,87 @@
+-- Post verdict lifecycle
+-- Replaces the is_misinformation / is_verified pair as the source of truth for a post's
+-- fact-check outcome. Every change is recorded in post_verdict_history with who made it and why.
+--
+-- Allowed transitions (enforced by Post.VERDICT_TRANSITIONS and re-checked here):
+--   pending         -> disputed, confirmed_false, confirmed_true
+--   disputed        -> confirmed_false, confirmed_true
+--   confirmed_false -> disputed, outdated
+--   confirmed_true  -> disputed, outdated
+--   outdated        -> pending
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS verdict VARCHAR(20) DEFAULT 'pending'
+  CHECK (verdict IN ('pending', 'disputed', 'confirmed_false', 'confirmed_true', 'outdated')),
+ADD COLUMN IF NOT EXISTS verdict_reason TEXT,
+ADD COLUMN IF NOT EXISTS verdict_changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS verdict_changed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_posts_verdict ON posts(verdict);
+
+CREATE TABLE IF NOT EXISTS post_verdict_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  from_verdict VARCHAR(20) NOT NULL,
+  to_verdict VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system changes
+  actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('community', 'expert', 'moderator', 'system')),
+  reason TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_verdict_history_post ON post_verdict_history(post_id, created_at DESC);
+
+-- Move a post from p_from_verdict to p_to_verdict and record the change.
+-- Returns no rows if the post's verdict is no longer p_from_verdict (someone else changed it first).
+CREATE OR REPLACE FUNCTION transition_post_verdict(
+  p_post_id UUID,
+  p_from_verdict VARCHAR(20),
+  p_to_verdict VARCHAR(20),
+  p_changed_by UUID,
+  p_actor_role VARCHAR(20),
+  p_reason TEXT
+)
+RETURNS SETOF post_verdict_history
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT (
+    (p_from_verdict = 'pending' AND p_to_verdict IN ('disputed', 'confirmed_false', 'confirmed_true')) OR
+    (p_from_verdict = 'disputed' AND p_to_verdict IN ('confirmed_false', 'confirmed_true')) OR
+    (p_from_verdict IN ('confirmed_false', 'confirmed_true') AND p_to_verdict IN ('disputed', 'outdated')) OR
+    (p_from_verdict = 'outdated' AND p_to_verdict = 'pending')
+  ) THEN
+    RAISE EXCEPTION 'Invalid verdict transition % -> %', p_from_verdict, p_to_verdict USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE posts p
+  SET verdict = p_to_verdict,
+      verdict_reason = p_reason,
+      verdict_changed_by = p_changed_by,
+      verdict_changed_at = NOW(),
+      -- Keep the legacy flags in line with confirmed verdicts
+      is_misinformation = CASE p_to_verdict
+        WHEN 'confirmed_false' THEN TRUE
+        WHEN 'confirmed_true' THEN FALSE
+        ELSE p.is_misinformation
+      END,
+      is_verified = p_to_verdict IN ('confirmed_false', 'confirmed_true')
+  WHERE p.id = p_post_id AND p.verdict = p_from_verdict;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO post_verdict_history (post_id, from_verdict, to_verdict, changed_by, actor_role, reason)
+  VALUES (p_post_id, p_from_verdict, p_to_verdict, p_changed_by, p_actor_role, p_reason)
+  RETURNING *;
+END;
+$$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.verdict IS 'Fact-check state: pending, disputed, confirmed_false, confirmed_true or outdated';
+COMMENT ON COLUMN posts.verdict_reason IS 'Reason given for the latest verdict change';
+COMMENT ON COLUMN posts.verdict_changed_by IS 'User who made the latest verdict change (NULL for system changes)';
+COMMENT ON TABLE post_verdict_history IS 'Audit trail of post verdict transitions';
+COMMENT ON FUNCTION transition_post_verdict IS 'Atomically move a post to a new verdict and record who changed it and why';
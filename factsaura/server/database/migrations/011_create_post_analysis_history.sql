@@ -0,0 +1,44 @@
+-- Re-analysis of stored posts
+-- Each re-run archives the analysis it replaces, so switching JAN_AI_MODEL or the analysis
+-- prompt never loses earlier results and flipped AI verdicts can be reported.
+
+CREATE TABLE IF NOT EXISTS reanalysis_batches (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb, -- created_from, created_to, model_version, confidence_min, confidence_max
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  total_posts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS post_analysis_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  batch_id UUID REFERENCES reanalysis_batches(id) ON DELETE SET NULL, -- NULL for single-post re-runs
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- The analysis that was replaced
+  previous_analysis JSONB NOT NULL,
+  previous_model_version VARCHAR(100),
+  previous_confidence_score DECIMAL(4,3),
+  previous_is_misinformation BOOLEAN,
+
+  -- Summary of the analysis that replaced it (the full result lives on the post)
+  new_model_version VARCHAR(100),
+  new_prompt_version VARCHAR(50),
+  new_confidence_score DECIMAL(4,3),
+  new_is_misinformation BOOLEAN,
+
+  verdict_flipped BOOLEAN GENERATED ALWAYS AS (previous_is_misinformation IS DISTINCT FROM new_is_misinformation) STORED,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_analysis_history_post ON post_analysis_history(post_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_post_analysis_history_batch ON post_analysis_history(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Batch filters match on the model recorded in ai_analysis
+CREATE INDEX IF NOT EXISTS idx_posts_model_version ON posts((ai_analysis->>'model_version'));
+
+-- Add comments for documentation
+COMMENT ON TABLE reanalysis_batches IS 'Batch re-analysis requests and the filters used to select posts';
+COMMENT ON TABLE post_analysis_history IS 'Previous AI analyses of a post, archived each time it is re-analyzed';
+COMMENT ON COLUMN post_analysis_history.verdict_flipped IS 'Whether the re-analysis changed the is_misinformation conclusion';
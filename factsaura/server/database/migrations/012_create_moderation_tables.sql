@@ -0,0 +1,35 @@
+-- Moderation queue for flagged posts and comments
+-- Flagged content (is_flagged = TRUE) waits in the queue until a moderator approves or
+-- unpublishes it; escalated items stay in the queue for an expert. Every action is audited.
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20)
+  CHECK (moderation_status IN ('approved', 'unpublished', 'escalated'));
+
+ALTER TABLE comments
+ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20)
+  CHECK (moderation_status IN ('approved', 'unpublished', 'escalated'));
+
+CREATE INDEX IF NOT EXISTS idx_posts_moderation_queue ON posts(created_at) WHERE is_flagged = TRUE;
+CREATE INDEX IF NOT EXISTS idx_comments_moderation_queue ON comments(created_at) WHERE is_flagged = TRUE;
+
+-- Audit log of moderator actions
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  target_type VARCHAR(10) NOT NULL CHECK (target_type IN ('post', 'comment')),
+  target_id UUID NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('approve', 'unpublish', 'escalate')),
+  reason TEXT NOT NULL,
+  moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  previous_state JSONB NOT NULL DEFAULT '{}'::jsonb, -- is_published / is_flagged / moderation_status before the action
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_moderator ON moderation_actions(moderator_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_created_at ON moderation_actions(created_at DESC);
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.moderation_status IS 'Outcome of the last moderator action: approved, unpublished or escalated';
+COMMENT ON COLUMN comments.moderation_status IS 'Outcome of the last moderator action: approved, unpublished or escalated';
+COMMENT ON TABLE moderation_actions IS 'Audit log of moderation queue actions on posts and comments';
@@ -0,0 +1,79 @@
+-- Reader reports on posts
+-- One report per user per post. Each report carries the reporter's trust weight; once the
+-- weight on a post crosses the flag threshold the post is flagged into the moderation queue.
+
+CREATE TABLE IF NOT EXISTS post_reports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason VARCHAR(30) NOT NULL
+    CHECK (reason IN ('false_rescue_number', 'fake_shelter', 'medical_harm', 'spam', 'harassment')),
+  details TEXT,
+  weight DECIMAL(4,2) NOT NULL DEFAULT 0, -- Reporter trust weight at the time of the report
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_reports_post_id ON post_reports(post_id);
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS reports_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS report_weight DECIMAL(6,2) DEFAULT 0;
+
+-- Record a report and update the post counters in one transaction.
+-- The post is flagged when this report takes its weight across p_flag_threshold; crossing
+-- only happens once, so a post a moderator approved is not re-flagged by later reports.
+-- Raises unique_violation (23505) if the user already reported the post.
+CREATE OR REPLACE FUNCTION report_post(
+  p_post_id UUID,
+  p_user_id UUID,
+  p_reason VARCHAR(30),
+  p_details TEXT,
+  p_weight DECIMAL(4,2),
+  p_flag_threshold DECIMAL(6,2)
+)
+RETURNS TABLE (
+  report_id UUID,
+  post_reports_count INTEGER,
+  post_report_weight DECIMAL(6,2),
+  post_is_flagged BOOLEAN,
+  newly_flagged BOOLEAN
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_report_id UUID;
+  v_previous_weight DECIMAL(6,2);
+  v_was_flagged BOOLEAN;
+BEGIN
+  -- Lock the post row so concurrent reports are counted one at a time
+  SELECT COALESCE(p.report_weight, 0), COALESCE(p.is_flagged, FALSE)
+  INTO v_previous_weight, v_was_flagged
+  FROM posts p
+  WHERE p.id = p_post_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Post not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO post_reports (post_id, user_id, reason, details, weight)
+  VALUES (p_post_id, p_user_id, p_reason, p_details, p_weight)
+  RETURNING id INTO v_report_id;
+
+  RETURN QUERY
+  UPDATE posts p
+  SET reports_count = COALESCE(p.reports_count, 0) + 1,
+      report_weight = v_previous_weight + p_weight,
+      is_flagged = v_was_flagged OR (v_previous_weight < p_flag_threshold AND v_previous_weight + p_weight >= p_flag_threshold)
+  WHERE p.id = p_post_id
+  RETURNING v_report_id, p.reports_count, p.report_weight, p.is_flagged, p.is_flagged AND NOT v_was_flagged;
+END;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE post_reports IS 'Reader reports on posts, one per user per post';
+COMMENT ON COLUMN posts.reports_count IS 'Number of reader reports on this post';
+COMMENT ON COLUMN posts.report_weight IS 'Sum of reporter trust weights; crossing the flag threshold flags the post';
+COMMENT ON FUNCTION report_post IS 'Atomically record a report, update post counters and flag the post at the weight threshold';
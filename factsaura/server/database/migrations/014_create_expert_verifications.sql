@@ -0,0 +1,78 @@
+-- Expert verifications of posts
+-- An expert whose expertise_areas cover the post's domain reviews it once, giving a verdict,
+-- the evidence it rests on and notes. The review counts toward posts.expert_verifications and
+-- users.expert_verifications_given, and the share of reviews agreeing with the post's verdict
+-- is kept in posts.expert_agreement for the community trust score.
+
+CREATE TABLE IF NOT EXISTS expert_verifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  expert_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  verdict VARCHAR(20) NOT NULL CHECK (verdict IN ('confirmed_false', 'confirmed_true', 'disputed')),
+  domain VARCHAR(30) NOT NULL CHECK (domain IN ('health', 'safety', 'local_knowledge')),
+  evidence_links TEXT[] NOT NULL DEFAULT '{}',
+  notes TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(post_id, expert_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expert_verifications_post ON expert_verifications(post_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_expert_verifications_expert ON expert_verifications(expert_id, created_at DESC);
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS expert_agreement DECIMAL(4,3); -- NULL until an expert has reviewed the post
+
+-- Record an expert review and bump both counters in one transaction.
+-- Returns the post's review tally so the caller can work out expert agreement.
+-- Raises unique_violation (23505) if the expert already reviewed the post.
+CREATE OR REPLACE FUNCTION record_expert_verification(
+  p_post_id UUID,
+  p_expert_id UUID,
+  p_verdict VARCHAR(20),
+  p_domain VARCHAR(30),
+  p_evidence_links TEXT[],
+  p_notes TEXT
+)
+RETURNS TABLE (
+  verification_id UUID,
+  post_expert_verifications INTEGER,
+  confirmed_false_count INTEGER,
+  confirmed_true_count INTEGER,
+  disputed_count INTEGER
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_verification_id UUID;
+  v_total INTEGER;
+BEGIN
+  INSERT INTO expert_verifications (post_id, expert_id, verdict, domain, evidence_links, notes)
+  VALUES (p_post_id, p_expert_id, p_verdict, p_domain, p_evidence_links, p_notes)
+  RETURNING id INTO v_verification_id;
+
+  UPDATE posts
+  SET expert_verifications = COALESCE(expert_verifications, 0) + 1
+  WHERE id = p_post_id
+  RETURNING expert_verifications INTO v_total;
+
+  UPDATE users
+  SET expert_verifications_given = COALESCE(expert_verifications_given, 0) + 1
+  WHERE id = p_expert_id;
+
+  RETURN QUERY
+  SELECT
+    v_verification_id,
+    v_total,
+    COUNT(*) FILTER (WHERE ev.verdict = 'confirmed_false')::INTEGER,
+    COUNT(*) FILTER (WHERE ev.verdict = 'confirmed_true')::INTEGER,
+    COUNT(*) FILTER (WHERE ev.verdict = 'disputed')::INTEGER
+  FROM expert_verifications ev
+  WHERE ev.post_id = p_post_id;
+END;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE expert_verifications IS 'Expert reviews of posts with verdict, evidence and notes, one per expert per post';
+COMMENT ON COLUMN posts.expert_agreement IS 'Share of expert reviews agreeing with the current verdict (NULL if none)';
+COMMENT ON FUNCTION record_expert_verification IS 'Atomically record an expert review and increment post and expert counters';
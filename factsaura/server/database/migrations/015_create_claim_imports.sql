@@ -0,0 +1,28 @@
+-- Bulk claim imports
+-- Batches of forwarded claims collected by field volunteers, imported from CSV or JSONL.
+-- Each imported post points back to its import and keeps the time the claim was first seen.
+
+CREATE TABLE IF NOT EXISTS claim_imports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'jsonl')),
+  source_name VARCHAR(255), -- Original file name or volunteer group
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  imported_rows INTEGER NOT NULL DEFAULT 0,
+  failed_rows INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_imports_created_at ON claim_imports(created_at DESC);
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES claim_imports(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS claim_seen_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_posts_import_id ON posts(import_id) WHERE import_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE claim_imports IS 'Bulk imports of forwarded claims from CSV or JSONL files';
+COMMENT ON COLUMN posts.import_id IS 'Claim import the post came from (NULL for posts submitted directly)';
+COMMENT ON COLUMN posts.claim_seen_at IS 'When the claim was first seen in circulation, as reported by the importer';
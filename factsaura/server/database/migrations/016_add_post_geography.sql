@@ -0,0 +1,67 @@
+-- Post geography
+-- Posts carry a point and/or a named area (a locality or ward such as Andheri or Velachery,
+-- with the city it belongs to). It comes from the submitter or is derived from the content.
+-- location_relevance stays the display name and is set to the area or city when known.
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS location_lat DOUBLE PRECISION CHECK (location_lat BETWEEN -90 AND 90),
+ADD COLUMN IF NOT EXISTS location_lng DOUBLE PRECISION CHECK (location_lng BETWEEN -180 AND 180),
+ADD COLUMN IF NOT EXISTS location_area VARCHAR(100),
+ADD COLUMN IF NOT EXISTS location_city VARCHAR(100),
+ADD COLUMN IF NOT EXISTS location_precision VARCHAR(10)
+  CHECK (location_precision IN ('exact', 'locality', 'city')),
+ADD COLUMN IF NOT EXISTS location_source VARCHAR(10)
+  CHECK (location_source IN ('submitter', 'content'));
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_location_point_check;
+ALTER TABLE posts ADD CONSTRAINT posts_location_point_check
+  CHECK ((location_lat IS NULL) = (location_lng IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_posts_location_point ON posts(location_lat, location_lng)
+  WHERE location_lat IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_posts_location_area ON posts(location_area) WHERE location_area IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_posts_location_city ON posts(location_city) WHERE location_city IS NOT NULL;
+
+-- Great-circle distance in kilometres (haversine, mean Earth radius)
+CREATE OR REPLACE FUNCTION distance_km(
+  p_lat1 DOUBLE PRECISION,
+  p_lng1 DOUBLE PRECISION,
+  p_lat2 DOUBLE PRECISION,
+  p_lng2 DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 2 * 6371.0088 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(p_lat2 - p_lat1) / 2), 2) +
+    COS(RADIANS(p_lat1)) * COS(RADIANS(p_lat2)) * POWER(SIN(RADIANS(p_lng2 - p_lng1) / 2), 2)
+  )));
+$$;
+
+-- Posts with a point within p_radius_km of (p_lat, p_lng).
+-- Returns posts rows, so the feed applies its usual filters, ordering and paging on top.
+-- The latitude band uses the point index; the exact distance check handles the rest.
+CREATE OR REPLACE FUNCTION posts_within_radius(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_km DOUBLE PRECISION
+)
+RETURNS SETOF posts
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p.*
+  FROM posts p
+  WHERE p.location_lat BETWEEN p_lat - p_radius_km / 111.2 AND p_lat + p_radius_km / 111.2
+    AND distance_km(p_lat, p_lng, p.location_lat, p.location_lng) <= p_radius_km;
+$$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.location_lat IS 'Latitude of the place the post is about (NULL when only an area is known)';
+COMMENT ON COLUMN posts.location_lng IS 'Longitude of the place the post is about';
+COMMENT ON COLUMN posts.location_area IS 'Named locality or ward, e.g. Andheri or Velachery';
+COMMENT ON COLUMN posts.location_city IS 'City the point or area belongs to';
+COMMENT ON COLUMN posts.location_precision IS 'exact (submitted coordinates), locality or city (centre of a known place)';
+COMMENT ON COLUMN posts.location_source IS 'submitter (given with the post) or content (derived from the text)';
+COMMENT ON FUNCTION posts_within_radius IS 'Posts located within a radius in kilometres of a point';
@@ -0,0 +1,60 @@
+-- Crisis-priority feed ranking (GET /api/posts?sort_by=priority)
+-- A post's priority combines urgency severity, AI confidence, net votes and expert
+-- verifications, halving every half_life_hours as the post ages. Admins tune the weights.
+--
+-- priority_score is the log2 of that decayed priority, shifted by a constant for the current
+-- time: log2(base) + hours_since_epoch(created_at) / half_life_hours. It orders posts exactly
+-- like the decayed priority, but a post's score does not change as time passes, so keyset
+-- cursors over it stay valid between requests.
+
+CREATE TABLE IF NOT EXISTS feed_ranking_weights (
+  id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1), -- Single row
+  urgency_weight DOUBLE PRECISION NOT NULL DEFAULT 3 CHECK (urgency_weight >= 0),
+  confidence_weight DOUBLE PRECISION NOT NULL DEFAULT 1 CHECK (confidence_weight >= 0),
+  votes_weight DOUBLE PRECISION NOT NULL DEFAULT 1 CHECK (votes_weight >= 0),
+  expert_weight DOUBLE PRECISION NOT NULL DEFAULT 2 CHECK (expert_weight >= 0),
+  half_life_hours DOUBLE PRECISION NOT NULL DEFAULT 12 CHECK (half_life_hours > 0),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO feed_ranking_weights (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- Severity of an urgency level on a 0..1 scale (the column itself sorts alphabetically)
+CREATE OR REPLACE FUNCTION urgency_severity(p_urgency_level VARCHAR)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_urgency_level
+    WHEN 'critical' THEN 1.0
+    WHEN 'high' THEN 0.75
+    WHEN 'medium' THEN 0.5
+    WHEN 'low' THEN 0.25
+    ELSE 0.5
+  END;
+$$;
+
+-- Computed column: select and order by it as posts.priority_score
+CREATE OR REPLACE FUNCTION priority_score(p posts)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT LN(
+      w.urgency_weight * urgency_severity(p.urgency_level) +
+      w.confidence_weight * COALESCE(p.confidence_score, 0) +
+      w.votes_weight * LN(1 + GREATEST(COALESCE(p.upvotes, 0) - COALESCE(p.downvotes, 0), 0)) +
+      w.expert_weight * LN(1 + COALESCE(p.expert_verifications, 0)) +
+      0.01 -- Keeps the log finite when every weight is 0
+    ) / LN(2)
+    + EXTRACT(EPOCH FROM p.created_at) / 3600.0 / w.half_life_hours
+  FROM feed_ranking_weights w
+  WHERE w.id = 1;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE feed_ranking_weights IS 'Admin-tuned weights of the crisis-priority feed ranking (single row)';
+COMMENT ON COLUMN feed_ranking_weights.half_life_hours IS 'Hours for a post''s priority to halve with age';
+COMMENT ON FUNCTION urgency_severity IS 'Urgency level as a 0..1 severity';
+COMMENT ON FUNCTION priority_score IS 'Time-invariant crisis-priority rank of a post (higher ranks first)';
@@ -0,0 +1,13 @@
+-- Personalized feed (GET /api/posts/feed/me)
+-- What a user follows and mutes. Together with their location and expertise areas these
+-- filter and re-rank the crisis-priority feed for them.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS followed_harm_categories TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS followed_locations TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS muted_topics TEXT[] DEFAULT '{}';
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.followed_harm_categories IS 'Harm categories boosted in the personalized feed, e.g. health';
+COMMENT ON COLUMN users.followed_locations IS 'Areas or cities boosted in the personalized feed, e.g. Velachery';
+COMMENT ON COLUMN users.muted_topics IS 'Harm categories or crisis keywords hidden from the personalized feed';
@@ -0,0 +1,27 @@
+-- Post retractions
+-- A wrong post (typically an auto-generated alert) is retracted instead of deleted: it stays
+-- visible with a correction notice - the reason, when it was retracted and the post that
+-- corrects it - so people who already saw it learn it was wrong.
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS retracted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS retraction_reason TEXT,
+ADD COLUMN IF NOT EXISTS retracted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS corrected_post_id UUID REFERENCES posts(id) ON DELETE SET NULL;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_retraction_check;
+ALTER TABLE posts ADD CONSTRAINT posts_retraction_check
+  CHECK (retracted_at IS NULL OR retraction_reason IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_posts_retracted_at ON posts(retracted_at DESC) WHERE retracted_at IS NOT NULL;
+
+-- Retractions are audited with the other moderator actions
+ALTER TABLE moderation_actions DROP CONSTRAINT IF EXISTS moderation_actions_action_check;
+ALTER TABLE moderation_actions ADD CONSTRAINT moderation_actions_action_check
+  CHECK (action IN ('approve', 'unpublish', 'escalate', 'retract'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.retracted_at IS 'When the post was retracted (NULL if it stands)';
+COMMENT ON COLUMN posts.retraction_reason IS 'Correction notice shown with a retracted post';
+COMMENT ON COLUMN posts.retracted_by IS 'Moderator who retracted the post';
+COMMENT ON COLUMN posts.corrected_post_id IS 'Post carrying the corrected information, if any';
@@ -0,0 +1,53 @@
+-- Duplicate claims
+-- A submission that repeats an already-checked claim is either linked to the earlier post
+-- (a new post that shares its analysis instead of re-running it) or merged into it
+-- (no new post; the earlier post counts one more submission).
+
+ALTER TABLE posts
+ADD COLUMN IF NOT EXISTS duplicate_of_post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS duplicate_submissions INTEGER NOT NULL DEFAULT 0 CHECK (duplicate_submissions >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_posts_duplicate_of ON posts(duplicate_of_post_id) WHERE duplicate_of_post_id IS NOT NULL;
+
+-- Already-checked posts sharing any search term with p_text, best full-text match first.
+-- search_posts (migration 007) needs every term to match; a resubmitted rumor is usually
+-- reworded, so this ORs the terms and leaves the real comparison to semantic similarity.
+-- Linked duplicates and retracted posts are left out so only the original is offered.
+CREATE OR REPLACE FUNCTION find_duplicate_candidates(
+  p_text TEXT,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS SETOF posts
+LANGUAGE sql
+STABLE
+AS $$
+  WITH candidate_query AS (
+    SELECT replace(plainto_tsquery('english', p_text)::text, ' & ', ' | ')::tsquery AS tsq
+  )
+  SELECT p.*
+  FROM posts p, candidate_query cq
+  WHERE numnode(cq.tsq) > 0
+    AND p.search_vector @@ cq.tsq
+    AND p.is_published = true
+    AND p.retracted_at IS NULL
+    AND p.duplicate_of_post_id IS NULL
+    AND (p.analysis_status = 'completed' OR p.verdict <> 'pending')
+  ORDER BY ts_rank_cd(p.search_vector, cq.tsq) DESC, p.created_at DESC
+  LIMIT p_limit;
+$$;
+
+-- Count a submission merged into an existing post
+CREATE OR REPLACE FUNCTION record_duplicate_submission(p_post_id UUID)
+RETURNS SETOF posts
+LANGUAGE sql
+AS $$
+  UPDATE posts
+  SET duplicate_submissions = duplicate_submissions + 1
+  WHERE id = p_post_id
+  RETURNING *;
+$$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN posts.duplicate_of_post_id IS 'Already-checked post this submission was linked to; its analysis was copied from there';
+COMMENT ON COLUMN posts.duplicate_submissions IS 'Submissions of the same claim merged into this post';
+COMMENT ON FUNCTION find_duplicate_candidates IS 'Already-checked posts sharing any search term with a submission';
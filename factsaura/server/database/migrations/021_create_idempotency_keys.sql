@@ -0,0 +1,27 @@
+-- Idempotency keys
+-- Clients send an Idempotency-Key header with mutating requests. The first successful
+-- response under a key is stored and replayed to retries until the key expires, so a
+-- double-tapped submit or a replayed offline request does not act twice.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  scope VARCHAR(64) NOT NULL, -- User ID, or 'anonymous' for unauthenticated requests
+  key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  request_fingerprint CHAR(64) NOT NULL, -- SHA-256 of method, path and body
+  status VARCHAR(12) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE idempotency_keys IS 'Responses stored under client Idempotency-Key headers and replayed to retries';
+COMMENT ON COLUMN idempotency_keys.status IS 'processing while the first request runs, completed once its response is stored';
+COMMENT ON COLUMN idempotency_keys.expires_at IS 'After this the key may be reused for a new request';
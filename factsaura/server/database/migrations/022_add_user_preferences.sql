@@ -0,0 +1,18 @@
+-- User preferences (PUT /api/users/me/preferences)
+-- Where a user wants critical alerts pinned for, which languages they read and how they
+-- want to be notified. Topics they never want to see are users.muted_topics (migration 018),
+-- set through PUT /api/posts/feed/me/follows.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS alert_locations TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS languages TEXT[] DEFAULT '{en}',
+ADD COLUMN IF NOT EXISTS notification_channels TEXT[] DEFAULT '{in_app}';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_notification_channels_check;
+ALTER TABLE users ADD CONSTRAINT users_notification_channels_check
+  CHECK (notification_channels <@ ARRAY['in_app', 'email', 'push', 'sms']::TEXT[]);
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.alert_locations IS 'Areas or cities whose critical alerts are pinned in the user''s feed, besides their own location';
+COMMENT ON COLUMN users.languages IS 'ISO 639-1 codes of the languages the user reads, most preferred first';
+COMMENT ON COLUMN users.notification_channels IS 'How the user wants to be alerted: in_app, email, push and/or sms';
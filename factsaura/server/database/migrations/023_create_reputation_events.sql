@@ -0,0 +1,174 @@
+-- Reputation ledger
+-- Every change to users.reputation_score is recorded here with the rule that caused it
+-- (see REPUTATION_RULES in services/reputationService.js), so a user's score is always the
+-- sum of their ledger and can be rebuilt from votes, verdicts and reports at any time.
+
+CREATE TABLE IF NOT EXISTS reputation_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rule VARCHAR(40) NOT NULL,
+  points INTEGER NOT NULL CHECK (points <> 0),
+  post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Voter, or who changed the verdict
+  reason TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reputation_events_user ON reputation_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reputation_events_post ON reputation_events(post_id, rule);
+
+-- Append ledger entries and move each user's score by the points they were given, in one
+-- transaction. p_events is a JSON array of { user_id, rule, points, post_id, actor_id, reason }.
+CREATE OR REPLACE FUNCTION record_reputation_events(p_events JSONB)
+RETURNS TABLE (
+  ledger_user_id UUID,
+  user_reputation_score INTEGER
+)
+LANGUAGE sql
+AS $$
+  WITH inserted AS (
+    INSERT INTO reputation_events (user_id, rule, points, post_id, actor_id, reason, created_at)
+    SELECT e.user_id, e.rule, e.points, e.post_id, e.actor_id, e.reason, COALESCE(e.created_at, NOW())
+    FROM jsonb_to_recordset(p_events) AS e(
+      user_id UUID, rule VARCHAR(40), points INTEGER, post_id UUID, actor_id UUID, reason TEXT, created_at TIMESTAMPTZ
+    )
+    RETURNING user_id, points
+  )
+  UPDATE users u
+  SET reputation_score = COALESCE(u.reputation_score, 0) + totals.points
+  FROM (
+    SELECT i.user_id, SUM(i.points)::INTEGER AS points
+    FROM inserted i
+    GROUP BY i.user_id
+  ) totals
+  WHERE u.id = totals.user_id
+  RETURNING u.id, u.reputation_score;
+$$;
+
+-- Bring what one voter's vote has given a post's author up to p_targets (the points the
+-- author should now hold under each vote rule, see getVoteTargets in reputationService.js)
+-- and record only the difference. The (post, voter) pair is locked until the transaction
+-- ends, so two changes of the same vote (e.g. a double tap) cannot both diff against the
+-- same holdings and credit the author twice. Returns the net points recorded.
+CREATE OR REPLACE FUNCTION record_vote_reputation(p_post_id UUID, p_actor_id UUID, p_targets JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_events JSONB;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('reputation_vote:' || p_post_id || ':' || p_actor_id));
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'user_id', t.user_id,
+    'rule', t.rule,
+    'points', t.points - COALESCE(h.points, 0),
+    'post_id', p_post_id,
+    'actor_id', p_actor_id,
+    -- Moving away from what the rule awards reads as a reversal
+    'reason', CASE
+      WHEN t.points = 0 OR SIGN(t.points - COALESCE(h.points, 0)) <> SIGN(t.points) THEN t.reversal_reason
+      ELSE t.reason
+    END
+  )), '[]'::jsonb)
+  INTO v_events
+  FROM jsonb_to_recordset(p_targets) AS t(user_id UUID, rule VARCHAR(40), points INTEGER, reason TEXT, reversal_reason TEXT)
+  LEFT JOIN (
+    SELECT e.user_id, e.rule, SUM(e.points)::INTEGER AS points
+    FROM reputation_events e
+    WHERE e.post_id = p_post_id AND e.actor_id = p_actor_id
+    GROUP BY e.user_id, e.rule
+  ) h ON h.user_id = t.user_id AND h.rule = t.rule
+  WHERE t.points - COALESCE(h.points, 0) <> 0;
+
+  IF jsonb_array_length(v_events) = 0 THEN
+    RETURN 0;
+  END IF;
+
+  PERFORM record_reputation_events(v_events);
+
+  RETURN (SELECT SUM((e->>'points')::INTEGER)::INTEGER FROM jsonb_array_elements(v_events) e);
+END;
+$$;
+
+-- Replace the whole ledger and set every user's score to the sum of their new entries.
+-- Users with no entries drop to 0.
+CREATE OR REPLACE FUNCTION rebuild_reputation_ledger(p_events JSONB)
+RETURNS TABLE (
+  events_recorded INTEGER,
+  users_updated INTEGER
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_events INTEGER;
+  v_users INTEGER;
+BEGIN
+  -- Hold off record_reputation_events until the new ledger is in place
+  LOCK TABLE reputation_events IN EXCLUSIVE MODE;
+
+  DELETE FROM reputation_events WHERE TRUE;
+
+  INSERT INTO reputation_events (user_id, rule, points, post_id, actor_id, reason, created_at)
+  SELECT e.user_id, e.rule, e.points, e.post_id, e.actor_id, e.reason, COALESCE(e.created_at, NOW())
+  FROM jsonb_to_recordset(p_events) AS e(
+    user_id UUID, rule VARCHAR(40), points INTEGER, post_id UUID, actor_id UUID, reason TEXT, created_at TIMESTAMPTZ
+  );
+  GET DIAGNOSTICS v_events = ROW_COUNT;
+
+  UPDATE users u
+  SET reputation_score = COALESCE(totals.points, 0)
+  FROM users target
+  LEFT JOIN (
+    SELECT e.user_id, SUM(e.points)::INTEGER AS points
+    FROM reputation_events e
+    GROUP BY e.user_id
+  ) totals ON totals.user_id = target.id
+  WHERE u.id = target.id
+    AND u.reputation_score IS DISTINCT FROM COALESCE(totals.points, 0);
+  GET DIAGNOSTICS v_users = ROW_COUNT;
+
+  RETURN QUERY SELECT v_events, v_users;
+END;
+$$;
+
+-- Community trust rating: how often a user's settled posts were confirmed true, smoothed so
+-- one verdict does not swing it to 0 or 1. Users without a settled post stay at 0.
+-- p_user_ids limits the refresh to those users; NULL refreshes everyone.
+CREATE OR REPLACE FUNCTION refresh_community_trust_ratings(p_user_ids UUID[] DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  UPDATE users u
+  SET community_trust_rating = CASE
+    WHEN COALESCE(stats.settled, 0) = 0 THEN 0
+    ELSE ROUND((stats.accurate + 1)::NUMERIC / (stats.settled + 2), 2)
+  END
+  FROM users target
+  LEFT JOIN (
+    SELECT p.author_id,
+      COUNT(*) AS settled,
+      COUNT(*) FILTER (WHERE p.verdict = 'confirmed_true') AS accurate
+    FROM posts p
+    WHERE p.is_published = TRUE AND p.verdict IN ('confirmed_true', 'confirmed_false')
+    GROUP BY p.author_id
+  ) stats ON stats.author_id = target.id
+  WHERE u.id = target.id
+    AND (p_user_ids IS NULL OR u.id = ANY(p_user_ids));
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  RETURN v_updated;
+END;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE reputation_events IS 'Ledger of reputation changes; users.reputation_score is the sum of a user''s entries';
+COMMENT ON COLUMN reputation_events.rule IS 'Rule that awarded the points, e.g. upvote_received or accurate_submission';
+COMMENT ON COLUMN reputation_events.reason IS 'Why the score changed, as shown to the user';
+COMMENT ON FUNCTION record_reputation_events IS 'Atomically append ledger entries and apply their points to users.reputation_score';
+COMMENT ON FUNCTION record_vote_reputation IS 'Record the change one voter''s vote makes to a post author''s score, locked per post and voter';
+COMMENT ON FUNCTION rebuild_reputation_ledger IS 'Replace the reputation ledger and reset every score to the sum of its entries';
+COMMENT ON FUNCTION refresh_community_trust_ratings IS 'Recompute users.community_trust_rating from settled post verdicts';
@@ -0,0 +1,84 @@
+-- Badge awards
+-- Badges are kept in users.badges as { type, name, earned_date } objects (see BADGE_DEFINITIONS
+-- in services/badgeService.js). The metrics badges are judged on are computed here from the
+-- activity tables, and a badge is appended at most once per user.
+
+-- Progress toward every badge for one user.
+--   p_falsity_reasons - report reasons that claim a post is false
+--   p_active_hours    - how long a critical alert counts as an active crisis after it is posted
+CREATE OR REPLACE FUNCTION get_badge_metrics(
+  p_user_id UUID,
+  p_falsity_reasons TEXT[],
+  p_active_hours INTEGER
+)
+RETURNS TABLE (
+  confirmed_catches INTEGER,
+  accurate_submissions INTEGER,
+  expert_reviews INTEGER,
+  crisis_responses INTEGER,
+  longest_streak_days INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH activity AS (
+    -- Every contribution with the post it was made on
+    SELECT p.id AS post_id, p.created_at AS posted_at, p.created_at AS acted_at
+    FROM posts p WHERE p.author_id = p_user_id
+    UNION ALL
+    SELECT v.post_id, NULL, v.created_at FROM votes v WHERE v.user_id = p_user_id
+    UNION ALL
+    SELECT r.post_id, NULL, r.created_at FROM post_reports r WHERE r.user_id = p_user_id
+    UNION ALL
+    SELECT c.post_id, NULL, c.created_at FROM comments c WHERE c.author_id = p_user_id AND c.is_deleted = FALSE
+    UNION ALL
+    SELECT e.post_id, NULL, e.created_at FROM expert_verifications e WHERE e.expert_id = p_user_id
+  ),
+  active_days AS (
+    SELECT DISTINCT (a.acted_at AT TIME ZONE 'UTC')::DATE AS day FROM activity a
+  ),
+  streaks AS (
+    -- Consecutive days share the same day minus row number
+    SELECT COUNT(*)::INTEGER AS days
+    FROM (
+      SELECT d.day, d.day - (ROW_NUMBER() OVER (ORDER BY d.day))::INTEGER AS island
+      FROM active_days d
+    ) numbered
+    GROUP BY numbered.island
+  )
+  SELECT
+    (SELECT COUNT(*)::INTEGER
+      FROM post_reports r JOIN posts p ON p.id = r.post_id
+      WHERE r.user_id = p_user_id AND r.reason = ANY(p_falsity_reasons)
+        AND p.is_published = TRUE AND p.verdict = 'confirmed_false'),
+    (SELECT COUNT(*)::INTEGER
+      FROM posts p
+      WHERE p.author_id = p_user_id AND p.is_published = TRUE AND p.verdict = 'confirmed_true'),
+    (SELECT COUNT(*)::INTEGER FROM expert_verifications e WHERE e.expert_id = p_user_id),
+    (SELECT COUNT(DISTINCT a.post_id)::INTEGER
+      FROM activity a JOIN posts p ON p.id = a.post_id
+      WHERE a.posted_at IS NULL -- responding to someone else's alert
+        AND p.urgency_level = 'critical'
+        AND a.acted_at <= p.created_at + make_interval(hours => p_active_hours)),
+    (SELECT COALESCE(MAX(s.days), 0) FROM streaks s);
+$$;
+
+-- Append a badge unless the user already holds one of the same type.
+-- Returns the user's badges if it was awarded, no rows if they already had it.
+CREATE OR REPLACE FUNCTION award_badge(p_user_id UUID, p_badge JSONB)
+RETURNS TABLE (badges JSONB)
+LANGUAGE sql
+AS $$
+  UPDATE users u
+  SET badges = COALESCE(u.badges, '[]'::jsonb) || jsonb_build_array(p_badge)
+  WHERE u.id = p_user_id
+    AND NOT COALESCE(u.badges, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('type', p_badge->>'type'))
+  RETURNING u.badges;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_users_badges ON users USING GIN (badges);
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.badges IS 'Roles and earned badges, each { type, name, earned_date }';
+COMMENT ON FUNCTION get_badge_metrics IS 'Counts a user''s catches, confirmed posts, expert reviews, crisis responses and longest daily streak';
+COMMENT ON FUNCTION award_badge IS 'Idempotently append a badge to users.badges (one per badge type)';
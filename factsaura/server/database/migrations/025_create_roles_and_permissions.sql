@@ -0,0 +1,149 @@
+-- Roles and permissions
+-- Users hold roles (admin, moderator, expert, member, system) and each role grants named
+-- permissions; routes are guarded by a permission (see requirePermission in
+-- middleware/auth.js). Every user is implicitly a member. Roles were previously inferred
+-- from users.badges and users.is_expert; those are backfilled here, and users.is_expert is
+-- kept in step with the expert role for the profile and feed code that reads it.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(20) PRIMARY KEY,
+  description TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(20) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+  permission VARCHAR(50) NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for the backfill
+  granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+INSERT INTO roles (name, description) VALUES
+  ('admin', 'Runs the platform: every permission, including granting roles'),
+  ('moderator', 'Works the moderation queue, retracts posts and imports claims'),
+  ('expert', 'Reviews posts and comments in their field'),
+  ('member', 'Any signed-in user'),
+  ('system', 'Service account used by the scraper and background jobs')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', 'roles:manage'),
+  ('admin', 'scraping:manage'),
+  ('admin', 'keywords:manage'),
+  ('admin', 'rate_limits:manage'),
+  ('admin', 'caches:manage'),
+  ('admin', 'demo:run'),
+  ('admin', 'jobs:manage'),
+  ('admin', 'posts:reanalyze'),
+  ('admin', 'posts:import'),
+  ('admin', 'feed:tune'),
+  ('admin', 'reputation:recompute'),
+  ('admin', 'moderation:act'),
+  ('admin', 'content:verify'),
+  ('moderator', 'moderation:act'),
+  ('moderator', 'posts:import'),
+  ('expert', 'content:verify'),
+  ('system', 'scraping:manage'),
+  ('system', 'keywords:manage'),
+  ('system', 'caches:manage'),
+  ('system', 'jobs:manage'),
+  ('system', 'posts:reanalyze')
+ON CONFLICT (role, permission) DO NOTHING;
+
+-- Backfill roles that used to be inferred from badges and profile flags
+INSERT INTO user_roles (user_id, role)
+SELECT u.id, badge->>'type'
+FROM users u, jsonb_array_elements(COALESCE(u.badges, '[]'::jsonb)) badge
+WHERE badge->>'type' IN ('admin', 'moderator')
+ON CONFLICT (user_id, role) DO NOTHING;
+
+INSERT INTO user_roles (user_id, role)
+SELECT u.id, 'expert' FROM users u WHERE u.is_expert = TRUE
+ON CONFLICT (user_id, role) DO NOTHING;
+
+INSERT INTO user_roles (user_id, role)
+SELECT u.id, 'system' FROM users u WHERE u.username = 'system'
+ON CONFLICT (user_id, role) DO NOTHING;
+
+-- A user's roles (always including member) with the permissions each grants.
+-- Roles that grant no permissions come back once with a NULL permission.
+CREATE OR REPLACE FUNCTION get_user_access(p_user_id UUID)
+RETURNS TABLE (role VARCHAR(20), permission VARCHAR(50))
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT held.role, rp.permission
+  FROM (
+    SELECT ur.role FROM user_roles ur WHERE ur.user_id = p_user_id
+    UNION
+    SELECT 'member'::VARCHAR(20)
+  ) held
+  LEFT JOIN role_permissions rp ON rp.role = held.role;
+$$;
+
+-- Grant a role. Returns the new user_roles row, or no rows if the user already held it.
+CREATE OR REPLACE FUNCTION grant_user_role(p_user_id UUID, p_role VARCHAR(20), p_granted_by UUID)
+RETURNS SETOF user_roles
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+    INSERT INTO user_roles (user_id, role, granted_by)
+    VALUES (p_user_id, p_role, p_granted_by)
+    ON CONFLICT (user_id, role) DO NOTHING
+    RETURNING *;
+
+  IF p_role = 'expert' THEN
+    UPDATE users SET is_expert = TRUE, updated_at = NOW() WHERE id = p_user_id;
+  END IF;
+END;
+$$;
+
+-- Revoke a role. Returns 'revoked', 'not_held', or 'last_admin' when it would leave the
+-- platform without an admin (admin rows are locked so two revokes cannot race past this).
+CREATE OR REPLACE FUNCTION revoke_user_role(p_user_id UUID, p_role VARCHAR(20))
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_admins INTEGER;
+BEGIN
+  IF p_role = 'admin' THEN
+    PERFORM 1 FROM user_roles WHERE role = 'admin' FOR UPDATE;
+    SELECT COUNT(*) INTO v_admins FROM user_roles WHERE role = 'admin';
+
+    IF v_admins <= 1 AND EXISTS (SELECT 1 FROM user_roles WHERE user_id = p_user_id AND role = 'admin') THEN
+      RETURN 'last_admin';
+    END IF;
+  END IF;
+
+  DELETE FROM user_roles WHERE user_id = p_user_id AND role = p_role;
+  IF NOT FOUND THEN
+    RETURN 'not_held';
+  END IF;
+
+  IF p_role = 'expert' THEN
+    UPDATE users SET is_expert = FALSE, updated_at = NOW() WHERE id = p_user_id;
+  END IF;
+
+  RETURN 'revoked';
+END;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE roles IS 'Roles a user can hold; member is implied for every user';
+COMMENT ON TABLE role_permissions IS 'Named permissions each role grants (routes are guarded by permission)';
+COMMENT ON TABLE user_roles IS 'Roles granted to users, with who granted them';
+COMMENT ON FUNCTION get_user_access IS 'A user''s roles (including member) and the permissions they grant';
+COMMENT ON FUNCTION grant_user_role IS 'Grant a role once per user, keeping users.is_expert in step with the expert role';
+COMMENT ON FUNCTION revoke_user_role IS 'Revoke a role unless it would remove the last admin';
@@ -68,7 +68,7 @@ async function runMigrations() {
 async function verifySchema() {
   console.log('🔍 Verifying database schema...\n');
   
-  const tables = ['users', 'posts', 'votes', 'comments'];
+  const tables = ['users', 'posts', 'votes', 'comments', 'comment_votes', 'comment_flags', 'jobs', 'post_verdict_history', 'reanalysis_batches', 'post_analysis_history', 'moderation_actions', 'post_reports', 'expert_verifications', 'claim_imports', 'feed_ranking_weights', 'idempotency_keys', 'reputation_events', 'roles', 'role_permissions', 'user_roles'];
   
   for (const table of tables) {
     try {
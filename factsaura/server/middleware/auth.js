@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const User = require('../models/User');
+const roleService = require('../services/roleService');
 
 // Middleware to verify JWT token
 async function authenticateToken(req, res, next) {
@@ -40,7 +41,8 @@ async function authenticateToken(req, res, next) {
       });
     }
 
-    // Attach user to request
+    // Attach user, with their roles and permissions, to request
+    await userProfile.loadAccess();
     req.user = userProfile;
     req.authUser = user; // Supabase auth user
     
@@ -68,6 +70,7 @@ async function optionalAuth(req, res, next) {
       if (!error && user) {
         const userProfile = await User.findById(user.id);
         if (userProfile) {
+          await userProfile.loadAccess();
           req.user = userProfile;
           req.authUser = user;
         }
@@ -81,27 +84,47 @@ async function optionalAuth(req, res, next) {
   }
 }
 
-// Check if user has specific role/permission
+function sendUnauthorized(res) {
+  return res.status(401).json({
+    error: {
+      code: 'UNAUTHORIZED',
+      message: 'Authentication required'
+    }
+  });
+}
+
+// Check if user holds a role (from user_roles, loaded by authenticateToken)
 function requireRole(role) {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
+      return sendUnauthorized(res);
+    }
+
+    if (!roleService.hasRole(req.user, role)) {
+      return res.status(403).json({
         error: {
-          code: 'UNAUTHORIZED',
-          message: 'Authentication required'
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: `${role} role required`
         }
       });
     }
 
-    const hasRole = req.user.badges.some(badge => badge.type === role) || 
-                   (role === 'expert' && req.user.is_expert) ||
-                   (role === 'verified' && req.user.is_verified);
+    next();
+  };
+}
+
+// Check if one of the user's roles grants a permission (see roleService.PERMISSIONS)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendUnauthorized(res);
+    }
 
-    if (!hasRole) {
+    if (!roleService.hasPermission(req.user, permission)) {
       return res.status(403).json({
         error: {
           code: 'INSUFFICIENT_PERMISSIONS',
-          message: `${role} role required`
+          message: `${permission} permission required`
         }
       });
     }
@@ -113,5 +136,6 @@ function requireRole(role) {
 module.exports = {
   authenticateToken,
   optionalAuth,
-  requireRole
+  requireRole,
+  requirePermission
 };
\ No newline at end of file
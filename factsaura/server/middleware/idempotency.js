@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a stored response is replayed to retries under the same key
+const KEY_TTL_MS = (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Printable ASCII without spaces, e.g. a UUID the client generated when the user pressed submit
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Suggested wait before retrying while the first request under a key is still running
+const IN_PROGRESS_RETRY_AFTER_SECONDS = 2;
+
+/**
+ * JSON with object keys sorted, so the same payload always hashes the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestFingerprint(req, path) {
+  const body = typeof req.body === 'string' ? req.body : canonicalJson(req.body || {});
+  return crypto.createHash('sha256').update(`${req.method}\n${path}\n${body}`).digest('hex');
+}
+
+// Middleware for mutating routes: honour an Idempotency-Key header. The first successful
+// (2xx) response under a key is stored and replayed to retries until the key expires; a
+// retry with a different payload is rejected. Error responses are not stored, so a retry
+// after a failure runs the request again. Keys are scoped to the signed-in user, so place
+// it after authenticateToken (or optionalAuth). Anonymous requests are never deduplicated:
+// every signed-out client would share one scope, so a key another client happened to reuse
+// would replay that client's response (their post id included) or be rejected as a mismatch.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: 'Idempotency-Key must be 1 to 255 printable characters without spaces'
+      }
+    });
+  }
+
+  if (!req.user) return next();
+
+  const path = `${req.baseUrl}${req.path}`;
+  const fingerprint = requestFingerprint(req, path);
+
+  let claim;
+  try {
+    claim = await IdempotencyKey.claim({
+      scope: req.user.id,
+      key,
+      method: req.method,
+      path,
+      fingerprint,
+      ttlMs: KEY_TTL_MS
+    });
+  } catch (error) {
+    // Without the key store the request behaves as if no key was sent
+    console.error('❌ Idempotency key store unavailable:', error.message);
+    return next();
+  }
+
+  const { record, created } = claim;
+
+  if (!created) {
+    if (record.request_fingerprint !== fingerprint) {
+      return res.status(422).json({
+        error: {
+          code: 'IDEMPOTENCY_KEY_MISMATCH',
+          message: 'This Idempotency-Key was already used for a different request'
+        }
+      });
+    }
+
+    if (record.status !== 'completed') {
+      res.set('Retry-After', String(IN_PROGRESS_RETRY_AFTER_SECONDS));
+      return res.status(409).json({
+        error: {
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed'
+        }
+      });
+    }
+
+    console.log(`🔁 Replaying ${req.method} ${path} for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  // Store the response as it is sent; anything other than a 2xx JSON response releases the key.
+  // The key stays processing until the handler answers, even if the client hangs up first:
+  // a flaky connection drops mid-request and the retry must wait for (and then replay) the
+  // first run rather than start a second one.
+  let settled = false;
+  const settle = store => {
+    if (settled) return;
+    settled = true;
+    store().catch(error => console.error('❌ Failed to store idempotent response:', error.message));
+  };
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    settle(res.statusCode >= 200 && res.statusCode < 300
+      ? () => record.complete(res.statusCode, body)
+      : () => record.release());
+    return json(body);
+  };
+  // Responses sent without res.json (e.g. an empty 204) cannot be replayed
+  res.on('finish', () => settle(() => record.release()));
+
+  next();
+}
+
+module.exports = {
+  idempotent
+};
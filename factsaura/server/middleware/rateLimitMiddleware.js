@@ -299,8 +299,7 @@ function bypassRateLimit(condition) {
  * Rate limit bypass for admin users
  */
 const adminBypass = bypassRateLimit((req) => {
-  return req.user?.badges?.some(badge => badge.type === 'admin') || 
-         req.user?.is_admin === true;
+  return req.user?.roles?.includes('admin') === true;
 });
 
 /**
@@ -0,0 +1,63 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// A bulk import of forwarded claims (the claims themselves become posts with this import_id)
+class ClaimImport {
+  constructor(data) {
+    this.id = data.id;
+    this.format = data.format;
+    this.source_name = data.source_name || null;
+    this.requested_by = data.requested_by || null;
+    this.total_rows = data.total_rows || 0;
+    this.imported_rows = data.imported_rows || 0;
+    this.failed_rows = data.failed_rows || 0;
+    this.created_at = data.created_at;
+    this.completed_at = data.completed_at || null;
+  }
+
+  static async create(importData) {
+    const { data, error } = await supabaseAdmin
+      .from('claim_imports')
+      .insert([importData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new ClaimImport(data);
+  }
+
+  // Record the outcome once every row has been processed
+  async complete(importedRows, failedRows) {
+    const { data, error } = await supabaseAdmin
+      .from('claim_imports')
+      .update({
+        imported_rows: importedRows,
+        failed_rows: failedRows,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', this.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    Object.assign(this, data);
+    return this;
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      format: this.format,
+      source_name: this.source_name,
+      requested_by: this.requested_by,
+      total_rows: this.total_rows,
+      imported_rows: this.imported_rows,
+      failed_rows: this.failed_rows,
+      created_at: this.created_at,
+      completed_at: this.completed_at
+    };
+  }
+}
+
+module.exports = ClaimImport;
@@ -0,0 +1,326 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+const AUTHOR_FIELDS = 'author:users!comments_author_id_fkey(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)';
+
+class Comment {
+  constructor(data) {
+    this.id = data.id;
+    this.post_id = data.post_id;
+    this.author_id = data.author_id;
+    this.parent_id = data.parent_id || null;
+    this.depth = data.depth || 0;
+    this.content = data.content;
+    this.expertise_tags = data.expertise_tags || [];
+
+    // Community verification
+    this.is_expert_verified = data.is_expert_verified || false;
+    this.verified_by = data.verified_by || null;
+    this.verified_at = data.verified_at || null;
+    this.community_score = data.community_score || 0;
+
+    // Status
+    this.is_flagged = data.is_flagged || false;
+    this.is_deleted = data.is_deleted || false;
+    this.moderation_status = data.moderation_status || null;
+
+    // Timestamps
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.edited_at = data.edited_at || null;
+
+    // Author information (if populated from join)
+    this.author = data.author;
+
+    // Nested replies (populated when building threads)
+    this.replies = (data.replies || []).map(reply => reply instanceof Comment ? reply : new Comment(reply));
+  }
+
+  // Create new comment
+  static async create(commentData) {
+    const { data, error } = await supabaseAdmin
+      .from('comments')
+      .insert([commentData])
+      .select(`*, ${AUTHOR_FIELDS}`)
+      .single();
+
+    if (error) throw error;
+    return new Comment(data);
+  }
+
+  // Find comment by ID (including soft-deleted comments)
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from('comments')
+      .select(`*, ${AUTHOR_FIELDS}`)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+    return new Comment(data);
+  }
+
+  /**
+   * Get a page of top-level comments for a post with their nested replies
+   * @param {string} postId - Post ID
+   * @param {Object} options - { limit, offset, sort: 'top' | 'new' | 'old', maxDepth }
+   * @returns {Object} { comments, total }
+   */
+  static async getThreadsForPost(postId, options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      sort = 'top',
+      maxDepth = 5
+    } = options;
+
+    let query = supabase
+      .from('comments')
+      .select(`*, ${AUTHOR_FIELDS}`, { count: 'exact' })
+      .eq('post_id', postId)
+      .is('parent_id', null);
+
+    if (sort === 'top') {
+      query = query
+        .order('community_score', { ascending: false })
+        .order('created_at', { ascending: true });
+    } else {
+      query = query.order('created_at', { ascending: sort === 'old' });
+    }
+
+    const { data: roots, error, count } = await query.range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const comments = await this._attachReplies(roots || [], maxDepth);
+    return {
+      comments: this._pruneDeleted(comments),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Get the highest scored top-level comments with their first replies
+   */
+  static async getTopThread(postId, limit = 5, repliesPerComment = 3) {
+    const { data: roots, error } = await supabase
+      .from('comments')
+      .select(`*, ${AUTHOR_FIELDS}`)
+      .eq('post_id', postId)
+      .eq('is_deleted', false)
+      .is('parent_id', null)
+      .order('community_score', { ascending: false })
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const comments = await this._attachReplies(roots || [], 1);
+    return this._pruneDeleted(comments).map(comment => {
+      const json = comment.toJSON();
+      return {
+        ...json,
+        replies: json.replies.slice(0, repliesPerComment),
+        replies_count: json.replies.length
+      };
+    });
+  }
+
+  /**
+   * Load replies level by level (one query per depth) and nest them under their parents
+   * @private
+   */
+  static async _attachReplies(rootRows, maxDepth) {
+    const roots = rootRows.map(row => new Comment(row));
+    let currentLevel = roots;
+
+    for (let depth = 1; depth <= maxDepth && currentLevel.length > 0; depth++) {
+      const { data: replies, error } = await supabase
+        .from('comments')
+        .select(`*, ${AUTHOR_FIELDS}`)
+        .in('parent_id', currentLevel.map(comment => comment.id))
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const byParent = new Map(currentLevel.map(comment => [comment.id, comment]));
+      const nextLevel = [];
+      for (const row of replies || []) {
+        const reply = new Comment(row);
+        byParent.get(reply.parent_id)?.replies.push(reply);
+        nextLevel.push(reply);
+      }
+      currentLevel = nextLevel;
+    }
+
+    return roots;
+  }
+
+  /**
+   * Drop deleted comments that have no visible replies; deleted comments
+   * with replies stay as placeholders so the thread keeps its shape
+   * @private
+   */
+  static _pruneDeleted(comments) {
+    return comments
+      .map(comment => {
+        comment.replies = this._pruneDeleted(comment.replies);
+        return comment;
+      })
+      .filter(comment => !comment.is_deleted || comment.replies.length > 0);
+  }
+
+  /**
+   * Flagged comments waiting for a moderator, oldest first. Urgency and harm
+   * category come from the post the comment belongs to.
+   * @param {Object} options - { urgency_level, harm_category, status: 'pending'|'escalated', limit, offset }
+   * @returns {Object} { comments, total } - each comment carries its post summary and flags
+   */
+  static async findModerationQueue(options = {}) {
+    const {
+      urgency_level = null,
+      harm_category = null,
+      status = null,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    let query = supabaseAdmin
+      .from('comments')
+      .select(`
+        *,
+        ${AUTHOR_FIELDS},
+        post:posts!inner(id, title, urgency_level, harm_category),
+        flags:comment_flags(reason, details, created_at)
+      `, { count: 'exact' })
+      .eq('is_flagged', true)
+      .eq('is_deleted', false);
+
+    if (urgency_level) query = query.eq('post.urgency_level', urgency_level);
+    if (harm_category) query = query.eq('post.harm_category', harm_category);
+    if (status === 'escalated') query = query.eq('moderation_status', 'escalated');
+    if (status === 'pending') query = query.or('moderation_status.is.null,moderation_status.neq.escalated');
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      comments: data.map(row => ({
+        comment: new Comment(row),
+        post: row.post,
+        flags: row.flags || []
+      })),
+      total: count || 0
+    };
+  }
+
+  // Flag a comment on behalf of a user. Returns false if the user already flagged it.
+  static async flag(commentId, userId, reason, details = null) {
+    const { error } = await supabaseAdmin
+      .from('comment_flags')
+      .insert([{ comment_id: commentId, user_id: userId, reason, details }]);
+
+    if (error) {
+      if (error.code === '23505') return false; // Already flagged by this user
+      throw error;
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from('comments')
+      .update({ is_flagged: true })
+      .eq('id', commentId);
+
+    if (updateError) throw updateError;
+    return true;
+  }
+
+  // Cast (1 / -1) or retract (0) a community score vote atomically
+  static async vote(commentId, userId, value) {
+    const { data, error } = await supabaseAdmin
+      .rpc('cast_comment_vote', {
+        p_comment_id: commentId,
+        p_user_id: userId,
+        p_value: value
+      })
+      .single();
+
+    if (error) throw error;
+
+    return {
+      previous_value: data.previous_value,
+      current_value: data.current_value,
+      community_score: data.comment_score
+    };
+  }
+
+  // Update comment
+  async update(updates) {
+    const { data, error } = await supabaseAdmin
+      .from('comments')
+      .update(updates)
+      .eq('id', this.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Update current instance
+    Object.assign(this, data);
+    return this;
+  }
+
+  // Edit comment content
+  async edit(content, expertiseTags) {
+    const updates = {
+      content,
+      edited_at: new Date().toISOString()
+    };
+    if (expertiseTags) {
+      updates.expertise_tags = expertiseTags;
+    }
+    return this.update(updates);
+  }
+
+  // Soft delete - keeps the row so replies remain attached
+  async softDelete() {
+    return this.update({ is_deleted: true });
+  }
+
+  // Mark as verified by an expert
+  async verify(expertId) {
+    return this.update({
+      is_expert_verified: true,
+      verified_by: expertId,
+      verified_at: new Date().toISOString()
+    });
+  }
+
+  // Serialize for API response - deleted comments are returned as placeholders
+  toJSON() {
+    return {
+      id: this.id,
+      post_id: this.post_id,
+      parent_id: this.parent_id,
+      depth: this.depth,
+      content: this.is_deleted ? null : this.content,
+      expertise_tags: this.is_deleted ? [] : this.expertise_tags,
+      is_expert_verified: this.is_expert_verified,
+      verified_at: this.verified_at,
+      community_score: this.community_score,
+      is_flagged: this.is_flagged,
+      is_deleted: this.is_deleted,
+      moderation_status: this.moderation_status,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      edited_at: this.edited_at,
+      author: this.is_deleted ? null : this.author,
+      replies: this.replies.map(reply => reply.toJSON())
+    };
+  }
+}
+
+module.exports = Comment;
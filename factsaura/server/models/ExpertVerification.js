@@ -0,0 +1,100 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Verdicts an expert can give and the domains they can review in
+const VERDICTS = ['confirmed_false', 'confirmed_true', 'disputed'];
+const DOMAINS = ['health', 'safety', 'local_knowledge'];
+
+class ExpertVerification {
+  constructor(data) {
+    this.id = data.id;
+    this.post_id = data.post_id;
+    this.expert_id = data.expert_id;
+    this.expert = data.expert || null;
+    this.verdict = data.verdict;
+    this.domain = data.domain;
+    this.evidence_links = data.evidence_links || [];
+    this.notes = data.notes;
+    this.created_at = data.created_at;
+  }
+
+  static get VERDICTS() {
+    return VERDICTS;
+  }
+
+  static get DOMAINS() {
+    return DOMAINS;
+  }
+
+  /**
+   * Record a review and bump the post and expert counters atomically (see record_expert_verification, migration 014)
+   * @returns {Object|null} { verification, expert_verifications, tally }, or null if the expert already reviewed the post
+   */
+  static async record({ post_id, expert_id, verdict, domain, evidence_links, notes }) {
+    const { data, error } = await supabaseAdmin
+      .rpc('record_expert_verification', {
+        p_post_id: post_id,
+        p_expert_id: expert_id,
+        p_verdict: verdict,
+        p_domain: domain,
+        p_evidence_links: evidence_links,
+        p_notes: notes
+      })
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Already reviewed by this expert
+      throw error;
+    }
+
+    return {
+      verification: new ExpertVerification({
+        id: data.verification_id,
+        post_id,
+        expert_id,
+        verdict,
+        domain,
+        evidence_links,
+        notes,
+        created_at: new Date().toISOString()
+      }),
+      expert_verifications: data.post_expert_verifications,
+      tally: {
+        confirmed_false: data.confirmed_false_count,
+        confirmed_true: data.confirmed_true_count,
+        disputed: data.disputed_count
+      }
+    };
+  }
+
+  // Reviews of a post, oldest first
+  static async findByPost(postId) {
+    const { data, error } = await supabase
+      .from('expert_verifications')
+      .select(`
+        *,
+        expert:users(id, username, full_name, avatar_url, expertise_areas)
+      `)
+      .eq('post_id', postId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(entry => new ExpertVerification(entry));
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      post_id: this.post_id,
+      expert_id: this.expert_id,
+      expert: this.expert,
+      verdict: this.verdict,
+      domain: this.domain,
+      evidence_links: this.evidence_links,
+      notes: this.notes,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ExpertVerification;
@@ -0,0 +1,63 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Weights of the crisis-priority feed ranking (single row, see migration 017)
+const WEIGHT_FIELDS = ['urgency_weight', 'confidence_weight', 'votes_weight', 'expert_weight', 'half_life_hours'];
+
+class FeedRankingWeights {
+  constructor(data) {
+    this.urgency_weight = Number(data.urgency_weight);
+    this.confidence_weight = Number(data.confidence_weight);
+    this.votes_weight = Number(data.votes_weight);
+    this.expert_weight = Number(data.expert_weight);
+    this.half_life_hours = Number(data.half_life_hours);
+    this.updated_by = data.updated_by || null;
+    this.updated_at = data.updated_at || null;
+  }
+
+  static get FIELDS() {
+    return WEIGHT_FIELDS;
+  }
+
+  static async get() {
+    const { data, error } = await supabase
+      .from('feed_ranking_weights')
+      .select('*')
+      .eq('id', 1)
+      .single();
+
+    if (error) throw error;
+    return new FeedRankingWeights(data);
+  }
+
+  // Change some or all of the weights
+  static async update(weights, updatedBy) {
+    const { data, error } = await supabaseAdmin
+      .from('feed_ranking_weights')
+      .update({
+        ...weights,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', 1)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new FeedRankingWeights(data);
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      urgency_weight: this.urgency_weight,
+      confidence_weight: this.confidence_weight,
+      votes_weight: this.votes_weight,
+      expert_weight: this.expert_weight,
+      half_life_hours: this.half_life_hours,
+      updated_by: this.updated_by,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = FeedRankingWeights;
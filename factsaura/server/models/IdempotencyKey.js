@@ -0,0 +1,129 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// A client Idempotency-Key and the response stored for it (see middleware/idempotency.js)
+class IdempotencyKey {
+  constructor(data) {
+    this.id = data.id;
+    this.scope = data.scope;
+    this.key = data.key;
+    this.method = data.method;
+    this.path = data.path;
+    this.request_fingerprint = data.request_fingerprint;
+    this.status = data.status || 'processing'; // 'processing' | 'completed'
+    this.response_status = data.response_status || null;
+    this.response_body = data.response_body === undefined ? null : data.response_body;
+    this.created_at = data.created_at;
+    this.completed_at = data.completed_at || null;
+    this.expires_at = data.expires_at;
+  }
+
+  /**
+   * Claim a key for a new request. A key whose window has passed is taken over.
+   * @param {Object} request - { scope, key, method, path, fingerprint, ttlMs }
+   * @returns {Object} { record, created } - created is false if the key is held by an earlier request
+   */
+  static async claim({ scope, key, method, path, fingerprint, ttlMs }) {
+    const now = new Date();
+    const row = {
+      scope,
+      key,
+      method,
+      path,
+      request_fingerprint: fingerprint,
+      status: 'processing',
+      response_status: null,
+      response_body: null,
+      created_at: now.toISOString(),
+      completed_at: null,
+      expires_at: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .insert([row])
+      .select()
+      .single();
+
+    if (!error) return { record: new IdempotencyKey(data), created: true };
+    if (error.code !== '23505') throw error;
+
+    const { data: reclaimed, error: reclaimError } = await supabaseAdmin
+      .from('idempotency_keys')
+      .update(row)
+      .eq('scope', scope)
+      .eq('key', key)
+      .lt('expires_at', now.toISOString())
+      .select()
+      .maybeSingle();
+
+    if (reclaimError) throw reclaimError;
+    if (reclaimed) return { record: new IdempotencyKey(reclaimed), created: true };
+
+    const existing = await this.find(scope, key);
+    if (!existing) {
+      // Released by a failed request in the meantime; reported as in progress so the client retries
+      return { record: new IdempotencyKey(row), created: false };
+    }
+    return { record: existing, created: false };
+  }
+
+  static async find(scope, key) {
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .select('*')
+      .eq('scope', scope)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new IdempotencyKey(data) : null;
+  }
+
+  /**
+   * Delete keys whose window has passed
+   * @returns {number} Keys deleted
+   */
+  static async purgeExpired() {
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  }
+
+  // Store the response to replay to retries
+  async complete(responseStatus, responseBody) {
+    const { error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        response_status: responseStatus,
+        response_body: responseBody,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', this.id);
+
+    if (error) throw error;
+
+    this.status = 'completed';
+    this.response_status = responseStatus;
+    this.response_body = responseBody;
+    return this;
+  }
+
+  // Give the key up so a retry runs the request again
+  async release() {
+    const { error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .delete()
+      .eq('id', this.id)
+      .eq('status', 'processing');
+
+    if (error) throw error;
+  }
+}
+
+module.exports = IdempotencyKey;
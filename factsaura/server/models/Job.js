@@ -0,0 +1,284 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Priority levels follow post urgency; lower numbers are claimed first
+const PRIORITIES = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+class Job {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type;
+    this.payload = data.payload || {};
+    this.priority = data.priority !== undefined && data.priority !== null ? data.priority : PRIORITIES.medium;
+
+    // Lifecycle
+    this.status = data.status || 'queued';
+    this.attempts = data.attempts || 0;
+    this.max_attempts = data.max_attempts || 3;
+    this.run_at = data.run_at;
+    this.locked_by = data.locked_by || null;
+    this.locked_at = data.locked_at || null;
+
+    // Outcome
+    this.last_error = data.last_error || null;
+    this.result = data.result || null;
+    this.dedupe_key = data.dedupe_key || null;
+
+    // Timestamps
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.completed_at = data.completed_at || null;
+  }
+
+  static get PRIORITIES() {
+    return PRIORITIES;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  // Priority number for an urgency level ('critical', 'high', ...), defaulting to medium
+  static priorityFor(urgencyLevel) {
+    return PRIORITIES[urgencyLevel] !== undefined ? PRIORITIES[urgencyLevel] : PRIORITIES.medium;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler to run)
+   * @param {Object} payload - JSON payload passed to the handler
+   * @param {Object} options - { priority, maxAttempts, runAt, dedupeKey }
+   * @returns {Object} { job, created } - created is false if a job with the same dedupe key already exists
+   */
+  static async enqueue(type, payload = {}, options = {}) {
+    const {
+      priority = PRIORITIES.medium,
+      maxAttempts = 3,
+      runAt = null,
+      dedupeKey = null
+    } = options;
+
+    const jobData = {
+      type,
+      payload,
+      priority: typeof priority === 'string' ? this.priorityFor(priority) : priority,
+      max_attempts: maxAttempts,
+      dedupe_key: dedupeKey
+    };
+    if (runAt) jobData.run_at = runAt;
+
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .insert([jobData])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505' && dedupeKey) { // Already enqueued under this key
+        return { job: await this.findByDedupeKey(dedupeKey), created: false };
+      }
+      throw error;
+    }
+    return { job: new Job(data), created: true };
+  }
+
+  // Claim the next due job of the given types (see claim_next_job in migration 009)
+  static async claimNext(workerId, types, lockTimeoutSeconds = 600) {
+    const { data, error } = await supabaseAdmin
+      .rpc('claim_next_job', {
+        p_worker_id: workerId,
+        p_types: types,
+        p_lock_timeout_seconds: lockTimeoutSeconds
+      })
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Job(data) : null;
+  }
+
+  // Find job by ID
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Job(data) : null;
+  }
+
+  static async findByDedupeKey(dedupeKey) {
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Job(data) : null;
+  }
+
+  /**
+   * List jobs, most recently created first
+   * @param {Object} options - { status, type, limit, offset }
+   * @returns {Object} { jobs, total }
+   */
+  static async list(options = {}) {
+    const {
+      status = null,
+      type = null,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    let query = supabaseAdmin
+      .from('jobs')
+      .select('*', { count: 'exact' });
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      jobs: data.map(job => new Job(job)),
+      total: count || 0
+    };
+  }
+
+  // Job counts by status for jobs whose dedupe key starts with prefix (e.g. one batch of work)
+  static async countByDedupePrefix(prefix) {
+    const results = await Promise.all(STATUSES.map(status => supabaseAdmin
+      .from('jobs')
+      .select('id', { count: 'exact', head: true })
+      .like('dedupe_key', `${prefix}%`)
+      .eq('status', status)));
+
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    return Object.fromEntries(STATUSES.map((status, i) => [status, results[i].count || 0]));
+  }
+
+  // Job counts grouped by type and status
+  static async getStats() {
+    const { data, error } = await supabaseAdmin.rpc('job_queue_stats');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Update job
+  async update(updates) {
+    const { data, error } = await supabaseAdmin
+      .from('jobs')
+      .update(updates)
+      .eq('id', this.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    Object.assign(this, data);
+    return this;
+  }
+
+  // Mark a running job as done
+  async complete(result = null) {
+    return this.update({
+      status: 'completed',
+      result,
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a failed attempt. The job is queued again after retryDelayMs,
+   * or moved to the dead-letter state once it has used all its attempts.
+   */
+  async fail(errorMessage, retryDelayMs, { retryable = true } = {}) {
+    const willRetry = retryable && this.hasAttemptsLeft();
+
+    return this.update({
+      status: willRetry ? 'queued' : 'dead',
+      last_error: errorMessage,
+      locked_by: null,
+      locked_at: null,
+      run_at: willRetry ? new Date(Date.now() + retryDelayMs).toISOString() : this.run_at
+    });
+  }
+
+  /**
+   * Queue the job again after delayMs without counting this attempt,
+   * for handlers that could not run it yet (see jobQueue.deferral)
+   */
+  async defer(reason, delayMs) {
+    return this.update({
+      status: 'queued',
+      attempts: Math.max(this.attempts - 1, 0),
+      last_error: reason,
+      locked_by: null,
+      locked_at: null,
+      run_at: new Date(Date.now() + delayMs).toISOString()
+    });
+  }
+
+  // Put a dead job back in the queue with a fresh set of attempts
+  async retry() {
+    return this.update({
+      status: 'queued',
+      attempts: 0,
+      last_error: null,
+      run_at: new Date().toISOString()
+    });
+  }
+
+  // Number of queued jobs that will be claimed before this one
+  async countJobsAhead() {
+    const { count, error } = await supabaseAdmin
+      .from('jobs')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', 'queued')
+      .or(`priority.lt.${this.priority},and(priority.eq.${this.priority},run_at.lt."${this.run_at}")`);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  // Whether another attempt will be made if the current one fails
+  hasAttemptsLeft() {
+    return this.attempts < this.max_attempts;
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      payload: this.payload,
+      priority: this.priority,
+      status: this.status,
+      attempts: this.attempts,
+      max_attempts: this.max_attempts,
+      run_at: this.run_at,
+      locked_by: this.locked_by,
+      locked_at: this.locked_at,
+      last_error: this.last_error,
+      result: this.result,
+      dedupe_key: this.dedupe_key,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      completed_at: this.completed_at
+    };
+  }
+}
+
+module.exports = Job;
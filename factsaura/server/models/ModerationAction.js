@@ -0,0 +1,83 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const MODERATOR_FIELDS = 'moderator:users(id, username, full_name, avatar_url)';
+
+// Audit log entry for a moderation queue action or a post retraction
+class ModerationAction {
+  constructor(data) {
+    this.id = data.id;
+    this.target_type = data.target_type; // 'post' | 'comment'
+    this.target_id = data.target_id;
+    this.action = data.action; // 'approve' | 'unpublish' | 'escalate' | 'retract'
+    this.reason = data.reason;
+    this.moderator_id = data.moderator_id || null;
+    this.previous_state = data.previous_state || {};
+    this.created_at = data.created_at;
+
+    // Moderator information (if populated from join)
+    this.moderator = data.moderator;
+  }
+
+  static async record(entry) {
+    const { data, error } = await supabaseAdmin
+      .from('moderation_actions')
+      .insert([entry])
+      .select(`*, ${MODERATOR_FIELDS}`)
+      .single();
+
+    if (error) throw error;
+    return new ModerationAction(data);
+  }
+
+  /**
+   * List actions, newest first
+   * @param {Object} options - { targetType, targetId, moderatorId, action, limit, offset }
+   * @returns {Object} { actions, total }
+   */
+  static async list(options = {}) {
+    const {
+      targetType = null,
+      targetId = null,
+      moderatorId = null,
+      action = null,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    let query = supabaseAdmin
+      .from('moderation_actions')
+      .select(`*, ${MODERATOR_FIELDS}`, { count: 'exact' });
+
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+    if (moderatorId) query = query.eq('moderator_id', moderatorId);
+    if (action) query = query.eq('action', action);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      actions: data.map(entry => new ModerationAction(entry)),
+      total: count || 0
+    };
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      action: this.action,
+      reason: this.reason,
+      moderator_id: this.moderator_id,
+      moderator: this.moderator,
+      previous_state: this.previous_state,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ModerationAction;
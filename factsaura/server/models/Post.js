@@ -1,4 +1,28 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
+const Comment = require('./Comment');
+
+// Columns the feed can be ordered by. All of them are written on insert
+// (or have NOT NULL-style defaults), so keyset comparisons never meet NULLs.
+// priority_score is a computed column (migration 017) and is only selected when sorting by it.
+const FEED_SORT_FIELDS = ['created_at', 'updated_at', 'upvotes', 'downvotes', 'confidence_score', 'urgency_level', 'priority_score'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// posts has several foreign keys to users (author, verdict changer, retractor) and two to
+// posts itself (corrected_post_id, duplicate_of_post_id), so every embed of users or posts
+// from posts must name its constraint, e.g. posts!posts_corrected_post_id_fkey, or
+// PostgREST rejects it as ambiguous (PGRST201)
+const AUTHOR_FIELDS = 'author:users!posts_author_id_fkey(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)';
+
+// Verdict lifecycle - allowed moves from each state (mirrored in transition_post_verdict, migration 010)
+const VERDICT_TRANSITIONS = {
+  pending: ['disputed', 'confirmed_false', 'confirmed_true'],
+  disputed: ['confirmed_false', 'confirmed_true'],
+  confirmed_false: ['disputed', 'outdated'],
+  confirmed_true: ['disputed', 'outdated'],
+  outdated: ['pending']
+};
+const VERDICTS = Object.keys(VERDICT_TRANSITIONS);
 
 class Post {
   constructor(data) {
@@ -13,9 +37,21 @@ class Post {
     // Crisis Context - structured object as per design spec
     this.crisis_context = this._buildCrisisContext(data);
     
+    // Geography - point and/or named area the post is about
+    this.location = this._buildLocation(data);
+    
     // AI Analysis - structured object as per design spec  
     this.ai_analysis = this._buildAIAnalysis(data);
     
+    // Extra analysis metadata kept in the ai_analysis JSONB (model, timing, quality)
+    this.analysis_metadata = this._buildAnalysisMetadata(data);
+    
+    // Mutation lineage - position of this post in a misinformation family tree
+    this.mutation = this._buildMutationLineage(data);
+    
+    // Full mutation detection result stored in the ai_analysis JSONB, if any
+    this.ai_mutation_analysis = data.ai_analysis?.mutation_analysis || null;
+    
     // Engagement - structured object as per design spec
     this.engagement = this._buildEngagement(data);
     
@@ -23,6 +59,44 @@ class Post {
     this.is_published = data.is_published !== false;
     this.is_flagged = data.is_flagged || false;
     this.is_verified = data.is_verified || false;
+    this.moderation_status = data.moderation_status || null;
+    this.reports_count = data.reports_count || 0;
+    this.report_weight = data.report_weight !== undefined && data.report_weight !== null ? Number(data.report_weight) : 0;
+    
+    // Fact-check verdict (see VERDICT_TRANSITIONS)
+    this.verdict = data.verdict || 'pending';
+    this.verdict_reason = data.verdict_reason || null;
+    this.verdict_changed_by = data.verdict_changed_by || null;
+    this.verdict_changed_at = data.verdict_changed_at || null;
+    
+    // Background analysis pipeline state (rows created before it existed are 'completed')
+    this.analysis_status = data.analysis_status || 'completed';
+    this.analysis_attempts = data.analysis_attempts || 0;
+    this.analysis_error = data.analysis_error || null;
+    this.analysis_started_at = data.analysis_started_at || null;
+    this.analysis_completed_at = data.analysis_completed_at || null;
+    
+    // Retraction - a wrong post stays visible with a correction notice
+    this.retracted_at = data.retracted_at || null;
+    this.retraction_reason = data.retraction_reason || null;
+    this.retracted_by = data.retracted_by || null;
+    this.corrected_post_id = data.corrected_post_id || null;
+    
+    // Duplicate claims - the already-checked post this one was linked to, and how many
+    // resubmissions of this claim were merged into it
+    this.duplicate_of_post_id = data.duplicate_of_post_id || null;
+    this.duplicate_submissions = data.duplicate_submissions || 0;
+    
+    // The confidence_score column as stored; ai_analysis.confidence_score falls back to the
+    // ai_analysis JSONB when it is 0, so feed cursors read this instead
+    this.stored_confidence_score = data.confidence_score !== undefined && data.confidence_score !== null ? Number(data.confidence_score) : null;
+    
+    // Crisis-priority rank, present when the feed is sorted by priority
+    this.priority_score = data.priority_score !== undefined && data.priority_score !== null ? Number(data.priority_score) : null;
+    
+    // Bulk claim import the post came from, and when the claim was first seen in circulation
+    this.import_id = data.import_id || null;
+    this.claim_seen_at = data.claim_seen_at || null;
     
     // Timestamps
     this.created_at = data.created_at;
@@ -44,6 +118,22 @@ class Post {
     };
   }
 
+  /**
+   * Build structured location from the location_* columns (null when the post has none)
+   */
+  _buildLocation(data) {
+    const hasPoint = data.location_lat !== undefined && data.location_lat !== null;
+    if (!hasPoint && !data.location_area && !data.location_city) return null;
+
+    return {
+      point: hasPoint ? { lat: Number(data.location_lat), lng: Number(data.location_lng) } : null,
+      area: data.location_area || null,
+      city: data.location_city || null,
+      precision: data.location_precision || null,
+      source: data.location_source || null
+    };
+  }
+
   /**
    * Build structured AI analysis object as per design specification
    */
@@ -62,6 +152,43 @@ class Post {
     };
   }
 
+  /**
+   * Build analysis metadata from the stored ai_analysis JSONB
+   */
+  _buildAnalysisMetadata(data) {
+    const aiData = data.ai_analysis || {};
+
+    return {
+      model_version: aiData.model_version || null,
+      prompt_version: aiData.prompt_version || null,
+      processing_time_ms: aiData.processing_time_ms || null,
+      analysis_quality: aiData.analysis_quality || null,
+      crisis_context: aiData.crisis_context || null,
+      auto_generated: aiData.auto_generated || false,
+      original_source: aiData.original_source || null
+    };
+  }
+
+  /**
+   * Build mutation lineage from the dedicated mutation columns,
+   * falling back to the mutation analysis stored inside ai_analysis
+   */
+  _buildMutationLineage(data) {
+    const storedAnalysis = data.mutation_analysis && Object.keys(data.mutation_analysis).length > 0
+      ? data.mutation_analysis
+      : (data.ai_analysis?.mutation_analysis || {});
+
+    return {
+      is_mutation: data.is_mutation !== undefined && data.is_mutation !== null
+        ? data.is_mutation
+        : (storedAnalysis.is_mutation || false),
+      family_id: data.mutation_family_id || storedAnalysis.family_id || null,
+      mutation_type: data.mutation_type || storedAnalysis.mutation_type || null,
+      generation: data.mutation_generation || storedAnalysis.generation || 0,
+      confidence: data.mutation_confidence || storedAnalysis.confidence || 0.000
+    };
+  }
+
   /**
    * Build structured engagement object as per design specification
    */
@@ -71,6 +198,9 @@ class Post {
       downvotes: data.downvotes || 0,
       comments_count: data.comments_count || 0,
       expert_verifications: data.expert_verifications || 0,
+      expert_agreement: data.expert_agreement !== undefined && data.expert_agreement !== null
+        ? Number(data.expert_agreement)
+        : null,
       community_trust_score: data.community_trust_score || 0.000
     };
   }
@@ -94,6 +224,14 @@ class Post {
   }
 
   // Create new post
+  static get VERDICTS() {
+    return VERDICTS;
+  }
+
+  static get VERDICT_TRANSITIONS() {
+    return VERDICT_TRANSITIONS;
+  }
+
   static async create(postData) {
     const { data, error } = await supabaseAdmin
       .from('posts')
@@ -159,7 +297,7 @@ class Post {
       .from('posts')
       .select(`
         *,
-        author:users(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)
+        ${AUTHOR_FIELDS}
       `)
       .eq('id', id)
       .single();
@@ -171,23 +309,289 @@ class Post {
     return new Post(data);
   }
 
-  // Get feed with pagination and filtering
+  // Find the closest earlier post in the same mutation family (the parent variant)
+  async getMutationParent() {
+    const { family_id, generation } = this.mutation;
+    if (!family_id || !generation) return null;
+
+    const { data, error } = await supabase
+      .from('posts')
+      .select('id, title, mutation_type, mutation_generation, created_at')
+      .eq('mutation_family_id', family_id)
+      .eq('is_published', true)
+      .lt('mutation_generation', generation)
+      .neq('id', this.id)
+      .order('mutation_generation', { ascending: false })
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const parent = data[0];
+    return {
+      id: parent.id,
+      title: parent.title,
+      mutation_type: parent.mutation_type,
+      generation: parent.mutation_generation || 0,
+      created_at: parent.created_at
+    };
+  }
+
+  /**
+   * Find analyzed posts to re-run AI analysis on, oldest first
+   * @param {Object} filters - { createdFrom, createdTo, modelVersion, confidenceMin, confidenceMax, limit }
+   * @returns {Object} { posts, total } - total counts every match, posts is capped at limit
+   */
+  static async findForReanalysis(filters = {}) {
+    const {
+      createdFrom = null,
+      createdTo = null,
+      modelVersion = null,
+      confidenceMin = null,
+      confidenceMax = null,
+      limit = 100
+    } = filters;
+
+    let query = supabaseAdmin
+      .from('posts')
+      .select('id, created_at', { count: 'exact' })
+      .eq('is_published', true)
+      .eq('analysis_status', 'completed');
+
+    if (createdFrom) query = query.gte('created_at', createdFrom);
+    if (createdTo) query = query.lte('created_at', createdTo);
+    if (modelVersion) query = query.eq('ai_analysis->>model_version', modelVersion);
+    if (confidenceMin !== null) query = query.gte('confidence_score', confidenceMin);
+    if (confidenceMax !== null) query = query.lte('confidence_score', confidenceMax);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return {
+      posts: data,
+      total: count || 0
+    };
+  }
+
+  /**
+   * Published posts with one of the given verdicts, in a stable order for paging
+   * @param {string[]} verdicts - Verdicts to match
+   * @param {Object} options - { limit, offset }
+   * @returns {Post[]} Posts with their author and verdict columns
+   */
+  static async findByVerdicts(verdicts, { limit = 500, offset = 0 } = {}) {
+    const { data, error } = await supabaseAdmin
+      .from('posts')
+      .select('id, title, author_id, is_published, is_misinformation, verdict, verdict_changed_by, verdict_changed_at, created_at')
+      .eq('is_published', true)
+      .in('verdict', verdicts)
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data.map(row => new Post(row));
+  }
+
+  /**
+   * Flagged posts waiting for a moderator, oldest first (including unpublished ones)
+   * @param {Object} options - { urgency_level, harm_category, status: 'pending'|'escalated', limit, offset }
+   * @returns {Object} { posts, total }
+   */
+  static async findModerationQueue(options = {}) {
+    const {
+      urgency_level = null,
+      harm_category = null,
+      status = null,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    let query = supabaseAdmin
+      .from('posts')
+      .select(`
+        *,
+        ${AUTHOR_FIELDS}
+      `, { count: 'exact' })
+      .eq('is_flagged', true);
+
+    if (urgency_level) query = query.eq('urgency_level', urgency_level);
+    if (harm_category) query = query.eq('harm_category', harm_category);
+    if (status === 'escalated') query = query.eq('moderation_status', 'escalated');
+    if (status === 'pending') query = query.or('moderation_status.is.null,moderation_status.neq.escalated');
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      posts: data.map(post => new Post(post)),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Find posts the analysis worker still has to process: pending posts, plus
+   * posts stuck in 'processing' since before staleBefore (e.g. after a restart)
+   * @param {Object} options - { limit, staleBefore: ISO timestamp }
+   */
+  static async findAwaitingAnalysis({ limit = 20, staleBefore } = {}) {
+    const { data, error } = await supabaseAdmin
+      .from('posts')
+      .select('*')
+      .or(`analysis_status.eq.pending,and(analysis_status.eq.processing,analysis_started_at.lt."${staleBefore}")`)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data.map(post => new Post(post));
+  }
+
+  /**
+   * Move this post into 'processing'. The update only matches if nobody else
+   * claimed it since it was read, so concurrent workers never analyze it twice.
+   * @returns {boolean} Whether the claim succeeded
+   */
+  async claimForAnalysis() {
+    const { data, error } = await supabaseAdmin
+      .from('posts')
+      .update({
+        analysis_status: 'processing',
+        analysis_attempts: this.analysis_attempts + 1,
+        analysis_started_at: new Date().toISOString()
+      })
+      .eq('id', this.id)
+      .eq('analysis_status', this.analysis_status)
+      .eq('analysis_attempts', this.analysis_attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return false;
+
+    Object.assign(this, data);
+    return true;
+  }
+
+  // Store analysis results and mark the analysis as completed
+  async completeAnalysis(analysisFields) {
+    return this.update({
+      ...analysisFields,
+      analysis_status: 'completed',
+      analysis_error: null,
+      analysis_completed_at: new Date().toISOString()
+    });
+  }
+
+  // Record a failed attempt; the post goes back to 'pending' while retries remain
+  async failAnalysis(message, willRetry) {
+    return this.update({
+      analysis_status: willRetry ? 'pending' : 'failed',
+      analysis_error: message
+    });
+  }
+
+  // Send a failed analysis back to 'pending' with a fresh set of attempts (its job was retried)
+  async resetAnalysis() {
+    return this.update({
+      analysis_status: 'pending',
+      analysis_attempts: 0,
+      analysis_error: null
+    });
+  }
+
+  // Whether the verdict state machine allows moving from the current verdict to `verdict`
+  canTransitionVerdict(verdict) {
+    return (VERDICT_TRANSITIONS[this.verdict] || []).includes(verdict);
+  }
+
+  /**
+   * Move the post to a new verdict and record the change in post_verdict_history
+   * @param {string} verdict - Target verdict
+   * @param {Object} change - { changedBy, actorRole, reason }
+   * @returns {Object|null} The history entry, or null if the verdict was changed concurrently
+   */
+  async transitionVerdict(verdict, { changedBy = null, actorRole, reason }) {
+    const { data, error } = await supabaseAdmin
+      .rpc('transition_post_verdict', {
+        p_post_id: this.id,
+        p_from_verdict: this.verdict,
+        p_to_verdict: verdict,
+        p_changed_by: changedBy,
+        p_actor_role: actorRole,
+        p_reason: reason
+      })
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    this.verdict = verdict;
+    this.verdict_reason = reason;
+    this.verdict_changed_by = changedBy;
+    this.verdict_changed_at = data.created_at;
+    if (verdict === 'confirmed_false' || verdict === 'confirmed_true') {
+      this.ai_analysis.is_misinformation = verdict === 'confirmed_false';
+    }
+    this.is_verified = verdict === 'confirmed_false' || verdict === 'confirmed_true';
+
+    return data;
+  }
+
+  // Verdict changes, oldest first
+  async getVerdictHistory() {
+    const { data, error } = await supabase
+      .from('post_verdict_history')
+      .select(`
+        *,
+        changed_by_user:users(id, username, full_name, avatar_url, is_expert)
+      `)
+      .eq('post_id', this.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Get feed with pagination and filtering.
+  // near = { lat, lng, radius_km } keeps posts located within the radius; area matches the
+  // post's named area or city.
+  // Pagination is either offset based (offset) or keyset based (after = { value, id }).
+  // In delta mode (since = { created_at, id }) only posts newer than that position are
+  // returned, oldest first, so a client can apply them in order.
   static async getFeed(options = {}) {
     const {
       limit = 20,
       offset = 0,
+      after = null,
+      since = null,
       urgency_level = null,
       location = null,
       is_misinformation = null,
+      harm_category = null,
+      post_type = null,
+      near = null,
+      area = null,
       sort_by = 'created_at',
       sort_order = 'desc'
     } = options;
 
-    let query = supabase
-      .from('posts')
+    // Radius search reads from posts_within_radius, which returns posts rows, so the
+    // filters, ordering and paging below apply the same way
+    const source = near
+      ? supabase.rpc('posts_within_radius', { p_lat: near.lat, p_lng: near.lng, p_radius_km: near.radius_km })
+      : supabase.from('posts');
+
+    // The computed priority column is only worked out when the feed is ranked by it
+    const columns = sort_by === 'priority_score' ? '*, priority_score' : '*';
+
+    let query = source
       .select(`
-        *,
-        author:users(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)
+        ${columns},
+        ${AUTHOR_FIELDS}
       `)
       .eq('is_published', true);
 
@@ -201,12 +605,45 @@ class Post {
     if (is_misinformation !== null) {
       query = query.eq('is_misinformation', is_misinformation);
     }
+    if (harm_category) {
+      query = query.eq('harm_category', harm_category);
+    }
+    if (post_type) {
+      query = query.eq('post_type', post_type);
+    }
+    if (area) {
+      const quotedArea = this._quoteFilterValue(area);
+      query = query.or(`location_area.eq.${quotedArea},location_city.eq.${quotedArea}`);
+    }
+
+    if (since) {
+      // Delta mode: everything created after the client's newest known post
+      query = since.id
+        ? query.or(this._keysetFilter('created_at', 'gt', since.created_at, since.id))
+        : query.gt('created_at', since.created_at);
 
-    // Apply sorting
-    query = query.order(sort_by, { ascending: sort_order === 'asc' });
+      query = query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(limit);
+    } else {
+      const ascending = sort_order === 'asc';
+
+      // Keyset position: continue strictly after the last (sort value, id) the client saw
+      if (after) {
+        query = query.or(this._keysetFilter(sort_by, ascending ? 'gt' : 'lt', after.value, after.id));
+      }
 
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
+      // Apply sorting with id as a tiebreaker so the order is total
+      query = query
+        .order(sort_by, { ascending })
+        .order('id', { ascending });
+
+      // Apply pagination
+      query = after
+        ? query.limit(limit)
+        : query.range(offset, offset + limit - 1);
+    }
 
     const { data, error } = await query;
 
@@ -214,6 +651,158 @@ class Post {
     return data.map(post => new Post(post));
   }
 
+  /**
+   * Relevance-ranked full-text search over published posts (search_posts RPC)
+   * @param {string} queryText - Web-search style query ("quoted phrases", OR, -exclusions)
+   * @param {Object} options - Feed filters, created_from/created_to dates, limit and offset
+   * @returns {Object} { results: [{ post, rank, highlights }], total }; highlights are HTML-escaped
+   *   text with matches wrapped in <mark>
+   */
+  static async search(queryText, options = {}) {
+    const {
+      limit = 20,
+      offset = 0,
+      urgency_level = null,
+      location = null,
+      is_misinformation = null,
+      created_from = null,
+      created_to = null
+    } = options;
+
+    const { data, error } = await supabase.rpc('search_posts', {
+      p_query: queryText,
+      p_urgency_level: urgency_level,
+      p_location: location,
+      p_is_misinformation: is_misinformation,
+      p_created_from: created_from,
+      p_created_to: created_to,
+      p_limit: limit,
+      p_offset: offset
+    });
+
+    if (error) throw error;
+
+    return {
+      results: (data || []).map(row => ({
+        post: new Post(row.post),
+        rank: row.rank,
+        highlights: {
+          title: row.title_highlight,
+          content: row.content_snippet,
+          explanation: row.explanation_snippet || null
+        }
+      })),
+      total: data && data.length > 0 ? Number(data[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Already-checked posts sharing any search term with a submission (migration 020),
+   * best full-text match first. Callers rank them by semantic similarity.
+   */
+  static async findDuplicateCandidates(text, limit = 20) {
+    const { data, error } = await supabase.rpc('find_duplicate_candidates', {
+      p_text: text,
+      p_limit: limit
+    });
+
+    if (error) throw error;
+    return (data || []).map(row => new Post(row));
+  }
+
+  /**
+   * Count a resubmission merged into this post
+   */
+  async recordDuplicateSubmission() {
+    const { data, error } = await supabaseAdmin
+      .rpc('record_duplicate_submission', { p_post_id: this.id })
+      .single();
+
+    if (error) throw error;
+
+    this.duplicate_submissions = data.duplicate_submissions;
+    this.updated_at = data.updated_at;
+    return this;
+  }
+
+  /**
+   * Build a PostgREST `or` filter for "(column, id) comes after (value, id)"
+   * @private
+   */
+  static _keysetFilter(column, operator, value, id) {
+    const quotedValue = this._quoteFilterValue(value);
+    return `${column}.${operator}.${quotedValue},and(${column}.eq.${quotedValue},id.${operator}.${id})`;
+  }
+
+  /**
+   * Quote a value for use inside a PostgREST `or` filter
+   * @private
+   */
+  static _quoteFilterValue(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Encode an opaque feed cursor for this post's position in a sort order
+   */
+  static encodeFeedCursor(post, sortBy = 'created_at', sortOrder = 'desc') {
+    const payload = {
+      s: sortBy,
+      o: sortOrder,
+      v: post.getSortValue(sortBy),
+      id: post.id,
+      t: post.created_at
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a feed cursor. Returns null if the cursor is malformed.
+   * @returns {Object|null} { sort_by, sort_order, value, id, created_at }
+   */
+  static decodeFeedCursor(cursor) {
+    if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 1024) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+      if (!payload || !FEED_SORT_FIELDS.includes(payload.s) ||
+          !['asc', 'desc'].includes(payload.o) ||
+          !['string', 'number'].includes(typeof payload.v) ||
+          !UUID_PATTERN.test(payload.id) ||
+          typeof payload.t !== 'string' || isNaN(Date.parse(payload.t))) {
+        return null;
+      }
+
+      return {
+        sort_by: payload.s,
+        sort_order: payload.o,
+        value: payload.v,
+        id: payload.id,
+        created_at: payload.t
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Raw value of a feed sort column for this post (used to build keyset cursors)
+  getSortValue(sortBy) {
+    switch (sortBy) {
+      case 'upvotes':
+      case 'downvotes':
+        return this.engagement[sortBy];
+      case 'confidence_score':
+        return this.stored_confidence_score !== null ? this.stored_confidence_score : this.ai_analysis.confidence_score;
+      case 'urgency_level':
+        return this.crisis_context.urgency_level;
+      default:
+        return this[sortBy];
+    }
+  }
+
   // Update post
   async update(updates) {
     const { data, error } = await supabaseAdmin
@@ -267,22 +856,90 @@ class Post {
 
     const upvotes = votes.filter(v => v.vote_type === 'upvote').length;
     const downvotes = votes.filter(v => v.vote_type === 'downvote').length;
-    
-    // Calculate community trust score based on votes and AI confidence
-    const totalVotes = upvotes + downvotes;
-    const voteRatio = totalVotes > 0 ? upvotes / totalVotes : 0.5;
-    const aiConfidence = this.ai_analysis.confidence_score || 0.5;
-    
-    // Weighted average of vote ratio and AI confidence
-    const community_trust_score = (voteRatio * 0.6 + aiConfidence * 0.4);
 
     return this.update({ 
       upvotes, 
       downvotes, 
-      community_trust_score: Math.round(community_trust_score * 1000) / 1000 // Round to 3 decimal places
+      community_trust_score: this.calculateCommunityTrustScore(upvotes, downvotes)
     });
   }
 
+  // Recalculate community trust score from vote counters that were already
+  // written atomically (see Vote.cast), without touching the counters themselves
+  async refreshCommunityTrustScore(upvotes, downvotes) {
+    const community_trust_score = this.calculateCommunityTrustScore(upvotes, downvotes);
+
+    this.engagement.upvotes = upvotes;
+    this.engagement.downvotes = downvotes;
+    this.engagement.community_trust_score = community_trust_score;
+
+    return this.update({ community_trust_score });
+  }
+
+  /**
+   * Retract the post, keeping it visible with a correction notice
+   * @param {Object} retraction - { reason, retractedBy, correctedPostId }
+   * @returns {Post|null} This post, or null if it was already retracted
+   */
+  async retract({ reason, retractedBy, correctedPostId = null }) {
+    const { data, error } = await supabaseAdmin
+      .from('posts')
+      .update({
+        retracted_at: new Date().toISOString(),
+        retraction_reason: reason,
+        retracted_by: retractedBy,
+        corrected_post_id: correctedPostId
+      })
+      .eq('id', this.id)
+      .is('retracted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    Object.assign(this, data);
+    return this;
+  }
+
+  // Correction notice for a retracted post, null while the post stands
+  getRetractionNotice() {
+    if (!this.retracted_at) return null;
+
+    return {
+      retracted_at: this.retracted_at,
+      reason: this.retraction_reason,
+      retracted_by: this.retracted_by,
+      corrected_post_id: this.corrected_post_id
+    };
+  }
+
+  // Store the share of expert reviews agreeing with the verdict and recalculate
+  // community trust score with it
+  async refreshExpertAgreement(expertVerifications, expertAgreement) {
+    this.engagement.expert_verifications = expertVerifications;
+    this.engagement.expert_agreement = expertAgreement;
+
+    const community_trust_score = this.calculateCommunityTrustScore(this.engagement.upvotes, this.engagement.downvotes);
+    this.engagement.community_trust_score = community_trust_score;
+
+    return this.update({ expert_agreement: expertAgreement, community_trust_score });
+  }
+
+  // Weighted average of vote ratio and AI confidence, rounded to 3 decimal places.
+  // Once experts have reviewed the post their agreement carries half the weight.
+  calculateCommunityTrustScore(upvotes, downvotes) {
+    const totalVotes = upvotes + downvotes;
+    const voteRatio = totalVotes > 0 ? upvotes / totalVotes : 0.5;
+    const aiConfidence = this.ai_analysis.confidence_score || 0.5;
+    const expertAgreement = this.engagement.expert_agreement;
+
+    const community_trust_score = expertAgreement === null
+      ? (voteRatio * 0.6 + aiConfidence * 0.4)
+      : (voteRatio * 0.3 + aiConfidence * 0.2 + expertAgreement * 0.5);
+    return Math.round(community_trust_score * 1000) / 1000;
+  }
+
   // Update crisis context
   async updateCrisisContext(crisisData) {
     const updatedContext = {
@@ -299,8 +956,13 @@ class Post {
     });
   }
 
-  // Check if post needs expert review based on AI analysis
+  // Check if post needs expert review. Disputed posts and posts a moderator escalated
+  // always do and settled verdicts never do; while pending it depends on the AI analysis.
   needsExpertReview() {
+    if (this.verdict === 'disputed') return true;
+    if (this.is_flagged && this.moderation_status === 'escalated') return true;
+    if (this.verdict !== 'pending') return false;
+
     const { confidence_score, uncertainty_flags } = this.ai_analysis;
     
     // Needs review if confidence is low or has uncertainty flags
@@ -325,8 +987,12 @@ class Post {
     return baseScore + confidenceBonus + trustBonus;
   }
 
-  // Check if post is likely misinformation with high confidence
+  // Check if post is misinformation with high confidence: confirmed false by a human,
+  // or still pending with a confident AI verdict. Disputed posts are never high confidence.
   isHighConfidenceMisinformation() {
+    if (this.verdict === 'confirmed_false') return true;
+    if (this.verdict !== 'pending') return false;
+
     return this.ai_analysis.is_misinformation && 
            this.ai_analysis.confidence_score >= 0.8;
   }
@@ -337,7 +1003,7 @@ class Post {
       .from('comments')
       .select(`
         *,
-        author:users(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)
+        author:users!comments_author_id_fkey(id, username, full_name, avatar_url, reputation_score, badges, is_verified, is_expert)
       `)
       .eq('post_id', this.id)
       .eq('is_deleted', false)
@@ -348,6 +1014,11 @@ class Post {
     return data;
   }
 
+  // Get the highest scored top-level comments with their first replies
+  async getTopCommentThread(limit = 5, repliesPerComment = 3) {
+    return Comment.getTopThread(this.id, limit, repliesPerComment);
+  }
+
   // Serialize for API response - structured format as per design specification
   toJSON() {
     return {
@@ -362,16 +1033,42 @@ class Post {
       // Structured crisis context
       crisis_context: this.crisis_context,
       
+      // Geography
+      location: this.location,
+      
       // Structured AI analysis
       ai_analysis: this.ai_analysis,
       
       // Structured engagement metrics
       engagement: this.engagement,
       
+      // Mutation lineage
+      mutation: this.mutation,
+      
       // Status fields
       is_published: this.is_published,
       is_flagged: this.is_flagged,
       is_verified: this.is_verified,
+      moderation_status: this.moderation_status,
+      analysis_status: this.analysis_status,
+      
+      // Correction notice, null unless the post was retracted
+      retraction: this.getRetractionNotice(),
+      
+      // Duplicate claims
+      duplicate_of: this.duplicate_of_post_id,
+      duplicate_submissions: this.duplicate_submissions,
+      
+      // Feed rank when sorted by priority
+      priority_score: this.priority_score,
+      
+      // Fact-check verdict
+      verdict: {
+        status: this.verdict,
+        reason: this.verdict_reason,
+        changed_by: this.verdict_changed_by,
+        changed_at: this.verdict_changed_at
+      },
       
       // Timestamps
       created_at: this.created_at,
@@ -413,6 +1110,7 @@ class Post {
       is_published: this.is_published,
       is_flagged: this.is_flagged,
       is_verified: this.is_verified,
+      verdict: this.verdict,
       created_at: this.created_at,
       updated_at: this.updated_at,
       author: this.author
@@ -0,0 +1,107 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// An archived AI analysis, written each time a post is re-analyzed
+class PostAnalysisHistory {
+  constructor(data) {
+    this.id = data.id;
+    this.post_id = data.post_id;
+    this.batch_id = data.batch_id || null;
+    this.requested_by = data.requested_by || null;
+
+    // The analysis that was replaced
+    this.previous_analysis = data.previous_analysis || {};
+    this.previous_model_version = data.previous_model_version || null;
+    this.previous_confidence_score = data.previous_confidence_score !== null && data.previous_confidence_score !== undefined
+      ? Number(data.previous_confidence_score)
+      : null;
+    this.previous_is_misinformation = data.previous_is_misinformation;
+
+    // The analysis that replaced it
+    this.new_model_version = data.new_model_version || null;
+    this.new_prompt_version = data.new_prompt_version || null;
+    this.new_confidence_score = data.new_confidence_score !== null && data.new_confidence_score !== undefined
+      ? Number(data.new_confidence_score)
+      : null;
+    this.new_is_misinformation = data.new_is_misinformation;
+
+    this.verdict_flipped = data.verdict_flipped || false;
+    this.created_at = data.created_at;
+  }
+
+  // Archive a replaced analysis
+  static async record(entry) {
+    const { data, error } = await supabaseAdmin
+      .from('post_analysis_history')
+      .insert([entry])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new PostAnalysisHistory(data);
+  }
+
+  // Previous analyses of a post, newest first
+  static async findByPost(postId, limit = 20) {
+    const { data, error } = await supabase
+      .from('post_analysis_history')
+      .select('*')
+      .eq('post_id', postId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data.map(entry => new PostAnalysisHistory(entry));
+  }
+
+  /**
+   * Re-analysis results of a batch
+   * @returns {Object} { completed, flipped } - flipped lists the entries whose verdict changed
+   */
+  static async getBatchResults(batchId) {
+    const [{ count, error: countError }, { data, error }] = await Promise.all([
+      supabaseAdmin
+        .from('post_analysis_history')
+        .select('id', { count: 'exact', head: true })
+        .eq('batch_id', batchId),
+      supabaseAdmin
+        .from('post_analysis_history')
+        .select('*')
+        .eq('batch_id', batchId)
+        .eq('verdict_flipped', true)
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (countError) throw countError;
+    if (error) throw error;
+    return {
+      completed: count || 0,
+      flipped: data.map(entry => new PostAnalysisHistory(entry))
+    };
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      post_id: this.post_id,
+      batch_id: this.batch_id,
+      requested_by: this.requested_by,
+      previous: {
+        model_version: this.previous_model_version,
+        confidence_score: this.previous_confidence_score,
+        is_misinformation: this.previous_is_misinformation,
+        analysis: this.previous_analysis
+      },
+      current: {
+        model_version: this.new_model_version,
+        prompt_version: this.new_prompt_version,
+        confidence_score: this.new_confidence_score,
+        is_misinformation: this.new_is_misinformation
+      },
+      verdict_flipped: this.verdict_flipped,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = PostAnalysisHistory;
@@ -0,0 +1,115 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const REASONS = ['false_rescue_number', 'fake_shelter', 'medical_harm', 'spam', 'harassment'];
+
+// Reasons that claim the post is false (spam and harassment say nothing about truth)
+const FALSITY_REASONS = ['false_rescue_number', 'fake_shelter', 'medical_harm'];
+
+class PostReport {
+  constructor(data) {
+    this.id = data.id;
+    this.post_id = data.post_id;
+    this.user_id = data.user_id;
+    this.reason = data.reason;
+    this.details = data.details || null;
+    this.weight = data.weight !== undefined && data.weight !== null ? Number(data.weight) : 0;
+    this.created_at = data.created_at;
+  }
+
+  static get REASONS() {
+    return REASONS;
+  }
+
+  static get FALSITY_REASONS() {
+    return FALSITY_REASONS;
+  }
+
+  /**
+   * Record a report and update the post's counters atomically (see report_post, migration 013)
+   * @returns {Object|null} Updated post counters, or null if the user already reported the post
+   */
+  static async submit(postId, userId, { reason, details = null, weight, flagThreshold }) {
+    const { data, error } = await supabaseAdmin
+      .rpc('report_post', {
+        p_post_id: postId,
+        p_user_id: userId,
+        p_reason: reason,
+        p_details: details,
+        p_weight: weight,
+        p_flag_threshold: flagThreshold
+      })
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Already reported by this user
+      throw error;
+    }
+
+    return {
+      report_id: data.report_id,
+      reports_count: data.post_reports_count,
+      report_weight: Number(data.post_report_weight),
+      is_flagged: data.post_is_flagged,
+      newly_flagged: data.newly_flagged
+    };
+  }
+
+  /**
+   * Report counts by reason for each post
+   * @param {string[]} postIds - Post IDs
+   * @returns {Object} postId -> { reason: count }
+   */
+  static async summarizeForPosts(postIds) {
+    if (postIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from('post_reports')
+      .select('post_id, reason')
+      .in('post_id', postIds);
+
+    if (error) throw error;
+
+    const summary = {};
+    for (const { post_id, reason } of data) {
+      summary[post_id] = summary[post_id] || {};
+      summary[post_id][reason] = (summary[post_id][reason] || 0) + 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Reports on any of the given posts
+   * @param {string[]} postIds - Post IDs
+   * @param {Object} options - { reasons } to only return reports with those reasons
+   * @returns {PostReport[]} Reports
+   */
+  static async findByPosts(postIds, { reasons = null } = {}) {
+    if (postIds.length === 0) return [];
+
+    let query = supabaseAdmin
+      .from('post_reports')
+      .select('*')
+      .in('post_id', postIds);
+
+    if (reasons) query = query.in('reason', reasons);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(row => new PostReport(row));
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      post_id: this.post_id,
+      reason: this.reason,
+      details: this.details,
+      weight: this.weight,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = PostReport;
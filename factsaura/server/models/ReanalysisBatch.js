@@ -0,0 +1,47 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// A batch re-analysis request (the posts themselves run as 'post_reanalysis' jobs)
+class ReanalysisBatch {
+  constructor(data) {
+    this.id = data.id;
+    this.filters = data.filters || {};
+    this.requested_by = data.requested_by || null;
+    this.total_posts = data.total_posts || 0;
+    this.created_at = data.created_at;
+  }
+
+  static async create(batchData) {
+    const { data, error } = await supabaseAdmin
+      .from('reanalysis_batches')
+      .insert([batchData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new ReanalysisBatch(data);
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from('reanalysis_batches')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new ReanalysisBatch(data) : null;
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      filters: this.filters,
+      requested_by: this.requested_by,
+      total_posts: this.total_posts,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ReanalysisBatch;
@@ -0,0 +1,145 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const POST_FIELDS = 'post:posts(id, title)';
+
+// Ledger entry for a reputation change (see services/reputationService.js for the rules)
+class ReputationEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.rule = data.rule;
+    this.points = data.points;
+    this.post_id = data.post_id || null;
+    this.actor_id = data.actor_id || null;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+
+    // Post information (if populated from join)
+    this.post = data.post || null;
+  }
+
+  /**
+   * Append entries and apply their points to the users' scores atomically
+   * (see record_reputation_events, migration 023)
+   * @param {Object[]} events - { user_id, rule, points, post_id, actor_id, reason }
+   * @returns {Object} userId -> reputation score after the change
+   */
+  static async record(events) {
+    if (events.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .rpc('record_reputation_events', { p_events: events });
+
+    if (error) throw error;
+
+    const scores = {};
+    for (const row of data || []) {
+      scores[row.ledger_user_id] = row.user_reputation_score;
+    }
+    return scores;
+  }
+
+  /**
+   * Record what one voter's vote should now give a post's author, diffed against the ledger
+   * while the (post, voter) pair is locked (see record_vote_reputation, migration 023)
+   * @param {string} postId - Voted post
+   * @param {string} actorId - Voter
+   * @param {Object[]} targets - { user_id, rule, points, reason, reversal_reason } per vote rule
+   * @returns {number} Net points recorded
+   */
+  static async recordVote(postId, actorId, targets) {
+    const { data, error } = await supabaseAdmin
+      .rpc('record_vote_reputation', { p_post_id: postId, p_actor_id: actorId, p_targets: targets });
+
+    if (error) throw error;
+    return data || 0;
+  }
+
+  /**
+   * Replace the whole ledger and reset every score to the sum of its entries
+   * @param {Object[]} events - Entries of the new ledger
+   * @returns {Object} { events_recorded, users_updated }
+   */
+  static async rebuild(events) {
+    const { data, error } = await supabaseAdmin
+      .rpc('rebuild_reputation_ledger', { p_events: events })
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Points each user currently holds under each rule for a post
+   * @param {string} postId - Post ID
+   * @param {string[]} rules - Rules to total
+   * @param {Object} options - { actorId } to only count entries caused by one user (e.g. a voter)
+   * @returns {Object} `${user_id}:${rule}` -> points
+   */
+  static async totalsForPost(postId, rules, { actorId = null } = {}) {
+    let query = supabaseAdmin
+      .from('reputation_events')
+      .select('user_id, rule, points')
+      .eq('post_id', postId)
+      .in('rule', rules);
+
+    if (actorId) query = query.eq('actor_id', actorId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const totals = {};
+    for (const { user_id, rule, points } of data) {
+      const key = `${user_id}:${rule}`;
+      totals[key] = (totals[key] || 0) + points;
+    }
+    return totals;
+  }
+
+  /**
+   * A user's ledger, newest first
+   * @returns {Object} { events, total }
+   */
+  static async findByUser(userId, { limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await supabaseAdmin
+      .from('reputation_events')
+      .select(`*, ${POST_FIELDS}`, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+      events: data.map(entry => new ReputationEvent(entry)),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Recompute community trust ratings from settled verdicts (see refresh_community_trust_ratings)
+   * @param {string[]|null} userIds - Users to refresh, or null for everyone
+   * @returns {number} Users refreshed
+   */
+  static async refreshTrustRatings(userIds = null) {
+    const { data, error } = await supabaseAdmin
+      .rpc('refresh_community_trust_ratings', { p_user_ids: userIds });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      rule: this.rule,
+      points: this.points,
+      reason: this.reason,
+      post_id: this.post_id,
+      post: this.post,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ReputationEvent;
@@ -0,0 +1,102 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+const GRANTED_BY_FIELDS = 'granted_by_user:users!user_roles_granted_by_fkey(id, username)';
+
+// A role and the permissions it grants (see migration 025)
+class Role {
+  constructor(data) {
+    this.name = data.name;
+    this.description = data.description;
+    this.permissions = (data.role_permissions || data.permissions || [])
+      .map(entry => (typeof entry === 'string' ? entry : entry.permission))
+      .sort();
+  }
+
+  // Every role with its permissions
+  static async findAll() {
+    const { data, error } = await supabase
+      .from('roles')
+      .select('name, description, role_permissions(permission)')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(row => new Role(row));
+  }
+
+  /**
+   * Roles a user holds (always including member) and the permissions they grant
+   * (see get_user_access, migration 025)
+   * @param {string} userId - User ID
+   * @returns {Object} { roles, permissions }
+   */
+  static async getUserAccess(userId) {
+    const { data, error } = await supabase
+      .rpc('get_user_access', { p_user_id: userId });
+
+    if (error) throw error;
+
+    const roles = new Set();
+    const permissions = new Set();
+    for (const row of data || []) {
+      roles.add(row.role);
+      if (row.permission) permissions.add(row.permission);
+    }
+
+    return { roles: [...roles].sort(), permissions: [...permissions].sort() };
+  }
+
+  /**
+   * Roles granted to a user, with who granted them
+   * @param {string} userId - User ID
+   * @returns {Object[]} { role, granted_at, granted_by }
+   */
+  static async findGrants(userId) {
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select(`role, granted_at, ${GRANTED_BY_FIELDS}`)
+      .eq('user_id', userId)
+      .order('granted_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      role: row.role,
+      granted_at: row.granted_at,
+      granted_by: row.granted_by_user || null
+    }));
+  }
+
+  /**
+   * Grant a role to a user (see grant_user_role, migration 025)
+   * @returns {Object|null} The grant, or null if the user already held the role
+   */
+  static async grant(userId, role, grantedBy) {
+    const { data, error } = await supabaseAdmin
+      .rpc('grant_user_role', { p_user_id: userId, p_role: role, p_granted_by: grantedBy })
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Revoke a role from a user (see revoke_user_role, migration 025)
+   * @returns {string} 'revoked', 'not_held' or 'last_admin'
+   */
+  static async revoke(userId, role) {
+    const { data, error } = await supabaseAdmin
+      .rpc('revoke_user_role', { p_user_id: userId, p_role: role });
+
+    if (error) throw error;
+    return data;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions
+    };
+  }
+}
+
+module.exports = Role;
@@ -1,4 +1,5 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
+const Role = require('./Role');
 
 class User {
   constructor(data) {
@@ -15,12 +16,22 @@ class User {
     this.expert_verifications_given = data.expert_verifications_given || 0;
     this.community_trust_rating = data.community_trust_rating || 0.00;
     this.location = data.location;
+    this.followed_harm_categories = data.followed_harm_categories || [];
+    this.followed_locations = data.followed_locations || [];
+    this.muted_topics = data.muted_topics || [];
+    this.alert_locations = data.alert_locations || [];
+    this.languages = data.languages || ['en'];
+    this.notification_channels = data.notification_channels || ['in_app'];
     this.is_verified = data.is_verified || false;
     this.is_expert = data.is_expert || false;
     this.is_active = data.is_active || true;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     this.last_login_at = data.last_login_at;
+
+    // Roles and permissions from user_roles (set by loadAccess)
+    this.roles = data.roles || [];
+    this.permissions = data.permissions || [];
   }
 
   // Create new user
@@ -109,6 +120,52 @@ class User {
     return this.update({ badges });
   }
 
+  /**
+   * Append a badge unless the user already holds one of its type (see award_badge, migration 024)
+   * @param {Object} badge - { type, name, earned_date }
+   * @returns {boolean} True if the badge was awarded now
+   */
+  async awardBadge(badge) {
+    const { data, error } = await supabaseAdmin
+      .rpc('award_badge', { p_user_id: this.id, p_badge: badge })
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return false;
+
+    this.badges = data.badges;
+    return true;
+  }
+
+  /**
+   * Counts the badge criteria are judged on (see get_badge_metrics, migration 024)
+   * @param {Object} options - { falsityReasons, activeHours }
+   * @returns {Object} { confirmed_catches, accurate_submissions, expert_reviews, crisis_responses, longest_streak_days }
+   */
+  async getBadgeMetrics({ falsityReasons, activeHours }) {
+    const { data, error } = await supabase
+      .rpc('get_badge_metrics', {
+        p_user_id: this.id,
+        p_falsity_reasons: falsityReasons,
+        p_active_hours: activeHours
+      })
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Load the user's roles and the permissions they grant onto the instance
+   * @returns {Object} { roles, permissions }
+   */
+  async loadAccess() {
+    const access = await Role.getUserAccess(this.id);
+    this.roles = access.roles;
+    this.permissions = access.permissions;
+    return access;
+  }
+
   // Update last login
   async updateLastLogin() {
     return this.update({
@@ -116,12 +173,16 @@ class User {
     });
   }
 
-  // Get user's posts
-  async getPosts(limit = 10, offset = 0) {
-    const { data, error } = await supabase
+  // Get user's posts (only the published ones for others to see)
+  async getPosts(limit = 10, offset = 0, { publishedOnly = false } = {}) {
+    let query = supabase
       .from('posts')
       .select('*')
-      .eq('author_id', this.id)
+      .eq('author_id', this.id);
+
+    if (publishedOnly) query = query.eq('is_published', true);
+
+    const { data, error } = await query
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -129,6 +190,46 @@ class User {
     return data;
   }
 
+  /**
+   * How often the user's posts held up: of their posts with a settled verdict
+   * (confirmed true or false), the share confirmed true
+   * @returns {Object} { settled_posts, accurate_posts, ratio } - ratio is null until a verdict is settled
+   */
+  async getSubmissionAccuracy() {
+    const countPosts = verdicts => supabase
+      .from('posts')
+      .select('id', { count: 'exact', head: true })
+      .eq('author_id', this.id)
+      .eq('is_published', true)
+      .in('verdict', verdicts);
+
+    const [settled, accurate] = await Promise.all([
+      countPosts(['confirmed_true', 'confirmed_false']),
+      countPosts(['confirmed_true'])
+    ]);
+
+    if (settled.error) throw settled.error;
+    if (accurate.error) throw accurate.error;
+
+    const settledPosts = settled.count || 0;
+    const accuratePosts = accurate.count || 0;
+    return {
+      settled_posts: settledPosts,
+      accurate_posts: accuratePosts,
+      ratio: settledPosts > 0 ? Math.round((accuratePosts / settledPosts) * 1000) / 1000 : null
+    };
+  }
+
+  // Alert and notification preferences (only ever shown to the user themselves)
+  getPreferences() {
+    return {
+      alert_locations: this.alert_locations,
+      languages: this.languages,
+      notification_channels: this.notification_channels,
+      updated_at: this.updated_at
+    };
+  }
+
   // Serialize for API response
   toJSON() {
     return {
@@ -0,0 +1,76 @@
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+class Vote {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.post_id = data.post_id;
+    this.vote_type = data.vote_type; // 'upvote' | 'downvote'
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Find a user's vote on a post
+  static async findByUserAndPost(userId, postId) {
+    const { data, error } = await supabase
+      .from('votes')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('post_id', postId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Vote(data) : null;
+  }
+
+  // Cast, change or retract (voteType = null) a vote atomically.
+  // Returns the previous and current vote plus the post's new counters.
+  static async cast(postId, userId, voteType) {
+    const { data, error } = await supabaseAdmin
+      .rpc('cast_post_vote', {
+        p_post_id: postId,
+        p_user_id: userId,
+        p_vote_type: voteType
+      })
+      .single();
+
+    if (error) throw error;
+
+    return {
+      previous_vote: data.previous_vote || null,
+      current_vote: data.current_vote || null,
+      upvotes: data.post_upvotes,
+      downvotes: data.post_downvotes,
+      author_id: data.post_author_id
+    };
+  }
+
+  /**
+   * Votes with the voter's reputation and the post's author, in a stable order for paging
+   * @param {Object} options - { limit, offset }
+   * @returns {Object[]} Vote rows with voter and post joined
+   */
+  static async findWithAuthors({ limit = 500, offset = 0 } = {}) {
+    const { data, error } = await supabaseAdmin
+      .from('votes')
+      .select('id, user_id, post_id, vote_type, created_at, updated_at, voter:users(reputation_score), post:posts(id, title, author_id, is_published)')
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Serialize for API response
+  toJSON() {
+    return {
+      id: this.id,
+      post_id: this.post_id,
+      vote_type: this.vote_type,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Vote;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const commentsController = require('../controllers/commentsController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+const { idempotent } = require('../middleware/idempotency');
+
+// Comment routes (comments are created and listed under /api/posts/:id/comments)
+router.put('/:id', authenticateToken, idempotent, commentsController.updateComment);
+router.delete('/:id', authenticateToken, idempotent, commentsController.deleteComment);
+router.post('/:id/flag', authenticateToken, idempotent, commentsController.flagComment);
+router.put('/:id/vote', authenticateToken, idempotent, commentsController.voteOnComment);
+router.post('/:id/verify', authenticateToken, requirePermission(PERMISSIONS.CONTENT_VERIFY), idempotent, commentsController.verifyComment);
+
+module.exports = router;
@@ -42,19 +42,27 @@ const {
   getAutoPostingStats,
   updateAutoPostingConfig
 } = require('../controllers/contentScrapingController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+
+// Controls that change what is scraped, filtered and auto-posted for everyone
+const manageScraping = [authenticateToken, requirePermission(PERMISSIONS.SCRAPING_MANAGE)];
+const manageKeywords = [authenticateToken, requirePermission(PERMISSIONS.KEYWORDS_MANAGE)];
 
 /**
  * @route POST /api/content-scraping/start
  * @desc Start the content scraping scheduler
  * @body { intervalMinutes?: number }
+ * @access scraping:manage
  */
-router.post('/start', startScheduler);
+router.post('/start', manageScraping, startScheduler);
 
 /**
  * @route POST /api/content-scraping/stop
  * @desc Stop the content scraping scheduler
+ * @access scraping:manage
  */
-router.post('/stop', stopScheduler);
+router.post('/stop', manageScraping, stopScheduler);
 
 /**
  * @route GET /api/content-scraping/status
@@ -65,8 +73,9 @@ router.get('/status', getSchedulerStatus);
 /**
  * @route POST /api/content-scraping/run
  * @desc Force run a scraping cycle immediately
+ * @access scraping:manage
  */
-router.post('/run', forceRunCycle);
+router.post('/run', manageScraping, forceRunCycle);
 
 /**
  * @route GET /api/content-scraping/content
@@ -78,8 +87,9 @@ router.get('/content', getLatestContent);
  * @route PUT /api/content-scraping/config
  * @desc Update scheduler configuration
  * @body { intervalMinutes: number }
+ * @access scraping:manage
  */
-router.put('/config', updateSchedulerConfig);
+router.put('/config', manageScraping, updateSchedulerConfig);
 
 /**
  * @route GET /api/content-scraping/errors
@@ -90,8 +100,9 @@ router.get('/errors', getSchedulerErrors);
 /**
  * @route DELETE /api/content-scraping/errors
  * @desc Clear scheduler error history
+ * @access scraping:manage
  */
-router.delete('/errors', clearSchedulerErrors);
+router.delete('/errors', manageScraping, clearSchedulerErrors);
 
 /**
  * @route GET /api/content-scraping/analysis
@@ -126,8 +137,9 @@ router.get('/trending/stats', getTrendingStats);
 /**
  * @route POST /api/content-scraping/trending/analyze
  * @desc Force trending analysis on current content
+ * @access scraping:manage
  */
-router.post('/trending/analyze', forceTrendingAnalysis);
+router.post('/trending/analyze', manageScraping, forceTrendingAnalysis);
 
 // Keyword Filtering Routes
 
@@ -141,15 +153,17 @@ router.get('/keywords/stats', getKeywordFilterStats);
  * @route POST /api/content-scraping/keywords/add
  * @desc Add keywords to a category
  * @body { category: string, keywords: string[] }
+ * @access keywords:manage
  */
-router.post('/keywords/add', addKeywords);
+router.post('/keywords/add', manageKeywords, addKeywords);
 
 /**
  * @route POST /api/content-scraping/keywords/remove
  * @desc Remove keywords from a category
  * @body { category: string, keywords: string[] }
+ * @access keywords:manage
  */
-router.post('/keywords/remove', removeKeywords);
+router.post('/keywords/remove', manageKeywords, removeKeywords);
 
 /**
  * @route GET /api/content-scraping/keywords/categories
@@ -167,14 +181,16 @@ router.get('/keywords/:category', getKeywords);
  * @route PUT /api/content-scraping/keywords/config
  * @desc Update keyword filtering configuration
  * @body { caseSensitive?: boolean, partialMatch?: boolean, scoreThresholds?: object }
+ * @access keywords:manage
  */
-router.put('/keywords/config', updateKeywordFilterConfig);
+router.put('/keywords/config', manageKeywords, updateKeywordFilterConfig);
 
 /**
  * @route DELETE /api/content-scraping/keywords/stats
  * @desc Reset keyword filtering statistics
+ * @access keywords:manage
  */
-router.delete('/keywords/stats', resetKeywordFilterStats);
+router.delete('/keywords/stats', manageKeywords, resetKeywordFilterStats);
 
 /**
  * @route GET /api/content-scraping/crisis
@@ -201,8 +217,9 @@ router.get('/deduplication/stats', getDeduplicationStats);
 /**
  * @route DELETE /api/content-scraping/deduplication/stats
  * @desc Reset deduplication statistics
+ * @access scraping:manage
  */
-router.delete('/deduplication/stats', resetDeduplicationStats);
+router.delete('/deduplication/stats', manageScraping, resetDeduplicationStats);
 
 /**
  * @route GET /api/content-scraping/deduplication/config
@@ -214,8 +231,9 @@ router.get('/deduplication/config', getDeduplicationConfig);
  * @route PUT /api/content-scraping/deduplication/config
  * @desc Update deduplication configuration
  * @body { exactMatchThreshold?: number, fuzzyMatchThreshold?: number, etc. }
+ * @access scraping:manage
  */
-router.put('/deduplication/config', updateDeduplicationConfig);
+router.put('/deduplication/config', manageScraping, updateDeduplicationConfig);
 
 /**
  * @route GET /api/content-scraping/deduplication/analyze
@@ -227,14 +245,16 @@ router.get('/deduplication/analyze', analyzeContentForDuplicates);
  * @route POST /api/content-scraping/deduplication/deduplicate
  * @desc Manually deduplicate provided content
  * @body { content: array, options?: object }
+ * @access scraping:manage
  */
-router.post('/deduplication/deduplicate', deduplicateContent);
+router.post('/deduplication/deduplicate', manageScraping, deduplicateContent);
 
 /**
  * @route DELETE /api/content-scraping/deduplication/cache
  * @desc Clear deduplication caches
+ * @access scraping:manage
  */
-router.delete('/deduplication/cache', clearDeduplicationCaches);
+router.delete('/deduplication/cache', manageScraping, clearDeduplicationCaches);
 
 // Auto-Posting Routes
 
@@ -248,7 +268,8 @@ router.get('/auto-posting/stats', getAutoPostingStats);
  * @route PUT /api/content-scraping/auto-posting/config
  * @desc Update auto-posting configuration
  * @body { confidenceThreshold?: number, isEnabled?: boolean, maxPostsPerHour?: number }
+ * @access scraping:manage
  */
-router.put('/auto-posting/config', updateAutoPostingConfig);
+router.put('/auto-posting/config', manageScraping, updateAutoPostingConfig);
 
 module.exports = router;
\ No newline at end of file
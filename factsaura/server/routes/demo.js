@@ -5,8 +5,13 @@ const serviceRegistry = require('../services/serviceRegistry');
 const FamilyTreeDemoData = require('../demo-data/family-tree-demo-data');
 const DemoPostsData = require('../demo-data/demo-posts-data');
 const DemoPostsCreator = require('../scripts/create-demo-posts');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
 
 const router = express.Router();
+
+// Demo data writes to the live database, so every demo route needs demo:run
+router.use(authenticateToken, requirePermission(PERMISSIONS.DEMO_RUN));
 const familyTreeService = serviceRegistry.getFamilyTreeService();
 
 // Initialize demo data generators
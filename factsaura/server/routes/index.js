@@ -4,6 +4,7 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth');
 const postsRoutes = require('./posts');
+const commentsRoutes = require('./comments');
 const aiRoutes = require('./ai');
 const usersRoutes = require('./users');
 const mutationRoutes = require('./mutations');
@@ -16,10 +17,14 @@ const gdeltRoutes = require('./gdelt');
 const serviceHealthRoutes = require('./serviceHealth');
 const contentScrapingRoutes = require('./contentScraping');
 const demoRoutes = require('./demo');
+const jobsRoutes = require('./jobs');
+const moderationRoutes = require('./moderation');
+const rolesRoutes = require('./roles');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/posts', postsRoutes);
+router.use('/comments', commentsRoutes);
 router.use('/ai', aiRoutes);
 router.use('/users', usersRoutes);
 router.use('/mutations', mutationRoutes);
@@ -32,6 +37,9 @@ router.use('/gdelt', gdeltRoutes);
 router.use('/health', serviceHealthRoutes);
 router.use('/content-scraping', contentScrapingRoutes);
 router.use('/demo', demoRoutes);
+router.use('/jobs', jobsRoutes);
+router.use('/moderation', moderationRoutes);
+router.use('/roles', rolesRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -40,6 +48,7 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       posts: '/api/posts',
+      comments: '/api/comments',
       ai: '/api/ai',
       users: '/api/users',
       mutations: '/api/mutations',
@@ -51,7 +60,10 @@ router.get('/', (req, res) => {
       gdelt: '/api/gdelt',
       health: '/api/health',
       contentScraping: '/api/content-scraping',
-      demo: '/api/demo'
+      demo: '/api/demo',
+      jobs: '/api/jobs',
+      moderation: '/api/moderation',
+      roles: '/api/roles'
     }
   });
 });
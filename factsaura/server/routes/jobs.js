@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const jobsController = require('../controllers/jobsController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+
+// Background job queue inspection (payloads carry scraped content and user IDs)
+const manageJobs = [authenticateToken, requirePermission(PERMISSIONS.JOBS_MANAGE)];
+router.get('/', manageJobs, jobsController.listJobs);
+router.get('/stats', manageJobs, jobsController.getJobStats); // must be before /:id
+router.get('/:id', manageJobs, jobsController.getJobById);
+router.post('/:id/retry', manageJobs, jobsController.retryJob);
+
+module.exports = router;
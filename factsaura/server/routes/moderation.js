@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+const { idempotent } = require('../middleware/idempotency');
+
+// Moderation queue routes (moderators and admins)
+router.get('/queue', authenticateToken, requirePermission(PERMISSIONS.MODERATION_ACT), moderationController.getQueue);
+router.get('/actions', authenticateToken, requirePermission(PERMISSIONS.MODERATION_ACT), moderationController.getActionLog);
+router.post('/:type/:id/actions', authenticateToken, requirePermission(PERMISSIONS.MODERATION_ACT), idempotent, moderationController.moderateItem);
+
+module.exports = router;
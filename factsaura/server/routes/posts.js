@@ -1,12 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const postsController = require('../controllers/postsController');
+const commentsController = require('../controllers/commentsController');
+const reanalysisController = require('../controllers/reanalysisController');
+const expertVerificationController = require('../controllers/expertVerificationController');
+const claimImportController = require('../controllers/claimImportController');
+const feedRankingController = require('../controllers/feedRankingController');
+const personalizedFeedController = require('../controllers/personalizedFeedController');
+const moderationController = require('../controllers/moderationController');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+const { idempotent } = require('../middleware/idempotency');
 
-// Posts routes (to be implemented in later tasks)
+// Posts routes
 router.get('/', postsController.getPosts);
-router.post('/', postsController.createPost);
-router.get('/:id', postsController.getPostById);
-router.put('/:id/vote', postsController.voteOnPost);
-router.get('/:id/comments', postsController.getPostComments);
+router.post('/', optionalAuth, idempotent, postsController.createPost);
+router.get('/search', postsController.searchPosts); // must be before /:id
+router.get('/export', postsController.exportPosts);
+router.get('/feed/me', authenticateToken, personalizedFeedController.getMyFeed);
+router.put('/feed/me/follows', authenticateToken, personalizedFeedController.updateMyFollows);
+router.get('/feeds/rss', postsController.getRssFeed);
+router.get('/feeds/atom', postsController.getAtomFeed);
+router.post(
+  '/import',
+  authenticateToken,
+  requirePermission(PERMISSIONS.POSTS_IMPORT),
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/jsonl'], limit: '10mb' }),
+  idempotent,
+  claimImportController.importClaims
+);
+router.post('/reanalyze', authenticateToken, requirePermission(PERMISSIONS.POSTS_REANALYZE), reanalysisController.startBatchReanalysis);
+router.get('/ranking-weights', feedRankingController.getRankingWeights);
+router.put('/ranking-weights', authenticateToken, requirePermission(PERMISSIONS.FEED_TUNE), feedRankingController.updateRankingWeights);
+router.get('/reanalyze/:batchId', authenticateToken, requirePermission(PERMISSIONS.POSTS_REANALYZE), reanalysisController.getBatchReport);
+router.get('/:id', optionalAuth, postsController.getPostById);
+router.get('/:id/analysis-status', postsController.getAnalysisStatus);
+router.get('/:id/analysis-history', reanalysisController.getAnalysisHistory);
+router.post('/:id/reanalyze', authenticateToken, requirePermission(PERMISSIONS.POSTS_REANALYZE), reanalysisController.reanalyzePost);
+router.put('/:id/vote', authenticateToken, idempotent, postsController.voteOnPost);
+router.post('/:id/report', authenticateToken, idempotent, postsController.reportPost);
+router.put('/:id/verdict', authenticateToken, idempotent, postsController.updateVerdict);
+router.get('/:id/verdict/history', postsController.getVerdictHistory);
+router.post('/:id/retraction', authenticateToken, requirePermission(PERMISSIONS.MODERATION_ACT), idempotent, moderationController.retractPost);
+router.get('/:id/expert-verifications', expertVerificationController.getExpertVerifications);
+router.post('/:id/expert-verifications', authenticateToken, requirePermission(PERMISSIONS.CONTENT_VERIFY), idempotent, expertVerificationController.verifyPost);
+router.get('/:id/comments', commentsController.getPostComments);
+router.post('/:id/comments', authenticateToken, idempotent, commentsController.createComment);
 
 module.exports = router;
\ No newline at end of file
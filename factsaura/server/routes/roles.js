@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const rolesController = require('../controllers/rolesController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
+
+// Role catalog (grants and revokes live under /api/users/:username/roles)
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE), rolesController.listRoles);
+
+module.exports = router;
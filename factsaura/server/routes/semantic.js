@@ -3,6 +3,8 @@
 
 const express = require('express');
 const SemanticSimilarityController = require('../controllers/semanticSimilarityController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
 
 const router = express.Router();
 const semanticController = new SemanticSimilarityController();
@@ -43,7 +45,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Clear semantic similarity caches
-router.post('/clear-cache', async (req, res) => {
+router.post('/clear-cache', authenticateToken, requirePermission(PERMISSIONS.CACHES_MANAGE), async (req, res) => {
   await semanticController.clearCache(req, res);
 });
 
@@ -8,6 +8,8 @@ const {
   getUsageStatistics,
   resetRateLimits
 } = require('../controllers/serviceHealthController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
 
 /**
  * Service Health Routes
@@ -54,10 +56,10 @@ router.get('/usage', getUsageStatistics);
 /**
  * @route POST /api/health/reset-rate-limits
  * @desc Reset rate limit counters (admin function)
- * @access Admin
+ * @access rate_limits:manage
  * @body {string} [service] - Optional specific service to reset
  */
-router.post('/reset-rate-limits', resetRateLimits);
+router.post('/reset-rate-limits', authenticateToken, requirePermission(PERMISSIONS.RATE_LIMITS_MANAGE), resetRateLimits);
 
 /**
  * @route GET /api/health/services
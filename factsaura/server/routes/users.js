@@ -1,11 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const usersController = require('../controllers/usersController');
+const reputationController = require('../controllers/reputationController');
+const rolesController = require('../controllers/rolesController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/roleService');
 
-// User routes (to be implemented in later tasks)
-router.post('/auth/login', usersController.login);
-router.post('/auth/signup', usersController.signup);
-router.get('/profile', usersController.getProfile);
-router.put('/preferences', usersController.updatePreferences);
+// The signed-in user's own profile and preferences (before /:username)
+router.get('/me', authenticateToken, usersController.getMyProfile);
+router.get('/me/preferences', authenticateToken, usersController.getMyPreferences);
+router.put('/me/preferences', authenticateToken, usersController.updateMyPreferences);
+router.get('/me/reputation', authenticateToken, reputationController.getMyReputation);
+router.get('/me/badges', authenticateToken, usersController.getMyBadges);
 
-module.exports = router;
\ No newline at end of file
+// Rebuild every reputation score from the scoring rules
+router.post('/reputation/recompute', authenticateToken, requirePermission(PERMISSIONS.REPUTATION_RECOMPUTE), reputationController.recomputeReputation);
+
+// Public profiles
+router.get('/:username', usersController.getProfile);
+
+// Role grants (admins only)
+const manageRoles = [authenticateToken, requirePermission(PERMISSIONS.ROLES_MANAGE)];
+router.get('/:username/roles', manageRoles, rolesController.getUserRoles);
+router.post('/:username/roles', manageRoles, rolesController.grantRole);
+router.delete('/:username/roles/:role', manageRoles, rolesController.revokeRole);
+
+module.exports = router;
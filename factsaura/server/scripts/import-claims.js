@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+// Claim Import Script
+// Imports a CSV or JSONL file of forwarded claims as posts and queues them for analysis.
+// Same validation and per-row report as POST /api/posts/import.
+
+const fs = require('fs');
+const path = require('path');
+const claimImportService = require('../services/claimImportService');
+const User = require('../models/User');
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl'
+};
+
+class ClaimImporter {
+  constructor(options) {
+    this.file = options.file;
+    this.format = options.format || EXTENSION_FORMATS[path.extname(this.file).toLowerCase()];
+    this.author = options.author || 'system';
+    this.dryRun = options.dryRun;
+  }
+
+  async run() {
+    if (!this.format) {
+      throw new Error('Could not tell the file format from its extension, pass --format csv|jsonl');
+    }
+
+    const author = await User.findByUsername(this.author);
+    if (!author) {
+      throw new Error(`User "${this.author}" not found. Please run user setup first or pass --author.`);
+    }
+
+    const text = fs.readFileSync(this.file, 'utf8');
+    console.log(`📥 ${this.dryRun ? 'Validating' : 'Importing'} ${this.format.toUpperCase()} claims from ${this.file} as ${author.username}...`);
+
+    const report = await claimImportService.importClaims(this.format, text, {
+      authorId: author.id,
+      requestedBy: author.id,
+      sourceName: path.basename(this.file),
+      dryRun: this.dryRun
+    });
+
+    this.printReport(report);
+    return report;
+  }
+
+  printReport(report) {
+    for (const row of report.rows) {
+      if (row.status === 'failed') {
+        console.log(`❌ Row ${row.row}: ${row.errors.join('; ')}`);
+      } else if (row.status === 'imported') {
+        console.log(`✅ Row ${row.row}: post ${row.post_id}${row.analysis_queued ? '' : ' (analysis not queued yet)'}`);
+      }
+    }
+
+    console.log('\n📊 IMPORT REPORT');
+    console.log('=====================================');
+    if (report.import_id) console.log(`• Import ID: ${report.import_id}`);
+    console.log(`• Rows: ${report.total_rows}`);
+    console.log(`• Valid: ${report.valid}`);
+    console.log(`• Imported: ${report.imported}${report.dry_run ? ' (dry run)' : ''}`);
+    console.log(`• Failed: ${report.failed}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--author') options.author = argv[++i];
+    else if (!options.file) options.file = arg;
+  }
+
+  return options;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file) {
+    console.log('📖 Usage:');
+    console.log('  node import-claims.js <file.csv|file.jsonl> [--format csv|jsonl] [--author username] [--dry-run]');
+    console.log('');
+    console.log('  Columns: title, content (required), source_url, location, timestamp (ISO 8601)');
+    process.exit(0);
+  }
+
+  new ClaimImporter(options).run()
+    .then(report => {
+      process.exit(report.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('\n❌ Claim import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = ClaimImporter;
@@ -47,7 +47,8 @@ app.use(generalApiLimiter);
 // CORS configuration
 app.use(cors({
   origin: [config.frontendUrl, 'http://localhost:3000', 'http://localhost:5173', 'http://localhost:5174'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Body parsing middleware
@@ -63,6 +64,14 @@ const apiRoutes = require('./routes');
 // Import and initialize content scraping scheduler
 const { initializeScheduler } = require('./controllers/contentScrapingController');
 
+// Persistent job queue and the workers that register handlers with it
+const jobQueue = require('./services/jobQueue');
+const postAnalysisWorker = require('./services/postAnalysisWorker');
+
+// Stored responses for Idempotency-Key headers, purged once their replay window has passed
+const IdempotencyKey = require('./models/IdempotencyKey');
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -89,6 +98,16 @@ app.listen(PORT, () => {
 
   // Initialize content scraping scheduler
   initializeScheduler();
+
+  // Re-queue posts still waiting for analysis, then start processing queued jobs
+  postAnalysisWorker.start();
+  jobQueue.start();
+
+  setInterval(() => {
+    IdempotencyKey.purgeExpired()
+      .then(purged => purged > 0 && console.log(`🧹 Purged ${purged} expired idempotency keys`))
+      .catch(error => console.error('❌ Failed to purge idempotency keys:', error.message));
+  }, IDEMPOTENCY_PURGE_INTERVAL_MS).unref();
 });
 
 module.exports = app;
\ No newline at end of file
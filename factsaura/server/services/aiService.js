@@ -11,6 +11,9 @@ class AIService {
     this.janAIEndpoint = `http://${this.janAIHost}:${this.janAIPort}`;
     this.janAIApiKey = process.env.JAN_AI_API_KEY || 'factsaura-key';
     this.janAIModel = process.env.JAN_AI_MODEL || 'Meta-Llama-3_1-8B-Instruct-IQ4_XS';
+
+    // Bump when _buildBasicAnalysisPrompt changes so stored analyses can be re-run (see reanalysisService)
+    this.analysisPromptVersion = process.env.AI_ANALYSIS_PROMPT_VERSION || '1';
     
     // Timeout configurations
     this.timeout = parseInt(process.env.AI_ANALYSIS_TIMEOUT) || 30000; // 30 seconds default
@@ -247,6 +250,7 @@ class AIService {
       // Add metadata
       analysisResult.processing_time_ms = processingTime;
       analysisResult.model_version = response.data.model || modelToUse;
+      analysisResult.prompt_version = this.analysisPromptVersion;
       analysisResult.analysis_timestamp = new Date().toISOString();
       analysisResult.analysis_type = 'basic_content_analysis';
       analysisResult.success = true;
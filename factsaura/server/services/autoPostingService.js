@@ -4,14 +4,31 @@
  * Implements the Auto-Posting Agent from the FactSaura specification
  */
 
+const crypto = require('crypto');
 const Post = require('../models/Post');
 const aiService = require('./aiService');
+const jobQueue = require('./jobQueue');
+
+// Job type for scraped items waiting to be checked for an auto-post
+const AUTO_POST_JOB_TYPE = 'auto_post_candidate';
+
+// When alerts go through the moderation queue:
+//   before - created unpublished and flagged; a moderator approves them to publish
+//   after  - published right away; critical alerts are also flagged for review
+//   none   - published without review
+const REVIEW_MODES = ['before', 'after', 'none'];
+
+// How long queued items wait before being checked again while auto-posting is disabled
+const DISABLED_RECHECK_MS = 15 * 60 * 1000;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
 
 class AutoPostingService {
   constructor() {
     this.confidenceThreshold = parseFloat(process.env.AUTO_POST_CONFIDENCE_THRESHOLD) || 0.7; // 70%
     this.isEnabled = process.env.AUTO_POSTING_ENABLED !== 'false'; // Default enabled
     this.maxPostsPerHour = parseInt(process.env.MAX_AUTO_POSTS_PER_HOUR) || 10;
+    this.reviewMode = REVIEW_MODES.includes(process.env.AUTO_POST_REVIEW_MODE) ? process.env.AUTO_POST_REVIEW_MODE : 'after';
     this.recentPosts = []; // Track recent posts for rate limiting
     this.systemUserId = null; // Will be set on first use
     
@@ -51,12 +68,23 @@ class AutoPostingService {
    * Check if auto-posting is allowed (rate limiting)
    */
   isRateLimited() {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
+    const oneHourAgo = Date.now() - RATE_LIMIT_WINDOW_MS;
     this.recentPosts = this.recentPosts.filter(timestamp => timestamp > oneHourAgo);
     
     return this.recentPosts.length >= this.maxPostsPerHour;
   }
 
+  /**
+   * Milliseconds until the rate limit lets another post through
+   */
+  getRateLimitResetMs() {
+    if (!this.isRateLimited()) return 0;
+
+    // The window reopens when the post that fills it falls out of the last hour
+    const blocking = this.recentPosts[this.recentPosts.length - this.maxPostsPerHour];
+    return Math.max(blocking + RATE_LIMIT_WINDOW_MS - Date.now(), 1000);
+  }
+
   /**
    * Process scraped content and create auto-posts for detected misinformation
    * @param {Object} scrapedContent - Content from monitoring agents
@@ -133,6 +161,117 @@ class AutoPostingService {
     }
   }
 
+  /**
+   * Queue scraped items as auto-post candidates on the persistent job queue.
+   * Items are checked one job at a time, crisis content first; an item that was
+   * already queued (same URL or text) is not queued again.
+   * @param {Object} scrapedContent - Content from monitoring agents
+   * @returns {Object} Queueing results
+   */
+  async enqueueScrapedContent(scrapedContent) {
+    if (!this.isEnabled) {
+      return { success: true, message: 'Auto-posting disabled', queued: 0 };
+    }
+
+    const results = {
+      processed: 0,
+      queued: 0,
+      alreadyQueued: 0,
+      skipped: 0,
+      errors: []
+    };
+
+    const allContent = [
+      ...(scrapedContent.news || []),
+      ...(scrapedContent.reddit || []),
+      ...(scrapedContent.gdelt || [])
+    ];
+
+    for (const item of allContent) {
+      results.processed++;
+
+      // Cheap checks up front so obviously ineligible items never reach the queue
+      if (this.isContentTooOld(item) || this.extractContentText(item).length < 50) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        const { created } = await jobQueue.enqueue(AUTO_POST_JOB_TYPE, { item }, {
+          priority: this.getJobPriority(item),
+          dedupeKey: this.getDedupeKey(item)
+        });
+        results[created ? 'queued' : 'alreadyQueued']++;
+      } catch (error) {
+        console.error('❌ Error queueing item for auto-post:', error.message);
+        results.errors.push({
+          item: item.title || item.content?.substring(0, 50) || 'Unknown',
+          error: error.message
+        });
+      }
+    }
+
+    console.log(`📥 Auto-posting: queued ${results.queued} of ${results.processed} items (${results.alreadyQueued} already queued)`);
+    return { success: true, ...results };
+  }
+
+  /**
+   * Check a single queued item and create an alert post if warranted
+   * (handler for 'auto_post_candidate' jobs)
+   * @param {Object} item - Scraped content item
+   * @returns {Object} Outcome stored as the job result
+   */
+  async processQueuedItem(item) {
+    // The item is deferred rather than skipped: a completed job keeps its dedupe key,
+    // so a skipped item could never be queued again
+    if (!this.isEnabled) {
+      throw jobQueue.deferral('Auto-posting disabled', DISABLED_RECHECK_MS);
+    }
+
+    if (this.isRateLimited()) {
+      throw jobQueue.deferral('Auto-posting rate limit reached', this.getRateLimitResetMs());
+    }
+
+    const decision = await this.shouldCreateAutoPost(item);
+
+    // Analysis errors are worth retrying; every other "no" is final
+    if (decision.reason === 'analysis_error') {
+      throw new Error(`AI analysis failed: ${decision.error}`);
+    }
+
+    if (!decision.create) {
+      return { created: false, reason: decision.reason, confidence: decision.confidence };
+    }
+
+    const autoPost = await this.createMisinformationAlert(item, decision.analysis);
+    if (!autoPost) {
+      throw new Error('Failed to create misinformation alert post');
+    }
+
+    this.recentPosts.push(Date.now());
+    return { created: true, post_id: autoPost.id, urgency: decision.urgency };
+  }
+
+  /**
+   * Queue priority for a scraped item based on its crisis score
+   */
+  getJobPriority(item) {
+    const crisisScore = item.crisisScore || item.keywordScores?.crisis || 0;
+
+    if (crisisScore >= 0.7) return 'critical';
+    if (crisisScore >= 0.4) return 'high';
+    if (crisisScore > 0) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Stable key for an item so the same story is only queued once
+   */
+  getDedupeKey(item) {
+    const identity = this.extractSourceUrl(item) || this.extractContentText(item);
+    return `${AUTO_POST_JOB_TYPE}:${crypto.createHash('sha1').update(identity).digest('hex')}`;
+  }
+
   /**
    * Determine if content should trigger an auto-post
    * @param {Object} item - Content item to analyze
@@ -253,8 +392,7 @@ class AutoPostingService {
         community_trust_score: 0.8, // Higher trust for AI-generated alerts
         
         // Publication status
-        is_published: true,
-        is_flagged: false,
+        ...this.getReviewState(analysis.crisis_context?.urgency_level || 'high'),
         is_verified: true // AI-generated alerts are pre-verified
       };
 
@@ -271,6 +409,21 @@ class AutoPostingService {
     }
   }
 
+  /**
+   * Publication and moderation flags for a new alert, following reviewMode
+   * @param {string} urgencyLevel - Alert urgency
+   * @returns {Object} { is_published, is_flagged }
+   */
+  getReviewState(urgencyLevel) {
+    if (this.reviewMode === 'before') {
+      return { is_published: false, is_flagged: true };
+    }
+    return {
+      is_published: true,
+      is_flagged: this.reviewMode === 'after' && urgencyLevel === 'critical'
+    };
+  }
+
   /**
    * Generate alert post content based on detected misinformation
    * @param {Object} originalItem - Original content
@@ -406,11 +559,15 @@ ${analysis.reasoning_steps?.length ?
     if (config.maxPostsPerHour !== undefined) {
       this.maxPostsPerHour = config.maxPostsPerHour;
     }
+    if (config.reviewMode !== undefined && REVIEW_MODES.includes(config.reviewMode)) {
+      this.reviewMode = config.reviewMode;
+    }
     
     console.log('⚙️ Auto-posting config updated:', {
       threshold: this.confidenceThreshold,
       enabled: this.isEnabled,
-      maxPerHour: this.maxPostsPerHour
+      maxPerHour: this.maxPostsPerHour,
+      reviewMode: this.reviewMode
     });
   }
 
@@ -422,6 +579,7 @@ ${analysis.reasoning_steps?.length ?
       isEnabled: this.isEnabled,
       confidenceThreshold: this.confidenceThreshold,
       maxPostsPerHour: this.maxPostsPerHour,
+      reviewMode: this.reviewMode,
       recentPostsCount: this.recentPosts.length,
       isRateLimited: this.isRateLimited(),
       systemUserId: this.systemUserId
@@ -429,4 +587,6 @@ ${analysis.reasoning_steps?.length ?
   }
 }
 
+AutoPostingService.JOB_TYPE = AUTO_POST_JOB_TYPE;
+
 module.exports = AutoPostingService;
\ No newline at end of file
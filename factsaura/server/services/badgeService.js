@@ -0,0 +1,168 @@
+/**
+ * Badge Service
+ * Awards badges ("Truth Detective" and friends) from a registry of definitions. Each badge
+ * names the metric it is judged on, the target to reach and the events that can move it;
+ * when one of those events happens the user's metrics are computed and any badge whose
+ * target is met is appended to users.badges. Awarding is idempotent and badges are kept
+ * once earned, even if a later verdict change lowers the metric again.
+ */
+
+const User = require('../models/User');
+const PostReport = require('../models/PostReport');
+
+// How long a critical alert counts as an active crisis after it is posted
+const ACTIVE_CRISIS_HOURS = 48;
+
+// Events badges are evaluated on
+const BADGE_EVENTS = ['post_submitted', 'vote_cast', 'post_reported', 'comment_posted', 'expert_review', 'verdict_settled'];
+
+/**
+ * The badge registry.
+ *   metric - count from get_badge_metrics (migration 024) the badge is judged on
+ *   target - value of the metric that earns the badge
+ *   events - events that can move the metric
+ */
+const BADGE_DEFINITIONS = {
+  truth_detective: {
+    name: 'Truth Detective',
+    description: 'Reported a post as false and fact-checkers confirmed it false',
+    metric: 'confirmed_catches',
+    target: 1,
+    events: ['verdict_settled']
+  },
+  reliable_source: {
+    name: 'Reliable Source',
+    description: 'Had 5 posts confirmed true',
+    metric: 'accurate_submissions',
+    target: 5,
+    events: ['verdict_settled']
+  },
+  fact_checker: {
+    name: 'Fact Checker',
+    description: 'Gave 10 expert reviews',
+    metric: 'expert_reviews',
+    target: 10,
+    events: ['expert_review']
+  },
+  crisis_helper: {
+    name: 'Crisis Helper',
+    description: `Responded to 3 critical alerts within ${ACTIVE_CRISIS_HOURS} hours of them being posted`,
+    metric: 'crisis_responses',
+    target: 3,
+    events: ['vote_cast', 'post_reported', 'comment_posted', 'expert_review']
+  },
+  steady_watch: {
+    name: 'Steady Watch',
+    description: 'Contributed on 7 days in a row',
+    metric: 'longest_streak_days',
+    target: 7,
+    events: ['post_submitted', 'vote_cast', 'post_reported', 'comment_posted', 'expert_review']
+  }
+};
+
+// Settled verdicts that can earn verdict badges
+const SETTLED_VERDICTS = ['confirmed_false', 'confirmed_true'];
+
+class BadgeService {
+  get DEFINITIONS() {
+    return BADGE_DEFINITIONS;
+  }
+
+  get EVENTS() {
+    return BADGE_EVENTS;
+  }
+
+  /**
+   * The user's metrics for every badge
+   */
+  async getMetrics(user) {
+    return user.getBadgeMetrics({
+      falsityReasons: PostReport.FALSITY_REASONS,
+      activeHours: ACTIVE_CRISIS_HOURS
+    });
+  }
+
+  /**
+   * Every badge with whether the user earned it and how far along they are
+   * @param {User} user - User
+   * @param {Object} metrics - From getMetrics
+   * @returns {Object[]} { type, name, description, earned, earned_date, progress }
+   */
+  getProgress(user, metrics) {
+    return Object.entries(BADGE_DEFINITIONS).map(([type, definition]) => {
+      const earned = (user.badges || []).find(badge => badge.type === type);
+      const current = Math.min(metrics[definition.metric] || 0, definition.target);
+
+      return {
+        type,
+        name: definition.name,
+        description: definition.description,
+        earned: Boolean(earned),
+        earned_date: earned ? earned.earned_date || null : null,
+        progress: {
+          current: earned ? definition.target : current,
+          target: definition.target,
+          percent: earned ? 100 : Math.round((current / definition.target) * 100)
+        }
+      };
+    });
+  }
+
+  /**
+   * Award the user any badge an event may have earned them.
+   * Badges never block the action that triggered them: failures are logged and skipped.
+   * @param {string} userId - User who acted or was affected
+   * @param {string} event - One of BADGE_EVENTS
+   * @returns {Object[]} Badges awarded now
+   */
+  async evaluate(userId, event) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return [];
+
+      const held = new Set((user.badges || []).map(badge => badge.type));
+      const candidates = Object.entries(BADGE_DEFINITIONS)
+        .filter(([type, definition]) => definition.events.includes(event) && !held.has(type));
+      if (candidates.length === 0) return [];
+
+      const metrics = await this.getMetrics(user);
+      const awarded = [];
+
+      for (const [type, definition] of candidates) {
+        if ((metrics[definition.metric] || 0) < definition.target) continue;
+
+        const badge = { type, name: definition.name, earned_date: new Date().toISOString() };
+        if (await user.awardBadge(badge)) {
+          console.log(`🏅 ${user.username || user.id} earned ${definition.name}`);
+          awarded.push(badge);
+        }
+      }
+
+      return awarded;
+    } catch (error) {
+      console.error(`❌ Failed to evaluate badges for user ${userId} on ${event}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Evaluate verdict badges for a post's author and everyone who reported it as false
+   * @param {Post} post - Post after the verdict change
+   */
+  async evaluateVerdict(post) {
+    if (!SETTLED_VERDICTS.includes(post.verdict)) return;
+
+    try {
+      const reports = await PostReport.findByPosts([post.id], { reasons: PostReport.FALSITY_REASONS });
+      const userIds = new Set([post.author_id, ...reports.map(report => report.user_id)].filter(Boolean));
+
+      for (const userId of userIds) {
+        await this.evaluate(userId, 'verdict_settled');
+      }
+    } catch (error) {
+      console.error(`❌ Failed to evaluate verdict badges for post ${post.id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new BadgeService();
@@ -0,0 +1,313 @@
+// Claim Import Service - bulk import of forwarded claims from CSV or JSONL into posts
+const Post = require('../models/Post');
+const ClaimImport = require('../models/ClaimImport');
+const postsService = require('./postsService');
+const postAnalysisWorker = require('./postAnalysisWorker');
+const geoService = require('./geoService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const FORMATS = ['csv', 'jsonl'];
+
+// Columns read from each row; anything else in the file is ignored
+const COLUMNS = ['title', 'content', 'source_url', 'location', 'timestamp'];
+
+const LOCATION_MAX_LENGTH = 100; // posts.location_relevance
+const SOURCE_URL_MAX_LENGTH = 2048;
+
+// Imported claims are queued behind posts people are submitting live
+const IMPORT_ANALYSIS_PRIORITY = 'medium';
+
+class ClaimImportService {
+  constructor() {
+    this.maxRows = parseInt(process.env.CLAIM_IMPORT_MAX_ROWS) || 500;
+  }
+
+  /**
+   * Import claims as posts and queue them for analysis
+   * @param {string} format - 'csv' or 'jsonl'
+   * @param {string} text - File contents
+   * @param {Object} options - { authorId, requestedBy, sourceName, dryRun }
+   * @returns {Object} Import report with one entry per row
+   */
+  async importClaims(format, text, { authorId, requestedBy = null, sourceName = null, dryRun = false }) {
+    const rows = this.parse(format, text);
+
+    if (rows.length === 0) {
+      throw new APIError('The file contains no claims', 400, 'EMPTY_IMPORT');
+    }
+    if (rows.length > this.maxRows) {
+      throw new APIError(`Imports are limited to ${this.maxRows} claims, split the file and try again`, 400, 'IMPORT_TOO_LARGE');
+    }
+
+    const results = this.validateRows(rows);
+
+    if (dryRun) {
+      return this._buildReport({ format, dryRun, results });
+    }
+
+    const claimImport = await ClaimImport.create({
+      format,
+      source_name: sourceName,
+      requested_by: requestedBy,
+      total_rows: rows.length
+    });
+
+    for (const result of results) {
+      if (result.status !== 'valid') continue;
+
+      try {
+        const { title, content, location_relevance } = result.claim;
+        const geography = geoService.locatePost(location_relevance, `${title}\n${content}`);
+        const post = await Post.create(postsService.buildSubmittedPost({
+          ...result.claim,
+          ...geoService.toPostColumns(geography),
+          author_id: authorId,
+          import_id: claimImport.id
+        }));
+        result.status = 'imported';
+        result.post_id = post.id;
+      } catch (error) {
+        console.error(`❌ Failed to import claim on row ${result.row}:`, error.message);
+        result.status = 'failed';
+        result.errors = ['Could not be saved'];
+        continue;
+      }
+
+      // Posts left pending are re-queued by the worker on startup
+      try {
+        await postAnalysisWorker.enqueue(result.post_id, { priority: IMPORT_ANALYSIS_PRIORITY });
+        result.analysis_queued = true;
+      } catch (error) {
+        console.error(`❌ Failed to queue analysis for imported post ${result.post_id}:`, error.message);
+        result.analysis_queued = false;
+      }
+    }
+
+    const report = this._buildReport({ format, dryRun, results });
+    await claimImport.complete(report.imported, report.failed);
+
+    return { import_id: claimImport.id, ...report };
+  }
+
+  /**
+   * Split a file into rows of raw fields
+   * @returns {Object[]} [{ row, fields, error }] - row is 1-based, not counting a CSV header
+   */
+  parse(format, text) {
+    if (!FORMATS.includes(format)) {
+      throw new APIError(`format must be one of: ${FORMATS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    // Spreadsheet exports often start with a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+    return format === 'csv' ? this._parseCsv(input) : this._parseJsonl(input);
+  }
+
+  /**
+   * Validate parsed rows with the same rules as POST /api/posts
+   * @returns {Object[]} [{ row, status: 'valid'|'failed', claim, errors }]
+   */
+  validateRows(rows) {
+    const seenContent = new Map();
+
+    return rows.map(({ row, fields, error }) => {
+      if (error) return { row, status: 'failed', errors: [error] };
+
+      const { claim, errors } = this._validateFields(fields);
+      if (errors.length === 0) {
+        const key = claim.content.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (seenContent.has(key)) {
+          errors.push(`Same claim as row ${seenContent.get(key)}`);
+        } else {
+          seenContent.set(key, row);
+        }
+      }
+
+      return errors.length > 0
+        ? { row, status: 'failed', errors }
+        : { row, status: 'valid', claim };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _validateFields(fields) {
+    const errors = [];
+    const value = name => {
+      const raw = fields[name];
+      if (raw === undefined || raw === null) return null;
+      return typeof raw === 'string' ? raw.trim() || null : raw;
+    };
+
+    const title = value('title');
+    const content = value('content');
+    const postError = postsService.validateNewPost({ title, content });
+    if (postError) {
+      errors.push(postError.message);
+    }
+
+    const sourceUrl = value('source_url');
+    if (sourceUrl !== null && !this._isHttpUrl(sourceUrl)) {
+      errors.push('source_url must be an http or https URL');
+    }
+
+    const location = value('location');
+    if (location !== null && (typeof location !== 'string' || location.length > LOCATION_MAX_LENGTH)) {
+      errors.push(`location must be ${LOCATION_MAX_LENGTH} characters or less`);
+    }
+
+    const timestamp = value('timestamp');
+    let seenAt = null;
+    if (timestamp !== null) {
+      const parsed = typeof timestamp === 'string' ? Date.parse(timestamp) : NaN;
+      if (isNaN(parsed)) {
+        errors.push('timestamp must be an ISO 8601 date');
+      } else if (parsed > Date.now()) {
+        errors.push('timestamp cannot be in the future');
+      } else {
+        seenAt = new Date(parsed).toISOString();
+      }
+    }
+
+    return {
+      errors,
+      claim: {
+        title,
+        content,
+        source_url: sourceUrl,
+        location_relevance: location,
+        claim_seen_at: seenAt
+      }
+    };
+  }
+
+  _isHttpUrl(value) {
+    if (typeof value !== 'string' || value.length > SOURCE_URL_MAX_LENGTH) return false;
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * One JSON object per line; a line that fails to parse only fails its own row
+   */
+  _parseJsonl(text) {
+    const rows = [];
+    const lines = text.split(/\r?\n/);
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const row = rows.length + 1;
+
+      try {
+        const parsed = JSON.parse(line);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          rows.push({ row, error: 'Line must be a JSON object' });
+        } else {
+          rows.push({ row, fields: this._pickColumns(parsed) });
+        }
+      } catch (error) {
+        rows.push({ row, error: 'Line is not valid JSON' });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * RFC 4180 CSV with a header row. Quoted fields may contain commas, line breaks and "" escapes.
+   */
+  _parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new APIError('CSV has an unterminated quoted field', 400, 'INVALID_IMPORT_FILE');
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    // "Source URL" and "source-url" both name the source_url column
+    const header = nonEmpty[0].map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    if (!header.includes('title') || !header.includes('content')) {
+      throw new APIError('CSV header must include title and content columns', 400, 'INVALID_IMPORT_FILE');
+    }
+
+    return nonEmpty.slice(1).map((values, index) => {
+      const fields = {};
+      header.forEach((name, column) => {
+        fields[name] = values[column];
+      });
+      return { row: index + 1, fields: this._pickColumns(fields) };
+    });
+  }
+
+  _pickColumns(fields) {
+    const picked = {};
+    for (const column of COLUMNS) {
+      if (fields[column] !== undefined) picked[column] = fields[column];
+    }
+    return picked;
+  }
+
+  _buildReport({ format, dryRun, results }) {
+    const failed = results.filter(result => result.status === 'failed').length;
+
+    return {
+      format,
+      dry_run: dryRun,
+      total_rows: results.length,
+      imported: results.filter(result => result.status === 'imported').length,
+      valid: results.filter(result => result.status !== 'failed').length,
+      failed,
+      rows: results.map(({ row, status, post_id, analysis_queued, errors }) => ({
+        row,
+        status,
+        post_id: post_id || null,
+        analysis_queued: analysis_queued !== undefined ? analysis_queued : null,
+        errors: errors || []
+      }))
+    };
+  }
+}
+
+module.exports = new ClaimImportService();
@@ -0,0 +1,176 @@
+// Comments Service - handles threaded discussion business logic
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const badgeService = require('./badgeService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// Deepest allowed reply level (0 = top-level comment)
+const MAX_THREAD_DEPTH = 5;
+
+class CommentsService {
+  /**
+   * Get paginated comment threads for a post
+   * @param {string} postId - Post ID
+   * @param {Object} options - { page, limit, sort }
+   * @returns {Object} Threads with pagination metadata
+   */
+  async getPostComments(postId, { page = 1, limit = 20, sort = 'top' } = {}) {
+    await this._getPublishedPost(postId);
+
+    const offset = (page - 1) * limit;
+    const { comments, total } = await Comment.getThreadsForPost(postId, {
+      limit,
+      offset,
+      sort,
+      maxDepth: MAX_THREAD_DEPTH
+    });
+
+    return {
+      comments: comments.map(comment => comment.toJSON()),
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_threads: total,
+        has_more: offset + limit < total,
+        next_page: offset + limit < total ? page + 1 : null,
+        prev_page: page > 1 ? page - 1 : null
+      },
+      sort
+    };
+  }
+
+  /**
+   * Create a comment or a reply
+   * @param {string} postId - Post being discussed
+   * @param {string} authorId - Commenting user
+   * @param {Object} input - { content, parent_id, expertise_tags }
+   */
+  async createComment(postId, authorId, { content, parent_id = null, expertise_tags = [] }) {
+    await this._getPublishedPost(postId);
+
+    let depth = 0;
+    if (parent_id) {
+      const parent = await Comment.findById(parent_id);
+
+      if (!parent || parent.post_id !== postId) {
+        throw new APIError('Parent comment not found on this post', 404, 'PARENT_COMMENT_NOT_FOUND');
+      }
+      if (parent.is_deleted) {
+        throw new APIError('Cannot reply to a deleted comment', 400, 'PARENT_COMMENT_DELETED');
+      }
+      if (parent.depth >= MAX_THREAD_DEPTH) {
+        throw new APIError(`Replies cannot be nested more than ${MAX_THREAD_DEPTH} levels deep`, 400, 'THREAD_TOO_DEEP');
+      }
+
+      depth = parent.depth + 1;
+    }
+
+    const comment = await Comment.create({
+      post_id: postId,
+      author_id: authorId,
+      parent_id,
+      depth,
+      content,
+      expertise_tags
+    });
+
+    await badgeService.evaluate(authorId, 'comment_posted');
+    return comment;
+  }
+
+  /**
+   * Edit a comment's content (author only)
+   */
+  async editComment(commentId, userId, { content, expertise_tags }) {
+    const comment = await this._getOwnComment(commentId, userId);
+    return comment.edit(content, expertise_tags);
+  }
+
+  /**
+   * Soft-delete a comment (author only)
+   */
+  async deleteComment(commentId, userId) {
+    const comment = await this._getOwnComment(commentId, userId);
+    return comment.softDelete();
+  }
+
+  /**
+   * Flag a comment for moderation
+   */
+  async flagComment(commentId, userId, reason, details) {
+    const comment = await this._getActiveComment(commentId);
+
+    const flagged = await Comment.flag(comment.id, userId, reason, details);
+    if (!flagged) {
+      throw new APIError('You have already flagged this comment', 409, 'ALREADY_FLAGGED');
+    }
+
+    return { comment_id: comment.id, is_flagged: true, reason };
+  }
+
+  /**
+   * Vote on a comment's community score
+   * @param {number} value - 1 (helpful), -1 (unhelpful) or 0 (retract)
+   */
+  async voteOnComment(commentId, userId, value) {
+    const comment = await this._getActiveComment(commentId);
+
+    if (comment.author_id === userId) {
+      throw new APIError('You cannot vote on your own comment', 403, 'SELF_VOTE_NOT_ALLOWED');
+    }
+
+    const result = await Comment.vote(comment.id, userId, value);
+    return { comment_id: comment.id, ...result };
+  }
+
+  /**
+   * Mark a comment as expert verified
+   */
+  async verifyComment(commentId, expertId) {
+    const comment = await this._getActiveComment(commentId);
+
+    if (comment.author_id === expertId) {
+      throw new APIError('Experts cannot verify their own comments', 403, 'SELF_VERIFICATION_NOT_ALLOWED');
+    }
+    if (comment.is_expert_verified) {
+      throw new APIError('Comment is already expert verified', 409, 'ALREADY_VERIFIED');
+    }
+
+    return comment.verify(expertId);
+  }
+
+  /**
+   * @private
+   */
+  async _getPublishedPost(postId) {
+    const post = await Post.findById(postId);
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+    return post;
+  }
+
+  /**
+   * @private
+   */
+  async _getActiveComment(commentId) {
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.is_deleted) {
+      throw new APIError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+    }
+    return comment;
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnComment(commentId, userId) {
+    const comment = await this._getActiveComment(commentId);
+    if (comment.author_id !== userId) {
+      throw new APIError('You can only modify your own comments', 403, 'NOT_COMMENT_AUTHOR');
+    }
+    return comment;
+  }
+}
+
+module.exports = new CommentsService();
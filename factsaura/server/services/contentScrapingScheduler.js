@@ -11,6 +11,7 @@ const TrendingTopicDetectionService = require('./trendingTopicDetectionService')
 const KeywordFilterService = require('./keywordFilterService');
 const ContentDeduplicationService = require('./contentDeduplicationService');
 const AutoPostingService = require('./autoPostingService');
+const jobQueue = require('./jobQueue');
 const { apiKeyManager } = require('../config/apiKeys');
 
 class ContentScrapingScheduler {
@@ -24,6 +25,11 @@ class ContentScrapingScheduler {
     this.deduplicationService = new ContentDeduplicationService();
     this.autoPostingService = new AutoPostingService();
     
+    // Auto-post candidates are checked by the job queue worker, one job per item
+    jobQueue.registerHandler(AutoPostingService.JOB_TYPE, payload =>
+      this.autoPostingService.processQueuedItem(payload.item)
+    );
+    
     // Scheduler configuration
     this.isRunning = false;
     this.intervalId = null;
@@ -136,9 +142,9 @@ class ContentScrapingScheduler {
       const basicAnalysis = await this.analyzeScrapedContent();
       const trendingAnalysis = await this.trendingDetectionService.detectTrendingTopics(this.latestContent);
       
-      // 🤖 AUTO-POSTING: Process content for automatic misinformation alerts
-      console.log('🤖 Running auto-posting analysis...');
-      const autoPostingResult = await this.autoPostingService.processScrapedContent(this.latestContent);
+      // 🤖 AUTO-POSTING: Queue content for automatic misinformation alerts
+      console.log('🤖 Queueing content for auto-posting analysis...');
+      const autoPostingResult = await this.autoPostingService.enqueueScrapedContent(this.latestContent);
       
       // Combine analyses
       const analysis = {
@@ -154,7 +160,7 @@ class ContentScrapingScheduler {
       console.log(`✅ Scraping cycle #${this.runCount} completed in ${duration}ms`);
       console.log(`📊 Content summary: ${analysis.totalItems} items, ${analysis.crisisItems} crisis alerts, ${analysis.trendingItems} trending`);
       console.log(`🔥 Trending analysis: ${analysis.trending?.summary?.trendingCount || 0} trending topics, ${analysis.trending?.summary?.viralCount || 0} viral topics`);
-      console.log(`🤖 Auto-posting: ${analysis.autoPosting?.postsCreated || 0} misinformation alerts created`);
+      console.log(`🤖 Auto-posting: ${analysis.autoPosting?.queued || 0} items queued for misinformation checks`);
 
       return {
         success: true,
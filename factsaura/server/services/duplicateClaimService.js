@@ -0,0 +1,159 @@
+// Duplicate Claim Service - matches a submission against posts that were already checked
+const Post = require('../models/Post');
+const SemanticSimilarityService = require('./semanticSimilarityService');
+const exportService = require('./exportService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// What a submitter may do with an already-checked claim:
+// link - create the post, sharing the earlier post's analysis instead of re-running it
+// merge - create nothing; the earlier post counts one more submission
+// ignore - the claim is different after all; create and analyze the post as usual
+const RESOLUTIONS = ['link', 'merge', 'ignore'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Full-text matches compared semantically, and how many are offered back
+const CANDIDATE_POOL_SIZE = 25;
+const MAX_CANDIDATES = 5;
+
+class DuplicateClaimService {
+  constructor() {
+    this.semanticSimilarity = new SemanticSimilarityService();
+
+    // Reworded forwards of the same rumor score about 0.5-0.6; unrelated alerts about 0.2-0.3
+    this.minSimilarity = parseFloat(process.env.DUPLICATE_CLAIM_MIN_SIMILARITY) || 0.5;
+  }
+
+  get RESOLUTIONS() {
+    return RESOLUTIONS;
+  }
+
+  /**
+   * Check how a submitter chose to resolve a duplicate
+   * @returns {string|null} Error message, or null if valid (or absent)
+   */
+  validateResolution(resolution, duplicateOf) {
+    if (resolution === undefined || resolution === null) {
+      return duplicateOf === undefined || duplicateOf === null
+        ? null
+        : 'duplicate_of needs a duplicate_resolution of link or merge';
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+      return `duplicate_resolution must be one of: ${RESOLUTIONS.join(', ')}`;
+    }
+    if (resolution !== 'ignore' && (typeof duplicateOf !== 'string' || !UUID_PATTERN.test(duplicateOf))) {
+      return `duplicate_of must be a valid post ID to ${resolution} a submission`;
+    }
+    return null;
+  }
+
+  /**
+   * Already-checked posts making the same claim as a submission, most similar first.
+   * A failing check never blocks a submission: it logs and finds nothing.
+   * @param {Object} submission - { title, content }
+   * @returns {Object[]} Candidates (see toCandidate)
+   */
+  async findAlreadyChecked({ title, content }) {
+    const text = `${title}\n${content}`;
+
+    try {
+      const posts = await Post.findDuplicateCandidates(text, CANDIDATE_POOL_SIZE);
+      if (posts.length === 0) return [];
+
+      const variants = await this.semanticSimilarity.findVariants(
+        text,
+        posts.map(post => ({ post, content: `${post.title}\n${post.content}` })),
+        { minSimilarity: this.minSimilarity, maxResults: MAX_CANDIDATES }
+      );
+
+      return variants.map(variant => this.toCandidate(variant.post, variant.similarity_score, variant.variant_type));
+    } catch (error) {
+      console.error('❌ Duplicate claim check failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * What a submitter is shown about an already-checked post
+   * @param {Post} post - Already-checked post
+   * @param {number} similarity - Semantic similarity to the submission, if it was compared
+   * @param {string} variantType - How the submission differs from it, if it was compared
+   */
+  toCandidate(post, similarity, variantType) {
+    return {
+      post_id: post.id,
+      title: post.title,
+      url: exportService.getPostUrl(post),
+      similarity: similarity === undefined ? null : Math.round(similarity * 1000) / 1000,
+      variant_type: variantType || null,
+      verdict: {
+        status: post.verdict,
+        reason: post.verdict_reason,
+        changed_at: post.verdict_changed_at
+      },
+      ai_analysis: {
+        is_misinformation: post.ai_analysis.is_misinformation,
+        confidence_score: post.ai_analysis.confidence_score,
+        explanation: post.ai_analysis.explanation || null
+      },
+      duplicate_submissions: post.duplicate_submissions,
+      created_at: post.created_at
+    };
+  }
+
+  /**
+   * The already-checked post a submission is linked or merged into
+   */
+  async getOriginal(postId) {
+    const post = await Post.findById(postId);
+    if (!post || !post.is_published || post.retracted_at) {
+      throw new APIError('Duplicate post not found', 404, 'DUPLICATE_POST_NOT_FOUND');
+    }
+    if (post.duplicate_of_post_id) {
+      throw new APIError(
+        'That post is itself a duplicate; link or merge into the post it duplicates',
+        409,
+        'NOT_ORIGINAL_POST'
+      );
+    }
+    if (post.analysis_status !== 'completed' && post.verdict === 'pending') {
+      throw new APIError('That post has not been checked yet', 409, 'NOT_YET_CHECKED');
+    }
+    return post;
+  }
+
+  /**
+   * Columns for a new post linked to an already-checked one: its crisis context and
+   * analysis, marked completed so the post is not queued for analysis
+   */
+  getLinkedColumns(original) {
+    const { crisis_context: crisis, ai_analysis: analysis } = original;
+
+    return {
+      urgency_level: crisis.urgency_level,
+      harm_category: crisis.harm_category,
+      crisis_keywords: crisis.crisis_keywords,
+      confidence_score: analysis.confidence_score,
+      is_misinformation: analysis.is_misinformation,
+      analysis_explanation: analysis.explanation,
+      reasoning_steps: analysis.reasoning_steps,
+      sources_checked: analysis.sources_checked,
+      uncertainty_flags: analysis.uncertainty_flags,
+      analysis_timestamp: analysis.analysis_timestamp || null,
+      duplicate_of_post_id: original.id,
+      analysis_status: 'completed',
+      analysis_completed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Merge a submission into an already-checked post instead of creating a new one
+   * @returns {Post} The post, with its submission count updated
+   */
+  async mergeSubmission(postId) {
+    const original = await this.getOriginal(postId);
+    return original.recordDuplicateSubmission();
+  }
+}
+
+module.exports = new DuplicateClaimService();
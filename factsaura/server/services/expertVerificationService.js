@@ -0,0 +1,135 @@
+// Expert Verification Service - reviews of posts by experts in the post's domain
+const Post = require('../models/Post');
+const ExpertVerification = require('../models/ExpertVerification');
+const reputationService = require('./reputationService');
+const badgeService = require('./badgeService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// Expert domain covering each harm category. Financial and general claims have no
+// specialist domain, but local knowledge covers any post tied to a place.
+const HARM_CATEGORY_DOMAINS = {
+  health: 'health',
+  safety: 'safety'
+};
+
+class ExpertVerificationService {
+  /**
+   * Record an expert review of a post and apply its verdict
+   * @param {string} postId - Post ID
+   * @param {Object} user - Reviewing expert (req.user)
+   * @param {Object} review - { verdict, domain, evidence_links, notes }
+   * @returns {Object} { post, verification, previous_verdict, change, expert_verifications_given }
+   */
+  async verifyPost(postId, user, { verdict, domain = null, evidence_links, notes }) {
+    if (!user.is_expert) {
+      throw new APIError('Only verified experts can review posts', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+
+    if (post.author_id === user.id) {
+      throw new APIError('You cannot review your own post', 403, 'SELF_VERIFICATION_NOT_ALLOWED');
+    }
+
+    const postDomains = this.getPostDomains(post);
+    const matchingDomains = this.getExpertDomains(user).filter(area => postDomains.includes(area));
+    if (matchingDomains.length === 0 || (domain && !matchingDomains.includes(domain))) {
+      throw new APIError(
+        `This post needs expertise in: ${postDomains.join(', ') || 'none of the reviewable domains'}`,
+        403,
+        'EXPERTISE_MISMATCH'
+      );
+    }
+    const reviewDomain = domain || matchingDomains[0];
+
+    const targetVerdict = this.resolveVerdict(post.verdict, verdict);
+
+    const result = await ExpertVerification.record({
+      post_id: postId,
+      expert_id: user.id,
+      verdict,
+      domain: reviewDomain,
+      evidence_links,
+      notes
+    });
+
+    if (!result) {
+      throw new APIError('You have already reviewed this post', 409, 'ALREADY_VERIFIED');
+    }
+
+    const previousVerdict = post.verdict;
+    let change = null;
+    if (targetVerdict) {
+      change = await post.transitionVerdict(targetVerdict, {
+        changedBy: user.id,
+        actorRole: 'expert',
+        reason: `Expert review (${reviewDomain}): ${notes}`
+      });
+
+      // The review still stands if someone else moved the verdict first;
+      // agreement is worked out against whatever the verdict is now
+      if (!change) {
+        console.warn(`⚠️ Verdict on post ${postId} changed during expert review, keeping ${post.verdict}`);
+      } else {
+        await reputationService.applyVerdict(post);
+        await badgeService.evaluateVerdict(post);
+      }
+    }
+
+    const agreeing = result.tally[post.verdict] || 0;
+    const agreement = Math.round((agreeing / result.expert_verifications) * 1000) / 1000;
+    await post.refreshExpertAgreement(result.expert_verifications, agreement);
+
+    await badgeService.evaluate(user.id, 'expert_review');
+
+    return {
+      post,
+      verification: result.verification,
+      previous_verdict: previousVerdict,
+      change,
+      expert_verifications_given: (user.expert_verifications_given || 0) + 1
+    };
+  }
+
+  /**
+   * Verdict a post moves to after an expert review, or null if the review agrees with it.
+   * An expert contradicting a settled verdict reopens the post as disputed.
+   */
+  resolveVerdict(currentVerdict, reviewVerdict) {
+    if (currentVerdict === reviewVerdict) return null;
+    if ((Post.VERDICT_TRANSITIONS[currentVerdict] || []).includes(reviewVerdict)) return reviewVerdict;
+    if (currentVerdict === 'confirmed_false' || currentVerdict === 'confirmed_true') return 'disputed';
+
+    throw new APIError(`Cannot review a post whose verdict is ${currentVerdict}`, 409, 'INVALID_VERDICT_TRANSITION');
+  }
+
+  /**
+   * Expert domains able to review a post
+   */
+  getPostDomains(post) {
+    const domains = [];
+    const categoryDomain = HARM_CATEGORY_DOMAINS[post.crisis_context.harm_category];
+    if (categoryDomain) domains.push(categoryDomain);
+
+    const location = post.crisis_context.location_relevance;
+    if (location && location !== 'global') domains.push('local_knowledge');
+
+    return domains;
+  }
+
+  /**
+   * Review domains listed on an expert's profile. expertise_areas is free text,
+   * so "Local knowledge" and "local-knowledge" both count as local_knowledge.
+   */
+  getExpertDomains(user) {
+    return (user.expertise_areas || [])
+      .map(area => String(area).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+      .filter(area => ExpertVerification.DOMAINS.includes(area));
+  }
+}
+
+module.exports = new ExpertVerificationService();
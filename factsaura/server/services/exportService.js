@@ -0,0 +1,225 @@
+// Export Service - posts and their verdicts as CSV, JSONL and schema.org ClaimReview JSON-LD
+const Post = require('../models/Post');
+const config = require('../config');
+
+const FORMATS = ['csv', 'jsonl', 'claimreview'];
+
+// Posts are read from the feed in pages of this size while an export streams
+const EXPORT_PAGE_SIZE = 200;
+
+// Flat columns of CSV and JSONL exports, in CSV column order
+const EXPORT_COLUMNS = [
+  'id', 'url', 'title', 'content', 'post_type', 'source_url',
+  'verdict', 'verdict_reason', 'verdict_changed_at',
+  'retracted_at', 'retraction_reason', 'corrected_post_url',
+  'is_misinformation', 'confidence_score', 'analysis_explanation', 'sources_checked',
+  'urgency_level', 'location_relevance', 'harm_category',
+  'upvotes', 'downvotes', 'expert_verifications', 'community_trust_score',
+  'claim_seen_at', 'created_at', 'updated_at'
+];
+
+// ClaimReview ratings for verdicts a person has set (1 = false, 5 = true)
+const VERDICT_RATINGS = {
+  confirmed_false: { value: 1, name: 'False' },
+  disputed: { value: 3, name: 'Disputed' },
+  outdated: { value: 3, name: 'Outdated' },
+  confirmed_true: { value: 5, name: 'True' }
+};
+
+// Google shows the claim as a snippet; longer posts are cut at a word boundary
+const CLAIM_MAX_LENGTH = 500;
+
+class ExportService {
+  constructor() {
+    this.maxPosts = parseInt(process.env.EXPORT_MAX_POSTS) || 5000;
+  }
+
+  get FORMATS() {
+    return FORMATS;
+  }
+
+  /**
+   * Page through published posts matching the feed filters, newest first
+   * @param {Object} filters - { urgency_level, location, is_misinformation }
+   * @param {number} maxPosts - Stop after this many posts
+   * @yields {Post[]} One page of posts at a time
+   */
+  async *iteratePosts(filters, maxPosts = this.maxPosts) {
+    let after = null;
+    let exported = 0;
+
+    while (exported < maxPosts) {
+      const limit = Math.min(EXPORT_PAGE_SIZE, maxPosts - exported);
+      const posts = await Post.getFeed({
+        ...filters,
+        limit,
+        after,
+        sort_by: 'created_at',
+        sort_order: 'desc'
+      });
+
+      if (posts.length === 0) return;
+      yield posts;
+
+      exported += posts.length;
+      if (posts.length < limit) return;
+
+      const last = posts[posts.length - 1];
+      after = { value: last.created_at, id: last.id };
+    }
+  }
+
+  /**
+   * Public page of a post, used as the ClaimReview url
+   */
+  getPostUrl(post) {
+    return `${config.frontendUrl.replace(/\/$/, '')}/posts/${post.id}`;
+  }
+
+  /**
+   * Flat record of a post for CSV and JSONL exports
+   */
+  toExportRecord(post) {
+    const analysis = post.ai_analysis;
+
+    return {
+      id: post.id,
+      url: this.getPostUrl(post),
+      title: post.title,
+      content: post.content,
+      post_type: post.type,
+      source_url: post.source_url || null,
+      verdict: post.verdict,
+      verdict_reason: post.verdict_reason,
+      verdict_changed_at: post.verdict_changed_at,
+      retracted_at: post.retracted_at,
+      retraction_reason: post.retraction_reason,
+      corrected_post_url: post.corrected_post_id ? this.getPostUrl({ id: post.corrected_post_id }) : null,
+      is_misinformation: analysis.is_misinformation,
+      confidence_score: analysis.confidence_score,
+      analysis_explanation: analysis.explanation || null,
+      sources_checked: (analysis.sources_checked || []).map(source => source.url).filter(Boolean),
+      urgency_level: post.crisis_context.urgency_level,
+      location_relevance: post.crisis_context.location_relevance,
+      harm_category: post.crisis_context.harm_category,
+      upvotes: post.engagement.upvotes,
+      downvotes: post.engagement.downvotes,
+      expert_verifications: post.engagement.expert_verifications,
+      community_trust_score: post.engagement.community_trust_score,
+      claim_seen_at: post.claim_seen_at,
+      created_at: post.created_at,
+      updated_at: post.updated_at
+    };
+  }
+
+  /**
+   * schema.org ClaimReview for a post, or null while there is nothing to publish yet
+   * (no human verdict and the AI analysis has not finished)
+   */
+  toClaimReview(post) {
+    const rating = this.getReviewRating(post);
+    if (!rating) return null;
+
+    const sources = (post.ai_analysis.sources_checked || []).map(source => source.url).filter(Boolean);
+    const claimDate = post.claim_seen_at || post.created_at;
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'ClaimReview',
+      url: this.getPostUrl(post),
+      claimReviewed: this._truncateClaim(post.content || post.title),
+      datePublished: post.created_at,
+      dateModified: post.retracted_at || post.verdict_changed_at || post.updated_at || post.created_at,
+      author: {
+        '@type': 'Organization',
+        name: 'FactSaura',
+        url: config.frontendUrl
+      },
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: rating.value,
+        bestRating: 5,
+        worstRating: 1,
+        alternateName: rating.name,
+        ...(post.ai_analysis.explanation ? { ratingExplanation: post.ai_analysis.explanation } : {})
+      },
+      itemReviewed: {
+        '@type': 'Claim',
+        ...(claimDate ? { datePublished: claimDate } : {}),
+        ...(post.source_url ? { appearance: [{ '@type': 'CreativeWork', url: post.source_url }] } : {}),
+        ...(post.crisis_context.location_relevance && post.crisis_context.location_relevance !== 'global'
+          ? { contentLocation: { '@type': 'Place', name: post.crisis_context.location_relevance } }
+          : {})
+      },
+      ...(sources.length > 0 ? { citation: sources.map(url => ({ '@type': 'CreativeWork', url })) } : {}),
+      ...(post.retracted_at ? { correction: this._toCorrection(post) } : {})
+    };
+  }
+
+  /**
+   * Rating for a post: a human verdict when there is one, otherwise the AI verdict
+   * scaled by its confidence (a confident "misinformation" call rates 1, an unsure one 2)
+   * @returns {Object|null} { value, name }
+   */
+  getReviewRating(post) {
+    if (VERDICT_RATINGS[post.verdict]) return VERDICT_RATINGS[post.verdict];
+    if (post.analysis_status !== 'completed') return null;
+
+    const { is_misinformation, confidence_score } = post.ai_analysis;
+    const confidence = Math.min(1, Math.max(0, confidence_score || 0));
+    const percent = Math.round(confidence * 100);
+
+    return is_misinformation
+      ? { value: Math.round(1 + (1 - confidence) * 2), name: `Likely false (AI, ${percent}% confidence)` }
+      : { value: Math.round(5 - (1 - confidence) * 2), name: `Likely true (AI, ${percent}% confidence)` };
+  }
+
+  /**
+   * CSV header line
+   */
+  csvHeader() {
+    return `${EXPORT_COLUMNS.join(',')}\r\n`;
+  }
+
+  /**
+   * CSV line for an export record
+   */
+  toCsvRow(record) {
+    return `${EXPORT_COLUMNS.map(column => this._csvValue(record[column])).join(',')}\r\n`;
+  }
+
+  /**
+   * @private
+   */
+  _csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+
+    // Keep spreadsheet apps from evaluating user-written text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _toCorrection(post) {
+    return {
+      '@type': 'CorrectionComment',
+      text: post.retraction_reason,
+      datePublished: post.retracted_at,
+      ...(post.corrected_post_id ? { url: this.getPostUrl({ id: post.corrected_post_id }) } : {})
+    };
+  }
+
+  _truncateClaim(text) {
+    if (!text || text.length <= CLAIM_MAX_LENGTH) return text;
+
+    const cut = text.slice(0, CLAIM_MAX_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${cut.slice(0, lastSpace > CLAIM_MAX_LENGTH / 2 ? lastSpace : CLAIM_MAX_LENGTH)}…`;
+  }
+}
+
+module.exports = new ExportService();
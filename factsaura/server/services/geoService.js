@@ -0,0 +1,280 @@
+// Geo Service - structured post locations (point and/or named area) and radius search helpers
+const SemanticSimilarityService = require('./semanticSimilarityService');
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+const AREA_MAX_LENGTH = 100; // posts.location_area
+
+// A point this close to a city centre is taken to be in that city
+const CITY_MATCH_RADIUS_KM = 40;
+
+// Radius filter limits for GET /api/posts?near=
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 200;
+
+// Known places with the centre used as their point. Cities cover the ones
+// SemanticSimilarityService._extractLocations recognises; localities are the
+// neighbourhoods and wards alerts most often name.
+const PLACES = [
+  { name: 'Mumbai', type: 'city', lat: 19.0760, lng: 72.8777, aliases: ['Bombay'] },
+  { name: 'Delhi', type: 'city', lat: 28.6139, lng: 77.2090, aliases: ['New Delhi'] },
+  { name: 'Bangalore', type: 'city', lat: 12.9716, lng: 77.5946, aliases: ['Bengaluru'] },
+  { name: 'Chennai', type: 'city', lat: 13.0827, lng: 80.2707, aliases: ['Madras'] },
+  { name: 'Kolkata', type: 'city', lat: 22.5726, lng: 88.3639, aliases: ['Calcutta'] },
+  { name: 'Hyderabad', type: 'city', lat: 17.3850, lng: 78.4867, aliases: [] },
+  { name: 'Pune', type: 'city', lat: 18.5204, lng: 73.8567, aliases: [] },
+  { name: 'Ahmedabad', type: 'city', lat: 23.0225, lng: 72.5714, aliases: [] },
+  { name: 'Jaipur', type: 'city', lat: 26.9124, lng: 75.7873, aliases: [] },
+  { name: 'Lucknow', type: 'city', lat: 26.8467, lng: 80.9462, aliases: [] },
+
+  { name: 'Andheri', type: 'locality', city: 'Mumbai', lat: 19.1136, lng: 72.8697, aliases: ['Andheri East', 'Andheri West', 'K/East ward', 'K/West ward'] },
+  { name: 'Bandra', type: 'locality', city: 'Mumbai', lat: 19.0596, lng: 72.8295, aliases: ['H/West ward'] },
+  { name: 'Borivali', type: 'locality', city: 'Mumbai', lat: 19.2307, lng: 72.8567, aliases: ['R/Central ward'] },
+  { name: 'Chembur', type: 'locality', city: 'Mumbai', lat: 19.0522, lng: 72.9005, aliases: ['M/West ward'] },
+  { name: 'Colaba', type: 'locality', city: 'Mumbai', lat: 18.9067, lng: 72.8147, aliases: [] },
+  { name: 'Dadar', type: 'locality', city: 'Mumbai', lat: 19.0178, lng: 72.8478, aliases: ['G/North ward'] },
+  { name: 'Ghatkopar', type: 'locality', city: 'Mumbai', lat: 19.0860, lng: 72.9090, aliases: [] },
+  { name: 'Kurla', type: 'locality', city: 'Mumbai', lat: 19.0726, lng: 72.8845, aliases: [] },
+  { name: 'Malad', type: 'locality', city: 'Mumbai', lat: 19.1874, lng: 72.8484, aliases: ['P/North ward'] },
+  { name: 'Powai', type: 'locality', city: 'Mumbai', lat: 19.1176, lng: 72.9060, aliases: [] },
+  { name: 'Sion', type: 'locality', city: 'Mumbai', lat: 19.0390, lng: 72.8619, aliases: [] },
+  { name: 'Worli', type: 'locality', city: 'Mumbai', lat: 19.0166, lng: 72.8162, aliases: [] },
+
+  { name: 'Adyar', type: 'locality', city: 'Chennai', lat: 13.0012, lng: 80.2565, aliases: [] },
+  { name: 'Mylapore', type: 'locality', city: 'Chennai', lat: 13.0368, lng: 80.2676, aliases: [] },
+  { name: 'T. Nagar', type: 'locality', city: 'Chennai', lat: 13.0418, lng: 80.2341, aliases: ['T Nagar', 'Thyagaraya Nagar'] },
+  { name: 'Tambaram', type: 'locality', city: 'Chennai', lat: 12.9249, lng: 80.1000, aliases: [] },
+  { name: 'Velachery', type: 'locality', city: 'Chennai', lat: 12.9815, lng: 80.2180, aliases: [] }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class GeoService {
+  constructor() {
+    this.semanticSimilarity = new SemanticSimilarityService();
+    this.places = PLACES;
+
+    // Longest names first so "Andheri East" wins over "Andheri"
+    this.placeNames = PLACES
+      .flatMap(place => [place.name, ...place.aliases].map(name => ({ name, place })))
+      .sort((a, b) => b.name.length - a.name.length);
+  }
+
+  get AREA_MAX_LENGTH() {
+    return AREA_MAX_LENGTH;
+  }
+
+  get DEFAULT_RADIUS_KM() {
+    return DEFAULT_RADIUS_KM;
+  }
+
+  get MAX_RADIUS_KM() {
+    return MAX_RADIUS_KM;
+  }
+
+  /**
+   * Known place by name or alias, case-insensitive
+   */
+  findPlace(name) {
+    if (typeof name !== 'string') return null;
+    const wanted = name.trim().toLowerCase();
+    const match = this.placeNames.find(entry => entry.name.toLowerCase() === wanted);
+    return match ? match.place : null;
+  }
+
+  /**
+   * Canonical spelling of an area or city name ("bengaluru" -> "Bangalore"), or the trimmed name if unknown
+   */
+  canonicalAreaName(name) {
+    const place = this.findPlace(name);
+    return place ? place.name : name.trim();
+  }
+
+  /**
+   * Great-circle distance between two points in kilometres
+   */
+  distanceKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  isValidPoint(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' &&
+      Number.isFinite(lat) && Number.isFinite(lng) &&
+      lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  }
+
+  /**
+   * Parse a "lat,lng" query parameter
+   * @returns {Object|null} { lat, lng } or null if malformed
+   */
+  parseNear(value) {
+    if (typeof value !== 'string') return null;
+
+    const parts = value.split(',').map(part => part.trim());
+    if (parts.length !== 2 || parts.some(part => !/^-?\d+(\.\d+)?$/.test(part))) return null;
+
+    const [lat, lng] = parts.map(Number);
+    return this.isValidPoint(lat, lng) ? { lat, lng } : null;
+  }
+
+  /**
+   * Check the location a submitter sent with a post: an area name, or { lat, lng, area }
+   * @returns {string|null} Error message, or null if valid (or absent)
+   */
+  validateLocationInput(location) {
+    if (location === undefined || location === null) return null;
+
+    if (typeof location === 'string') {
+      return location.trim() && location.length <= AREA_MAX_LENGTH
+        ? null
+        : `location must be 1 to ${AREA_MAX_LENGTH} characters`;
+    }
+
+    if (typeof location !== 'object' || Array.isArray(location)) {
+      return 'location must be an area name or an object with lat, lng and/or area';
+    }
+
+    const { lat, lng, area } = location;
+    const hasPoint = lat !== undefined || lng !== undefined;
+
+    if (hasPoint && !this.isValidPoint(lat, lng)) {
+      return 'location.lat and location.lng must both be numbers within -90..90 and -180..180';
+    }
+    if (area !== undefined && (typeof area !== 'string' || !area.trim() || area.length > AREA_MAX_LENGTH)) {
+      return `location.area must be 1 to ${AREA_MAX_LENGTH} characters`;
+    }
+    if (!hasPoint && area === undefined) {
+      return 'location needs lat and lng, an area, or both';
+    }
+
+    return null;
+  }
+
+  /**
+   * Structured location of a post: what the submitter gave, otherwise what the text names
+   * @param {string|Object|null} input - Validated submitter location (see validateLocationInput)
+   * @param {string} text - Post title and content
+   * @returns {Object|null} { lat, lng, area, city, precision, source }
+   */
+  locatePost(input, text) {
+    if (input) {
+      return this._fromSubmitterInput(typeof input === 'string' ? { area: input } : input);
+    }
+    return this.extractFromText(text);
+  }
+
+  /**
+   * Most specific known place the text names: the first locality mentioned,
+   * otherwise the first city SemanticSimilarityService recognises
+   * @returns {Object|null} Location with source 'content'
+   */
+  extractFromText(text) {
+    if (!text) return null;
+
+    let locality = null;
+    let localityIndex = Infinity;
+    for (const { name, place } of this.placeNames) {
+      if (place.type !== 'locality') continue;
+      const match = new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').exec(text);
+      if (match && match.index < localityIndex) {
+        locality = place;
+        localityIndex = match.index;
+      }
+    }
+    if (locality) return this._placeLocation(locality, 'content');
+
+    const city = this.semanticSimilarity._extractLocations(text)
+      .map(name => this.findPlace(name))
+      .find(place => place && place.type === 'city');
+
+    return city ? this._placeLocation(city, 'content') : null;
+  }
+
+  /**
+   * Closest known city within CITY_MATCH_RADIUS_KM of a point
+   */
+  nearestCity(point) {
+    let nearest = null;
+    let nearestDistance = CITY_MATCH_RADIUS_KM;
+
+    for (const place of this.places) {
+      if (place.type !== 'city') continue;
+      const distance = this.distanceKm(point, place);
+      if (distance <= nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Post columns for a location; location_relevance becomes the area or city name
+   */
+  toPostColumns(location) {
+    if (!location) return {};
+
+    return {
+      location_lat: location.lat,
+      location_lng: location.lng,
+      location_area: location.area,
+      location_city: location.city,
+      location_precision: location.precision,
+      location_source: location.source,
+      ...(location.area || location.city ? { location_relevance: location.area || location.city } : {})
+    };
+  }
+
+  /**
+   * @private
+   */
+  _fromSubmitterInput({ lat, lng, area }) {
+    const place = area ? this.findPlace(area) : null;
+    const hasPoint = lat !== undefined && lng !== undefined;
+
+    if (!hasPoint) {
+      if (place) return this._placeLocation(place, 'submitter');
+      return { lat: null, lng: null, area: area.trim(), city: null, precision: null, source: 'submitter' };
+    }
+
+    let city = null;
+    if (place) {
+      city = place.type === 'city' ? place.name : place.city;
+    } else {
+      city = this.nearestCity({ lat, lng })?.name || null;
+    }
+
+    return {
+      lat,
+      lng,
+      area: place ? (place.type === 'city' ? null : place.name) : (area ? area.trim() : null),
+      city,
+      precision: 'exact',
+      source: 'submitter'
+    };
+  }
+
+  /**
+   * @private
+   */
+  _placeLocation(place, source) {
+    return {
+      lat: place.lat,
+      lng: place.lng,
+      area: place.type === 'city' ? null : place.name,
+      city: place.type === 'city' ? place.name : place.city,
+      precision: place.type === 'city' ? 'city' : 'locality',
+      source
+    };
+  }
+}
+
+module.exports = new GeoService();
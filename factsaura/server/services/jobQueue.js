@@ -0,0 +1,241 @@
+/**
+ * Job Queue Service
+ * Runs background work persisted in the jobs table (see migration 009_create_jobs_table).
+ *
+ * Services register a handler per job type and enqueue work with a priority; the worker
+ * loop claims due jobs (critical first), retries failures with exponential backoff and
+ * moves jobs that exhaust their attempts to the dead-letter state for inspection.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map(); // Job type -> async (payload, job) => result
+    this.retryHooks = new Map(); // Job type -> async (payload, job) => void, see retry()
+
+    // Worker configuration
+    this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+    this.baseRetryDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000;
+    this.maxRetryDelayMs = 30 * 60 * 1000; // 30 minutes
+    this.lockTimeoutSeconds = 600; // Running longer than this means the worker died
+
+    // Runtime state
+    this.isRunning = false;
+    this.isPolling = false;
+    this.intervalId = null;
+    this.activeCount = 0;
+    this.stats = {
+      claimed: 0,
+      completed: 0,
+      retried: 0,
+      deferred: 0,
+      dead: 0,
+      lastPollAt: null
+    };
+  }
+
+  /**
+   * Register the handler for a job type. Handlers receive (payload, job) and may
+   * return a JSON-serializable result. Throwing schedules a retry; set
+   * error.retryable = false to send the job straight to the dead-letter state, or throw
+   * jobQueue.deferral() when the job cannot run yet. options.onRetry runs when a dead job
+   * of this type is retried (see retry()).
+   */
+  registerHandler(type, handler, { onRetry } = {}) {
+    this.handlers.set(type, handler);
+    if (onRetry) {
+      this.retryHooks.set(type, onRetry);
+    }
+  }
+
+  getRegisteredTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Error for a handler to throw when its job cannot run yet (e.g. a rate limit is in
+   * force). The job is queued again after delayMs without using up an attempt.
+   */
+  deferral(message, delayMs) {
+    const error = new Error(message);
+    error.deferMs = delayMs;
+    return error;
+  }
+
+  /**
+   * Add a job to the queue and wake the worker
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler payload
+   * @param {Object} options - { priority: 'critical'|'high'|'medium'|'low'|0-3, maxAttempts, runAt, dedupeKey }
+   * @returns {Object} { job, created }
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const result = await Job.enqueue(type, payload, options);
+
+    if (result.created) {
+      console.log(`📥 Job queued: ${type} (${result.job.id}, priority ${result.job.priority})`);
+      setImmediate(() => this.poll());
+    }
+    return result;
+  }
+
+  /**
+   * Put a dead-letter job back in the queue with a fresh set of attempts. The type's
+   * onRetry hook runs first, so it can undo what the final failure left behind (e.g. a
+   * post marked failed that the handler would otherwise skip).
+   */
+  async retry(job) {
+    const onRetry = this.retryHooks.get(job.type);
+    if (onRetry) {
+      await onRetry(job.payload, job);
+    }
+
+    await job.retry();
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  /**
+   * Start claiming jobs for all registered types
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('⚠️ Job queue worker is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+
+    console.log(`🧵 Job queue worker ${this.workerId} started - Types: ${this.getRegisteredTypes().join(', ') || 'none'}, concurrency: ${this.concurrency}`);
+  }
+
+  /**
+   * Stop claiming new jobs; running jobs are allowed to finish
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    console.log('🛑 Job queue worker stopped');
+  }
+
+  /**
+   * Claim due jobs until all concurrency slots are busy or the queue is empty
+   */
+  async poll() {
+    if (!this.isRunning || this.isPolling || this.handlers.size === 0) return;
+
+    this.isPolling = true;
+    this.stats.lastPollAt = new Date().toISOString();
+
+    try {
+      while (this.isRunning && this.activeCount < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, this.getRegisteredTypes(), this.lockTimeoutSeconds);
+        if (!job) break;
+
+        this.stats.claimed++;
+        this.activeCount++;
+
+        this.runJob(job).finally(() => {
+          this.activeCount--;
+          setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to claim jobs:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        const error = new Error(`No handler registered for job type '${job.type}'`);
+        error.retryable = false;
+        throw error;
+      }
+
+      const result = await handler(job.payload, job);
+      await job.complete(result === undefined ? null : result);
+      this.stats.completed++;
+    } catch (error) {
+      if (error.deferMs !== undefined) {
+        return this.deferJob(job, error);
+      }
+
+      const retryDelay = this.getRetryDelay(job.attempts);
+
+      try {
+        await job.fail(error.message, retryDelay, { retryable: error.retryable !== false });
+      } catch (updateError) {
+        // The lock expires and the job is picked up again - nothing else to do here
+        console.error(`❌ Failed to record failure for job ${job.id}:`, updateError.message);
+        return;
+      }
+
+      if (job.status === 'dead') {
+        this.stats.dead++;
+        console.error(`💀 Job ${job.type} (${job.id}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+      } else {
+        this.stats.retried++;
+        console.warn(`🔁 Job ${job.type} (${job.id}) failed, retrying in ${Math.round(retryDelay / 1000)}s:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Put a job that could not run yet back in the queue
+   */
+  async deferJob(job, error) {
+    try {
+      await job.defer(error.message, error.deferMs);
+    } catch (updateError) {
+      console.error(`❌ Failed to defer job ${job.id}:`, updateError.message);
+      return;
+    }
+
+    this.stats.deferred++;
+    console.log(`⏸️ Job ${job.type} (${job.id}) deferred for ${Math.round(error.deferMs / 1000)}s: ${error.message}`);
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ... capped at maxRetryDelayMs
+   * @param {number} attempts - Attempts made so far (1 after the first failure)
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseRetryDelayMs * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelayMs);
+  }
+
+  /**
+   * Get worker status
+   */
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      registeredTypes: this.getRegisteredTypes(),
+      concurrency: this.concurrency,
+      active: this.activeCount,
+      pollIntervalMs: this.pollInterval,
+      baseRetryDelayMs: this.baseRetryDelayMs,
+      maxRetryDelayMs: this.maxRetryDelayMs,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = new JobQueue();
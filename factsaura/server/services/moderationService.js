@@ -0,0 +1,191 @@
+// Moderation Service - queue of flagged posts and comments and the actions moderators take on them
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const ModerationAction = require('../models/ModerationAction');
+const PostReport = require('../models/PostReport');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// Column changes per action. Approving or unpublishing takes the item out of the queue;
+// escalated items stay flagged until an expert-backed approve or unpublish.
+// Comments have no publish flag - unpublishing soft-deletes them so the thread keeps its shape.
+const ACTION_UPDATES = {
+  post: {
+    approve: { is_flagged: false, is_published: true, moderation_status: 'approved' },
+    unpublish: { is_flagged: false, is_published: false, moderation_status: 'unpublished' },
+    escalate: { moderation_status: 'escalated' }
+  },
+  comment: {
+    approve: { is_flagged: false, moderation_status: 'approved' },
+    unpublish: { is_flagged: false, is_deleted: true, moderation_status: 'unpublished' },
+    escalate: { moderation_status: 'escalated' }
+  }
+};
+
+class ModerationService {
+  /**
+   * List flagged items of one type
+   * @param {string} targetType - 'post' or 'comment'
+   * @param {Object} filters - { urgency_level, harm_category, status, limit, offset }
+   * @returns {Object} { items, total }
+   */
+  async getQueue(targetType, filters) {
+    if (targetType === 'comment') {
+      const { comments, total } = await Comment.findModerationQueue(filters);
+      return {
+        items: comments.map(({ comment, post, flags }) => ({
+          target_type: 'comment',
+          target_id: comment.id,
+          queue_status: this.getQueueStatus(comment),
+          urgency_level: post.urgency_level,
+          harm_category: post.harm_category,
+          flags,
+          comment: comment.toJSON(),
+          post
+        })),
+        total
+      };
+    }
+
+    const { posts, total } = await Post.findModerationQueue(filters);
+    const reportsByPost = await PostReport.summarizeForPosts(posts.map(post => post.id));
+    return {
+      items: posts.map(post => ({
+        target_type: 'post',
+        target_id: post.id,
+        queue_status: this.getQueueStatus(post),
+        urgency_level: post.crisis_context.urgency_level,
+        harm_category: post.crisis_context.harm_category,
+        auto_generated: post.type === 'ai_detected' || post.analysis_metadata.auto_generated,
+        reports: {
+          count: post.reports_count,
+          weight: post.report_weight,
+          by_reason: reportsByPost[post.id] || {}
+        },
+        post: post.toJSON()
+      })),
+      total
+    };
+  }
+
+  /**
+   * Apply a moderator action to a queued post or comment and record it in the audit log
+   * @param {string} targetType - 'post' or 'comment'
+   * @param {string} targetId - Post or comment ID
+   * @param {string} action - 'approve', 'unpublish' or 'escalate'
+   * @param {string} moderatorId - Acting moderator
+   * @param {string} reason - Why the action was taken
+   * @returns {Object} { target, action }
+   */
+  async moderate(targetType, targetId, action, moderatorId, reason) {
+    const target = await this._getTarget(targetType, targetId);
+
+    if (!target.is_flagged) {
+      throw new APIError(`This ${targetType} is not in the moderation queue`, 409, 'NOT_IN_MODERATION_QUEUE');
+    }
+    if (action === 'escalate' && target.moderation_status === 'escalated') {
+      throw new APIError(`This ${targetType} is already escalated to an expert`, 409, 'ALREADY_ESCALATED');
+    }
+
+    const previousState = {
+      is_flagged: target.is_flagged,
+      moderation_status: target.moderation_status,
+      ...(targetType === 'post' ? { is_published: target.is_published } : { is_deleted: target.is_deleted })
+    };
+
+    await target.update(ACTION_UPDATES[targetType][action]);
+
+    const record = await ModerationAction.record({
+      target_type: targetType,
+      target_id: target.id,
+      action,
+      reason,
+      moderator_id: moderatorId,
+      previous_state: previousState
+    });
+
+    return { target, action: record };
+  }
+
+  /**
+   * Retract a published post. It stays visible with a correction notice rather than being
+   * unpublished, so people who already saw it learn it was wrong.
+   * @param {string} postId - Post to retract
+   * @param {string} moderatorId - Acting moderator
+   * @param {Object} retraction - { reason, correctedPostId }
+   * @returns {Object} { post, correctedPost, action }
+   */
+  async retractPost(postId, moderatorId, { reason, correctedPostId = null }) {
+    const post = await Post.findById(postId);
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+    if (post.retracted_at) {
+      throw new APIError('This post is already retracted', 409, 'ALREADY_RETRACTED');
+    }
+
+    let correctedPost = null;
+    if (correctedPostId) {
+      if (correctedPostId === post.id) {
+        throw new APIError('A post cannot be its own correction', 400, 'INVALID_CORRECTED_POST');
+      }
+      correctedPost = await Post.findById(correctedPostId);
+      if (!correctedPost || !correctedPost.is_published) {
+        throw new APIError('Corrected post not found', 404, 'CORRECTED_POST_NOT_FOUND');
+      }
+      if (correctedPost.retracted_at) {
+        throw new APIError('The corrected post is itself retracted', 400, 'INVALID_CORRECTED_POST');
+      }
+    }
+
+    const previousState = {
+      retracted_at: null,
+      is_published: post.is_published,
+      moderation_status: post.moderation_status
+    };
+
+    // A concurrent retraction wins; this one is refused rather than overwriting its notice
+    const retracted = await post.retract({ reason, retractedBy: moderatorId, correctedPostId });
+    if (!retracted) {
+      throw new APIError('This post is already retracted', 409, 'ALREADY_RETRACTED');
+    }
+
+    const record = await ModerationAction.record({
+      target_type: 'post',
+      target_id: post.id,
+      action: 'retract',
+      reason,
+      moderator_id: moderatorId,
+      previous_state: previousState
+    });
+
+    return { post: retracted, correctedPost, action: record };
+  }
+
+  /**
+   * Where a flagged item sits in the queue
+   */
+  getQueueStatus(item) {
+    return item.moderation_status === 'escalated' ? 'escalated' : 'pending';
+  }
+
+  /**
+   * @private
+   */
+  async _getTarget(targetType, targetId) {
+    if (targetType === 'comment') {
+      const comment = await Comment.findById(targetId);
+      if (!comment || comment.is_deleted) {
+        throw new APIError('Comment not found', 404, 'COMMENT_NOT_FOUND');
+      }
+      return comment;
+    }
+
+    const post = await Post.findById(targetId);
+    if (!post) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+    return post;
+  }
+}
+
+module.exports = new ModerationService();
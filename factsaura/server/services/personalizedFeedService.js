@@ -0,0 +1,259 @@
+// Personalized Feed Service - the crisis-priority feed filtered and re-ranked for one user
+const Post = require('../models/Post');
+const geoService = require('./geoService');
+const expertVerificationService = require('./expertVerificationService');
+
+// Posts ranked by crisis priority that personalization picks from
+const CANDIDATE_POOL_SIZE = 150;
+
+// Critical alerts for the user's area stay pinned above the feed while this recent
+const PIN_MAX_AGE_HOURS = 48;
+const PIN_LIMIT = 5;
+
+// A post located this close to the user's point counts as local
+const LOCAL_RADIUS_KM = 15;
+
+// Boosts are added to priority_score, which is in log2 units: +1 ranks a post as if
+// its priority were doubled
+const BOOSTS = {
+  near_you: 1,
+  needs_your_expertise: 1,
+  followed_location: 0.6,
+  followed_category: 0.6
+};
+
+// Limits on what a user may follow or mute
+const FOLLOW_LIMITS = {
+  followed_harm_categories: { maxItems: 10, maxLength: 50 },
+  followed_locations: { maxItems: 10, maxLength: geoService.AREA_MAX_LENGTH },
+  muted_topics: { maxItems: 30, maxLength: 50 }
+};
+
+class PersonalizedFeedService {
+  get FOLLOW_FIELDS() {
+    return Object.keys(FOLLOW_LIMITS);
+  }
+
+  /**
+   * Check a follows update
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateFollows(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return 'Request body must be an object';
+    }
+
+    const fields = Object.keys(body);
+    if (fields.length === 0) {
+      return `Provide at least one of: ${this.FOLLOW_FIELDS.join(', ')}`;
+    }
+
+    for (const field of fields) {
+      const limits = FOLLOW_LIMITS[field];
+      if (!limits) return `Unknown field: ${field}`;
+
+      const values = body[field];
+      if (!Array.isArray(values) || values.length > limits.maxItems) {
+        return `${field} must be a list of at most ${limits.maxItems} items`;
+      }
+      if (values.some(value => typeof value !== 'string' || !value.trim() || value.length > limits.maxLength)) {
+        return `Each of ${field} must be 1 to ${limits.maxLength} characters`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize validated follows for storage: trimmed, canonical place names, no duplicates
+   */
+  normalizeFollows(body) {
+    const follows = {};
+
+    for (const field of Object.keys(body)) {
+      const values = body[field].map(value => (
+        field === 'followed_locations' ? geoService.canonicalAreaName(value) : value.trim().toLowerCase()
+      ));
+      follows[field] = [...new Set(values)];
+    }
+
+    return follows;
+  }
+
+  /**
+   * Where a user is: a known place from their profile location, or the bare name
+   * @returns {Object|null} { point, area, city, names }
+   */
+  getUserLocation(user) {
+    if (!user.location || !user.location.trim()) return null;
+
+    const place = geoService.findPlace(user.location);
+    if (!place) {
+      const name = user.location.trim();
+      return { point: null, area: name, city: null, names: [name.toLowerCase()] };
+    }
+
+    const area = place.type === 'city' ? null : place.name;
+    const city = place.type === 'city' ? place.name : place.city;
+    return {
+      point: { lat: place.lat, lng: place.lng },
+      area,
+      city,
+      names: [area, city].filter(Boolean).map(name => name.toLowerCase())
+    };
+  }
+
+  /**
+   * Personalized feed page for a user
+   * @param {User} user - Authenticated user
+   * @param {Object} options - { limit, offset }
+   * @returns {Object} { pinned, posts, has_more, personalization }
+   */
+  async getFeed(user, { limit = 20, offset = 0 } = {}) {
+    const userLocation = this.getUserLocation(user);
+
+    const [pinned, candidates] = await Promise.all([
+      this.getPinnedAlerts(user, userLocation),
+      Post.getFeed({ limit: CANDIDATE_POOL_SIZE, sort_by: 'priority_score', sort_order: 'desc' })
+    ]);
+
+    const pinnedIds = new Set(pinned.map(({ post }) => post.id));
+    const ranked = candidates
+      .filter(post => !pinnedIds.has(post.id) && !this.isMuted(post, user))
+      .map(post => this.scorePost(post, user, userLocation))
+      .sort((a, b) => b.score - a.score || (a.post.id < b.post.id ? 1 : -1));
+
+    return {
+      pinned,
+      posts: ranked.slice(offset, offset + limit),
+      has_more: ranked.length > offset + limit,
+      personalization: {
+        location: userLocation ? { area: userLocation.area, city: userLocation.city } : null,
+        expertise_domains: user.is_expert ? expertVerificationService.getExpertDomains(user) : [],
+        followed_harm_categories: user.followed_harm_categories,
+        followed_locations: user.followed_locations,
+        muted_topics: user.muted_topics,
+        alert_locations: user.alert_locations
+      }
+    };
+  }
+
+  /**
+   * Recent critical alerts for the user's area and for the places they asked for alerts
+   * about (alert_locations in their preferences), newest first. These are shown even if
+   * the user muted their topic.
+   * @returns {Array} [{ post, reasons }]
+   */
+  async getPinnedAlerts(user, userLocation) {
+    const searches = (user.alert_locations || []).map(area => ({
+      filters: { area },
+      reason: 'critical_in_alert_location'
+    }));
+
+    if (userLocation) {
+      // Someone in a locality gets alerts around it; someone who only gave a city gets the whole city
+      searches.unshift({
+        filters: userLocation.point && userLocation.area
+          ? { near: { ...userLocation.point, radius_km: LOCAL_RADIUS_KM } }
+          : { area: userLocation.area || userLocation.city },
+        reason: 'critical_near_you'
+      });
+    }
+
+    const results = await Promise.all(searches.map(({ filters }) => Post.getFeed({
+      ...filters,
+      urgency_level: 'critical',
+      limit: PIN_LIMIT,
+      sort_by: 'created_at',
+      sort_order: 'desc'
+    })));
+
+    const cutoff = Date.now() - PIN_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const pins = new Map();
+    results.forEach((posts, i) => {
+      for (const post of posts) {
+        if (new Date(post.created_at).getTime() < cutoff) continue;
+
+        const pin = pins.get(post.id) || { post, reasons: [] };
+        if (!pin.reasons.includes(searches[i].reason)) pin.reasons.push(searches[i].reason);
+        pins.set(post.id, pin);
+      }
+    });
+
+    return [...pins.values()]
+      .sort((a, b) => new Date(b.post.created_at) - new Date(a.post.created_at))
+      .slice(0, PIN_LIMIT);
+  }
+
+  /**
+   * Whether a post's harm category or crisis keywords are among the user's muted topics
+   */
+  isMuted(post, user) {
+    if (!user.muted_topics || user.muted_topics.length === 0) return false;
+
+    const muted = new Set(user.muted_topics.map(topic => topic.toLowerCase()));
+    const topics = [post.crisis_context.harm_category, ...(post.crisis_context.crisis_keywords || [])]
+      .filter(Boolean)
+      .map(topic => String(topic).toLowerCase());
+
+    return topics.some(topic => muted.has(topic));
+  }
+
+  /**
+   * Personal score of a post: its crisis priority plus the boosts that apply to this user
+   * @returns {Object} { post, score, reasons }
+   */
+  scorePost(post, user, userLocation) {
+    const reasons = [];
+    const postPlaces = this._getPostPlaces(post);
+
+    if (userLocation && this._isNear(post, postPlaces, userLocation)) {
+      reasons.push('near_you');
+    }
+
+    const followedLocations = (user.followed_locations || []).map(name => name.toLowerCase());
+    if (followedLocations.some(name => postPlaces.includes(name))) {
+      reasons.push('followed_location');
+    }
+
+    const followedCategories = (user.followed_harm_categories || []).map(name => name.toLowerCase());
+    if (followedCategories.includes(String(post.crisis_context.harm_category).toLowerCase())) {
+      reasons.push('followed_category');
+    }
+
+    if (user.is_expert && post.needsExpertReview()) {
+      const expertDomains = expertVerificationService.getExpertDomains(user);
+      if (expertVerificationService.getPostDomains(post).some(domain => expertDomains.includes(domain))) {
+        reasons.push('needs_your_expertise');
+      }
+    }
+
+    const boost = reasons.reduce((total, reason) => total + BOOSTS[reason], 0);
+    return { post, score: (post.priority_score || 0) + boost, reasons };
+  }
+
+  /**
+   * Lower-cased names of the places a post is about
+   * @private
+   */
+  _getPostPlaces(post) {
+    const names = [post.location?.area, post.location?.city];
+    if (post.crisis_context.location_relevance !== 'global') {
+      names.push(post.crisis_context.location_relevance);
+    }
+    return names.filter(Boolean).map(name => name.toLowerCase());
+  }
+
+  /**
+   * Same area or city as the user, or located within LOCAL_RADIUS_KM of them
+   * @private
+   */
+  _isNear(post, postPlaces, userLocation) {
+    if (userLocation.names.some(name => postPlaces.includes(name))) return true;
+
+    return Boolean(userLocation.point && post.location?.point) &&
+      geoService.distanceKm(userLocation.point, post.location.point) <= LOCAL_RADIUS_KM;
+  }
+}
+
+module.exports = new PersonalizedFeedService();
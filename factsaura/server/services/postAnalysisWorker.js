@@ -0,0 +1,215 @@
+/**
+ * Post Analysis Worker
+ * Runs AI analysis and mutation detection for user submitted posts in the background,
+ * so POST /api/posts can return as soon as the post is stored.
+ *
+ * Each post is analyzed by a 'post_analysis' job on the persistent job queue, which
+ * handles priorities and retries; the post's analysis_status mirrors the job's progress.
+ */
+
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const jobQueue = require('./jobQueue');
+const aiService = require('./aiService');
+const MutationDetectionService = require('./mutationDetectionService');
+
+const JOB_TYPE = 'post_analysis';
+
+class PostAnalysisWorker {
+  constructor() {
+    this.mutationService = new MutationDetectionService();
+
+    // A user is usually waiting on the result, so analysis runs ahead of routine work
+    this.priority = 'high';
+    this.maxAttempts = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+    this.staleAfterMs = 10 * 60 * 1000; // 'processing' longer than this means the worker died
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      retried: 0
+    };
+
+    jobQueue.registerHandler(JOB_TYPE, (payload, job) => this.processPost(payload.post_id, job), {
+      onRetry: payload => this.resetFailedPost(payload.post_id)
+    });
+  }
+
+  /**
+   * Re-enqueue posts left pending without a job (e.g. the job insert failed)
+   */
+  async start() {
+    try {
+      const recovered = await this.recoverPending();
+      if (recovered > 0) {
+        console.log(`🔬 Re-queued analysis for ${recovered} pending posts`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to recover pending post analyses:', error);
+    }
+  }
+
+  /**
+   * Queue a post for analysis. Enqueueing the same post twice is a no-op.
+   * @param {string} postId - Post ID
+   * @param {Object} options - { priority } to queue behind (or ahead of) live submissions
+   * @returns {Object} { job, created }
+   */
+  async enqueue(postId, { priority = this.priority } = {}) {
+    return jobQueue.enqueue(JOB_TYPE, { post_id: postId }, {
+      priority,
+      maxAttempts: this.maxAttempts,
+      dedupeKey: this._dedupeKey(postId)
+    });
+  }
+
+  /**
+   * Position of a post among queued jobs (1-based), or null if its job is not waiting
+   */
+  async getQueuePosition(postId) {
+    const job = await Job.findByDedupeKey(this._dedupeKey(postId));
+    if (!job || job.status !== 'queued') return null;
+
+    return (await job.countJobsAhead()) + 1;
+  }
+
+  /**
+   * Enqueue pending (or stalled) posts found in the database
+   * @returns {number} Number of posts that had no job yet
+   */
+  async recoverPending() {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs).toISOString();
+    const posts = await Post.findAwaitingAnalysis({ limit: 50, staleBefore });
+
+    let recovered = 0;
+    for (const post of posts) {
+      const { created } = await this.enqueue(post.id);
+      if (created) recovered++;
+    }
+    return recovered;
+  }
+
+  /**
+   * Send a post whose analysis failed for good back to 'pending' when its dead job is
+   * retried, so the job analyzes it again instead of skipping it
+   */
+  async resetFailedPost(postId) {
+    const post = await Post.findById(postId);
+    if (post && post.analysis_status === 'failed') {
+      await post.resetAnalysis();
+    }
+  }
+
+  /**
+   * Analyze a single post if it still needs it (the 'post_analysis' job handler)
+   * @param {string} postId - Post ID
+   * @param {Job} job - The job being run, used to tell whether a failure will be retried
+   * @returns {Object} Summary stored as the job result
+   */
+  async processPost(postId, job = null) {
+    const post = await Post.findById(postId);
+    if (!post || !['pending', 'processing'].includes(post.analysis_status)) {
+      return { post_id: postId, skipped: true };
+    }
+
+    // Another worker got here first
+    if (!(await post.claimForAnalysis())) {
+      return { post_id: postId, skipped: true };
+    }
+
+    console.log(`🔍 Analyzing post ${post.id} (attempt ${post.analysis_attempts}/${this.maxAttempts})`);
+
+    try {
+      const analysisFields = await this.analyze(post);
+      await post.completeAnalysis(analysisFields);
+      this.stats.completed++;
+
+      const summary = {
+        post_id: post.id,
+        is_misinformation: analysisFields.is_misinformation,
+        confidence_score: analysisFields.confidence_score,
+        urgency_level: analysisFields.urgency_level,
+        is_mutation: analysisFields.is_mutation
+      };
+      console.log(`✅ Analysis completed for post ${post.id}:`, summary);
+      return summary;
+    } catch (error) {
+      const willRetry = job ? job.hasAttemptsLeft() : false;
+      await post.failAnalysis(error.message, willRetry);
+      this.stats[willRetry ? 'retried' : 'failed']++;
+
+      console.error(`❌ Analysis failed for post ${post.id}${willRetry ? ' (will retry)' : ''}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Run AI analysis and mutation detection for a post
+   * @returns {Object} Post columns to store
+   */
+  async analyze(post) {
+    const aiAnalysis = await aiService.analyzeContentBasic(post.content, {
+      include_crisis_context: true,
+      include_reasoning: true
+    });
+
+    // 🧬 MUTATION DETECTION: Check if this content is a mutation of existing misinformation
+    const mutationAnalysis = await this.mutationService.detectMutation(post.content, {
+      source: 'web',
+      user_id: post.author_id,
+      timestamp: post.created_at,
+      ai_confidence: aiAnalysis.confidence_score
+    });
+
+    const crisisContext = aiAnalysis.crisis_context || {};
+
+    return {
+      // Crisis context fields
+      urgency_level: crisisContext.urgency_level || 'medium',
+      harm_category: crisisContext.harm_category || 'general',
+      crisis_keywords: crisisContext.crisis_keywords_found || [],
+
+      // AI analysis fields (including mutation data)
+      ai_analysis: {
+        ...aiAnalysis,
+        mutation_analysis: mutationAnalysis
+      },
+      confidence_score: aiAnalysis.confidence_score || 0,
+      is_misinformation: aiAnalysis.is_misinformation || false,
+      analysis_explanation: aiAnalysis.explanation,
+      reasoning_steps: aiAnalysis.reasoning_steps || [],
+      sources_checked: aiAnalysis.sources_checked || [],
+      uncertainty_flags: aiAnalysis.uncertainty_flags || [],
+      analysis_timestamp: new Date().toISOString(),
+
+      // 🧬 MUTATION DETECTION FIELDS (migration 004_add_mutation_fields)
+      mutation_analysis: mutationAnalysis,
+      is_mutation: mutationAnalysis.is_mutation || false,
+      mutation_family_id: mutationAnalysis.family_id || null,
+      mutation_type: mutationAnalysis.mutation_type || null,
+      mutation_generation: mutationAnalysis.generation || 0,
+      mutation_confidence: mutationAnalysis.confidence || 0
+    };
+  }
+
+  /**
+   * Get worker status
+   */
+  getStatus() {
+    return {
+      jobType: JOB_TYPE,
+      priority: this.priority,
+      maxAttempts: this.maxAttempts,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _dedupeKey(postId) {
+    return `${JOB_TYPE}:${postId}`;
+  }
+}
+
+module.exports = new PostAnalysisWorker();
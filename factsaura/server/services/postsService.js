@@ -1,7 +1,39 @@
 // Posts Service - handles post-related business logic
-// To be implemented in later tasks
+const Post = require('../models/Post');
+const Vote = require('../models/Vote');
+const PostReport = require('../models/PostReport');
+const reputationService = require('./reputationService');
+const badgeService = require('./badgeService');
+const roleService = require('./roleService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// Limits on user-submitted posts, shared by POST /api/posts and bulk claim imports
+const TITLE_MAX_LENGTH = 200;
+const CONTENT_MAX_LENGTH = 10000;
+
+// Verdicts each kind of actor may move a post to. Community members can only
+// open a dispute; settling a verdict takes an expert or a moderator.
+const VERDICT_PERMISSIONS = {
+  community: ['disputed'],
+  expert: ['disputed', 'confirmed_false', 'confirmed_true', 'outdated', 'pending'],
+  moderator: ['disputed', 'confirmed_false', 'confirmed_true', 'outdated', 'pending']
+};
+
+// Weight a reader report carries toward flagging a post. Reports from untrusted
+// accounts are kept for moderators but do not count toward the threshold.
+const REPORT_WEIGHTS = {
+  moderator: 3,
+  expert: 2,
+  trusted: 1,
+  untrusted: 0
+};
 
 class PostsService {
+  constructor() {
+    this.reportFlagThreshold = parseFloat(process.env.REPORT_FLAG_WEIGHT_THRESHOLD) || 3;
+    this.reportTrustedMinReputation = parseInt(process.env.REPORT_TRUSTED_MIN_REPUTATION) || 50;
+  }
+
   async getAllPosts(page = 1, limit = 20, sortBy = 'created_at') {
     // To be implemented in Task 2.3
     throw new Error('Posts service not yet implemented');
@@ -17,15 +49,231 @@ class PostsService {
     throw new Error('Post retrieval service not yet implemented');
   }
 
+  /**
+   * Check a submitted post against the submission rules
+   * @param {Object} input - { title, content }
+   * @returns {Object|null} { message, details } for the first problem found, or null if valid
+   */
+  validateNewPost({ title, content }) {
+    if (!title || !content) {
+      return {
+        message: 'Title and content are required',
+        details: {
+          title: !title ? 'Title is required' : null,
+          content: !content ? 'Content is required' : null
+        }
+      };
+    }
+
+    if (typeof title !== 'string' || typeof content !== 'string') {
+      return { message: 'Title and content must be text' };
+    }
+
+    if (title.length > TITLE_MAX_LENGTH) {
+      return { message: `Title must be ${TITLE_MAX_LENGTH} characters or less` };
+    }
+
+    if (content.length > CONTENT_MAX_LENGTH) {
+      return { message: `Content must be ${CONTENT_MAX_LENGTH.toLocaleString('en-US')} characters or less` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Row for a validated user-submitted post. It is stored as pending; AI analysis and
+   * mutation detection run in the background worker and fill in the analysis columns.
+   * @param {Object} input - { title, content, content_type, source_url, author_id } plus any extra columns
+   */
+  buildSubmittedPost({ title, content, content_type = 'text', source_url, author_id, location_relevance, ...columns }) {
+    return {
+      title: title.trim(),
+      content: content.trim(),
+      content_type,
+      source_url: source_url || null,
+      post_type: 'user_submitted',
+      author_id,
+
+      // Crisis context defaults until analysis completes
+      urgency_level: 'medium',
+      location_relevance: location_relevance || 'global',
+      harm_category: 'general',
+      crisis_keywords: [],
+
+      // Default engagement values
+      upvotes: 0,
+      downvotes: 0,
+      comments_count: 0,
+      expert_verifications: 0,
+      community_trust_score: 0.5,
+
+      // Publication status
+      is_published: true,
+      is_flagged: false,
+      is_verified: false,
+
+      // Analysis pipeline
+      analysis_status: 'pending',
+
+      ...columns
+    };
+  }
+
+  /**
+   * Cast, change or retract a vote on a post
+   * @param {string} postId - Post being voted on
+   * @param {string} userId - Voting user
+   * @param {string|null} voteType - 'upvote', 'downvote' or null to retract
+   * @returns {Object} Vote outcome with updated totals and author reputation change
+   */
   async voteOnPost(postId, userId, voteType) {
-    // To be implemented in Task 3.1
-    throw new Error('Voting service not yet implemented');
+    const post = await Post.findById(postId);
+
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+
+    if (post.author_id === userId) {
+      throw new APIError('You cannot vote on your own post', 403, 'SELF_VOTE_NOT_ALLOWED');
+    }
+
+    const result = await Vote.cast(postId, userId, voteType);
+    await post.refreshCommunityTrustScore(result.upvotes, result.downvotes);
+
+    // Reputation follows the vote rules in reputationService; an unchanged vote changes nothing
+    const reputationChange = result.previous_vote === result.current_vote
+      ? 0
+      : await reputationService.applyVote(post, userId, result.current_vote);
+
+    if (result.current_vote) {
+      await badgeService.evaluate(userId, 'vote_cast');
+    }
+
+    return {
+      post_id: postId,
+      previous_vote: result.previous_vote,
+      user_vote: result.current_vote,
+      upvotes: result.upvotes,
+      downvotes: result.downvotes,
+      score: result.upvotes - result.downvotes,
+      community_trust_score: post.engagement.community_trust_score,
+      author_reputation_change: reputationChange
+    };
+  }
+
+  /**
+   * Move a post to a new verdict on behalf of a user
+   * @param {string} postId - Post ID
+   * @param {Object} user - Acting user (req.user)
+   * @param {string} verdict - Target verdict
+   * @param {string} reason - Why the verdict is changing
+   * @returns {Object} { post, previous_verdict, change }
+   */
+  async changeVerdict(postId, user, verdict, reason) {
+    const post = await Post.findById(postId);
+
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+
+    const actorRole = this.getVerdictActorRole(user);
+    if (!VERDICT_PERMISSIONS[actorRole].includes(verdict)) {
+      throw new APIError(`Only experts and moderators can set the verdict to ${verdict}`, 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (post.verdict === verdict) {
+      throw new APIError(`Post verdict is already ${verdict}`, 409, 'VERDICT_UNCHANGED');
+    }
+
+    if (!post.canTransitionVerdict(verdict)) {
+      throw new APIError(
+        `Cannot change verdict from ${post.verdict} to ${verdict}`,
+        409,
+        'INVALID_VERDICT_TRANSITION'
+      );
+    }
+
+    const previousVerdict = post.verdict;
+    const change = await post.transitionVerdict(verdict, {
+      changedBy: user.id,
+      actorRole,
+      reason
+    });
+
+    if (!change) {
+      throw new APIError('Post verdict was changed by someone else, reload and try again', 409, 'VERDICT_CONFLICT');
+    }
+
+    await reputationService.applyVerdict(post);
+    await badgeService.evaluateVerdict(post);
+
+    return { post, previous_verdict: previousVerdict, change };
+  }
+
+  /**
+   * Report a post. Once trusted reports push the post past the flag threshold
+   * it is flagged into the moderation queue.
+   * @param {string} postId - Post ID
+   * @param {Object} user - Reporting user (req.user)
+   * @param {Object} report - { reason, details }
+   * @returns {Object} Report outcome with the post's report totals
+   */
+  async reportPost(postId, user, { reason, details = null }) {
+    const post = await Post.findById(postId);
+
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+
+    const weight = this.getReporterWeight(user);
+    const result = await PostReport.submit(postId, user.id, {
+      reason,
+      details,
+      weight,
+      flagThreshold: this.reportFlagThreshold
+    });
+
+    if (!result) {
+      throw new APIError('You have already reported this post', 409, 'ALREADY_REPORTED');
+    }
+
+    if (result.newly_flagged) {
+      console.log(`🚩 Post ${postId} flagged for moderation (report weight ${result.report_weight}/${this.reportFlagThreshold})`);
+    }
+
+    await badgeService.evaluate(user.id, 'post_reported');
+
+    return {
+      post_id: postId,
+      report_id: result.report_id,
+      reason,
+      weight,
+      reports_count: result.reports_count,
+      is_flagged: result.is_flagged,
+      sent_to_moderation: result.newly_flagged
+    };
+  }
+
+  /**
+   * How much a user's report counts toward flagging a post
+   */
+  getReporterWeight(user) {
+    const role = this.getVerdictActorRole(user);
+    if (role !== 'community') return REPORT_WEIGHTS[role];
+
+    const trusted = user.is_verified || (user.reputation_score || 0) >= this.reportTrustedMinReputation;
+    return REPORT_WEIGHTS[trusted ? 'trusted' : 'untrusted'];
   }
 
-  async getPostComments(postId) {
-    // To be implemented in later tasks
-    throw new Error('Comments service not yet implemented');
+  /**
+   * Role a user acts in when changing a verdict (admins act as moderators)
+   */
+  getVerdictActorRole(user) {
+    if (roleService.hasRole(user, 'moderator') || roleService.hasRole(user, 'admin')) {
+      return 'moderator';
+    }
+    return roleService.hasRole(user, 'expert') ? 'expert' : 'community';
   }
 }
 
-module.exports = new PostsService();
\ No newline at end of file
+module.exports = new PostsService();
@@ -0,0 +1,221 @@
+/**
+ * Re-analysis Service
+ * Re-runs AI analysis over stored posts after the model (JAN_AI_MODEL) or the analysis
+ * prompt changes. The replaced analysis is archived in post_analysis_history so results
+ * can be compared and flipped verdicts reported.
+ *
+ * Single posts are re-analyzed inline; batches run as low priority 'post_reanalysis'
+ * jobs so they never hold up analysis of new submissions.
+ */
+
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const PostAnalysisHistory = require('../models/PostAnalysisHistory');
+const ReanalysisBatch = require('../models/ReanalysisBatch');
+const jobQueue = require('./jobQueue');
+const aiService = require('./aiService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const JOB_TYPE = 'post_reanalysis';
+
+// Verdicts set by a person; re-analysis updates the AI analysis but not is_misinformation
+const SETTLED_VERDICTS = ['confirmed_false', 'confirmed_true'];
+
+class ReanalysisService {
+  constructor() {
+    this.maxBatchSize = parseInt(process.env.REANALYSIS_MAX_BATCH_SIZE) || 500;
+
+    jobQueue.registerHandler(JOB_TYPE, async payload => {
+      try {
+        return await this.reanalyzePost(payload.post_id, {
+          batchId: payload.batch_id,
+          requestedBy: payload.requested_by
+        });
+      } catch (error) {
+        // Missing or busy posts will not fix themselves
+        if (error instanceof APIError && error.statusCode < 500) error.retryable = false;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Re-run AI analysis for one post and archive the analysis it replaces
+   * @param {string} postId - Post ID
+   * @param {Object} options - { batchId, requestedBy }
+   * @returns {Object} Comparison of the previous and new analysis
+   */
+  async reanalyzePost(postId, { batchId = null, requestedBy = null } = {}) {
+    const post = await Post.findById(postId);
+
+    if (!post || !post.is_published) {
+      throw new APIError('Post not found', 404, 'POST_NOT_FOUND');
+    }
+
+    if (post.analysis_status !== 'completed') {
+      throw new APIError(
+        `Post analysis is ${post.analysis_status}; only completed analyses can be re-run`,
+        409,
+        'ANALYSIS_NOT_COMPLETED'
+      );
+    }
+
+    const aiAnalysis = await aiService.analyzeContentBasic(post.content, {
+      include_crisis_context: true,
+      include_reasoning: true
+    });
+
+    // analyzeContentBasic falls back to keyword matching when Jan AI is down;
+    // that must not replace a real analysis
+    if (aiAnalysis.fallback) {
+      throw new APIError(
+        `AI analysis unavailable, previous analysis kept: ${aiAnalysis.error_message}`,
+        503,
+        'AI_SERVICE_UNAVAILABLE'
+      );
+    }
+
+    const previous = {
+      ...post.ai_analysis,
+      ...post.analysis_metadata,
+      crisis_context: post.crisis_context
+    };
+    const isMisinformation = aiAnalysis.is_misinformation || false;
+    const confidenceScore = aiAnalysis.confidence_score || 0;
+
+    const entry = await PostAnalysisHistory.record({
+      post_id: post.id,
+      batch_id: batchId,
+      requested_by: requestedBy,
+      previous_analysis: previous,
+      previous_model_version: previous.model_version,
+      previous_confidence_score: previous.confidence_score,
+      previous_is_misinformation: previous.is_misinformation,
+      new_model_version: aiAnalysis.model_version || null,
+      new_prompt_version: aiAnalysis.prompt_version || null,
+      new_confidence_score: confidenceScore,
+      new_is_misinformation: isMisinformation
+    });
+
+    const crisisContext = aiAnalysis.crisis_context || {};
+    const updates = {
+      urgency_level: crisisContext.urgency_level || post.crisis_context.urgency_level,
+      harm_category: crisisContext.harm_category || post.crisis_context.harm_category,
+      crisis_keywords: crisisContext.crisis_keywords_found || post.crisis_context.crisis_keywords,
+      ai_analysis: {
+        ...aiAnalysis,
+        // Mutation detection is not re-run, so its previous result is carried over
+        mutation_analysis: post.ai_mutation_analysis
+      },
+      confidence_score: confidenceScore,
+      analysis_explanation: aiAnalysis.explanation,
+      reasoning_steps: aiAnalysis.reasoning_steps || [],
+      sources_checked: aiAnalysis.sources_checked || [],
+      uncertainty_flags: aiAnalysis.uncertainty_flags || [],
+      analysis_timestamp: aiAnalysis.analysis_timestamp || new Date().toISOString()
+    };
+    if (!SETTLED_VERDICTS.includes(post.verdict)) {
+      updates.is_misinformation = isMisinformation;
+    }
+
+    await post.update(updates);
+
+    if (entry.verdict_flipped) {
+      console.log(`🔄 AI verdict flipped for post ${post.id}: ${previous.is_misinformation} -> ${isMisinformation}`);
+    }
+
+    return {
+      post_id: post.id,
+      history_id: entry.id,
+      batch_id: batchId,
+      previous: {
+        model_version: previous.model_version,
+        confidence_score: previous.confidence_score,
+        is_misinformation: previous.is_misinformation
+      },
+      current: {
+        model_version: entry.new_model_version,
+        prompt_version: entry.new_prompt_version,
+        confidence_score: confidenceScore,
+        is_misinformation: isMisinformation
+      },
+      verdict_flipped: entry.verdict_flipped,
+      verdict: post.verdict,
+      // The AI now contradicts a verdict a person confirmed - worth a second look
+      conflicts_with_verdict: SETTLED_VERDICTS.includes(post.verdict) &&
+        isMisinformation !== (post.verdict === 'confirmed_false')
+    };
+  }
+
+  /**
+   * Queue re-analysis of every post matching the filters
+   * @param {Object} filters - { createdFrom, createdTo, modelVersion, confidenceMin, confidenceMax }
+   * @param {Object} options - { limit, requestedBy }
+   * @returns {Object} { batch, matched, queued }
+   */
+  async startBatch(filters, { limit = this.maxBatchSize, requestedBy = null } = {}) {
+    const { posts, total } = await Post.findForReanalysis({
+      ...filters,
+      limit: Math.min(limit, this.maxBatchSize)
+    });
+
+    const batch = await ReanalysisBatch.create({
+      filters,
+      requested_by: requestedBy,
+      total_posts: posts.length
+    });
+
+    let queued = 0;
+    for (const post of posts) {
+      const { created } = await jobQueue.enqueue(JOB_TYPE, {
+        post_id: post.id,
+        batch_id: batch.id,
+        requested_by: requestedBy
+      }, {
+        priority: 'low',
+        dedupeKey: `${this._batchKeyPrefix(batch.id)}${post.id}`
+      });
+      if (created) queued++;
+    }
+
+    console.log(`🔁 Re-analysis batch ${batch.id}: ${queued} posts queued (${total} matched)`);
+
+    return { batch, matched: total, queued };
+  }
+
+  /**
+   * Progress of a batch and the posts whose verdict flipped so far
+   * @returns {Object|null} Report, or null if the batch does not exist
+   */
+  async getBatchReport(batchId) {
+    const batch = await ReanalysisBatch.findById(batchId);
+    if (!batch) return null;
+
+    const [jobs, results] = await Promise.all([
+      Job.countByDedupePrefix(this._batchKeyPrefix(batch.id)),
+      PostAnalysisHistory.getBatchResults(batch.id)
+    ]);
+
+    return {
+      batch: batch.toJSON(),
+      progress: {
+        total: batch.total_posts,
+        reanalyzed: results.completed,
+        pending: jobs.queued + jobs.running,
+        failed: jobs.dead,
+        is_complete: jobs.queued + jobs.running === 0
+      },
+      flipped_count: results.flipped.length,
+      flipped: results.flipped.map(entry => entry.toJSON())
+    };
+  }
+
+  /**
+   * @private
+   */
+  _batchKeyPrefix(batchId) {
+    return `${JOB_TYPE}:${batchId}:`;
+  }
+}
+
+module.exports = new ReanalysisService();
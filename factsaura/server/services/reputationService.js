@@ -0,0 +1,314 @@
+/**
+ * Reputation Service
+ * Scores users by declarative rules. Every change is written to the reputation_events
+ * ledger with the rule and a reason, so users can see why their score moved and the
+ * scores can be rebuilt from votes, verdicts and reports at any time.
+ *
+ * Each rule is worked out per source (a vote, or a post's verdict): the points a user
+ * should hold under it now are compared with what the ledger already gave them, and only
+ * the difference is recorded. Changing a vote or reopening a verdict therefore writes a
+ * reversing entry instead of editing history.
+ */
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const PostReport = require('../models/PostReport');
+const ReputationEvent = require('../models/ReputationEvent');
+
+/**
+ * The scoring rules.
+ *   source     - what the rule is worked out from: a 'vote', or a post's 'verdict'
+ *   recipient  - who gets the points: the post's 'author', or each user who 'reporter'ed it
+ *   points     - points while the rule applies
+ *   applies    - vote type (vote rules) or settled verdicts (verdict rules) the rule applies to
+ *   voterMultipliers - scale by the voter's reputation; first matching tier wins
+ */
+const REPUTATION_RULES = {
+  upvote_received: {
+    source: 'vote',
+    recipient: 'author',
+    applies: ['upvote'],
+    points: 2,
+    voterMultipliers: [
+      { minReputation: 500, multiplier: 3 },
+      { minReputation: 100, multiplier: 2 }
+    ],
+    description: 'Upvote on your post'
+  },
+  downvote_received: {
+    source: 'vote',
+    recipient: 'author',
+    applies: ['downvote'],
+    points: -1,
+    description: 'Downvote on your post'
+  },
+  accurate_submission: {
+    source: 'verdict',
+    recipient: 'author',
+    applies: ['confirmed_true'],
+    points: 10,
+    description: 'Your post was confirmed true'
+  },
+  false_flag: {
+    source: 'verdict',
+    recipient: 'reporter',
+    reportReasons: PostReport.FALSITY_REASONS,
+    applies: ['confirmed_true'],
+    points: -5,
+    description: 'A post you reported as false was confirmed true'
+  }
+};
+
+const VOTE_RULES = Object.keys(REPUTATION_RULES).filter(rule => REPUTATION_RULES[rule].source === 'vote');
+const VERDICT_RULES = Object.keys(REPUTATION_RULES).filter(rule => REPUTATION_RULES[rule].source === 'verdict');
+
+// Page size when reading votes and posts for a full recompute
+const RECOMPUTE_PAGE_SIZE = 500;
+// Post IDs per report lookup, to keep request URLs short
+const REPORT_LOOKUP_CHUNK = 100;
+
+class ReputationService {
+  get RULES() {
+    return REPUTATION_RULES;
+  }
+
+  /**
+   * The rules as shown to users
+   */
+  describeRules() {
+    return Object.entries(REPUTATION_RULES).map(([rule, definition]) => ({
+      rule,
+      points: definition.points,
+      description: definition.description,
+      voter_multipliers: (definition.voterMultipliers || []).map(tier => ({
+        min_reputation: tier.minReputation,
+        multiplier: tier.multiplier
+      }))
+    }));
+  }
+
+  /**
+   * Points a vote is worth to the post's author under a vote rule
+   * @param {string} rule - Vote rule
+   * @param {string|null} voteType - Current vote, or null if retracted
+   * @param {number} voterReputation - Voter's reputation score
+   */
+  getVotePoints(rule, voteType, voterReputation = 0) {
+    const definition = REPUTATION_RULES[rule];
+    if (!voteType || !definition.applies.includes(voteType)) return 0;
+
+    const tier = (definition.voterMultipliers || []).find(({ minReputation }) => voterReputation >= minReputation);
+    return definition.points * (tier ? tier.multiplier : 1);
+  }
+
+  /**
+   * Verdict a post stands at for scoring. An outdated post keeps the verdict it was
+   * settled with, so authors do not lose points just because time passed.
+   */
+  getSettledVerdict(post) {
+    if (post.verdict !== 'outdated') return post.verdict;
+    return post.ai_analysis.is_misinformation ? 'confirmed_false' : 'confirmed_true';
+  }
+
+  /**
+   * Apply a vote change to the post author's reputation
+   * @param {Object} post - Voted post ({ id, title, author_id })
+   * @param {string} voterId - Voting user
+   * @param {string|null} voteType - Vote after the change, or null if retracted
+   * @returns {number} Net change to the author's score
+   */
+  async applyVote(post, voterId, voteType) {
+    if (!post.author_id || post.author_id === voterId) return 0;
+
+    const voter = await User.findById(voterId);
+    const targets = this.getVoteTargets(post, voterId, voteType, voter ? voter.reputation_score : 0);
+
+    // Diffed against the ledger in the database, where concurrent changes of this vote are serialized
+    return ReputationEvent.recordVote(post.id, voterId, targets);
+  }
+
+  /**
+   * Apply a post's current verdict to its author's and reporters' reputation.
+   * Reputation never blocks a verdict change: failures are logged and left for a recompute.
+   * @param {Post} post - Post after the verdict change
+   * @returns {Object[]} Ledger entries recorded
+   */
+  async applyVerdict(post) {
+    try {
+      const [reports, held] = await Promise.all([
+        PostReport.findByPosts([post.id], { reasons: PostReport.FALSITY_REASONS }),
+        ReputationEvent.totalsForPost(post.id, VERDICT_RULES)
+      ]);
+
+      const events = this.diffAgainstLedger(this.getVerdictTargets(post, reports), held);
+      await ReputationEvent.record(events);
+
+      if (post.author_id) {
+        await ReputationEvent.refreshTrustRatings([post.author_id]);
+      }
+      return events;
+    } catch (error) {
+      console.error(`❌ Failed to apply reputation for verdict on post ${post.id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * What the post author should hold under each vote rule for one voter's vote
+   * @returns {Object[]} Targets (see diffAgainstLedger)
+   */
+  getVoteTargets(post, voterId, voteType, voterReputation, createdAt = null) {
+    return VOTE_RULES.map(rule => {
+      const definition = REPUTATION_RULES[rule];
+      const points = this.getVotePoints(rule, voteType, voterReputation);
+      const multiplier = points / definition.points;
+
+      return {
+        user_id: post.author_id,
+        rule,
+        points,
+        post_id: post.id,
+        actor_id: voterId,
+        reason: multiplier > 1
+          ? `${definition.description} from a trusted user (x${multiplier}): "${post.title}"`
+          : `${definition.description}: "${post.title}"`,
+        reversal_reason: `${definition.description} withdrawn: "${post.title}"`,
+        created_at: createdAt
+      };
+    });
+  }
+
+  /**
+   * What the author and each reporter should hold under each verdict rule for a post
+   * @param {Post} post - Post with its verdict
+   * @param {PostReport[]} reports - Reports on the post claiming it is false
+   * @returns {Object[]} Targets (see diffAgainstLedger)
+   */
+  getVerdictTargets(post, reports, createdAt = null) {
+    const verdict = this.getSettledVerdict(post);
+    const targets = [];
+
+    for (const rule of VERDICT_RULES) {
+      const definition = REPUTATION_RULES[rule];
+      const points = definition.applies.includes(verdict) ? definition.points : 0;
+
+      const recipients = definition.recipient === 'author'
+        ? [post.author_id].filter(Boolean)
+        : reports
+          .filter(report => definition.reportReasons.includes(report.reason))
+          .map(report => report.user_id);
+
+      for (const userId of new Set(recipients)) {
+        targets.push({
+          user_id: userId,
+          rule,
+          points,
+          post_id: post.id,
+          actor_id: post.verdict_changed_by || null,
+          reason: `${definition.description}: "${post.title}"`,
+          reversal_reason: `Verdict on "${post.title}" changed to ${post.verdict}`,
+          created_at: createdAt
+        });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Ledger entries that bring each target's holdings to its points
+   * @param {Object[]} targets - { user_id, rule, points, post_id, actor_id, reason, reversal_reason, created_at }
+   * @param {Object} held - `${user_id}:${rule}` -> points already in the ledger
+   * @returns {Object[]} Entries for ReputationEvent.record
+   */
+  diffAgainstLedger(targets, held = {}) {
+    const events = [];
+
+    for (const target of targets) {
+      const difference = target.points - (held[`${target.user_id}:${target.rule}`] || 0);
+      if (difference === 0) continue;
+
+      // Moving away from what the rule awards reads as a reversal
+      const reversing = target.points === 0 || Math.sign(difference) !== Math.sign(target.points);
+
+      const event = {
+        user_id: target.user_id,
+        rule: target.rule,
+        points: difference,
+        post_id: target.post_id,
+        actor_id: target.actor_id,
+        reason: reversing ? target.reversal_reason : target.reason
+      };
+      if (target.created_at) event.created_at = target.created_at;
+      events.push(event);
+    }
+
+    return events;
+  }
+
+  /**
+   * Read every page of a paged source
+   * @param {Function} fetchPage - ({ limit, offset }) => rows
+   */
+  async collectPages(fetchPage) {
+    const rows = [];
+    for (let offset = 0; ; offset += RECOMPUTE_PAGE_SIZE) {
+      const page = await fetchPage({ limit: RECOMPUTE_PAGE_SIZE, offset });
+      rows.push(...page);
+      if (page.length < RECOMPUTE_PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Rebuild the ledger from scratch under the current rules and reset every score to it.
+   * Upvote multipliers use voters' reputation as it stood before the rebuild.
+   * @returns {Object} { events_recorded, users_updated, trust_ratings_refreshed }
+   */
+  async recomputeAll() {
+    const votes = await this.collectPages(page => Vote.findWithAuthors(page));
+    const posts = await this.collectPages(page => Post.findByVerdicts(['confirmed_true', 'confirmed_false', 'outdated'], page));
+
+    const reportsByPost = {};
+    for (let i = 0; i < posts.length; i += REPORT_LOOKUP_CHUNK) {
+      const postIds = posts.slice(i, i + REPORT_LOOKUP_CHUNK).map(post => post.id);
+      const reports = await PostReport.findByPosts(postIds, { reasons: PostReport.FALSITY_REASONS });
+      for (const report of reports) {
+        (reportsByPost[report.post_id] = reportsByPost[report.post_id] || []).push(report);
+      }
+    }
+
+    const events = [];
+
+    for (const vote of votes) {
+      if (!vote.post || !vote.post.is_published || !vote.post.author_id || vote.post.author_id === vote.user_id) continue;
+
+      const targets = this.getVoteTargets(
+        vote.post,
+        vote.user_id,
+        vote.vote_type,
+        vote.voter ? vote.voter.reputation_score || 0 : 0,
+        vote.updated_at || vote.created_at
+      );
+      events.push(...this.diffAgainstLedger(targets));
+    }
+
+    for (const post of posts) {
+      const targets = this.getVerdictTargets(post, reportsByPost[post.id] || [], post.verdict_changed_at);
+      events.push(...this.diffAgainstLedger(targets));
+    }
+
+    const result = await ReputationEvent.rebuild(events);
+    const trustRatingsRefreshed = await ReputationEvent.refreshTrustRatings(null);
+
+    console.log(`🏅 Reputation recomputed: ${result.events_recorded} ledger entries, ${result.users_updated} scores changed`);
+
+    return {
+      events_recorded: result.events_recorded,
+      users_updated: result.users_updated,
+      trust_ratings_refreshed: trustRatingsRefreshed
+    };
+  }
+}
+
+module.exports = new ReputationService();
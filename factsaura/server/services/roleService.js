@@ -0,0 +1,147 @@
+// Role Service - the roles users hold, the permissions they grant and admin grants/revokes
+// Roles and their permissions live in the database (migration 025); routes are guarded by
+// permission with requirePermission in middleware/auth.js.
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+const ROLES = ['admin', 'moderator', 'expert', 'member', 'system'];
+
+// Every signed-in user holds this role; it is never stored in user_roles
+const IMPLICIT_ROLE = 'member';
+
+// Named permissions routes are guarded by (granted to roles in role_permissions)
+const PERMISSIONS = {
+  ROLES_MANAGE: 'roles:manage',
+  SCRAPING_MANAGE: 'scraping:manage',
+  KEYWORDS_MANAGE: 'keywords:manage',
+  RATE_LIMITS_MANAGE: 'rate_limits:manage',
+  CACHES_MANAGE: 'caches:manage',
+  DEMO_RUN: 'demo:run',
+  JOBS_MANAGE: 'jobs:manage',
+  POSTS_REANALYZE: 'posts:reanalyze',
+  POSTS_IMPORT: 'posts:import',
+  FEED_TUNE: 'feed:tune',
+  REPUTATION_RECOMPUTE: 'reputation:recompute',
+  MODERATION_ACT: 'moderation:act',
+  CONTENT_VERIFY: 'content:verify'
+};
+
+class RoleService {
+  get ROLES() {
+    return ROLES;
+  }
+
+  get PERMISSIONS() {
+    return PERMISSIONS;
+  }
+
+  /**
+   * Whether a user (with access loaded, see User.loadAccess) holds a role
+   */
+  hasRole(user, role) {
+    return Boolean(user) && (role === IMPLICIT_ROLE || (user.roles || []).includes(role));
+  }
+
+  /**
+   * Whether a user (with access loaded, see User.loadAccess) has been granted a permission
+   */
+  hasPermission(user, permission) {
+    return Boolean(user) && (user.permissions || []).includes(permission);
+  }
+
+  // Every role with the permissions it grants
+  async listRoles() {
+    const roles = await Role.findAll();
+    return roles.map(role => role.toJSON());
+  }
+
+  /**
+   * Validate the role named in a grant or revoke
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRole(role) {
+    if (typeof role !== 'string' || !ROLES.includes(role)) {
+      return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (role === IMPLICIT_ROLE) {
+      return `Every user is a ${IMPLICIT_ROLE}; it cannot be granted or revoked`;
+    }
+    return null;
+  }
+
+  /**
+   * Roles granted to a user, with who granted them
+   * @param {string} username - Username to look up
+   * @returns {Object} { user, roles }
+   */
+  async getUserRoles(username) {
+    const user = await this.findUser(username);
+    const grants = await Role.findGrants(user.id);
+
+    return {
+      user: { id: user.id, username: user.username },
+      roles: [{ role: IMPLICIT_ROLE, granted_at: user.created_at || null, granted_by: null }, ...grants]
+    };
+  }
+
+  /**
+   * Grant a role to a user
+   * @param {string} username - User to grant it to
+   * @param {string} role - One of ROLES other than member
+   * @param {Object} actor - Admin granting it
+   * @returns {Object} { user, role, granted }
+   */
+  async grantRole(username, role, actor) {
+    const user = await this.findUser(username);
+    const grant = await Role.grant(user.id, role, actor.id);
+
+    if (grant) {
+      console.log(`🔑 ${actor.username || actor.id} granted ${role} to ${user.username}`);
+    }
+
+    return {
+      user: { id: user.id, username: user.username },
+      role,
+      granted: Boolean(grant),
+      granted_at: grant ? grant.granted_at : null
+    };
+  }
+
+  /**
+   * Revoke a role from a user
+   * @param {string} username - User to revoke it from
+   * @param {string} role - One of ROLES other than member
+   * @param {Object} actor - Admin revoking it
+   * @returns {Object} { user, role, revoked }
+   */
+  async revokeRole(username, role, actor) {
+    const user = await this.findUser(username);
+    const outcome = await Role.revoke(user.id, role);
+
+    if (outcome === 'last_admin') {
+      throw new APIError('Cannot revoke the last admin; grant admin to someone else first', 409, 'LAST_ADMIN');
+    }
+    if (outcome === 'not_held') {
+      throw new APIError(`${user.username} does not hold the ${role} role`, 404, 'ROLE_NOT_HELD');
+    }
+
+    console.log(`🔑 ${actor.username || actor.id} revoked ${role} from ${user.username}`);
+
+    return {
+      user: { id: user.id, username: user.username },
+      role,
+      revoked: true
+    };
+  }
+
+  async findUser(username) {
+    const user = await User.findByUsername(username);
+    if (!user) {
+      throw new APIError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    return user;
+  }
+}
+
+module.exports = new RoleService();
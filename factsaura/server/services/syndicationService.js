@@ -0,0 +1,167 @@
+// Syndication Service - RSS 2.0 and Atom feeds of alerts for ordinary feed readers
+const exportService = require('./exportService');
+const config = require('../config');
+
+const FEED_TITLE = 'FactSaura alerts';
+
+const VERDICT_LABELS = {
+  pending: 'Not yet verified',
+  disputed: 'Disputed',
+  confirmed_false: 'Confirmed false',
+  confirmed_true: 'Confirmed true',
+  outdated: 'Outdated'
+};
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    // Characters XML 1.0 does not allow at all
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class SyndicationService {
+  /**
+   * When a post last changed for a reader: analysis results, a verdict change or a retraction.
+   * updated_at also moves on every vote, which would make readers re-show the item.
+   */
+  getEntryUpdated(post) {
+    const times = [post.created_at, post.analysis_completed_at, post.verdict_changed_at, post.retracted_at]
+      .filter(Boolean)
+      .map(time => new Date(time));
+    return new Date(Math.max(...times.map(time => time.getTime()), 0));
+  }
+
+  /**
+   * Newest entry update in a list of posts (the feed's own updated time)
+   */
+  getFeedUpdated(posts) {
+    if (posts.length === 0) return new Date(0);
+    return new Date(Math.max(...posts.map(post => this.getEntryUpdated(post).getTime())));
+  }
+
+  /**
+   * Feed title describing its filters, e.g. "FactSaura alerts: critical, ai_detected, Mumbai"
+   */
+  getFeedTitle(filters) {
+    const parts = [filters.urgency_level, filters.harm_category, filters.post_type, filters.location]
+      .filter(Boolean);
+    return parts.length > 0 ? `${FEED_TITLE}: ${parts.join(', ')}` : FEED_TITLE;
+  }
+
+  /**
+   * Entry title; retracted posts are marked so readers notice the correction
+   */
+  getEntryTitle(post) {
+    return post.retracted_at ? `[Retracted] ${post.title}` : post.title;
+  }
+
+  /**
+   * Plain text summary of a post for feed readers, led by the correction notice if retracted
+   */
+  getSummary(post) {
+    const verdict = VERDICT_LABELS[post.verdict] || post.verdict;
+    const lines = [];
+
+    if (post.retracted_at) {
+      const corrected = post.corrected_post_id
+        ? ` Corrected post: ${exportService.getPostUrl({ id: post.corrected_post_id })}`
+        : '';
+      lines.push(`Retracted ${new Date(post.retracted_at).toUTCString()}: ${post.retraction_reason}${corrected}`);
+    }
+    lines.push(`${verdict}. ${post.content}`);
+
+    if (post.analysis_status === 'completed' && post.ai_analysis.explanation) {
+      const percent = Math.round((post.ai_analysis.confidence_score || 0) * 100);
+      lines.push(`AI analysis (${percent}% confidence): ${post.ai_analysis.explanation}`);
+    }
+    if (post.verdict_reason) {
+      lines.push(`Verdict note: ${post.verdict_reason}`);
+    }
+
+    return lines.join('\n\n');
+  }
+
+  getCategories(post) {
+    const { urgency_level, harm_category, location_relevance } = post.crisis_context;
+    return [urgency_level, harm_category, location_relevance !== 'global' ? location_relevance : null, post.type]
+      .filter(Boolean);
+  }
+
+  /**
+   * RSS 2.0 document
+   * @param {Post[]} posts - Newest first
+   * @param {Object} options - { filters, selfUrl }
+   */
+  buildRss(posts, { filters, selfUrl }) {
+    const items = posts.map(post => [
+      '    <item>',
+      `      <title>${escapeXml(this.getEntryTitle(post))}</title>`,
+      `      <link>${escapeXml(exportService.getPostUrl(post))}</link>`,
+      `      <guid isPermaLink="false">urn:uuid:${escapeXml(post.id)}</guid>`,
+      `      <pubDate>${new Date(post.created_at).toUTCString()}</pubDate>`,
+      `      <atom:updated>${this.getEntryUpdated(post).toISOString()}</atom:updated>`,
+      `      <description>${escapeXml(this.getSummary(post))}</description>`,
+      ...this.getCategories(post).map(category => `      <category>${escapeXml(category)}</category>`),
+      ...(post.source_url ? [`      <source url="${escapeXml(post.source_url)}">${escapeXml(post.source_url)}</source>`] : []),
+      '    </item>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(this.getFeedTitle(filters))}</title>`,
+      `    <link>${escapeXml(config.frontendUrl)}</link>`,
+      `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      '    <description>Misinformation alerts and fact-checks from FactSaura</description>',
+      '    <language>en</language>',
+      `    <lastBuildDate>${this.getFeedUpdated(posts).toUTCString()}</lastBuildDate>`,
+      '    <ttl>5</ttl>',
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Atom 1.0 document
+   * @param {Post[]} posts - Newest first
+   * @param {Object} options - { filters, selfUrl }
+   */
+  buildAtom(posts, { filters, selfUrl }) {
+    const entries = posts.map(post => [
+      '  <entry>',
+      `    <id>urn:uuid:${escapeXml(post.id)}</id>`,
+      `    <title>${escapeXml(this.getEntryTitle(post))}</title>`,
+      `    <link rel="alternate" href="${escapeXml(exportService.getPostUrl(post))}"/>`,
+      ...(post.source_url ? [`    <link rel="via" href="${escapeXml(post.source_url)}"/>`] : []),
+      `    <published>${new Date(post.created_at).toISOString()}</published>`,
+      `    <updated>${this.getEntryUpdated(post).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(post.author?.username || 'FactSaura')}</name></author>`,
+      `    <summary type="text">${escapeXml(this.getSummary(post))}</summary>`,
+      ...this.getCategories(post).map(category => `    <category term="${escapeXml(category)}"/>`),
+      '  </entry>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(selfUrl)}</id>`,
+      `  <title>${escapeXml(this.getFeedTitle(filters))}</title>`,
+      '  <subtitle>Misinformation alerts and fact-checks from FactSaura</subtitle>',
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+      `  <link rel="alternate" href="${escapeXml(config.frontendUrl)}"/>`,
+      `  <updated>${this.getFeedUpdated(posts).toISOString()}</updated>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = new SyndicationService();
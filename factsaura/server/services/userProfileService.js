@@ -0,0 +1,134 @@
+// User Profile Service - public profiles and the preferences a user keeps for alerts
+const User = require('../models/User');
+const Post = require('../models/Post');
+const geoService = require('./geoService');
+const expertVerificationService = require('./expertVerificationService');
+const { APIError } = require('../middleware/errorHandlingMiddleware');
+
+// Languages alerts and fact-checks are offered in (ISO 639-1)
+const LANGUAGES = ['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'ur', 'or', 'as'];
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'push', 'sms'];
+
+// Rules for each preference: allowed values (if fixed), list size and item length
+const PREFERENCE_RULES = {
+  alert_locations: { maxItems: 5, maxLength: geoService.AREA_MAX_LENGTH },
+  languages: { maxItems: 5, allowed: LANGUAGES },
+  notification_channels: { maxItems: NOTIFICATION_CHANNELS.length, allowed: NOTIFICATION_CHANNELS }
+};
+
+const RECENT_POSTS_LIMIT = 10;
+
+class UserProfileService {
+  get PREFERENCE_FIELDS() {
+    return Object.keys(PREFERENCE_RULES);
+  }
+
+  get LANGUAGES() {
+    return LANGUAGES;
+  }
+
+  get NOTIFICATION_CHANNELS() {
+    return NOTIFICATION_CHANNELS;
+  }
+
+  /**
+   * Public profile of a user: reputation, badges, expertise, accuracy and recent posts
+   * @param {string} username - Username to look up
+   * @returns {Object} Profile
+   */
+  async getPublicProfile(username) {
+    const user = await User.findByUsername(username);
+    if (!user || !user.is_active) {
+      throw new APIError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const [accuracy, rows] = await Promise.all([
+      user.getSubmissionAccuracy(),
+      user.getPosts(RECENT_POSTS_LIMIT, 0, { publishedOnly: true })
+    ]);
+
+    return {
+      user: user.toJSON(),
+      reputation: {
+        score: user.reputation_score,
+        community_trust_rating: Number(user.community_trust_rating)
+      },
+      badges: user.badges,
+      expertise: {
+        areas: user.expertise_areas,
+        verified_domains: user.is_expert ? expertVerificationService.getExpertDomains(user) : [],
+        reviews_given: user.expert_verifications_given
+      },
+      accuracy,
+      recent_posts: rows.map(row => new Post(row).toJSON())
+    };
+  }
+
+  /**
+   * Check a preferences update; fields left out keep their current value
+   * @returns {string|null} Error message, or null if valid
+   */
+  validatePreferences(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return 'Request body must be an object';
+    }
+
+    const fields = Object.keys(body);
+    if (fields.length === 0) {
+      return `Provide at least one of: ${this.PREFERENCE_FIELDS.join(', ')}`;
+    }
+
+    for (const field of fields) {
+      const rules = PREFERENCE_RULES[field];
+      if (!rules) return `Unknown field: ${field}`;
+
+      const values = body[field];
+      if (!Array.isArray(values) || values.length > rules.maxItems) {
+        return `${field} must be a list of at most ${rules.maxItems} items`;
+      }
+      if (values.some(value => typeof value !== 'string' || !value.trim())) {
+        return `Each of ${field} must be non-empty text`;
+      }
+      if (rules.allowed) {
+        const unknown = values.find(value => !rules.allowed.includes(value.trim().toLowerCase()));
+        if (unknown) return `${field} must only contain: ${rules.allowed.join(', ')}`;
+      } else if (values.some(value => value.length > rules.maxLength)) {
+        return `Each of ${field} must be 1 to ${rules.maxLength} characters`;
+      }
+    }
+
+    if (body.languages && body.languages.length === 0) {
+      return 'languages must name at least one language';
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize validated preferences for storage: trimmed, canonical place names, no duplicates
+   */
+  normalizePreferences(body) {
+    const preferences = {};
+
+    for (const field of Object.keys(body)) {
+      const values = body[field].map(value => (
+        field === 'alert_locations' ? geoService.canonicalAreaName(value) : value.trim().toLowerCase()
+      ));
+      preferences[field] = [...new Set(values)];
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Store a validated preferences update for a user
+   * @returns {Object} All preferences after the update
+   */
+  async updatePreferences(user, body) {
+    await user.update(this.normalizePreferences(body));
+    return user.getPreferences();
+  }
+}
+
+module.exports = new UserProfileService();
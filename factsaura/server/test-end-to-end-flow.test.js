@@ -9,6 +9,24 @@ const request = require('supertest');
 const app = require('./server');
 const { supabaseAdmin } = require('./config/supabase');
 
+// Poll the analysis status endpoint until the background worker is done with a post
+async function waitForAnalysis(postId, timeoutMs = 25000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await request(app)
+      .get(`/api/posts/${postId}/analysis-status`)
+      .expect(200);
+
+    if (!['pending', 'processing'].includes(response.body.data.analysis_status)) {
+      return response.body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  throw new Error(`Analysis for post ${postId} did not finish within ${timeoutMs}ms`);
+}
+
 describe('End-to-End Flow: Submit → Analyze → Display', () => {
   let testPostId;
   let systemUserId;
@@ -57,19 +75,25 @@ describe('End-to-End Flow: Submit → Analyze → Display', () => {
       const response = await request(app)
         .post('/api/posts')
         .send(testContent)
-        .expect(201);
+        .expect(202);
 
       // Verify response structure
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('message');
       expect(response.body).toHaveProperty('data');
       expect(response.body.data).toHaveProperty('post');
-      expect(response.body.data).toHaveProperty('ai_analysis');
-
-      const { post, ai_analysis } = response.body.data;
+      expect(response.body.data.post).toHaveProperty('analysis_status', 'pending');
+      expect(response.body.data.analysis).toHaveProperty('status_url');
 
       // Store post ID for cleanup
-      testPostId = post.id;
+      testPostId = response.body.data.post.id;
+
+      // Analysis runs in the background - wait for it, then read the analyzed post
+      const analysisStatus = await waitForAnalysis(testPostId);
+      expect(analysisStatus.analysis_status).toBe('completed');
+
+      const ai_analysis = analysisStatus.ai_analysis;
+      const post = (await request(app).get(`/api/posts/${testPostId}`).expect(200)).body.data.post;
 
       // Verify post structure
       expect(post).toHaveProperty('id');
@@ -248,10 +272,10 @@ describe('End-to-End Flow: Submit → Analyze → Display', () => {
       const submitResponse = await request(app)
         .post('/api/posts')
         .send(newContent)
-        .expect(201);
+        .expect(202);
 
       const newPostId = submitResponse.body.data.post.id;
-      const aiAnalysis = submitResponse.body.data.ai_analysis;
+      const { ai_analysis: aiAnalysis } = await waitForAnalysis(newPostId);
 
       console.log(`📝 Step 1 Complete: Post created with ID ${newPostId}`);
       console.log(`🤖 AI Analysis: ${aiAnalysis.confidence_score * 100}% confidence, ${aiAnalysis.is_misinformation ? 'MISINFORMATION' : 'CREDIBLE'}`);
@@ -25,9 +25,19 @@ async function testEnhancedAIDisplay() {
     });
 
     if (response.data.success) {
-      console.log('✅ Post created successfully with AI analysis');
+      console.log('✅ Post created, waiting for background AI analysis...');
       
-      const aiAnalysis = response.data.data.ai_analysis;
+      // Analysis runs asynchronously - poll the status endpoint until it finishes
+      const statusUrl = `http://localhost:3001${response.data.data.analysis.status_url}`;
+      let analysisStatus;
+      for (let attempt = 0; attempt < 30; attempt++) {
+        analysisStatus = (await axios.get(statusUrl, { timeout: 10000 })).data.data;
+        if (!['pending', 'processing'].includes(analysisStatus.analysis_status)) break;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      console.log(`   • Analysis Status: ${analysisStatus.analysis_status}`);
+      
+      const aiAnalysis = analysisStatus.ai_analysis || {};
       console.log('\n🤖 AI Analysis Results:');
       console.log(`   • Is Misinformation: ${aiAnalysis.is_misinformation ? '⚠️ YES' : '✅ NO'}`);
       console.log(`   • Confidence Score: ${Math.round(aiAnalysis.confidence_score * 100)}%`);
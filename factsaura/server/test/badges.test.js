@@ -0,0 +1,147 @@
+/**
+ * Badge Engine Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const PostReport = require('../models/PostReport');
+const badgeService = require('../services/badgeService');
+const usersController = require('../controllers/usersController');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000005';
+const REPORTER_ID = 'a1b2c3d4-0000-4000-8000-000000000006';
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+
+const NO_METRICS = {
+  confirmed_catches: 0,
+  accurate_submissions: 0,
+  expert_reviews: 0,
+  crisis_responses: 0,
+  longest_streak_days: 0
+};
+
+function buildUser(overrides = {}) {
+  return new User({ id: USER_ID, username: 'andheri_watch', badges: [], ...overrides });
+}
+
+describe('BadgeService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should award badges whose target an event met', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'getBadgeMetrics').mockResolvedValue({ ...NO_METRICS, crisis_responses: 3, longest_streak_days: 6 });
+    const awardSpy = jest.spyOn(user, 'awardBadge').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const awarded = await badgeService.evaluate(USER_ID, 'vote_cast');
+
+    expect(awarded).toEqual([expect.objectContaining({ type: 'crisis_helper', name: 'Crisis Helper' })]);
+    expect(awardSpy).toHaveBeenCalledTimes(1);
+    expect(awardSpy.mock.calls[0][0].earned_date).toEqual(expect.any(String));
+  });
+
+  test('should skip metrics when the event cannot earn a badge the user lacks', async () => {
+    const user = buildUser({ badges: [{ type: 'truth_detective' }, { type: 'reliable_source' }] });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const metricsSpy = jest.spyOn(user, 'getBadgeMetrics');
+
+    await expect(badgeService.evaluate(USER_ID, 'verdict_settled')).resolves.toEqual([]);
+    expect(metricsSpy).not.toHaveBeenCalled();
+  });
+
+  test('should not report a badge another request awarded first', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'getBadgeMetrics').mockResolvedValue({ ...NO_METRICS, expert_reviews: 12 });
+    jest.spyOn(user, 'awardBadge').mockResolvedValue(false);
+
+    await expect(badgeService.evaluate(USER_ID, 'expert_review')).resolves.toEqual([]);
+  });
+
+  test('should never throw when badges cannot be evaluated', async () => {
+    jest.spyOn(User, 'findById').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(badgeService.evaluate(USER_ID, 'vote_cast')).resolves.toEqual([]);
+  });
+
+  test('should evaluate the author and false-flag reporters once a verdict settles', async () => {
+    const evaluateSpy = jest.spyOn(badgeService, 'evaluate').mockResolvedValue([]);
+    const findReports = jest.spyOn(PostReport, 'findByPosts').mockResolvedValue([
+      new PostReport({ post_id: POST_ID, user_id: REPORTER_ID, reason: 'fake_shelter' })
+    ]);
+
+    await badgeService.evaluateVerdict(new Post({ id: POST_ID, author_id: USER_ID, verdict: 'disputed' }));
+    expect(evaluateSpy).not.toHaveBeenCalled();
+
+    await badgeService.evaluateVerdict(new Post({ id: POST_ID, author_id: USER_ID, verdict: 'confirmed_false' }));
+    expect(findReports).toHaveBeenCalledWith([POST_ID], { reasons: PostReport.FALSITY_REASONS });
+    expect(evaluateSpy.mock.calls).toEqual([[USER_ID, 'verdict_settled'], [REPORTER_ID, 'verdict_settled']]);
+  });
+
+  test('should report progress toward every badge', () => {
+    const user = buildUser({ badges: [{ type: 'truth_detective', earned_date: '2025-07-01T12:00:00.000Z' }] });
+
+    const progress = badgeService.getProgress(user, { ...NO_METRICS, expert_reviews: 4, longest_streak_days: 9 });
+
+    expect(progress.map(badge => badge.type)).toEqual(Object.keys(badgeService.DEFINITIONS));
+    expect(progress.find(badge => badge.type === 'truth_detective')).toMatchObject({
+      earned: true,
+      earned_date: '2025-07-01T12:00:00.000Z',
+      progress: { current: 1, target: 1, percent: 100 }
+    });
+    expect(progress.find(badge => badge.type === 'fact_checker')).toMatchObject({
+      earned: false,
+      progress: { current: 4, target: 10, percent: 40 }
+    });
+    expect(progress.find(badge => badge.type === 'steady_watch').progress).toEqual({ current: 7, target: 7, percent: 100 });
+  });
+});
+
+describe('GET /users/me/badges', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = buildUser({ badges: [{ type: 'expert', name: 'Verified Expert' }, { type: 'crisis_helper', earned_date: '2025-07-02T08:00:00.000Z' }] });
+
+    app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/users/me/badges', usersController.getMyBadges);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list available and earned badges with progress', async () => {
+    const metricsSpy = jest.spyOn(user, 'getBadgeMetrics').mockResolvedValue({ ...NO_METRICS, accurate_submissions: 2 });
+
+    const response = await request(app).get('/users/me/badges');
+
+    expect(response.status).toBe(200);
+    expect(metricsSpy).toHaveBeenCalledWith({ falsityReasons: PostReport.FALSITY_REASONS, activeHours: 48 });
+    expect(response.body.data.earned_count).toBe(1);
+    expect(response.body.data.badges).toHaveLength(Object.keys(badgeService.DEFINITIONS).length);
+    expect(response.body.data.badges.find(badge => badge.type === 'reliable_source').progress).toEqual({
+      current: 2,
+      target: 5,
+      percent: 40
+    });
+  });
+});
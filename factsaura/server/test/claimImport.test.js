@@ -0,0 +1,162 @@
+/**
+ * Claim Import Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client and AI service before requiring the service
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+
+const Post = require('../models/Post');
+const ClaimImport = require('../models/ClaimImport');
+const postAnalysisWorker = require('../services/postAnalysisWorker');
+const claimImportService = require('../services/claimImportService');
+const claimImportController = require('../controllers/claimImportController');
+
+const IMPORTER_ID = 'a1b2c3d4-0000-4000-8000-000000000007';
+const IMPORT_ID = '5e4d3c2b-1a09-4f8e-8d7c-6b5a49382716';
+
+const CSV = [
+  'Title,Content,Source URL,Location,Timestamp',
+  'Fake rescue number,"Call 555-0100, the ""official"" NDRF line",https://wa.me/forward/1,Chennai,2025-11-30T08:15:00Z',
+  'Shelter closed,"Rumor that the Velachery shelter is closed\nforwarded twice",,Velachery,',
+  'No content,,,,',
+  'Bad date,Dam gates opened at midnight,,Chennai,last tuesday'
+].join('\r\n');
+
+function mockPersistence() {
+  let created = 0;
+  const createSpy = jest.spyOn(Post, 'create').mockImplementation(async data => new Post({
+    id: `post-${++created}`,
+    ...data
+  }));
+  jest.spyOn(ClaimImport, 'create').mockImplementation(async data => new ClaimImport({ id: IMPORT_ID, ...data }));
+  const completeSpy = jest.spyOn(ClaimImport.prototype, 'complete').mockImplementation(async function () { return this; });
+  const enqueueSpy = jest.spyOn(postAnalysisWorker, 'enqueue').mockResolvedValue({ created: true });
+  return { createSpy, completeSpy, enqueueSpy };
+}
+
+describe('ClaimImportService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should parse quoted CSV fields with commas, escaped quotes and line breaks', () => {
+    const rows = claimImportService.parse('csv', CSV);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[0].fields).toEqual({
+      title: 'Fake rescue number',
+      content: 'Call 555-0100, the "official" NDRF line',
+      source_url: 'https://wa.me/forward/1',
+      location: 'Chennai',
+      timestamp: '2025-11-30T08:15:00Z'
+    });
+    expect(rows[1].fields.content).toBe('Rumor that the Velachery shelter is closed\nforwarded twice');
+  });
+
+  test('should import valid rows, queue analysis and report row errors', async () => {
+    const { createSpy, completeSpy, enqueueSpy } = mockPersistence();
+
+    const report = await claimImportService.importClaims('csv', CSV, { authorId: IMPORTER_ID, requestedBy: IMPORTER_ID });
+
+    expect(createSpy).toHaveBeenCalledTimes(2);
+    expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Fake rescue number',
+      author_id: IMPORTER_ID,
+      post_type: 'user_submitted',
+      location_relevance: 'Chennai',
+      claim_seen_at: '2025-11-30T08:15:00.000Z',
+      import_id: IMPORT_ID,
+      analysis_status: 'pending'
+    }));
+    expect(enqueueSpy).toHaveBeenCalledWith('post-1', { priority: 'medium' });
+    expect(completeSpy).toHaveBeenCalledWith(2, 2);
+    expect(report).toMatchObject({ import_id: IMPORT_ID, total_rows: 4, imported: 2, failed: 2 });
+    expect(report.rows[2]).toMatchObject({ row: 3, status: 'failed', errors: ['Title and content are required'] });
+    expect(report.rows[3].errors).toEqual(['timestamp must be an ISO 8601 date']);
+  });
+
+  test('should fail bad JSONL lines and repeated claims without failing the file', () => {
+    const jsonl = [
+      '{"title":"Cyclone alert","content":"Cyclone makes landfall tonight"}',
+      'not json',
+      '{"title":"Cyclone alert again","content":"Cyclone  makes landfall TONIGHT"}',
+      '["title"]'
+    ].join('\n');
+
+    const results = claimImportService.validateRows(claimImportService.parse('jsonl', jsonl));
+
+    expect(results.map(result => result.status)).toEqual(['valid', 'failed', 'failed', 'failed']);
+    expect(results[1].errors).toEqual(['Line is not valid JSON']);
+    expect(results[2].errors).toEqual(['Same claim as row 1']);
+  });
+
+  test('should reject a CSV without title and content columns', () => {
+    expect(() => claimImportService.parse('csv', 'claim,location\nSomething,Pune')).toThrow('title and content');
+  });
+});
+
+describe('ClaimImportController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(express.text({ type: ['text/csv', 'application/x-ndjson'] }));
+    app.use((req, res, next) => {
+      req.user = { id: IMPORTER_ID };
+      next();
+    });
+    app.post('/posts/import', claimImportController.importClaims);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should accept a raw CSV upload', async () => {
+    mockPersistence();
+
+    const response = await request(app)
+      .post('/posts/import')
+      .query({ source_name: 'chennai-volunteers.csv' })
+      .set('Content-Type', 'text/csv')
+      .send(CSV);
+
+    expect(response.status).toBe(202);
+    expect(ClaimImport.create).toHaveBeenCalledWith(expect.objectContaining({
+      format: 'csv',
+      source_name: 'chennai-volunteers.csv',
+      total_rows: 4
+    }));
+    expect(response.body.data.imported).toBe(2);
+  });
+
+  test('should validate without importing on a dry run', async () => {
+    const { createSpy } = mockPersistence();
+
+    const response = await request(app)
+      .post('/posts/import')
+      .send({ format: 'csv', data: CSV, dry_run: true });
+
+    expect(response.status).toBe(200);
+    expect(createSpy).not.toHaveBeenCalled();
+    expect(response.body.data).toMatchObject({ dry_run: true, valid: 2, imported: 0, failed: 2 });
+  });
+
+  test('should require a known format', async () => {
+    const response = await request(app)
+      .post('/posts/import')
+      .send({ format: 'xlsx', data: CSV });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Comments Controller Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const badgeService = require('../services/badgeService');
+const commentsController = require('../controllers/commentsController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const COMMENT_ID = '7d6c5b4a-3e2f-4a1b-8c9d-0e1f2a3b4c5d';
+const AUTHOR_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+
+function buildComment(overrides = {}) {
+  return new Comment({
+    id: COMMENT_ID,
+    post_id: POST_ID,
+    author_id: AUTHOR_ID,
+    content: 'The BMC helpline is 1916, not the number in this post',
+    expertise_tags: ['local_knowledge'],
+    depth: 0,
+    ...overrides
+  });
+}
+
+describe('CommentsController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: req.headers['x-test-user'] || USER_ID };
+      next();
+    });
+    app.get('/posts/:id/comments', commentsController.getPostComments);
+    app.post('/posts/:id/comments', commentsController.createComment);
+    app.put('/comments/:id', commentsController.updateComment);
+    app.delete('/comments/:id', commentsController.deleteComment);
+    app.post('/comments/:id/flag', commentsController.flagComment);
+    app.put('/comments/:id/vote', commentsController.voteOnComment);
+    app.post('/comments/:id/verify', commentsController.verifyComment);
+
+    jest.spyOn(Post, 'findById').mockResolvedValue(new Post({ id: POST_ID, is_published: true }));
+    jest.spyOn(badgeService, 'evaluate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /posts/:id/comments', () => {
+    test('should return paginated threads', async () => {
+      const thread = buildComment({ replies: [buildComment({ id: 'reply-1', parent_id: COMMENT_ID, depth: 1 })] });
+      const threadsSpy = jest.spyOn(Comment, 'getThreadsForPost')
+        .mockResolvedValue({ comments: [thread], total: 3 });
+
+      const response = await request(app)
+        .get(`/posts/${POST_ID}/comments`)
+        .query({ page: 1, limit: 2, sort: 'new' });
+
+      expect(response.status).toBe(200);
+      expect(threadsSpy).toHaveBeenCalledWith(POST_ID, expect.objectContaining({ limit: 2, offset: 0, sort: 'new' }));
+      expect(response.body.data.comments[0].replies[0].id).toBe('reply-1');
+      expect(response.body.data.pagination).toMatchObject({ total_threads: 3, has_more: true, next_page: 2 });
+    });
+
+    test('should return 404 for unknown posts', async () => {
+      Post.findById.mockResolvedValue(null);
+
+      const response = await request(app).get(`/posts/${POST_ID}/comments`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('POST_NOT_FOUND');
+    });
+  });
+
+  describe('POST /posts/:id/comments', () => {
+    test('should create a top-level comment with normalized expertise tags', async () => {
+      const createSpy = jest.spyOn(Comment, 'create').mockImplementation(async data => buildComment(data));
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/comments`)
+        .send({ content: '  Verified with ward office  ', expertise_tags: ['Local Knowledge', 'safety'] });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith({
+        post_id: POST_ID,
+        author_id: USER_ID,
+        parent_id: null,
+        depth: 0,
+        content: 'Verified with ward office',
+        expertise_tags: ['local_knowledge', 'safety']
+      });
+      expect(badgeService.evaluate).toHaveBeenCalledWith(USER_ID, 'comment_posted');
+    });
+
+    test('should nest replies one level below their parent', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment({ depth: 2 }));
+      const createSpy = jest.spyOn(Comment, 'create').mockImplementation(async data => buildComment(data));
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/comments`)
+        .send({ content: 'Agreed', parent_id: COMMENT_ID });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Reply posted successfully');
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ parent_id: COMMENT_ID, depth: 3 }));
+    });
+
+    test('should reject replies beyond the maximum depth', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment({ depth: 5 }));
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/comments`)
+        .send({ content: 'Too deep', parent_id: COMMENT_ID });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('THREAD_TOO_DEEP');
+    });
+
+    test('should reject replies to comments on another post', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment({ post_id: 'other-post' }));
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/comments`)
+        .send({ content: 'Wrong thread', parent_id: COMMENT_ID });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('PARENT_COMMENT_NOT_FOUND');
+    });
+
+    test('should validate content and tags', async () => {
+      const empty = await request(app).post(`/posts/${POST_ID}/comments`).send({ content: '   ' });
+      expect(empty.status).toBe(400);
+
+      const tooManyTags = await request(app)
+        .post(`/posts/${POST_ID}/comments`)
+        .send({ content: 'ok', expertise_tags: ['a', 'b', 'c', 'd', 'e', 'f'] });
+      expect(tooManyTags.status).toBe(400);
+      expect(tooManyTags.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('PUT /comments/:id and DELETE /comments/:id', () => {
+    test('should let the author edit their comment', async () => {
+      const comment = buildComment();
+      jest.spyOn(Comment, 'findById').mockResolvedValue(comment);
+      const editSpy = jest.spyOn(comment, 'edit').mockResolvedValue(comment);
+
+      const response = await request(app)
+        .put(`/comments/${COMMENT_ID}`)
+        .set('x-test-user', AUTHOR_ID)
+        .send({ content: 'Updated with source link' });
+
+      expect(response.status).toBe(200);
+      expect(editSpy).toHaveBeenCalledWith('Updated with source link', undefined);
+    });
+
+    test('should not let other users delete a comment', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment());
+
+      const response = await request(app).delete(`/comments/${COMMENT_ID}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('NOT_COMMENT_AUTHOR');
+    });
+
+    test('should soft-delete the author\'s comment', async () => {
+      const comment = buildComment();
+      jest.spyOn(Comment, 'findById').mockResolvedValue(comment);
+      const deleteSpy = jest.spyOn(comment, 'softDelete').mockResolvedValue(comment);
+
+      const response = await request(app)
+        .delete(`/comments/${COMMENT_ID}`)
+        .set('x-test-user', AUTHOR_ID);
+
+      expect(response.status).toBe(200);
+      expect(deleteSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /comments/:id/flag', () => {
+    test('should flag a comment once per user', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment());
+      jest.spyOn(Comment, 'flag').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const first = await request(app).post(`/comments/${COMMENT_ID}/flag`).send({ reason: 'spam' });
+      expect(first.status).toBe(200);
+      expect(Comment.flag).toHaveBeenCalledWith(COMMENT_ID, USER_ID, 'spam', null);
+
+      const second = await request(app).post(`/comments/${COMMENT_ID}/flag`).send({ reason: 'spam' });
+      expect(second.status).toBe(409);
+      expect(second.body.error.code).toBe('ALREADY_FLAGGED');
+    });
+
+    test('should reject unknown flag reasons', async () => {
+      const response = await request(app).post(`/comments/${COMMENT_ID}/flag`).send({ reason: 'boring' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /comments/:id/vote', () => {
+    test('should map vote types to score values', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment());
+      jest.spyOn(Comment, 'vote').mockResolvedValue({ previous_value: 0, current_value: -1, community_score: 4 });
+
+      const response = await request(app).put(`/comments/${COMMENT_ID}/vote`).send({ vote_type: 'downvote' });
+
+      expect(response.status).toBe(200);
+      expect(Comment.vote).toHaveBeenCalledWith(COMMENT_ID, USER_ID, -1);
+      expect(response.body.data.community_score).toBe(4);
+    });
+
+    test('should not allow voting on your own comment', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment());
+
+      const response = await request(app)
+        .put(`/comments/${COMMENT_ID}/vote`)
+        .set('x-test-user', AUTHOR_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /comments/:id/verify', () => {
+    test('should mark a comment as expert verified', async () => {
+      const comment = buildComment();
+      jest.spyOn(Comment, 'findById').mockResolvedValue(comment);
+      const verifySpy = jest.spyOn(comment, 'verify').mockImplementation(async expertId => {
+        comment.is_expert_verified = true;
+        comment.verified_by = expertId;
+        return comment;
+      });
+
+      const response = await request(app).post(`/comments/${COMMENT_ID}/verify`);
+
+      expect(response.status).toBe(200);
+      expect(verifySpy).toHaveBeenCalledWith(USER_ID);
+      expect(response.body.data.comment.is_expert_verified).toBe(true);
+    });
+
+    test('should reject already verified comments', async () => {
+      jest.spyOn(Comment, 'findById').mockResolvedValue(buildComment({ is_expert_verified: true }));
+
+      const response = await request(app).post(`/comments/${COMMENT_ID}/verify`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Comment thread pruning', () => {
+    test('should keep deleted comments with replies as placeholders', () => {
+      const threads = Comment._pruneDeleted([
+        buildComment({
+          id: 'deleted-with-replies',
+          is_deleted: true,
+          replies: [buildComment({ id: 'visible-reply', parent_id: 'deleted-with-replies', depth: 1 })]
+        }),
+        buildComment({ id: 'deleted-leaf', is_deleted: true })
+      ]);
+
+      expect(threads).toHaveLength(1);
+      const json = threads[0].toJSON();
+      expect(json.content).toBeNull();
+      expect(json.author).toBeNull();
+      expect(json.replies[0].id).toBe('visible-reply');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Expert Verification Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+
+const Post = require('../models/Post');
+const ExpertVerification = require('../models/ExpertVerification');
+const expertVerificationService = require('../services/expertVerificationService');
+const reputationService = require('../services/reputationService');
+const badgeService = require('../services/badgeService');
+const expertVerificationController = require('../controllers/expertVerificationController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const AUTHOR_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const EXPERT_ID = 'a1b2c3d4-0000-4000-8000-000000000005';
+
+const REVIEW = {
+  verdict: 'confirmed_false',
+  evidence_links: ['https://www.who.int/news-room/fact-sheets/detail/cholera'],
+  notes: 'Boiled water does not need bleach; WHO guidance contradicts the claim'
+};
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Bleach cures cholera',
+    content: 'Add a cap of bleach to drinking water to cure cholera',
+    author_id: AUTHOR_ID,
+    harm_category: 'health',
+    location_relevance: 'Mumbai',
+    confidence_score: 0.6,
+    upvotes: 3,
+    downvotes: 1,
+    is_published: true,
+    ...overrides
+  });
+}
+
+// Stand-in for record_expert_verification: tally includes the new review
+function mockRecord(tally = {}) {
+  return jest.spyOn(ExpertVerification, 'record').mockImplementation(async entry => {
+    const counts = { confirmed_false: 0, confirmed_true: 0, disputed: 0, ...tally };
+    counts[entry.verdict] += 1;
+    return {
+      verification: new ExpertVerification({ id: 'verification-1', ...entry }),
+      expert_verifications: counts.confirmed_false + counts.confirmed_true + counts.disputed,
+      tally: counts
+    };
+  });
+}
+
+// Stand-in for transition_post_verdict, which returns the history row
+function mockTransition(post) {
+  return jest.spyOn(post, 'transitionVerdict').mockImplementation(async (verdict, { actorRole, reason }) => {
+    const change = { from_verdict: post.verdict, to_verdict: verdict, actor_role: actorRole, reason };
+    post.verdict = verdict;
+    return change;
+  });
+}
+
+describe('ExpertVerificationController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = {
+        id: EXPERT_ID,
+        is_expert: true,
+        expertise_areas: (req.headers['x-test-expertise'] || 'Health').split(','),
+        expert_verifications_given: 4,
+        badges: []
+      };
+      next();
+    });
+    app.get('/posts/:id/expert-verifications', expertVerificationController.getExpertVerifications);
+    app.post('/posts/:id/expert-verifications', expertVerificationController.verifyPost);
+
+    jest.spyOn(reputationService, 'applyVerdict').mockResolvedValue([]);
+    jest.spyOn(badgeService, 'evaluate').mockResolvedValue([]);
+    jest.spyOn(badgeService, 'evaluateVerdict').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record the review, settle the verdict and raise trust', async () => {
+    const post = buildPost();
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const recordSpy = mockRecord();
+    const transitionSpy = mockTransition(post);
+    const updateSpy = jest.spyOn(post, 'update').mockResolvedValue(post);
+
+    const response = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send(REVIEW);
+
+    expect(response.status).toBe(201);
+    expect(recordSpy).toHaveBeenCalledWith({ post_id: POST_ID, expert_id: EXPERT_ID, domain: 'health', ...REVIEW });
+    expect(transitionSpy).toHaveBeenCalledWith('confirmed_false', expect.objectContaining({ changedBy: EXPERT_ID, actorRole: 'expert' }));
+    // 3/4 upvotes * 0.3 + 0.6 AI confidence * 0.2 + full expert agreement * 0.5
+    expect(updateSpy).toHaveBeenCalledWith({ expert_agreement: 1, community_trust_score: 0.845 });
+    expect(reputationService.applyVerdict).toHaveBeenCalledWith(post);
+    expect(badgeService.evaluateVerdict).toHaveBeenCalledWith(post);
+    expect(badgeService.evaluate).toHaveBeenCalledWith(EXPERT_ID, 'expert_review');
+    expect(response.body.data).toMatchObject({
+      previous_verdict: 'pending',
+      verdict: { status: 'confirmed_false' },
+      verdict_changed: true,
+      expert_verifications: 1,
+      expert_agreement: 1,
+      expert_verifications_given: 5
+    });
+  });
+
+  test('should reopen a settled verdict an expert contradicts', async () => {
+    const post = buildPost({ verdict: 'confirmed_true', expert_verifications: 1 });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    mockRecord({ confirmed_true: 1 });
+    const transitionSpy = mockTransition(post);
+    const updateSpy = jest.spyOn(post, 'update').mockResolvedValue(post);
+
+    const response = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .set('x-test-expertise', 'local knowledge')
+      .send(REVIEW);
+
+    expect(response.status).toBe(201);
+    expect(transitionSpy).toHaveBeenCalledWith('disputed', expect.any(Object));
+    expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({ expert_agreement: 0 }));
+    expect(response.body.data.needs_expert_review).toBe(true);
+  });
+
+  test('should only count a review that agrees with the verdict without changing it', async () => {
+    const post = buildPost({ verdict: 'confirmed_false', expert_verifications: 1, expert_agreement: 1 });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    mockRecord({ confirmed_false: 1 });
+    const transitionSpy = mockTransition(post);
+    jest.spyOn(post, 'update').mockResolvedValue(post);
+
+    const response = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send(REVIEW);
+
+    expect(response.status).toBe(201);
+    expect(transitionSpy).not.toHaveBeenCalled();
+    expect(response.body.data).toMatchObject({ verdict_changed: false, expert_verifications: 2 });
+  });
+
+  test('should refuse experts outside the post domain', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({ location_relevance: 'global' }));
+    const recordSpy = jest.spyOn(ExpertVerification, 'record');
+
+    const response = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .set('x-test-expertise', 'safety,local_knowledge')
+      .send(REVIEW);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('EXPERTISE_MISMATCH');
+    expect(recordSpy).not.toHaveBeenCalled();
+  });
+
+  test('should accept one review per expert per post', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(buildPost());
+    jest.spyOn(ExpertVerification, 'record').mockResolvedValue(null);
+
+    const response = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send(REVIEW);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('ALREADY_VERIFIED');
+  });
+
+  test('should require evidence links and notes', async () => {
+    const noEvidence = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send({ ...REVIEW, evidence_links: [] });
+    const badLink = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send({ ...REVIEW, evidence_links: ['javascript:alert(1)'] });
+    const shortNotes = await request(app)
+      .post(`/posts/${POST_ID}/expert-verifications`)
+      .send({ ...REVIEW, notes: 'Fake' });
+
+    expect(noEvidence.status).toBe(400);
+    expect(badLink.status).toBe(400);
+    expect(shortNotes.status).toBe(400);
+  });
+
+  test('should list reviews with the domains the post needs', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({ expert_verifications: 1, expert_agreement: '1.000' }));
+    jest.spyOn(ExpertVerification, 'findByPost').mockResolvedValue([
+      new ExpertVerification({ id: 'verification-1', post_id: POST_ID, expert_id: EXPERT_ID, domain: 'health', ...REVIEW })
+    ]);
+
+    const response = await request(app).get(`/posts/${POST_ID}/expert-verifications`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      review_domains: ['health', 'local_knowledge'],
+      expert_agreement: 1,
+      verifications: [{ verdict: 'confirmed_false', domain: 'health' }]
+    });
+  });
+});
+
+describe('ExpertVerificationService', () => {
+  test('should not review outdated posts', () => {
+    expect(() => expertVerificationService.resolveVerdict('outdated', 'confirmed_true')).toThrow('outdated');
+    expect(expertVerificationService.resolveVerdict('disputed', 'disputed')).toBeNull();
+    expect(expertVerificationService.resolveVerdict('confirmed_false', 'disputed')).toBe('disputed');
+  });
+});
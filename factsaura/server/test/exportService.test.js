@@ -0,0 +1,133 @@
+/**
+ * Export Service Unit Tests
+ */
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const Post = require('../models/Post');
+const exportService = require('../services/exportService');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Cyclone shelter closed',
+    content: 'Marina beach cyclone shelter is closed, go to Adyar instead',
+    source_url: 'https://twitter.com/example/status/1',
+    location_relevance: 'Chennai',
+    harm_category: 'safety',
+    confidence_score: 0.8,
+    is_misinformation: false,
+    analysis_explanation: 'Matches the district collector notice',
+    sources_checked: [{ url: 'https://chennai.nic.in/notice', credibility: 0.9, status: 'verified' }],
+    created_at: '2025-12-01T06:00:00.000Z',
+    updated_at: '2025-12-01T07:00:00.000Z',
+    claim_seen_at: '2025-11-30T22:00:00.000Z',
+    ...overrides
+  });
+}
+
+describe('ExportService', () => {
+  test('should map analysis and sources into a ClaimReview', () => {
+    const review = exportService.toClaimReview(buildPost());
+
+    expect(review).toMatchObject({
+      '@type': 'ClaimReview',
+      url: expect.stringMatching(new RegExp(`/posts/${POST_ID}$`)),
+      claimReviewed: 'Marina beach cyclone shelter is closed, go to Adyar instead',
+      reviewRating: {
+        ratingValue: 5,
+        bestRating: 5,
+        worstRating: 1,
+        alternateName: 'Likely true (AI, 80% confidence)',
+        ratingExplanation: 'Matches the district collector notice'
+      },
+      itemReviewed: {
+        '@type': 'Claim',
+        datePublished: '2025-11-30T22:00:00.000Z',
+        appearance: [{ '@type': 'CreativeWork', url: 'https://twitter.com/example/status/1' }],
+        contentLocation: { '@type': 'Place', name: 'Chennai' }
+      },
+      citation: [{ '@type': 'CreativeWork', url: 'https://chennai.nic.in/notice' }]
+    });
+  });
+
+  test('should prefer a human verdict over the AI rating', () => {
+    const review = exportService.toClaimReview(buildPost({
+      verdict: 'disputed',
+      verdict_changed_at: '2025-12-01T09:00:00.000Z'
+    }));
+
+    expect(review.reviewRating).toMatchObject({ ratingValue: 3, alternateName: 'Disputed' });
+    expect(review.dateModified).toBe('2025-12-01T09:00:00.000Z');
+  });
+
+  test('should carry a retraction as a correction', () => {
+    const post = buildPost({
+      retracted_at: '2025-12-02T08:00:00.000Z',
+      retraction_reason: 'The shelter reopened on Dec 2',
+      corrected_post_id: '00000000-0000-4000-8000-000000000002'
+    });
+    const review = exportService.toClaimReview(post);
+    const record = exportService.toExportRecord(post);
+
+    expect(review.dateModified).toBe('2025-12-02T08:00:00.000Z');
+    expect(review.correction).toEqual({
+      '@type': 'CorrectionComment',
+      text: 'The shelter reopened on Dec 2',
+      datePublished: '2025-12-02T08:00:00.000Z',
+      url: expect.stringMatching(/\/posts\/00000000-0000-4000-8000-000000000002$/)
+    });
+    expect(record).toMatchObject({
+      retracted_at: '2025-12-02T08:00:00.000Z',
+      retraction_reason: 'The shelter reopened on Dec 2',
+      corrected_post_url: expect.stringMatching(/\/posts\/00000000-0000-4000-8000-000000000002$/)
+    });
+    expect(exportService.toClaimReview(buildPost()).correction).toBeUndefined();
+  });
+
+  test('should have nothing to publish while analysis is pending', () => {
+    expect(exportService.toClaimReview(buildPost({ analysis_status: 'pending' }))).toBeNull();
+  });
+
+  test('should escape CSV values and neutralise spreadsheet formulas', () => {
+    const record = exportService.toExportRecord(buildPost({
+      title: '=HYPERLINK("http://evil.example")',
+      content: 'Line one, with "quotes"\nline two'
+    }));
+    const row = exportService.toCsvRow(record);
+
+    expect(row).toContain('"\'=HYPERLINK(""http://evil.example"")"');
+    expect(row).toContain('"Line one, with ""quotes""\nline two"');
+    expect(row).toContain(',https://chennai.nic.in/notice,');
+    expect(record.sources_checked).toEqual(['https://chennai.nic.in/notice']);
+  });
+
+  test('should page through the feed with a keyset cursor', async () => {
+    const fullPage = Array.from({ length: 200 }, (_, i) => buildPost({
+      id: `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`
+    }));
+    const feedSpy = jest.spyOn(Post, 'getFeed')
+      .mockResolvedValueOnce(fullPage)
+      .mockResolvedValueOnce([buildPost()]);
+
+    const pages = [];
+    for await (const posts of exportService.iteratePosts({ urgency_level: 'high' }, 201)) {
+      pages.push(posts);
+    }
+
+    expect(pages.map(posts => posts.length)).toEqual([200, 1]);
+    expect(feedSpy).toHaveBeenLastCalledWith(expect.objectContaining({
+      urgency_level: 'high',
+      limit: 1,
+      after: { value: '2025-12-01T06:00:00.000Z', id: '00000000-0000-4000-8000-000000000199' }
+    }));
+
+    feedSpy.mockRestore();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Feed Ranking Weights Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const FeedRankingWeights = require('../models/FeedRankingWeights');
+const feedRankingController = require('../controllers/feedRankingController');
+
+const ADMIN_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+const DEFAULT_WEIGHTS = {
+  urgency_weight: 3,
+  confidence_weight: 1,
+  votes_weight: 1,
+  expert_weight: 2,
+  half_life_hours: 12
+};
+
+describe('FeedRankingController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: ADMIN_ID };
+      next();
+    });
+    app.get('/posts/ranking-weights', feedRankingController.getRankingWeights);
+    app.put('/posts/ranking-weights', feedRankingController.updateRankingWeights);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the current weights', async () => {
+    jest.spyOn(FeedRankingWeights, 'get').mockResolvedValue(new FeedRankingWeights({
+      ...DEFAULT_WEIGHTS,
+      urgency_weight: '3.0'
+    }));
+
+    const response = await request(app).get('/posts/ranking-weights');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject(DEFAULT_WEIGHTS);
+  });
+
+  test('should update only the weights sent and record who changed them', async () => {
+    const updateSpy = jest.spyOn(FeedRankingWeights, 'update').mockImplementation(async (weights, updatedBy) => (
+      new FeedRankingWeights({ ...DEFAULT_WEIGHTS, ...weights, updated_by: updatedBy })
+    ));
+
+    const response = await request(app)
+      .put('/posts/ranking-weights')
+      .send({ urgency_weight: 5, half_life_hours: 6 });
+
+    expect(response.status).toBe(200);
+    expect(updateSpy).toHaveBeenCalledWith({ urgency_weight: 5, half_life_hours: 6 }, ADMIN_ID);
+    expect(response.body.data).toMatchObject({ urgency_weight: 5, half_life_hours: 6, votes_weight: 1, updated_by: ADMIN_ID });
+  });
+
+  test.each([
+    [{}, /at least one/],
+    [{ recency_weight: 1 }, /Unknown fields: recency_weight/],
+    [{ votes_weight: '2' }, /votes_weight must be a number/],
+    [{ expert_weight: -1 }, /between 0 and 100/],
+    [{ half_life_hours: 0 }, /half_life_hours must be greater than 0/]
+  ])('should reject %j', async (body, message) => {
+    const updateSpy = jest.spyOn(FeedRankingWeights, 'update');
+
+    const response = await request(app).put('/posts/ranking-weights').send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(message);
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Geo Service Unit Tests
+ */
+
+const geoService = require('../services/geoService');
+
+describe('GeoService', () => {
+  test('should derive the first named locality and its city from post text', () => {
+    const location = geoService.extractFromText('Water entering homes near Kurla station, avoid Sion and Dadar');
+
+    expect(location).toEqual({
+      lat: 19.0726,
+      lng: 72.8845,
+      area: 'Kurla',
+      city: 'Mumbai',
+      precision: 'locality',
+      source: 'content'
+    });
+  });
+
+  test('should fall back to a city the similarity service recognises', () => {
+    const location = geoService.extractFromText('Chennai schools closed tomorrow due to heavy rain');
+
+    expect(location).toMatchObject({ area: null, city: 'Chennai', precision: 'city' });
+    expect(geoService.extractFromText('Drinking hot water cures the virus')).toBeNull();
+  });
+
+  test('should keep submitted coordinates and find the city they fall in', () => {
+    const location = geoService.locatePost({ lat: 19.1197, lng: 72.8468, area: 'Andheri West' }, 'Flooding in Delhi');
+
+    expect(location).toEqual({
+      lat: 19.1197,
+      lng: 72.8468,
+      area: 'Andheri',
+      city: 'Mumbai',
+      precision: 'exact',
+      source: 'submitter'
+    });
+    expect(geoService.locatePost({ lat: 13.01, lng: 80.22 }, '')).toMatchObject({ area: null, city: 'Chennai' });
+  });
+
+  test('should keep an unknown submitted area without a point', () => {
+    expect(geoService.locatePost('Kalina village', 'Bridge collapsed')).toEqual({
+      lat: null,
+      lng: null,
+      area: 'Kalina village',
+      city: null,
+      precision: null,
+      source: 'submitter'
+    });
+  });
+
+  test('should validate submitted locations and near parameters', () => {
+    expect(geoService.validateLocationInput({ lat: 19.1, lng: 72.8 })).toBeNull();
+    expect(geoService.validateLocationInput({ lat: 19.1 })).toMatch(/lat and location.lng/);
+    expect(geoService.validateLocationInput({ lat: '19.1', lng: '72.8' })).toMatch(/must both be numbers/);
+    expect(geoService.validateLocationInput({})).toMatch(/needs lat and lng/);
+    expect(geoService.validateLocationInput(['Andheri'])).toMatch(/area name or an object/);
+
+    expect(geoService.parseNear('19.0726, 72.8845')).toEqual({ lat: 19.0726, lng: 72.8845 });
+    expect(geoService.parseNear('91,72')).toBeNull();
+    expect(geoService.parseNear('19.07')).toBeNull();
+  });
+
+  test('should map a location onto post columns', () => {
+    expect(geoService.toPostColumns(geoService.extractFromText('Velachery lake overflowing'))).toEqual({
+      location_lat: 12.9815,
+      location_lng: 80.2180,
+      location_area: 'Velachery',
+      location_city: 'Chennai',
+      location_precision: 'locality',
+      location_source: 'content',
+      location_relevance: 'Velachery'
+    });
+    expect(geoService.toPostColumns(null)).toEqual({});
+  });
+
+  test('should measure great-circle distances in kilometres', () => {
+    const distance = geoService.distanceKm({ lat: 19.0760, lng: 72.8777 }, { lat: 18.5204, lng: 73.8567 });
+
+    expect(distance).toBeGreaterThan(118);
+    expect(distance).toBeLessThan(122);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Idempotency Middleware Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const OTHER_USER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const KEY = '5f0c7a1e-2b3d-4c5e-8f9a-0b1c2d3e4f5a';
+
+// In-memory stand-in for the idempotency_keys table
+function mockKeyStore() {
+  const rows = new Map();
+
+  jest.spyOn(IdempotencyKey, 'claim').mockImplementation(async ({ scope, key, method, path, fingerprint }) => {
+    const id = `${scope}:${key}`;
+    if (rows.has(id)) return { record: rows.get(id), created: false };
+
+    const record = new IdempotencyKey({ id, scope, key, method, path, request_fingerprint: fingerprint });
+    jest.spyOn(record, 'complete').mockImplementation(async (status, body) => (
+      Object.assign(record, { status: 'completed', response_status: status, response_body: body })
+    ));
+    jest.spyOn(record, 'release').mockImplementation(async () => {
+      if (record.status === 'processing') rows.delete(id);
+    });
+    rows.set(id, record);
+    return { record, created: true };
+  });
+
+  return rows;
+}
+
+describe('Idempotency middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(202).json({ success: true, data: { id: `post-${handler.mock.calls.length}` } }));
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      if (req.headers['x-test-user']) req.user = { id: req.headers['x-test-user'] };
+      next();
+    });
+    app.post('/posts', idempotent, (req, res) => handler(req, res));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass requests without a key straight through', async () => {
+    const claimSpy = jest.spyOn(IdempotencyKey, 'claim');
+
+    await request(app).post('/posts').send({ title: 'Flood' });
+    await request(app).post('/posts').send({ title: 'Flood' });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(claimSpy).not.toHaveBeenCalled();
+  });
+
+  test('should replay the first response to a retry with the same key', async () => {
+    const rows = mockKeyStore();
+
+    const first = await request(app)
+      .post('/posts')
+      .set('x-test-user', USER_ID)
+      .set('Idempotency-Key', KEY)
+      .send({ title: 'Flood', content: 'Water at Kurla station' });
+    const retry = await request(app)
+      .post('/posts')
+      .set('x-test-user', USER_ID)
+      .set('Idempotency-Key', KEY)
+      .send({ content: 'Water at Kurla station', title: 'Flood' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe(202);
+    expect(retry.status).toBe(202);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(rows.get(`${USER_ID}:${KEY}`).status).toBe('completed');
+  });
+
+  test('should reject a different payload under the same key', async () => {
+    mockKeyStore();
+
+    await request(app)
+      .post('/posts')
+      .set('x-test-user', USER_ID)
+      .set('Idempotency-Key', KEY)
+      .send({ title: 'Flood', content: 'Water at Kurla station' });
+    const conflicting = await request(app)
+      .post('/posts')
+      .set('x-test-user', USER_ID)
+      .set('Idempotency-Key', KEY)
+      .send({ title: 'Flood', content: 'Water at Sion station' });
+
+    expect(conflicting.status).toBe(422);
+    expect(conflicting.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep keys of different users apart', async () => {
+    mockKeyStore();
+
+    await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+    await request(app).post('/posts').set('x-test-user', OTHER_USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not store keys for anonymous requests', async () => {
+    const claimSpy = jest.spyOn(IdempotencyKey, 'claim');
+
+    const first = await request(app).post('/posts').set('Idempotency-Key', KEY).send({ title: 'Flood' });
+    const second = await request(app).post('/posts').set('Idempotency-Key', KEY).send({ title: 'Dam burst' });
+
+    expect(first.status).toBe(202);
+    expect(second.status).toBe(202);
+    expect(second.body.data.id).not.toBe(first.body.data.id);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(claimSpy).not.toHaveBeenCalled();
+  });
+
+  test('should tell a retry to wait while the first request is still running', async () => {
+    // Same fingerprint as the stored request, so only the status differs
+    jest.spyOn(IdempotencyKey, 'claim').mockImplementation(async ({ fingerprint }) => ({
+      record: new IdempotencyKey({ id: 'key-1', status: 'processing', request_fingerprint: fingerprint }),
+      created: false
+    }));
+
+    const response = await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(response.headers['retry-after']).toBe('2');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should release the key when the request fails so a retry runs again', async () => {
+    mockKeyStore();
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ error: { code: 'INTERNAL_ERROR' } }));
+
+    const failed = await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+    const retry = await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(202);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep the key when the client disconnects before the response', async () => {
+    const rows = mockKeyStore();
+    let respond;
+    const answered = new Promise(resolve => {
+      handler.mockImplementationOnce((req, res) => {
+        respond = () => resolve(res.status(202).json({ success: true, data: { id: 'post-1' } }));
+      });
+    });
+
+    // The client gives up while the handler is still working
+    await expect(
+      request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' }).timeout(100)
+    ).rejects.toThrow();
+    const [record] = rows.values();
+    expect(record.release).not.toHaveBeenCalled();
+
+    const whileRunning = await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+    expect(whileRunning.status).toBe(409);
+
+    respond();
+    await answered;
+    const retry = await request(app).post('/posts').set('x-test-user', USER_ID).set('Idempotency-Key', KEY).send({ title: 'Flood' });
+
+    expect(retry.status).toBe(202);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject malformed keys', async () => {
+    const response = await request(app).post('/posts').set('Idempotency-Key', 'has spaces').send({ title: 'Flood' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
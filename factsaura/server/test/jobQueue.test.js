@@ -0,0 +1,280 @@
+/**
+ * Job Queue Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const AutoPostingService = require('../services/autoPostingService');
+const jobsController = require('../controllers/jobsController');
+
+const JOB_ID = '5e4d3c2b-1a09-4f8e-9d7c-6b5a4f3e2d1c';
+
+function buildJob(overrides = {}) {
+  return new Job({
+    id: JOB_ID,
+    type: 'test_job',
+    payload: { value: 42 },
+    status: 'running',
+    attempts: 1,
+    max_attempts: 3,
+    run_at: '2025-07-01T10:00:00.000Z',
+    ...overrides
+  });
+}
+
+describe('JobQueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jobQueue.handlers.delete('test_job');
+  });
+
+  describe('runJob', () => {
+    test('should pass the payload to the handler and store its result', async () => {
+      const job = buildJob();
+      const completeSpy = jest.spyOn(job, 'complete').mockResolvedValue(job);
+      const handler = jest.fn().mockResolvedValue({ ok: true });
+      jobQueue.registerHandler('test_job', handler);
+
+      await jobQueue.runJob(job);
+
+      expect(handler).toHaveBeenCalledWith({ value: 42 }, job);
+      expect(completeSpy).toHaveBeenCalledWith({ ok: true });
+    });
+
+    test('should schedule a retry with backoff when the handler throws', async () => {
+      const job = buildJob({ attempts: 2 });
+      const failSpy = jest.spyOn(job, 'fail').mockImplementation(async () => {
+        job.status = 'queued';
+        return job;
+      });
+      jobQueue.registerHandler('test_job', jest.fn().mockRejectedValue(new Error('upstream 503')));
+
+      await jobQueue.runJob(job);
+
+      expect(failSpy).toHaveBeenCalledWith('upstream 503', jobQueue.getRetryDelay(2), { retryable: true });
+    });
+
+    test('should not retry errors marked as non-retryable', async () => {
+      const job = buildJob();
+      const failSpy = jest.spyOn(job, 'fail').mockImplementation(async () => {
+        job.status = 'dead';
+        return job;
+      });
+      const error = new Error('payload is missing post_id');
+      error.retryable = false;
+      jobQueue.registerHandler('test_job', jest.fn().mockRejectedValue(error));
+
+      await jobQueue.runJob(job);
+
+      expect(failSpy).toHaveBeenCalledWith('payload is missing post_id', expect.any(Number), { retryable: false });
+    });
+
+    test('should requeue deferred jobs without counting a failed attempt', async () => {
+      const job = buildJob({ attempts: 3 });
+      const updateSpy = jest.spyOn(job, 'update').mockResolvedValue(job);
+      const failSpy = jest.spyOn(job, 'fail');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jobQueue.registerHandler('test_job', jest.fn().mockRejectedValue(jobQueue.deferral('rate limited', 60000)));
+      const before = Date.now();
+
+      await jobQueue.runJob(job);
+
+      expect(failSpy).not.toHaveBeenCalled();
+      const updates = updateSpy.mock.calls[0][0];
+      expect(updates).toMatchObject({ status: 'queued', attempts: 2, last_error: 'rate limited' });
+      expect(Date.parse(updates.run_at)).toBeGreaterThanOrEqual(before + 60000);
+    });
+
+    test('should count jobs by status without fetching their rows', async () => {
+      const { supabaseAdmin } = require('../config/supabase');
+      const queries = [];
+      supabaseAdmin.from = jest.fn(() => {
+        const query = { filters: {} };
+        query.select = jest.fn((columns, options) => Object.assign(query, { columns, options }));
+        query.like = jest.fn(() => query);
+        query.eq = jest.fn((column, status) => {
+          query.filters.status = status;
+          return Promise.resolve({ count: status === 'completed' ? 7 : 0, error: null });
+        });
+        queries.push(query);
+        return query;
+      });
+
+      try {
+        await expect(Job.countByDedupePrefix('post_reanalysis:batch-1:')).resolves.toEqual({
+          queued: 0, running: 0, completed: 7, dead: 0
+        });
+        expect(queries.map(query => query.filters.status)).toEqual(Job.STATUSES);
+        queries.forEach(query => {
+          expect(query.options).toEqual({ count: 'exact', head: true });
+          expect(query.like).toHaveBeenCalledWith('dedupe_key', 'post_reanalysis:batch-1:%');
+        });
+      } finally {
+        delete supabaseAdmin.from;
+      }
+    });
+  });
+
+  test('should back off exponentially up to the maximum delay', () => {
+    const base = jobQueue.baseRetryDelayMs;
+
+    expect(jobQueue.getRetryDelay(1)).toBe(base);
+    expect(jobQueue.getRetryDelay(2)).toBe(base * 2);
+    expect(jobQueue.getRetryDelay(3)).toBe(base * 4);
+    expect(jobQueue.getRetryDelay(50)).toBe(jobQueue.maxRetryDelayMs);
+  });
+
+  describe('Job model', () => {
+    test('should map urgency levels to priorities, critical first', () => {
+      expect(Job.priorityFor('critical')).toBeLessThan(Job.priorityFor('high'));
+      expect(Job.priorityFor('high')).toBeLessThan(Job.priorityFor('medium'));
+      expect(Job.priorityFor('unknown')).toBe(Job.PRIORITIES.medium);
+    });
+
+    test('should dead-letter a failing job once its attempts are used up', async () => {
+      const job = buildJob({ attempts: 3 });
+      const updateSpy = jest.spyOn(job, 'update').mockResolvedValue(job);
+
+      await job.fail('still failing', 60000);
+
+      expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({ status: 'dead', last_error: 'still failing' }));
+    });
+
+    test('should requeue a failing job with attempts left after the delay', async () => {
+      const job = buildJob({ attempts: 1 });
+      const updateSpy = jest.spyOn(job, 'update').mockResolvedValue(job);
+      const before = Date.now();
+
+      await job.fail('timeout', 60000);
+
+      const updates = updateSpy.mock.calls[0][0];
+      expect(updates.status).toBe('queued');
+      expect(Date.parse(updates.run_at)).toBeGreaterThanOrEqual(before + 60000);
+    });
+  });
+
+  describe('AutoPostingService queueing', () => {
+    test('should queue fresh items by crisis priority and skip stale or short ones', async () => {
+      const service = new AutoPostingService();
+      const enqueueSpy = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ created: true });
+      const now = new Date().toISOString();
+      const longText = 'Viral message claims the dam has burst and everyone must leave the city right now';
+
+      const result = await service.enqueueScrapedContent({
+        news: [
+          { title: 'Dam burst rumor', description: longText, url: 'https://example.com/a', publishedAt: now, crisisScore: 0.9 },
+          { title: 'Old story', description: longText, url: 'https://example.com/b', publishedAt: '2020-01-01T00:00:00Z' }
+        ],
+        reddit: [{ title: 'short', created_utc: Date.now() / 1000 }]
+      });
+
+      expect(result).toMatchObject({ processed: 3, queued: 1, skipped: 2 });
+      expect(enqueueSpy).toHaveBeenCalledWith(AutoPostingService.JOB_TYPE, expect.any(Object), expect.objectContaining({
+        priority: 'critical',
+        dedupeKey: service.getDedupeKey({ url: 'https://example.com/a' })
+      }));
+    });
+
+    test('should defer queued items until the rate limit window reopens', async () => {
+      const service = new AutoPostingService();
+      service.maxPostsPerHour = 2;
+      const now = Date.now();
+      service.recentPosts = [now - 50 * 60 * 1000, now - 10 * 60 * 1000];
+      const decisionSpy = jest.spyOn(service, 'shouldCreateAutoPost');
+
+      const deferral = await service.processQueuedItem({ title: 'x' }).catch(error => error);
+
+      expect(deferral.message).toBe('Auto-posting rate limit reached');
+      expect(deferral.deferMs).toBeGreaterThan(9 * 60 * 1000);
+      expect(deferral.deferMs).toBeLessThanOrEqual(10 * 60 * 1000);
+      expect(decisionSpy).not.toHaveBeenCalled();
+    });
+
+    test('should defer queued items while auto-posting is disabled', async () => {
+      const service = new AutoPostingService();
+      service.isEnabled = false;
+
+      await expect(service.processQueuedItem({ title: 'x' })).rejects.toMatchObject({
+        message: 'Auto-posting disabled',
+        deferMs: expect.any(Number)
+      });
+    });
+  });
+});
+
+describe('JobsController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.get('/jobs', jobsController.listJobs);
+    app.get('/jobs/stats', jobsController.getJobStats);
+    app.post('/jobs/:id/retry', jobsController.retryJob);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list jobs filtered by status', async () => {
+    const listSpy = jest.spyOn(Job, 'list').mockResolvedValue({ jobs: [buildJob({ status: 'dead' })], total: 1 });
+
+    const response = await request(app).get('/jobs').query({ status: 'dead', limit: 10 });
+
+    expect(response.status).toBe(200);
+    expect(listSpy).toHaveBeenCalledWith({ status: 'dead', type: null, limit: 10, offset: 0 });
+    expect(response.body.data.jobs[0].status).toBe('dead');
+  });
+
+  test('should reject unknown statuses', async () => {
+    const response = await request(app).get('/jobs').query({ status: 'exploded' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should summarize counts by status and type', async () => {
+    jest.spyOn(Job, 'getStats').mockResolvedValue([
+      { type: 'post_analysis', status: 'queued', job_count: '4', oldest_created_at: '2025-07-01T10:00:00Z' },
+      { type: 'post_analysis', status: 'dead', job_count: '1', oldest_created_at: '2025-06-30T10:00:00Z' }
+    ]);
+
+    const response = await request(app).get('/jobs/stats');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.by_status).toMatchObject({ queued: 4, dead: 1, running: 0 });
+    expect(response.body.data.by_type.post_analysis).toMatchObject({ queued: 4, dead: 1 });
+  });
+
+  test('should only retry dead-letter jobs', async () => {
+    jest.spyOn(Job, 'findById').mockResolvedValue(buildJob({ status: 'running' }));
+
+    const response = await request(app).post(`/jobs/${JOB_ID}/retry`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('JOB_NOT_DEAD');
+  });
+
+  test('should re-queue a dead job', async () => {
+    const job = buildJob({ status: 'dead' });
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+    const retrySpy = jest.spyOn(job, 'retry').mockResolvedValue(job);
+
+    const response = await request(app).post(`/jobs/${JOB_ID}/retry`);
+
+    expect(response.status).toBe(200);
+    expect(retrySpy).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Moderation Queue Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const ModerationAction = require('../models/ModerationAction');
+const PostReport = require('../models/PostReport');
+const AutoPostingService = require('../services/autoPostingService');
+const moderationController = require('../controllers/moderationController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const COMMENT_ID = '8d7c6b5a-4f3e-4d2c-9b1a-0f9e8d7c6b5a';
+const MODERATOR_ID = 'a1b2c3d4-0000-4000-8000-000000000007';
+
+function buildFlaggedPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: '🚨 MISINFORMATION ALERT',
+    content: 'Fake evacuation order for Kurla circulating on WhatsApp',
+    post_type: 'ai_detected',
+    urgency_level: 'critical',
+    harm_category: 'safety',
+    is_published: true,
+    is_flagged: true,
+    ...overrides
+  });
+}
+
+// Stand-in for the Supabase update, which returns the changed row
+function mockUpdate(target) {
+  return jest.spyOn(target, 'update').mockImplementation(async updates => Object.assign(target, updates));
+}
+
+function mockRecord() {
+  return jest.spyOn(ModerationAction, 'record').mockImplementation(async entry => new ModerationAction({
+    id: 'action-1',
+    created_at: '2025-07-01T12:00:00.000Z',
+    ...entry
+  }));
+}
+
+describe('ModerationController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: MODERATOR_ID };
+      next();
+    });
+    app.get('/moderation/queue', moderationController.getQueue);
+    app.get('/moderation/actions', moderationController.getActionLog);
+    app.post('/moderation/:type/:id/actions', moderationController.moderateItem);
+    app.post('/posts/:id/retraction', moderationController.retractPost);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /moderation/queue', () => {
+    test('should list flagged posts filtered by urgency and harm category', async () => {
+      const queueSpy = jest.spyOn(Post, 'findModerationQueue').mockResolvedValue({
+        posts: [
+          buildFlaggedPost({ reports_count: 4, report_weight: '3.00' }),
+          buildFlaggedPost({ id: 'b7a1c2d3-0000-4000-8000-000000000009', moderation_status: 'escalated' })
+        ],
+        total: 2
+      });
+      jest.spyOn(PostReport, 'summarizeForPosts').mockResolvedValue({
+        [POST_ID]: { false_rescue_number: 3, spam: 1 }
+      });
+
+      const response = await request(app)
+        .get('/moderation/queue')
+        .query({ urgency_level: 'critical', harm_category: 'safety' });
+
+      expect(response.status).toBe(200);
+      expect(queueSpy).toHaveBeenCalledWith({
+        urgency_level: 'critical',
+        harm_category: 'safety',
+        status: null,
+        limit: 20,
+        offset: 0
+      });
+      expect(response.body.data.items[0]).toMatchObject({
+        target_type: 'post',
+        queue_status: 'pending',
+        urgency_level: 'critical',
+        auto_generated: true,
+        reports: { count: 4, weight: 3, by_reason: { false_rescue_number: 3, spam: 1 } }
+      });
+      expect(response.body.data.items[1].queue_status).toBe('escalated');
+    });
+
+    test('should list flagged comments with their flags', async () => {
+      jest.spyOn(Comment, 'findModerationQueue').mockResolvedValue({
+        comments: [{
+          comment: new Comment({ id: COMMENT_ID, post_id: POST_ID, content: 'Drink bleach', is_flagged: true }),
+          post: { id: POST_ID, title: 'Cholera cure?', urgency_level: 'high', harm_category: 'health' },
+          flags: [{ reason: 'dangerous_advice' }]
+        }],
+        total: 1
+      });
+
+      const response = await request(app).get('/moderation/queue').query({ type: 'comment' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.items[0]).toMatchObject({
+        target_type: 'comment',
+        harm_category: 'health',
+        flags: [{ reason: 'dangerous_advice' }]
+      });
+    });
+
+    test('should reject unknown filters', async () => {
+      const response = await request(app).get('/moderation/queue').query({ urgency_level: 'apocalyptic' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /moderation/:type/:id/actions', () => {
+    test('should unpublish a flagged post and record the action', async () => {
+      const post = buildFlaggedPost();
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      const updateSpy = mockUpdate(post);
+      const recordSpy = mockRecord();
+
+      const response = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ action: 'unpublish', reason: 'Alert repeats the hoax it warns about' });
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith({ is_flagged: false, is_published: false, moderation_status: 'unpublished' });
+      expect(recordSpy).toHaveBeenCalledWith({
+        target_type: 'post',
+        target_id: POST_ID,
+        action: 'unpublish',
+        reason: 'Alert repeats the hoax it warns about',
+        moderator_id: MODERATOR_ID,
+        previous_state: { is_flagged: true, moderation_status: null, is_published: true }
+      });
+      expect(response.body.data.queue_status).toBeNull();
+    });
+
+    test('should keep escalated posts in the queue for an expert', async () => {
+      const post = buildFlaggedPost({ verdict: 'confirmed_true' });
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      mockUpdate(post);
+      mockRecord();
+
+      const response = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ action: 'escalate', reason: 'Needs a hydrologist' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.queue_status).toBe('escalated');
+      expect(post.needsExpertReview()).toBe(true);
+    });
+
+    test('should publish an alert held for review when approved', async () => {
+      const post = buildFlaggedPost({ is_published: false });
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      const updateSpy = mockUpdate(post);
+      mockRecord();
+
+      const response = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ action: 'approve', reason: 'Checked against BMC notice' });
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({ is_published: true }));
+    });
+
+    test('should soft-delete unpublished comments', async () => {
+      const comment = new Comment({ id: COMMENT_ID, post_id: POST_ID, is_flagged: true });
+      jest.spyOn(Comment, 'findById').mockResolvedValue(comment);
+      const updateSpy = mockUpdate(comment);
+      mockRecord();
+
+      const response = await request(app)
+        .post(`/moderation/comment/${COMMENT_ID}/actions`)
+        .send({ action: 'unpublish', reason: 'Dangerous medical advice' });
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith({ is_flagged: false, is_deleted: true, moderation_status: 'unpublished' });
+    });
+
+    test('should refuse items that are not in the queue', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildFlaggedPost({ is_flagged: false }));
+      const recordSpy = jest.spyOn(ModerationAction, 'record');
+
+      const response = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ action: 'approve', reason: 'Looks fine to me' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('NOT_IN_MODERATION_QUEUE');
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    test('should require an action and a reason', async () => {
+      const noAction = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ reason: 'Looks fine to me' });
+      const noReason = await request(app)
+        .post(`/moderation/post/${POST_ID}/actions`)
+        .send({ action: 'approve' });
+
+      expect(noAction.status).toBe(400);
+      expect(noReason.status).toBe(400);
+    });
+  });
+
+  describe('POST /posts/:id/retraction', () => {
+    const CORRECTED_ID = 'c0ffee00-0000-4000-8000-000000000042';
+
+    test('should retract a post with a correction notice and record the action', async () => {
+      const post = buildFlaggedPost({ is_flagged: false });
+      const corrected = buildFlaggedPost({ id: CORRECTED_ID, title: 'Kurla evacuation order is genuine', is_flagged: false });
+      jest.spyOn(Post, 'findById').mockImplementation(async id => (id === POST_ID ? post : corrected));
+      const retractSpy = jest.spyOn(post, 'retract').mockImplementation(async ({ reason, retractedBy, correctedPostId }) => (
+        Object.assign(post, {
+          retracted_at: '2025-07-01T12:00:00.000Z',
+          retraction_reason: reason,
+          retracted_by: retractedBy,
+          corrected_post_id: correctedPostId
+        })
+      ));
+      const recordSpy = mockRecord();
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/retraction`)
+        .send({ reason: '  BMC confirmed the order is real  ', corrected_post_id: CORRECTED_ID });
+
+      expect(response.status).toBe(200);
+      expect(retractSpy).toHaveBeenCalledWith({
+        reason: 'BMC confirmed the order is real',
+        retractedBy: MODERATOR_ID,
+        correctedPostId: CORRECTED_ID
+      });
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({
+        target_type: 'post',
+        target_id: POST_ID,
+        action: 'retract',
+        previous_state: { retracted_at: null, is_published: true, moderation_status: null }
+      }));
+      expect(response.body.data.post.is_published).toBe(true);
+      expect(response.body.data.post.retraction).toEqual({
+        retracted_at: '2025-07-01T12:00:00.000Z',
+        reason: 'BMC confirmed the order is real',
+        retracted_by: MODERATOR_ID,
+        corrected_post_id: CORRECTED_ID
+      });
+      expect(response.body.data.corrected_post).toEqual({ id: CORRECTED_ID, title: 'Kurla evacuation order is genuine' });
+    });
+
+    test('should refuse to retract a post twice', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildFlaggedPost({
+        retracted_at: '2025-07-01T12:00:00.000Z',
+        retraction_reason: 'Already corrected'
+      }));
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/retraction`)
+        .send({ reason: 'BMC confirmed the order is real' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('ALREADY_RETRACTED');
+    });
+
+    test('should refuse a post as its own correction or a missing corrected post', async () => {
+      jest.spyOn(Post, 'findById').mockImplementation(async id => (id === POST_ID ? buildFlaggedPost() : null));
+
+      const self = await request(app)
+        .post(`/posts/${POST_ID}/retraction`)
+        .send({ reason: 'BMC confirmed the order is real', corrected_post_id: POST_ID });
+      const missing = await request(app)
+        .post(`/posts/${POST_ID}/retraction`)
+        .send({ reason: 'BMC confirmed the order is real', corrected_post_id: CORRECTED_ID });
+
+      expect(self.status).toBe(400);
+      expect(self.body.error.code).toBe('INVALID_CORRECTED_POST');
+      expect(missing.status).toBe(404);
+      expect(missing.body.error.code).toBe('CORRECTED_POST_NOT_FOUND');
+    });
+
+    test('should require a reason readers can understand', async () => {
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/retraction`)
+        .send({ reason: 'wrong' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  test('should return the audit log filtered by target', async () => {
+    const listSpy = jest.spyOn(ModerationAction, 'list').mockResolvedValue({
+      actions: [new ModerationAction({ id: 'action-1', target_type: 'post', target_id: POST_ID, action: 'escalate' })],
+      total: 1
+    });
+
+    const response = await request(app)
+      .get('/moderation/actions')
+      .query({ target_type: 'post', target_id: POST_ID });
+
+    expect(response.status).toBe(200);
+    expect(listSpy).toHaveBeenCalledWith(expect.objectContaining({ targetType: 'post', targetId: POST_ID }));
+    expect(response.body.data.actions).toHaveLength(1);
+  });
+});
+
+describe('AutoPostingService review mode', () => {
+  test('should hold alerts for review or flag critical ones after publication', () => {
+    const service = new AutoPostingService();
+
+    service.reviewMode = 'before';
+    expect(service.getReviewState('medium')).toEqual({ is_published: false, is_flagged: true });
+
+    service.reviewMode = 'after';
+    expect(service.getReviewState('critical')).toEqual({ is_published: true, is_flagged: true });
+    expect(service.getReviewState('high')).toEqual({ is_published: true, is_flagged: false });
+
+    service.reviewMode = 'none';
+    expect(service.getReviewState('critical')).toEqual({ is_published: true, is_flagged: false });
+  });
+});
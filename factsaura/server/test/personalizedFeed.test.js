@@ -0,0 +1,184 @@
+/**
+ * Personalized Feed Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const personalizedFeedService = require('../services/personalizedFeedService');
+const personalizedFeedController = require('../controllers/personalizedFeedController');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+
+function buildUser(overrides = {}) {
+  return new User({
+    id: USER_ID,
+    username: 'kurla_doctor',
+    location: 'Kurla',
+    expertise_areas: ['Health'],
+    is_expert: true,
+    followed_harm_categories: ['safety'],
+    followed_locations: ['Velachery'],
+    muted_topics: ['financial'],
+    ...overrides
+  });
+}
+
+function buildPost(n, overrides = {}) {
+  return new Post({
+    id: `00000000-0000-4000-8000-00000000000${n}`,
+    title: `Post ${n}`,
+    content: 'Forwarded message',
+    urgency_level: 'high',
+    harm_category: 'general',
+    confidence_score: 0.9,
+    verdict: 'confirmed_false',
+    priority_score: 100,
+    created_at: new Date().toISOString(),
+    ...overrides
+  });
+}
+
+describe('PersonalizedFeedService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should boost local, followed and expertise-matched posts and hide muted ones', async () => {
+    const plain = buildPost(1, { priority_score: 100.5 });
+    const local = buildPost(2, { location_lat: 19.0390, location_lng: 72.8619, location_area: 'Sion', location_city: 'Mumbai' });
+    const followed = buildPost(3, { harm_category: 'safety', location_relevance: 'Velachery' });
+    const needsExpert = buildPost(4, { harm_category: 'health', verdict: 'disputed', priority_score: 100.1 });
+    const muted = buildPost(5, { harm_category: 'financial', priority_score: 200 });
+
+    jest.spyOn(Post, 'getFeed').mockImplementation(async options => (
+      options.urgency_level === 'critical' ? [] : [muted, plain, local, followed, needsExpert]
+    ));
+
+    const feed = await personalizedFeedService.getFeed(buildUser());
+
+    expect(feed.posts.map(({ post }) => post.id)).toEqual([followed.id, needsExpert.id, local.id, plain.id]);
+    expect(feed.posts[0].reasons).toEqual(['followed_location', 'followed_category']);
+    expect(feed.posts[1].reasons).toEqual(['needs_your_expertise']);
+    expect(feed.posts[2].reasons).toEqual(['near_you']);
+    expect(feed.personalization).toMatchObject({
+      location: { area: 'Kurla', city: 'Mumbai' },
+      expertise_domains: ['health']
+    });
+  });
+
+  test('should pin recent critical alerts around the user even if muted', async () => {
+    const alert = buildPost(1, { urgency_level: 'critical', harm_category: 'financial' });
+    const stale = buildPost(2, { urgency_level: 'critical', created_at: '2025-01-01T00:00:00.000Z' });
+    const feedSpy = jest.spyOn(Post, 'getFeed').mockImplementation(async options => (
+      options.urgency_level === 'critical' ? [alert, stale] : [alert]
+    ));
+
+    const feed = await personalizedFeedService.getFeed(buildUser());
+
+    expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+      urgency_level: 'critical',
+      near: { lat: 19.0726, lng: 72.8845, radius_km: 15 }
+    }));
+    expect(feed.pinned).toEqual([{ post: alert, reasons: ['critical_near_you'] }]);
+    expect(feed.posts).toHaveLength(0);
+  });
+
+  test('should also pin critical alerts for the user\'s alert locations', async () => {
+    const local = buildPost(1, { urgency_level: 'critical', created_at: new Date(Date.now() - 60000).toISOString() });
+    const family = buildPost(2, { urgency_level: 'critical', location_area: 'Velachery', location_city: 'Chennai' });
+    const feedSpy = jest.spyOn(Post, 'getFeed').mockImplementation(async options => {
+      if (options.near) return [local];
+      if (options.area === 'Velachery') return [family];
+      if (options.area === 'Kurla') return [local];
+      return [];
+    });
+
+    const feed = await personalizedFeedService.getFeed(buildUser({ alert_locations: ['Velachery', 'Kurla'] }));
+
+    expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({ urgency_level: 'critical', area: 'Velachery' }));
+    expect(feed.pinned).toEqual([
+      { post: family, reasons: ['critical_in_alert_location'] },
+      { post: local, reasons: ['critical_near_you', 'critical_in_alert_location'] }
+    ]);
+    expect(feed.personalization.alert_locations).toEqual(['Velachery', 'Kurla']);
+  });
+
+  test('should pin alerts for the whole city when the user only gave a city', async () => {
+    const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([]);
+
+    await personalizedFeedService.getFeed(buildUser({ location: 'Bombay' }));
+
+    expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({ urgency_level: 'critical', area: 'Mumbai' }));
+  });
+});
+
+describe('PersonalizedFeedController', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = buildUser();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/posts/feed/me', personalizedFeedController.getMyFeed);
+    app.put('/posts/feed/me/follows', personalizedFeedController.updateMyFollows);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return pinned alerts and a page of ranked posts', async () => {
+    jest.spyOn(Post, 'getFeed').mockImplementation(async options => (
+      options.urgency_level === 'critical'
+        ? [buildPost(1, { urgency_level: 'critical' })]
+        : [buildPost(2), buildPost(3), buildPost(4)]
+    ));
+
+    const response = await request(app).get('/posts/feed/me').query({ limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.pinned[0].personalization).toEqual({ pinned: true, reasons: ['critical_near_you'] });
+    expect(response.body.data.posts).toHaveLength(2);
+    expect(response.body.data.posts[0].personalization).toMatchObject({ pinned: false, score: 100 });
+    expect(response.body.data.pagination).toMatchObject({ has_more: true, next_page: 2 });
+  });
+
+  test('should store normalized follows', async () => {
+    const updateSpy = jest.spyOn(User.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+      return this;
+    });
+
+    const response = await request(app)
+      .put('/posts/feed/me/follows')
+      .send({ followed_locations: ['bengaluru', 'Andheri East'], muted_topics: [' Crypto ', 'crypto'] });
+
+    expect(response.status).toBe(200);
+    expect(updateSpy).toHaveBeenCalledWith({ followed_locations: ['Bangalore', 'Andheri'], muted_topics: ['crypto'] });
+    expect(response.body.data.followed_harm_categories).toEqual(['safety']);
+  });
+
+  test('should reject unknown fields and oversized lists', async () => {
+    const unknown = await request(app).put('/posts/feed/me/follows').send({ followed_users: ['x'] });
+    const tooMany = await request(app)
+      .put('/posts/feed/me/follows')
+      .send({ followed_locations: Array.from({ length: 11 }, (_, i) => `Area ${i}`) });
+
+    expect(unknown.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+  });
+});
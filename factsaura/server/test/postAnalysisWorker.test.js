@@ -0,0 +1,186 @@
+/**
+ * Post Analysis Worker Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client and heavy services before requiring the worker
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+jest.mock('../services/mutationDetectionService', () => {
+  return jest.fn().mockImplementation(() => ({
+    detectMutation: jest.fn()
+  }));
+});
+
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const aiService = require('../services/aiService');
+const postAnalysisWorker = require('../services/postAnalysisWorker');
+const jobsController = require('../controllers/jobsController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+
+function buildPendingPost(overrides = {}) {
+  const post = new Post({
+    id: POST_ID,
+    title: 'Rescue helpline',
+    content: 'Call 555-0100 for flood rescue in Andheri',
+    author_id: 'a1b2c3d4-0000-4000-8000-000000000001',
+    analysis_status: 'pending',
+    analysis_attempts: 0,
+    ...overrides
+  });
+
+  // Stand-in for the conditional update in claimForAnalysis
+  jest.spyOn(post, 'claimForAnalysis').mockImplementation(async () => {
+    post.analysis_status = 'processing';
+    post.analysis_attempts++;
+    return true;
+  });
+  return post;
+}
+
+describe('PostAnalysisWorker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    aiService.analyzeContentBasic.mockReset();
+  });
+
+  test('should store AI and mutation results on success', async () => {
+    const post = buildPendingPost();
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const completeSpy = jest.spyOn(post, 'completeAnalysis').mockResolvedValue(post);
+
+    aiService.analyzeContentBasic.mockResolvedValue({
+      is_misinformation: true,
+      confidence_score: 0.88,
+      explanation: 'Not an official helpline',
+      crisis_context: { urgency_level: 'critical', harm_category: 'safety', crisis_keywords_found: ['flood'] }
+    });
+    postAnalysisWorker.mutationService.detectMutation.mockResolvedValue({
+      is_mutation: true,
+      family_id: '9b2e4c1d-0a3f-4b5c-8d7e-6f5a4b3c2d1e',
+      mutation_type: 'location_shift',
+      generation: 2,
+      confidence: 0.8
+    });
+
+    await postAnalysisWorker.processPost(POST_ID);
+
+    expect(completeSpy).toHaveBeenCalledWith(expect.objectContaining({
+      urgency_level: 'critical',
+      harm_category: 'safety',
+      crisis_keywords: ['flood'],
+      confidence_score: 0.88,
+      is_misinformation: true,
+      is_mutation: true,
+      mutation_generation: 2
+    }));
+  });
+
+  test('should put failed posts back to pending while the job has retries left', async () => {
+    const post = buildPendingPost();
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const failSpy = jest.spyOn(post, 'failAnalysis').mockResolvedValue(post);
+    aiService.analyzeContentBasic.mockRejectedValue(new Error('Jan AI timeout'));
+
+    const job = new Job({ id: 'job-1', type: 'post_analysis', attempts: 1, max_attempts: 3 });
+    await expect(postAnalysisWorker.processPost(POST_ID, job)).rejects.toThrow('Jan AI timeout');
+
+    expect(failSpy).toHaveBeenCalledWith('Jan AI timeout', true);
+  });
+
+  test('should mark the post failed on the job\'s last attempt', async () => {
+    const post = buildPendingPost({ analysis_attempts: 2 });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const failSpy = jest.spyOn(post, 'failAnalysis').mockResolvedValue(post);
+    aiService.analyzeContentBasic.mockRejectedValue(new Error('Circuit breaker open'));
+
+    const job = new Job({ id: 'job-1', type: 'post_analysis', attempts: 3, max_attempts: 3 });
+    await expect(postAnalysisWorker.processPost(POST_ID, job)).rejects.toThrow('Circuit breaker open');
+
+    expect(failSpy).toHaveBeenCalledWith('Circuit breaker open', false);
+  });
+
+  test('should skip posts that are already analyzed or claimed elsewhere', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValueOnce(buildPendingPost({ analysis_status: 'completed' }));
+    expect(await postAnalysisWorker.processPost(POST_ID)).toMatchObject({ skipped: true });
+
+    const claimed = buildPendingPost();
+    claimed.claimForAnalysis.mockResolvedValue(false);
+    Post.findById.mockResolvedValueOnce(claimed);
+    expect(await postAnalysisWorker.processPost(POST_ID)).toMatchObject({ skipped: true });
+
+    expect(aiService.analyzeContentBasic).not.toHaveBeenCalled();
+  });
+
+  test('should enqueue one high priority job per post', async () => {
+    const enqueueSpy = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ created: true });
+
+    await postAnalysisWorker.enqueue(POST_ID);
+
+    expect(enqueueSpy).toHaveBeenCalledWith('post_analysis', { post_id: POST_ID }, expect.objectContaining({
+      priority: 'high',
+      dedupeKey: `post_analysis:${POST_ID}`
+    }));
+  });
+
+  test('should re-queue pending posts that have no job', async () => {
+    jest.spyOn(Post, 'findAwaitingAnalysis').mockResolvedValue([
+      buildPendingPost(),
+      buildPendingPost({ id: 'b7a1c2d3-0000-4000-8000-000000000009' })
+    ]);
+    jest.spyOn(jobQueue, 'enqueue')
+      .mockResolvedValueOnce({ created: true })
+      .mockResolvedValueOnce({ created: false });
+
+    expect(await postAnalysisWorker.recoverPending()).toBe(1);
+  });
+
+  test('should analyze a failed post again when its dead job is retried', async () => {
+    const post = buildPendingPost({ analysis_status: 'failed', analysis_attempts: 3, analysis_error: 'Circuit breaker open' });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const updateSpy = jest.spyOn(post, 'update').mockImplementation(async updates => Object.assign(post, updates));
+    const completeSpy = jest.spyOn(post, 'completeAnalysis').mockResolvedValue(post);
+    aiService.analyzeContentBasic.mockResolvedValue({ is_misinformation: false, confidence_score: 0.7 });
+    postAnalysisWorker.mutationService.detectMutation.mockResolvedValue({ is_mutation: false });
+
+    const job = new Job({
+      id: '5e4d3c2b-1a09-4f8e-9d7c-6b5a4f3e2d1c',
+      type: 'post_analysis',
+      payload: { post_id: POST_ID },
+      status: 'dead',
+      attempts: 3,
+      max_attempts: 3
+    });
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+    jest.spyOn(job, 'retry').mockImplementation(async () => Object.assign(job, { status: 'queued', attempts: 0 }));
+    const jobCompleteSpy = jest.spyOn(job, 'complete').mockResolvedValue(job);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.post('/jobs/:id/retry', jobsController.retryJob);
+    const response = await request(app).post(`/jobs/${job.id}/retry`);
+
+    expect(response.status).toBe(200);
+    expect(updateSpy).toHaveBeenCalledWith({ analysis_status: 'pending', analysis_attempts: 0, analysis_error: null });
+
+    // The worker claims the re-queued job
+    await jobQueue.runJob(job);
+
+    expect(completeSpy).toHaveBeenCalled();
+    expect(jobCompleteSpy.mock.calls[0][0]).not.toHaveProperty('skipped');
+  });
+
+  test('should be registered as the post_analysis job handler', () => {
+    expect(jobQueue.getRegisteredTypes()).toContain('post_analysis');
+  });
+});
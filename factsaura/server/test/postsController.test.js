@@ -0,0 +1,1177 @@
+/**
+ * Posts Controller Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client and heavy services before requiring the controller
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+jest.mock('../services/mutationDetectionService', () => {
+  return jest.fn().mockImplementation(() => ({
+    detectMutation: jest.fn()
+  }));
+});
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const PostReport = require('../models/PostReport');
+const ReputationEvent = require('../models/ReputationEvent');
+const postsService = require('../services/postsService');
+const reputationService = require('../services/reputationService');
+const badgeService = require('../services/badgeService');
+const postAnalysisWorker = require('../services/postAnalysisWorker');
+const postsController = require('../controllers/postsController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const AUTHOR_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const VOTER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Fake rescue number circulating',
+    author_id: AUTHOR_ID,
+    content: 'Call 555-0100 for flood rescue in Andheri',
+    post_type: 'user_submitted',
+    urgency_level: 'critical',
+    confidence_score: 0.91,
+    is_misinformation: true,
+    analysis_explanation: 'Number is not an official helpline',
+    ai_analysis: {
+      model_version: 'llama-3.1-8b',
+      processing_time_ms: 1200
+    },
+    is_mutation: true,
+    mutation_family_id: '9b2e4c1d-0a3f-4b5c-8d7e-6f5a4b3c2d1e',
+    mutation_type: 'location_shift',
+    mutation_generation: 2,
+    upvotes: 12,
+    downvotes: 3,
+    comments_count: 4,
+    is_published: true,
+    ...overrides
+  });
+}
+
+describe('PostsController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      if (req.headers['x-test-user']) {
+        const role = req.headers['x-test-role'];
+        req.user = {
+          id: req.headers['x-test-user'],
+          is_verified: role === 'verified',
+          is_expert: role === 'expert',
+          badges: [],
+          roles: role === 'moderator' || role === 'expert' ? ['member', role] : ['member']
+        };
+      }
+      next();
+    });
+    jest.spyOn(badgeService, 'evaluate').mockResolvedValue([]);
+    jest.spyOn(badgeService, 'evaluateVerdict').mockResolvedValue();
+
+    app.get('/posts', postsController.getPosts);
+    app.get('/posts/search', postsController.searchPosts);
+    app.get('/posts/export', postsController.exportPosts);
+    app.get('/posts/feeds/rss', postsController.getRssFeed);
+    app.get('/posts/feeds/atom', postsController.getAtomFeed);
+    app.post('/posts', postsController.createPost);
+    app.get('/posts/:id', postsController.getPostById);
+    app.get('/posts/:id/analysis-status', postsController.getAnalysisStatus);
+    app.put('/posts/:id/vote', postsController.voteOnPost);
+    app.post('/posts/:id/report', postsController.reportPost);
+    app.put('/posts/:id/verdict', postsController.updateVerdict);
+    app.get('/posts/:id/verdict/history', postsController.getVerdictHistory);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /posts', () => {
+    const feedPost = (n, overrides = {}) => buildPost({
+      id: `00000000-0000-4000-8000-00000000000${n}`,
+      created_at: `2025-07-0${n}T10:00:00.000000+00:00`,
+      ...overrides
+    });
+
+    test('should fetch one extra post to determine has_more and issue a next cursor', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([feedPost(3), feedPost(2), feedPost(1)]);
+
+      const response = await request(app).get('/posts').query({ limit: 2 });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({ limit: 3, offset: 0, after: null, since: null }));
+      expect(response.body.data.posts).toHaveLength(2);
+
+      const { pagination } = response.body.data;
+      expect(pagination).toMatchObject({ mode: 'offset', current_page: 1, has_more: true, next_page: 2 });
+      expect(Post.decodeFeedCursor(pagination.next_cursor)).toMatchObject({
+        sort_by: 'created_at',
+        sort_order: 'desc',
+        id: '00000000-0000-4000-8000-000000000002'
+      });
+      expect(Post.decodeFeedCursor(pagination.since_cursor).id).toBe('00000000-0000-4000-8000-000000000003');
+    });
+
+    test('should filter by radius and area and report each post\'s distance', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([
+        feedPost(1, { location_lat: 19.1136, location_lng: 72.8697, location_area: 'Andheri', location_city: 'Mumbai' })
+      ]);
+
+      const response = await request(app)
+        .get('/posts')
+        .query({ near: '19.0726,72.8845', radius_km: '8', area: 'mumbai' });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        near: { lat: 19.0726, lng: 72.8845, radius_km: 8 },
+        area: 'Mumbai'
+      }));
+      expect(response.body.data.posts[0].location).toMatchObject({
+        point: { lat: 19.1136, lng: 72.8697 },
+        area: 'Andheri'
+      });
+      expect(response.body.data.posts[0].distance_km).toBeCloseTo(4.6, 0);
+    });
+
+    test('should rank by crisis priority and page with priority cursors', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([
+        feedPost(1, { priority_score: 20345.8 }),
+        feedPost(2, { priority_score: 20344.1 })
+      ]);
+
+      const response = await request(app).get('/posts').query({ sort_by: 'priority', limit: 1 });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({ sort_by: 'priority_score', sort_order: 'desc' }));
+      expect(response.body.data.posts[0].priority_score).toBe(20345.8);
+      expect(Post.decodeFeedCursor(response.body.data.pagination.next_cursor)).toMatchObject({
+        sort_by: 'priority_score',
+        value: 20345.8
+      });
+    });
+
+    test('should reject malformed radius filters', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed');
+
+      const badPoint = await request(app).get('/posts').query({ near: 'andheri' });
+      const tooFar = await request(app).get('/posts').query({ near: '19.07,72.88', radius_km: 5000 });
+      const noCentre = await request(app).get('/posts').query({ radius_km: 5 });
+
+      expect([badPoint.status, tooFar.status, noCentre.status]).toEqual([400, 400, 400]);
+      expect(badPoint.body.error.code).toBe('INVALID_LOCATION_FILTER');
+      expect(feedSpy).not.toHaveBeenCalled();
+    });
+
+    test('should continue after a keyset cursor', async () => {
+      const cursor = Post.encodeFeedCursor(feedPost(2), 'upvotes', 'desc');
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([feedPost(1)]);
+
+      const response = await request(app)
+        .get('/posts')
+        .query({ cursor, sort_by: 'upvotes', limit: 2 });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        after: { value: 12, id: '00000000-0000-4000-8000-000000000002' },
+        sort_by: 'upvotes'
+      }));
+      expect(response.body.data.pagination).toMatchObject({
+        mode: 'cursor',
+        current_page: null,
+        has_more: false,
+        next_cursor: null
+      });
+    });
+
+    test('should build confidence cursors from the stored column, even when it is 0', async () => {
+      const unscored = feedPost(2, { confidence_score: 0, ai_analysis: { confidence_score: 0.8 } });
+
+      expect(unscored.ai_analysis.confidence_score).toBe(0.8);
+      expect(Post.decodeFeedCursor(Post.encodeFeedCursor(unscored, 'confidence_score', 'desc')).value).toBe(0);
+    });
+
+    test('should reject malformed cursors and cursors for another sort order', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed');
+
+      const garbage = await request(app).get('/posts').query({ cursor: 'not-a-cursor' });
+      expect(garbage.status).toBe(400);
+      expect(garbage.body.error.code).toBe('INVALID_CURSOR');
+
+      const cursor = Post.encodeFeedCursor(feedPost(1), 'created_at', 'desc');
+      const mismatched = await request(app).get('/posts').query({ cursor, sort_by: 'upvotes' });
+      expect(mismatched.status).toBe(400);
+
+      expect(feedSpy).not.toHaveBeenCalled();
+    });
+
+    test('should return only newer posts, newest first, in since mode', async () => {
+      const since = Post.encodeFeedCursor(feedPost(1));
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([feedPost(2), feedPost(3)]);
+
+      const response = await request(app).get('/posts').query({ since });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        since: { created_at: '2025-07-01T10:00:00.000000+00:00', id: '00000000-0000-4000-8000-000000000001' }
+      }));
+      expect(response.body.data.posts.map(post => post.id)).toEqual([
+        '00000000-0000-4000-8000-000000000003',
+        '00000000-0000-4000-8000-000000000002'
+      ]);
+      expect(response.body.data.pagination.mode).toBe('since');
+      expect(Post.decodeFeedCursor(response.body.data.pagination.since_cursor).id)
+        .toBe('00000000-0000-4000-8000-000000000003');
+    });
+
+    test('should accept a timestamp for since and echo it back when nothing is new', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([]);
+
+      const response = await request(app).get('/posts').query({ since: '2025-07-01T10:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        since: { created_at: '2025-07-01T10:00:00.000Z', id: null }
+      }));
+      expect(response.body.data.pagination.since_cursor).toBe('2025-07-01T10:00:00Z');
+    });
+
+    test('should reject invalid since values', async () => {
+      const response = await request(app).get('/posts').query({ since: 'yesterday-ish' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_SINCE');
+    });
+  });
+
+  describe('GET /posts/search', () => {
+    test('should return ranked results with highlights and filters', async () => {
+      const searchSpy = jest.spyOn(Post, 'search').mockResolvedValue({
+        results: [{
+          post: buildPost(),
+          rank: 0.42,
+          highlights: { title: 'Fake <mark>rescue</mark> number circulating', content: null, explanation: null }
+        }],
+        total: 3
+      });
+
+      const response = await request(app)
+        .get('/posts/search')
+        .query({ q: ' rescue number ', urgency_level: 'critical', is_misinformation: 'true', from: '2025-07-01', limit: 1 });
+
+      expect(response.status).toBe(200);
+      expect(searchSpy).toHaveBeenCalledWith('rescue number', expect.objectContaining({
+        urgency_level: 'critical',
+        is_misinformation: true,
+        location: null,
+        created_from: '2025-07-01T00:00:00.000Z',
+        created_to: null,
+        limit: 1,
+        offset: 0
+      }));
+      expect(response.body.data.results[0]).toMatchObject({ rank: 0.42, post: { id: POST_ID } });
+      expect(response.body.data.results[0].highlights.title).toContain('<mark>rescue</mark>');
+      expect(response.body.data.pagination).toMatchObject({ total_results: 3, has_more: true, next_page: 2 });
+    });
+
+    test('should require a search query', async () => {
+      const response = await request(app).get('/posts/search').query({ q: 'a' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject invalid or inverted date ranges', async () => {
+      const invalid = await request(app).get('/posts/search').query({ q: 'flood', from: 'last week' });
+      expect(invalid.status).toBe(400);
+
+      const inverted = await request(app)
+        .get('/posts/search')
+        .query({ q: 'flood', from: '2025-07-10', to: '2025-07-01' });
+      expect(inverted.status).toBe(400);
+    });
+  });
+
+  describe('Post keyset filters', () => {
+    test('should quote values and compare ids as a tiebreaker', () => {
+      expect(Post._keysetFilter('created_at', 'lt', '2025-07-01T10:00:00+00:00', 'abc'))
+        .toBe('created_at.lt."2025-07-01T10:00:00+00:00",and(created_at.eq."2025-07-01T10:00:00+00:00",id.lt.abc)');
+    });
+  });
+
+  describe('Post author embed', () => {
+    const { supabase, supabaseAdmin } = require('../config/supabase');
+
+    // Chainable query stub that records every select and resolves to an empty result
+    function stubQuery(selects) {
+      const query = new Proxy({}, {
+        get: (target, prop) => {
+          if (prop === 'then') return resolve => resolve({ data: [], error: null, count: 0 });
+          return (...args) => {
+            if (prop === 'select') selects.push(args[0]);
+            return query;
+          };
+        }
+      });
+      return query;
+    }
+
+    afterEach(() => {
+      delete supabase.from;
+      delete supabaseAdmin.from;
+    });
+
+    test('should name the author foreign key when embedding users on posts', async () => {
+      const selects = [];
+      supabase.from = jest.fn(() => stubQuery(selects));
+      supabaseAdmin.from = jest.fn(() => stubQuery(selects));
+
+      await Post.findById(POST_ID);
+      await Post.getFeed({ limit: 5 });
+      await Post.findModerationQueue({});
+
+      const authorEmbeds = selects.filter(select => /author:users/.test(select));
+      expect(authorEmbeds).toHaveLength(3);
+      for (const select of authorEmbeds) {
+        expect(select).toContain('author:users!posts_author_id_fkey(');
+      }
+    });
+  });
+
+  describe('GET /posts/:id', () => {
+    test('should return post details with lineage, votes and comment thread', async () => {
+      const post = buildPost();
+      const parent = { id: 'parent-id', title: 'Original rumor', generation: 1 };
+      const thread = [{ id: 'comment-1', content: 'Confirmed fake', replies: [], replies_count: 0 }];
+
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      jest.spyOn(post, 'getMutationParent').mockResolvedValue(parent);
+      jest.spyOn(post, 'getTopCommentThread').mockResolvedValue(thread);
+
+      const response = await request(app).get(`/posts/${POST_ID}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.post.id).toBe(POST_ID);
+      expect(response.body.data.ai_analysis.model_version).toBe('llama-3.1-8b');
+      expect(response.body.data.mutation).toMatchObject({
+        is_mutation: true,
+        generation: 2,
+        mutation_type: 'location_shift',
+        parent
+      });
+      expect(response.body.data.votes).toEqual({ upvotes: 12, downvotes: 3, score: 9, total: 15, user_vote: null });
+      expect(response.body.data.comments).toEqual({ total: 4, top_thread: thread });
+      expect(response.body.data.json_ld).toMatchObject({
+        '@context': 'https://schema.org',
+        '@type': 'ClaimReview',
+        claimReviewed: 'Call 555-0100 for flood rescue in Andheri',
+        reviewRating: { ratingValue: 1, alternateName: 'Likely false (AI, 91% confidence)' }
+      });
+    });
+
+    test('should include the authenticated viewer\'s vote', async () => {
+      const post = buildPost();
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      jest.spyOn(post, 'getMutationParent').mockResolvedValue(null);
+      jest.spyOn(post, 'getTopCommentThread').mockResolvedValue([]);
+      const voteSpy = jest.spyOn(Vote, 'findByUserAndPost')
+        .mockResolvedValue(new Vote({ vote_type: 'downvote' }));
+
+      const response = await request(app)
+        .get(`/posts/${POST_ID}`)
+        .set('x-test-user', VOTER_ID);
+
+      expect(response.status).toBe(200);
+      expect(voteSpy).toHaveBeenCalledWith(VOTER_ID, POST_ID);
+      expect(response.body.data.votes.user_vote).toBe('downvote');
+    });
+
+    test('should reject malformed post IDs', async () => {
+      const findSpy = jest.spyOn(Post, 'findById');
+
+      const response = await request(app).get('/posts/not-a-uuid');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_POST_ID');
+      expect(findSpy).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for missing or unpublished posts', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValueOnce(null);
+      const missing = await request(app).get(`/posts/${POST_ID}`);
+      expect(missing.status).toBe(404);
+      expect(missing.body.error.code).toBe('POST_NOT_FOUND');
+
+      Post.findById.mockResolvedValueOnce(buildPost({ is_published: false }));
+      const hidden = await request(app).get(`/posts/${POST_ID}`);
+      expect(hidden.status).toBe(404);
+    });
+
+    test('should handle database errors', async () => {
+      jest.spyOn(Post, 'findById').mockRejectedValue(new Error('connection reset'));
+
+      const response = await request(app).get(`/posts/${POST_ID}`);
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('GET /posts/export', () => {
+    test('should stream every page of the filtered feed as CSV', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed')
+        .mockResolvedValueOnce([buildPost({ created_at: '2025-07-02T10:00:00.000Z' })])
+        .mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .get('/posts/export')
+        .query({ format: 'csv', urgency_level: 'critical', limit: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="factsaura-posts-.*\.csv"/);
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({ urgency_level: 'critical', limit: 1, after: null }));
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatch(/^id,url,title,content/);
+      expect(lines[1]).toContain('Fake rescue number circulating');
+    });
+
+    test('should wrap ClaimReviews in a JSON-LD graph and skip posts without a rating', async () => {
+      jest.spyOn(Post, 'getFeed').mockResolvedValueOnce([
+        buildPost({ verdict: 'confirmed_false' }),
+        buildPost({ id: '00000000-0000-4000-8000-000000000002', analysis_status: 'pending' })
+      ]);
+
+      const response = await request(app).get('/posts/export').query({ format: 'claimreview' });
+
+      expect(response.status).toBe(200);
+      const body = JSON.parse(response.text);
+      expect(body['@context']).toBe('https://schema.org');
+      expect(body['@graph']).toHaveLength(1);
+      expect(body['@graph'][0].reviewRating).toMatchObject({ ratingValue: 1, alternateName: 'False' });
+    });
+
+    test('should reject unknown formats', async () => {
+      const response = await request(app).get('/posts/export').query({ format: 'xml' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /posts/feeds', () => {
+    test('should serve filtered RSS with cache headers', async () => {
+      const feedSpy = jest.spyOn(Post, 'getFeed').mockResolvedValue([
+        buildPost({ created_at: '2025-07-02T10:00:00.000Z', analysis_completed_at: '2025-07-02T10:05:00.000Z' })
+      ]);
+
+      const response = await request(app)
+        .get('/posts/feeds/rss')
+        .query({ urgency_level: 'critical', location_relevance: 'Chennai', post_type: 'user_submitted' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/rss+xml');
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      expect(response.headers['last-modified']).toBe('Wed, 02 Jul 2025 10:05:00 GMT');
+      expect(response.headers.etag).toBeDefined();
+      expect(feedSpy).toHaveBeenCalledWith(expect.objectContaining({
+        urgency_level: 'critical',
+        location: 'Chennai',
+        post_type: 'user_submitted',
+        limit: 50
+      }));
+      expect(response.text).toContain(`<guid isPermaLink="false">urn:uuid:${POST_ID}</guid>`);
+    });
+
+    test('should answer a repeated request with 304', async () => {
+      jest.spyOn(Post, 'getFeed').mockResolvedValue([buildPost({ created_at: '2025-07-02T10:00:00.000Z' })]);
+
+      // The self link carries the host, so both requests need the same one
+      const first = await request(app).get('/posts/feeds/atom').set('Host', 'api.factsaura.test');
+      const second = await request(app)
+        .get('/posts/feeds/atom')
+        .set('Host', 'api.factsaura.test')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(first.headers['content-type']).toContain('application/atom+xml');
+      expect(second.status).toBe(304);
+    });
+
+    test('should reject unknown post types', async () => {
+      const response = await request(app).get('/posts/feeds/rss').query({ post_type: 'rumour' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /posts', () => {
+    beforeEach(() => {
+      jest.spyOn(Post, 'findDuplicateCandidates').mockResolvedValue([]);
+    });
+
+    test('should store the post as pending and queue it for analysis', async () => {
+      const createSpy = jest.spyOn(Post, 'create').mockImplementation(async data => buildPost({
+        ...data,
+        confidence_score: 0,
+        is_misinformation: false
+      }));
+      const enqueueSpy = jest.spyOn(postAnalysisWorker, 'enqueue').mockResolvedValue({ created: true });
+
+      const response = await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({ title: '  Rescue helpline  ', content: 'Call 555-0100 for flood rescue' });
+
+      expect(response.status).toBe(202);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Rescue helpline',
+        author_id: AUTHOR_ID,
+        analysis_status: 'pending'
+      }));
+      expect(enqueueSpy).toHaveBeenCalledWith(POST_ID);
+      expect(response.body.data.post.analysis_status).toBe('pending');
+      expect(response.body.data.analysis).toMatchObject({
+        status: 'pending',
+        status_url: `/api/posts/${POST_ID}/analysis-status`
+      });
+    });
+
+    test('should store the submitted location, or one derived from the text', async () => {
+      const createSpy = jest.spyOn(Post, 'create').mockImplementation(async data => buildPost(data));
+      jest.spyOn(postAnalysisWorker, 'enqueue').mockResolvedValue({ created: true });
+
+      const submitted = await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({
+          title: 'Subway flooded',
+          content: 'Milan subway under water, do not use it',
+          location: { lat: 19.1866, lng: 72.8486, area: 'Malad' }
+        });
+      await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({ title: 'Relief camp', content: 'Relief camp opened at Velachery school' });
+
+      expect(submitted.status).toBe(202);
+      expect(createSpy).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        location_lat: 19.1866,
+        location_lng: 72.8486,
+        location_area: 'Malad',
+        location_city: 'Mumbai',
+        location_precision: 'exact',
+        location_source: 'submitter',
+        location_relevance: 'Malad'
+      }));
+      expect(submitted.body.data.post.location.point).toEqual({ lat: 19.1866, lng: 72.8486 });
+      expect(createSpy).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        location_area: 'Velachery',
+        location_city: 'Chennai',
+        location_source: 'content'
+      }));
+    });
+
+    test('should reject invalid locations', async () => {
+      const createSpy = jest.spyOn(Post, 'create');
+
+      const response = await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({ title: 'Subway flooded', content: 'Milan subway under water', location: { lat: 190, lng: 72.8 } });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('should still accept the post if queueing analysis fails', async () => {
+      jest.spyOn(Post, 'create').mockImplementation(async data => buildPost(data));
+      jest.spyOn(postAnalysisWorker, 'enqueue').mockRejectedValue(new Error('connection reset'));
+
+      const response = await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({ title: 'Rescue helpline', content: 'Call 555-0100 for flood rescue' });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.post.analysis_status).toBe('pending');
+    });
+
+    test('should validate input before creating anything', async () => {
+      const createSpy = jest.spyOn(Post, 'create');
+
+      const response = await request(app)
+        .post('/posts')
+        .set('x-test-user', AUTHOR_ID)
+        .send({ title: 'No content' });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+    describe('duplicate claims', () => {
+      const ORIGINAL_ID = 'd0000000-0000-4000-8000-000000000001';
+      const submission = {
+        title: 'Dam gates opened',
+        content: 'Forward: Chembarambakkam dam gates were opened at midnight, everyone near Adyar river in Chennai evacuate immediately'
+      };
+
+      function buildOriginal(overrides = {}) {
+        return buildPost({
+          id: ORIGINAL_ID,
+          title: 'Chembarambakkam dam gates opened?',
+          content: 'Chembarambakkam dam gates opened at midnight, Chennai residents near Adyar river must evacuate now',
+          harm_category: 'safety',
+          analysis_status: 'completed',
+          verdict: 'confirmed_false',
+          verdict_reason: 'PWD says no water was released',
+          duplicate_submissions: 3,
+          ...overrides
+        });
+      }
+
+      test('should return already-checked candidates instead of creating the post', async () => {
+        Post.findDuplicateCandidates.mockResolvedValue([
+          buildOriginal(),
+          buildPost({ id: 'd0000000-0000-4000-8000-000000000002', title: 'Trains cancelled', content: 'Mumbai local trains cancelled tomorrow' })
+        ]);
+        const createSpy = jest.spyOn(Post, 'create');
+
+        const response = await request(app)
+          .post('/posts')
+          .set('x-test-user', AUTHOR_ID)
+          .send(submission);
+
+        expect(response.status).toBe(409);
+        expect(response.body.error.code).toBe('ALREADY_CHECKED');
+        expect(response.body.error.details.candidates).toHaveLength(1);
+        expect(response.body.error.details.candidates[0]).toMatchObject({
+          post_id: ORIGINAL_ID,
+          similarity: expect.any(Number),
+          verdict: { status: 'confirmed_false', reason: 'PWD says no water was released' },
+          duplicate_submissions: 3
+        });
+        expect(response.body.error.details.resolutions).toEqual(['link', 'merge', 'ignore']);
+        expect(createSpy).not.toHaveBeenCalled();
+      });
+
+      test('should link a submission to an already-checked post without re-running analysis', async () => {
+        jest.spyOn(Post, 'findById').mockResolvedValue(buildOriginal());
+        const createSpy = jest.spyOn(Post, 'create').mockImplementation(async data => buildPost({ ...data, id: POST_ID }));
+        const enqueueSpy = jest.spyOn(postAnalysisWorker, 'enqueue');
+
+        const response = await request(app)
+          .post('/posts')
+          .set('x-test-user', AUTHOR_ID)
+          .send({ ...submission, duplicate_resolution: 'link', duplicate_of: ORIGINAL_ID });
+
+        expect(response.status).toBe(201);
+        expect(Post.findDuplicateCandidates).not.toHaveBeenCalled();
+        expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+          duplicate_of_post_id: ORIGINAL_ID,
+          analysis_status: 'completed',
+          is_misinformation: true,
+          harm_category: 'safety'
+        }));
+        expect(enqueueSpy).not.toHaveBeenCalled();
+        expect(response.body.data.post.duplicate_of).toBe(ORIGINAL_ID);
+        expect(response.body.data.duplicate_of).toMatchObject({ post_id: ORIGINAL_ID, similarity: null });
+      });
+
+      test('should merge a submission into an already-checked post', async () => {
+        const original = buildOriginal();
+        jest.spyOn(Post, 'findById').mockResolvedValue(original);
+        const mergeSpy = jest.spyOn(original, 'recordDuplicateSubmission').mockImplementation(async () => (
+          Object.assign(original, { duplicate_submissions: 4 })
+        ));
+        const createSpy = jest.spyOn(Post, 'create');
+
+        const response = await request(app)
+          .post('/posts')
+          .set('x-test-user', AUTHOR_ID)
+          .send({ ...submission, duplicate_resolution: 'merge', duplicate_of: ORIGINAL_ID });
+
+        expect(response.status).toBe(200);
+        expect(mergeSpy).toHaveBeenCalled();
+        expect(createSpy).not.toHaveBeenCalled();
+        expect(response.body.data).toMatchObject({ merged: true, post: { id: ORIGINAL_ID, duplicate_submissions: 4 } });
+      });
+
+      test('should refuse to merge into a post that has not been checked', async () => {
+        jest.spyOn(Post, 'findById').mockResolvedValue(buildOriginal({ analysis_status: 'pending', verdict: 'pending' }));
+
+        const response = await request(app)
+          .post('/posts')
+          .set('x-test-user', AUTHOR_ID)
+          .send({ ...submission, duplicate_resolution: 'merge', duplicate_of: ORIGINAL_ID });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error.code).toBe('NOT_YET_CHECKED');
+      });
+
+      test('should require the post to link or merge into', async () => {
+        const response = await request(app)
+          .post('/posts')
+          .set('x-test-user', AUTHOR_ID)
+          .send({ ...submission, duplicate_resolution: 'link' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      });
+    });
+  });
+
+  describe('GET /posts/:id/analysis-status', () => {
+    test('should report progress without results while analysis is pending', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({ analysis_status: 'pending' }));
+      jest.spyOn(postAnalysisWorker, 'getQueuePosition').mockResolvedValue(2);
+
+      const response = await request(app).get(`/posts/${POST_ID}/analysis-status`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        analysis_status: 'pending',
+        queue_position: 2,
+        ai_analysis: null,
+        mutation_analysis: null
+      });
+      expect(response.body.data.poll_interval_ms).toBeGreaterThan(0);
+    });
+
+    test('should include analysis results once completed', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({
+        analysis_status: 'completed',
+        analysis_attempts: 1,
+        analysis_completed_at: '2025-07-01T10:00:30Z'
+      }));
+
+      const response = await request(app).get(`/posts/${POST_ID}/analysis-status`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.analysis_status).toBe('completed');
+      expect(response.body.data.poll_interval_ms).toBeNull();
+      expect(response.body.data.ai_analysis).toMatchObject({ confidence_score: 0.91, is_misinformation: true });
+      expect(response.body.data.mutation_analysis).toMatchObject({ is_mutation: true, generation: 2 });
+    });
+
+    test('should return 404 for unknown posts', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(null);
+
+      const response = await request(app).get(`/posts/${POST_ID}/analysis-status`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /posts/:id/vote', () => {
+    let post;
+    let voter;
+    let held;
+    let recorded;
+
+    beforeEach(() => {
+      post = buildPost();
+      voter = new User({ id: VOTER_ID, username: 'voter', reputation_score: 10 });
+      held = {};
+      recorded = [];
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      jest.spyOn(post, 'update').mockResolvedValue(post);
+      jest.spyOn(User, 'findById').mockResolvedValue(voter);
+
+      // Stand-in for record_vote_reputation: the difference between the targets and `held`
+      jest.spyOn(ReputationEvent, 'recordVote').mockImplementation(async (postId, actorId, targets) => {
+        const events = reputationService.diffAgainstLedger(targets, held);
+        recorded.push(...events);
+        return events.reduce((total, event) => total + event.points, 0);
+      });
+    });
+
+    // Net points recorded in the author's reputation ledger
+    function recordedPoints() {
+      return recorded.reduce((total, event) => total + event.points, 0);
+    }
+
+    test('should record an upvote and reward the author', async () => {
+      jest.spyOn(Vote, 'cast').mockResolvedValue({
+        previous_vote: null,
+        current_vote: 'upvote',
+        upvotes: 13,
+        downvotes: 3,
+        author_id: AUTHOR_ID
+      });
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(200);
+      expect(Vote.cast).toHaveBeenCalledWith(POST_ID, VOTER_ID, 'upvote');
+      expect(response.body.data).toMatchObject({
+        user_vote: 'upvote',
+        upvotes: 13,
+        downvotes: 3,
+        score: 10,
+        author_reputation_change: 2
+      });
+      expect(ReputationEvent.recordVote).toHaveBeenCalledWith(POST_ID, VOTER_ID, expect.any(Array));
+      expect(recorded).toEqual([
+        expect.objectContaining({ user_id: AUTHOR_ID, rule: 'upvote_received', points: 2, actor_id: VOTER_ID })
+      ]);
+      expect(badgeService.evaluate).toHaveBeenCalledWith(VOTER_ID, 'vote_cast');
+      expect(post.update).toHaveBeenCalledWith({
+        community_trust_score: post.calculateCommunityTrustScore(13, 3)
+      });
+    });
+
+    test('should weight upvotes from high-reputation users', async () => {
+      voter.reputation_score = 500;
+      jest.spyOn(Vote, 'cast').mockResolvedValue({
+        previous_vote: null,
+        current_vote: 'upvote',
+        upvotes: 13,
+        downvotes: 3,
+        author_id: AUTHOR_ID
+      });
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.author_reputation_change).toBe(6);
+      expect(recordedPoints()).toBe(6);
+    });
+
+    test('should reverse reputation when switching an upvote to a downvote', async () => {
+      held = { [`${AUTHOR_ID}:upvote_received`]: 2 };
+      jest.spyOn(Vote, 'cast').mockResolvedValue({
+        previous_vote: 'upvote',
+        current_vote: 'downvote',
+        upvotes: 11,
+        downvotes: 4,
+        author_id: AUTHOR_ID
+      });
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ voteType: 'downvote' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.author_reputation_change).toBe(-3);
+      expect(recordedPoints()).toBe(-3);
+    });
+
+    test('should retract a vote', async () => {
+      held = { [`${AUTHOR_ID}:downvote_received`]: -1 };
+      jest.spyOn(Vote, 'cast').mockResolvedValue({
+        previous_vote: 'downvote',
+        current_vote: null,
+        upvotes: 12,
+        downvotes: 2,
+        author_id: AUTHOR_ID
+      });
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'retract' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Vote retracted');
+      expect(Vote.cast).toHaveBeenCalledWith(POST_ID, VOTER_ID, null);
+      expect(recordedPoints()).toBe(1);
+    });
+
+    test('should not touch reputation when the vote is unchanged', async () => {
+      jest.spyOn(Vote, 'cast').mockResolvedValue({
+        previous_vote: 'upvote',
+        current_vote: 'upvote',
+        upvotes: 12,
+        downvotes: 3,
+        author_id: AUTHOR_ID
+      });
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(200);
+      expect(ReputationEvent.recordVote).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid vote types', async () => {
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'superlike' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should not allow voting on your own post', async () => {
+      const castSpy = jest.spyOn(Vote, 'cast');
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', AUTHOR_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('SELF_VOTE_NOT_ALLOWED');
+      expect(castSpy).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the post does not exist', async () => {
+      Post.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/vote`)
+        .set('x-test-user', VOTER_ID)
+        .send({ vote_type: 'upvote' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('POST_NOT_FOUND');
+    });
+  });
+
+  describe('POST /posts/:id/report', () => {
+    beforeEach(() => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildPost());
+    });
+
+    test('should record a trusted report and flag the post at the threshold', async () => {
+      const submitSpy = jest.spyOn(PostReport, 'submit').mockResolvedValue({
+        report_id: 'report-1',
+        reports_count: 3,
+        report_weight: 3,
+        is_flagged: true,
+        newly_flagged: true
+      });
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/report`)
+        .set('x-test-user', VOTER_ID)
+        .set('x-test-role', 'verified')
+        .send({ reason: 'false_rescue_number', details: 'Number belongs to a pizza shop' });
+
+      expect(response.status).toBe(201);
+      expect(submitSpy).toHaveBeenCalledWith(POST_ID, VOTER_ID, {
+        reason: 'false_rescue_number',
+        details: 'Number belongs to a pizza shop',
+        weight: 1,
+        flagThreshold: postsService.reportFlagThreshold
+      });
+      expect(response.body.data).toMatchObject({ is_flagged: true, sent_to_moderation: true });
+    });
+
+    test('should weigh reports by reporter trust', () => {
+      expect(postsService.getReporterWeight({ roles: ['member', 'moderator'] })).toBe(3);
+      expect(postsService.getReporterWeight({ roles: ['member', 'admin'] })).toBe(3);
+      expect(postsService.getReporterWeight({ roles: ['member', 'expert'] })).toBe(2);
+      expect(postsService.getReporterWeight({ reputation_score: postsService.reportTrustedMinReputation })).toBe(1);
+      expect(postsService.getReporterWeight({ reputation_score: 0 })).toBe(0);
+    });
+
+    test('should accept one report per user per post', async () => {
+      jest.spyOn(PostReport, 'submit').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/report`)
+        .set('x-test-user', VOTER_ID)
+        .send({ reason: 'spam' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('ALREADY_REPORTED');
+    });
+
+    test('should reject unknown reasons', async () => {
+      const response = await request(app)
+        .post(`/posts/${POST_ID}/report`)
+        .set('x-test-user', VOTER_ID)
+        .send({ reason: 'boring' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /posts/:id/verdict', () => {
+    const REASON = 'Helpline number belongs to a private company';
+
+    beforeEach(() => {
+      jest.spyOn(reputationService, 'applyVerdict').mockResolvedValue([]);
+    });
+
+    function mockTransition(post) {
+      return jest.spyOn(post, 'transitionVerdict').mockImplementation(async (verdict, change) => {
+        const entry = {
+          from_verdict: post.verdict,
+          to_verdict: verdict,
+          changed_by: change.changedBy,
+          actor_role: change.actorRole,
+          reason: change.reason,
+          created_at: '2025-07-01T12:00:00.000Z'
+        };
+        post.verdict = verdict;
+        return entry;
+      });
+    }
+
+    test('should let an expert confirm a pending post as false', async () => {
+      const post = buildPost();
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      const transitionSpy = mockTransition(post);
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .set('x-test-role', 'expert')
+        .send({ verdict: 'confirmed_false', reason: REASON });
+
+      expect(response.status).toBe(200);
+      expect(transitionSpy).toHaveBeenCalledWith('confirmed_false', {
+        changedBy: VOTER_ID,
+        actorRole: 'expert',
+        reason: REASON
+      });
+      expect(response.body.data).toMatchObject({
+        previous_verdict: 'pending',
+        verdict: { status: 'confirmed_false' },
+        change: { actor_role: 'expert' },
+        is_high_confidence_misinformation: true,
+        needs_expert_review: false
+      });
+      expect(reputationService.applyVerdict).toHaveBeenCalledWith(post);
+      expect(badgeService.evaluateVerdict).toHaveBeenCalledWith(post);
+    });
+
+    test('should let community members dispute but not settle a verdict', async () => {
+      const post = buildPost({ verdict: 'confirmed_true' });
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      mockTransition(post);
+
+      const settle = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .send({ verdict: 'outdated', reason: REASON });
+
+      expect(settle.status).toBe(403);
+
+      const dispute = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .send({ verdict: 'disputed', reason: REASON });
+
+      expect(dispute.status).toBe(200);
+      expect(dispute.body.data).toMatchObject({ change: { actor_role: 'community' }, needs_expert_review: true });
+    });
+
+    test('should reject transitions the state machine does not allow', async () => {
+      jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({ verdict: 'disputed' }));
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .set('x-test-role', 'moderator')
+        .send({ verdict: 'outdated', reason: REASON });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('INVALID_VERDICT_TRANSITION');
+    });
+
+    test('should report a conflict when the verdict changed concurrently', async () => {
+      const post = buildPost();
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      jest.spyOn(post, 'transitionVerdict').mockResolvedValue(null);
+
+      const response = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .set('x-test-role', 'moderator')
+        .send({ verdict: 'confirmed_true', reason: REASON });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('VERDICT_CONFLICT');
+    });
+
+    test('should require a known verdict and a reason', async () => {
+      const unknown = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .send({ verdict: 'fake', reason: REASON });
+      const noReason = await request(app)
+        .put(`/posts/${POST_ID}/verdict`)
+        .set('x-test-user', VOTER_ID)
+        .send({ verdict: 'disputed', reason: '  ' });
+
+      expect(unknown.status).toBe(400);
+      expect(noReason.status).toBe(400);
+    });
+  });
+
+  describe('GET /posts/:id/verdict/history', () => {
+    test('should return the current verdict, allowed transitions and history', async () => {
+      const post = buildPost({ verdict: 'confirmed_false' });
+      jest.spyOn(Post, 'findById').mockResolvedValue(post);
+      jest.spyOn(post, 'getVerdictHistory').mockResolvedValue([
+        { from_verdict: 'pending', to_verdict: 'confirmed_false', actor_role: 'expert', reason: 'Checked with BMC' }
+      ]);
+
+      const response = await request(app).get(`/posts/${POST_ID}/verdict/history`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.verdict.status).toBe('confirmed_false');
+      expect(response.body.data.allowed_transitions).toEqual(['disputed', 'outdated']);
+      expect(response.body.data.history).toHaveLength(1);
+    });
+  });
+
+  describe('Post verdict checks', () => {
+    test('should follow the AI analysis only while the verdict is pending', () => {
+      const confidentAI = { is_misinformation: true, confidence_score: 0.95 };
+
+      expect(buildPost(confidentAI).isHighConfidenceMisinformation()).toBe(true);
+      expect(buildPost({ ...confidentAI, verdict: 'disputed' }).isHighConfidenceMisinformation()).toBe(false);
+      expect(buildPost({ ...confidentAI, verdict: 'confirmed_true' }).isHighConfidenceMisinformation()).toBe(false);
+      expect(buildPost({ is_misinformation: false, verdict: 'confirmed_false' }).isHighConfidenceMisinformation()).toBe(true);
+
+      expect(buildPost({ urgency_level: 'critical' }).needsExpertReview()).toBe(true);
+      expect(buildPost({ urgency_level: 'critical', verdict: 'confirmed_false' }).needsExpertReview()).toBe(false);
+      expect(buildPost({ urgency_level: 'low', confidence_score: 0.95, verdict: 'disputed' }).needsExpertReview()).toBe(true);
+    });
+  });
+
+  describe('Post mutation lineage', () => {
+    test('should fall back to mutation data stored in ai_analysis', () => {
+      const post = buildPost({
+        is_mutation: undefined,
+        mutation_family_id: undefined,
+        mutation_type: undefined,
+        mutation_generation: undefined,
+        ai_analysis: {
+          mutation_analysis: { is_mutation: true, family_id: 'family-1', generation: 3 }
+        }
+      });
+
+      expect(post.mutation).toMatchObject({ is_mutation: true, family_id: 'family-1', generation: 3 });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Post Re-analysis Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client and AI service before requiring the service
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+jest.mock('../services/aiService', () => ({
+  analyzeContentBasic: jest.fn()
+}));
+
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const PostAnalysisHistory = require('../models/PostAnalysisHistory');
+const ReanalysisBatch = require('../models/ReanalysisBatch');
+const jobQueue = require('../services/jobQueue');
+const aiService = require('../services/aiService');
+const reanalysisService = require('../services/reanalysisService');
+const reanalysisController = require('../controllers/reanalysisController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const ADMIN_ID = 'a1b2c3d4-0000-4000-8000-000000000009';
+const BATCH_ID = '7c6b5a4f-3e2d-4c1b-8a09-f8e7d6c5b4a3';
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Dam burst rumor',
+    content: 'The Powai dam has burst, leave the area immediately',
+    author_id: 'a1b2c3d4-0000-4000-8000-000000000001',
+    confidence_score: 0.62,
+    is_misinformation: false,
+    ai_analysis: { model_version: 'llama-3.1-8b' },
+    analysis_status: 'completed',
+    is_published: true,
+    ...overrides
+  });
+}
+
+// Stand-in for the insert: the generated verdict_flipped column is computed by Postgres
+function mockHistoryRecord() {
+  return jest.spyOn(PostAnalysisHistory, 'record').mockImplementation(async entry => new PostAnalysisHistory({
+    id: 'history-1',
+    ...entry,
+    verdict_flipped: entry.previous_is_misinformation !== entry.new_is_misinformation
+  }));
+}
+
+describe('ReanalysisService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    aiService.analyzeContentBasic.mockReset();
+  });
+
+  test('should archive the previous analysis and report a flipped verdict', async () => {
+    const mutationAnalysis = { is_mutation: true, family_id: 'family-1', generation: 2, similarity_matches: [] };
+    const post = buildPost({ ai_analysis: { model_version: 'llama-3.1-8b', mutation_analysis: mutationAnalysis } });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const updateSpy = jest.spyOn(post, 'update').mockResolvedValue(post);
+    const recordSpy = mockHistoryRecord();
+    aiService.analyzeContentBasic.mockResolvedValue({
+      is_misinformation: true,
+      confidence_score: 0.93,
+      model_version: 'llama-3.3-70b',
+      prompt_version: '2',
+      crisis_context: { urgency_level: 'critical' }
+    });
+
+    const result = await reanalysisService.reanalyzePost(POST_ID, { requestedBy: ADMIN_ID });
+
+    expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({
+      post_id: POST_ID,
+      requested_by: ADMIN_ID,
+      previous_model_version: 'llama-3.1-8b',
+      previous_confidence_score: 0.62,
+      previous_is_misinformation: false,
+      new_model_version: 'llama-3.3-70b'
+    }));
+    expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({
+      is_misinformation: true,
+      confidence_score: 0.93,
+      urgency_level: 'critical'
+    }));
+    expect(updateSpy.mock.calls[0][0].ai_analysis.mutation_analysis).toEqual(mutationAnalysis);
+    expect(result).toMatchObject({
+      verdict_flipped: true,
+      previous: { is_misinformation: false },
+      current: { is_misinformation: true, prompt_version: '2' },
+      conflicts_with_verdict: false
+    });
+  });
+
+  test('should not override a verdict confirmed by a person', async () => {
+    const post = buildPost({ verdict: 'confirmed_true' });
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    const updateSpy = jest.spyOn(post, 'update').mockResolvedValue(post);
+    mockHistoryRecord();
+    aiService.analyzeContentBasic.mockResolvedValue({ is_misinformation: true, confidence_score: 0.9 });
+
+    const result = await reanalysisService.reanalyzePost(POST_ID);
+
+    expect(updateSpy.mock.calls[0][0]).not.toHaveProperty('is_misinformation');
+    expect(result.conflicts_with_verdict).toBe(true);
+  });
+
+  test('should keep the previous analysis when the AI falls back to keyword matching', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(buildPost());
+    const recordSpy = jest.spyOn(PostAnalysisHistory, 'record');
+    aiService.analyzeContentBasic.mockResolvedValue({ fallback: true, error_message: 'connect ECONNREFUSED' });
+
+    await expect(reanalysisService.reanalyzePost(POST_ID)).rejects.toMatchObject({ statusCode: 503 });
+    expect(recordSpy).not.toHaveBeenCalled();
+  });
+
+  test('should refuse posts whose first analysis has not finished', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(buildPost({ analysis_status: 'processing' }));
+
+    await expect(reanalysisService.reanalyzePost(POST_ID)).rejects.toMatchObject({ code: 'ANALYSIS_NOT_COMPLETED' });
+  });
+
+  test('should queue one low priority job per matching post', async () => {
+    jest.spyOn(Post, 'findForReanalysis').mockResolvedValue({
+      posts: [{ id: POST_ID }, { id: 'b7a1c2d3-0000-4000-8000-000000000009' }],
+      total: 2
+    });
+    jest.spyOn(ReanalysisBatch, 'create').mockImplementation(async data => new ReanalysisBatch({ id: BATCH_ID, ...data }));
+    const enqueueSpy = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ created: true });
+
+    const result = await reanalysisService.startBatch({ modelVersion: 'llama-3.1-8b' }, { requestedBy: ADMIN_ID });
+
+    expect(result).toMatchObject({ matched: 2, queued: 2 });
+    expect(enqueueSpy).toHaveBeenCalledWith('post_reanalysis', {
+      post_id: POST_ID,
+      batch_id: BATCH_ID,
+      requested_by: ADMIN_ID
+    }, {
+      priority: 'low',
+      dedupeKey: `post_reanalysis:${BATCH_ID}:${POST_ID}`
+    });
+  });
+
+  test('should report batch progress and flipped posts', async () => {
+    jest.spyOn(ReanalysisBatch, 'findById').mockResolvedValue(new ReanalysisBatch({ id: BATCH_ID, total_posts: 3 }));
+    jest.spyOn(Job, 'countByDedupePrefix').mockResolvedValue({ queued: 1, running: 0, completed: 2, dead: 0 });
+    jest.spyOn(PostAnalysisHistory, 'getBatchResults').mockResolvedValue({
+      completed: 2,
+      flipped: [new PostAnalysisHistory({ post_id: POST_ID, previous_is_misinformation: false, new_is_misinformation: true, verdict_flipped: true })]
+    });
+
+    const report = await reanalysisService.getBatchReport(BATCH_ID);
+
+    expect(report.progress).toEqual({ total: 3, reanalyzed: 2, pending: 1, failed: 0, is_complete: false });
+    expect(report.flipped_count).toBe(1);
+    expect(report.flipped[0]).toMatchObject({ post_id: POST_ID, verdict_flipped: true });
+  });
+});
+
+describe('ReanalysisController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: ADMIN_ID };
+      next();
+    });
+    app.post('/posts/reanalyze', reanalysisController.startBatchReanalysis);
+    app.post('/posts/:id/reanalyze', reanalysisController.reanalyzePost);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require at least one batch filter', async () => {
+    const response = await request(app).post('/posts/reanalyze').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('should reject an inverted confidence band', async () => {
+    const response = await request(app)
+      .post('/posts/reanalyze')
+      .send({ confidence_min: 0.8, confidence_max: 0.4 });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should accept a batch filtered by date and confidence band', async () => {
+    const startSpy = jest.spyOn(reanalysisService, 'startBatch').mockResolvedValue({
+      batch: new ReanalysisBatch({ id: BATCH_ID, total_posts: 40 }),
+      matched: 40,
+      queued: 40
+    });
+
+    const response = await request(app)
+      .post('/posts/reanalyze')
+      .send({ created_from: '2025-06-01', confidence_min: 0.4, confidence_max: 0.7 });
+
+    expect(response.status).toBe(202);
+    expect(startSpy).toHaveBeenCalledWith(
+      { createdFrom: '2025-06-01T00:00:00.000Z', confidenceMin: 0.4, confidenceMax: 0.7 },
+      { limit: reanalysisService.maxBatchSize, requestedBy: ADMIN_ID }
+    );
+    expect(response.body.data).toMatchObject({ queued: 40, truncated: false, status_url: `/api/posts/reanalyze/${BATCH_ID}` });
+  });
+
+  test('should surface service errors on single post re-analysis', async () => {
+    jest.spyOn(Post, 'findById').mockResolvedValue(null);
+
+    const response = await request(app).post(`/posts/${POST_ID}/reanalyze`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('POST_NOT_FOUND');
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Reputation Engine Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Vote = require('../models/Vote');
+const PostReport = require('../models/PostReport');
+const ReputationEvent = require('../models/ReputationEvent');
+const reputationService = require('../services/reputationService');
+const reputationController = require('../controllers/reputationController');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const AUTHOR_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const VOTER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const REPORTER_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+const EXPERT_ID = 'a1b2c3d4-0000-4000-8000-000000000004';
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Shelter open at Kurla station',
+    author_id: AUTHOR_ID,
+    is_published: true,
+    verdict: 'confirmed_true',
+    is_misinformation: false,
+    verdict_changed_by: EXPERT_ID,
+    verdict_changed_at: '2025-07-01T12:00:00.000Z',
+    ...overrides
+  });
+}
+
+function buildReport(userId, reason) {
+  return new PostReport({ id: `report-${userId}`, post_id: POST_ID, user_id: userId, reason });
+}
+
+// Net points per user in a list of ledger entries
+function pointsByUser(events) {
+  const totals = {};
+  for (const event of events) {
+    totals[event.user_id] = (totals[event.user_id] || 0) + event.points;
+  }
+  return totals;
+}
+
+describe('ReputationService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should weight upvotes by the voter\'s reputation', () => {
+    expect(reputationService.getVotePoints('upvote_received', 'upvote', 0)).toBe(2);
+    expect(reputationService.getVotePoints('upvote_received', 'upvote', 100)).toBe(4);
+    expect(reputationService.getVotePoints('upvote_received', 'upvote', 750)).toBe(6);
+    expect(reputationService.getVotePoints('downvote_received', 'downvote', 750)).toBe(-1);
+    expect(reputationService.getVotePoints('upvote_received', 'downvote', 750)).toBe(0);
+    expect(reputationService.getVotePoints('upvote_received', null, 750)).toBe(0);
+  });
+
+  test('should only record the difference between a vote and what the ledger holds', () => {
+    const post = buildPost();
+    const diff = (voteType, held) => reputationService.diffAgainstLedger(
+      reputationService.getVoteTargets(post, VOTER_ID, voteType, 0),
+      held
+    );
+
+    expect(pointsByUser(diff('upvote', {}))).toEqual({ [AUTHOR_ID]: 2 });
+    expect(pointsByUser(diff('downvote', {}))).toEqual({ [AUTHOR_ID]: -1 });
+    expect(pointsByUser(diff('upvote', { [`${AUTHOR_ID}:downvote_received`]: -1 }))).toEqual({ [AUTHOR_ID]: 3 });
+    expect(pointsByUser(diff(null, { [`${AUTHOR_ID}:upvote_received`]: 2 }))).toEqual({ [AUTHOR_ID]: -2 });
+    expect(diff('upvote', { [`${AUTHOR_ID}:upvote_received`]: 2 })).toEqual([]);
+
+    const [withdrawn] = diff(null, { [`${AUTHOR_ID}:upvote_received`]: 2 });
+    expect(withdrawn).toMatchObject({ rule: 'upvote_received', points: -2, actor_id: VOTER_ID });
+    expect(withdrawn.reason).toContain('withdrawn');
+  });
+
+  test('should credit the author once when the same vote change arrives twice at once', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(new User({ id: VOTER_ID, reputation_score: 0 }));
+    const totalsSpy = jest.spyOn(ReputationEvent, 'totalsForPost');
+
+    // Stand-in for record_vote_reputation: calls for one (post, voter) run one at a time and
+    // each diffs against the ledger as the previous one left it
+    const ledger = [];
+    let locked = Promise.resolve();
+    supabaseAdmin.rpc = jest.fn((name, { p_post_id, p_actor_id, p_targets }) => {
+      const run = locked.then(async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        const held = {};
+        for (const entry of ledger.filter(entry => entry.post_id === p_post_id && entry.actor_id === p_actor_id)) {
+          held[`${entry.user_id}:${entry.rule}`] = (held[`${entry.user_id}:${entry.rule}`] || 0) + entry.points;
+        }
+        const events = reputationService.diffAgainstLedger(p_targets, held);
+        ledger.push(...events);
+        return { data: events.reduce((total, event) => total + event.points, 0), error: null };
+      });
+      locked = run;
+      return run;
+    });
+
+    try {
+      const changes = await Promise.all([
+        reputationService.applyVote(buildPost(), VOTER_ID, 'upvote'),
+        reputationService.applyVote(buildPost(), VOTER_ID, 'upvote')
+      ]);
+
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('record_vote_reputation', expect.objectContaining({
+        p_post_id: POST_ID,
+        p_actor_id: VOTER_ID
+      }));
+      expect(changes.sort()).toEqual([0, 2]);
+      expect(pointsByUser(ledger)).toEqual({ [AUTHOR_ID]: 2 });
+      expect(totalsSpy).not.toHaveBeenCalled();
+    } finally {
+      delete supabaseAdmin.rpc;
+    }
+  });
+
+  test('should reward the author and penalize false flags when a post is confirmed true', () => {
+    const reports = [buildReport(REPORTER_ID, 'fake_shelter'), buildReport(VOTER_ID, 'spam')];
+
+    const events = reputationService.diffAgainstLedger(reputationService.getVerdictTargets(buildPost(), reports));
+
+    expect(events).toEqual([
+      expect.objectContaining({ user_id: AUTHOR_ID, rule: 'accurate_submission', points: 10, actor_id: EXPERT_ID }),
+      expect.objectContaining({ user_id: REPORTER_ID, rule: 'false_flag', points: -5 })
+    ]);
+  });
+
+  test('should keep points on outdated posts and reverse them when a verdict is reopened', () => {
+    const reports = [buildReport(REPORTER_ID, 'fake_shelter')];
+    const held = {
+      [`${AUTHOR_ID}:accurate_submission`]: 10,
+      [`${REPORTER_ID}:false_flag`]: -5
+    };
+
+    const outdated = buildPost({ verdict: 'outdated' });
+    expect(reputationService.diffAgainstLedger(reputationService.getVerdictTargets(outdated, reports), held)).toEqual([]);
+
+    const disputed = buildPost({ verdict: 'disputed' });
+    const events = reputationService.diffAgainstLedger(reputationService.getVerdictTargets(disputed, reports), held);
+    expect(pointsByUser(events)).toEqual({ [AUTHOR_ID]: -10, [REPORTER_ID]: 5 });
+    expect(events[0].reason).toContain('changed to disputed');
+  });
+
+  test('should not touch the ledger if recording a verdict fails', async () => {
+    jest.spyOn(PostReport, 'findByPosts').mockRejectedValue(new Error('connection reset'));
+    const recordSpy = jest.spyOn(ReputationEvent, 'record');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(reputationService.applyVerdict(buildPost())).resolves.toEqual([]);
+    expect(recordSpy).not.toHaveBeenCalled();
+  });
+
+  test('should rebuild the whole ledger from votes, verdicts and reports', async () => {
+    jest.spyOn(Vote, 'findWithAuthors').mockResolvedValue([
+      {
+        id: 'vote-1',
+        user_id: VOTER_ID,
+        post_id: POST_ID,
+        vote_type: 'upvote',
+        updated_at: '2025-07-01T10:00:00.000Z',
+        voter: { reputation_score: 150 },
+        post: { id: POST_ID, title: 'Shelter open at Kurla station', author_id: AUTHOR_ID, is_published: true }
+      },
+      {
+        id: 'vote-2',
+        user_id: REPORTER_ID,
+        post_id: POST_ID,
+        vote_type: 'downvote',
+        updated_at: '2025-07-01T11:00:00.000Z',
+        voter: { reputation_score: 0 },
+        post: { id: POST_ID, title: 'Shelter open at Kurla station', author_id: AUTHOR_ID, is_published: true }
+      }
+    ]);
+    const findPosts = jest.spyOn(Post, 'findByVerdicts').mockResolvedValue([buildPost()]);
+    jest.spyOn(PostReport, 'findByPosts').mockResolvedValue([buildReport(REPORTER_ID, 'fake_shelter')]);
+    const rebuildSpy = jest.spyOn(ReputationEvent, 'rebuild').mockResolvedValue({ events_recorded: 4, users_updated: 2 });
+    jest.spyOn(ReputationEvent, 'refreshTrustRatings').mockResolvedValue(3);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const summary = await reputationService.recomputeAll();
+
+    expect(summary).toEqual({ events_recorded: 4, users_updated: 2, trust_ratings_refreshed: 3 });
+    expect(findPosts).toHaveBeenCalledWith(['confirmed_true', 'confirmed_false', 'outdated'], { limit: 500, offset: 0 });
+
+    const [events] = rebuildSpy.mock.calls[0];
+    expect(events).toHaveLength(4);
+    expect(pointsByUser(events)).toEqual({ [AUTHOR_ID]: 4 - 1 + 10, [REPORTER_ID]: -5 });
+    expect(events[0]).toMatchObject({ rule: 'upvote_received', points: 4, created_at: '2025-07-01T10:00:00.000Z' });
+  });
+});
+
+describe('ReputationController', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { id: AUTHOR_ID, reputation_score: 13, community_trust_rating: '0.67' };
+      next();
+    });
+    app.get('/users/me/reputation', reputationController.getMyReputation);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list the signed-in user\'s ledger with the rules behind it', async () => {
+    const findSpy = jest.spyOn(ReputationEvent, 'findByUser').mockResolvedValue({
+      events: [new ReputationEvent({ id: 'event-1', user_id: AUTHOR_ID, rule: 'accurate_submission', points: 10, reason: 'Your post was confirmed true' })],
+      total: 21
+    });
+
+    const response = await request(app).get('/users/me/reputation?page=2&limit=10');
+
+    expect(response.status).toBe(200);
+    expect(findSpy).toHaveBeenCalledWith(AUTHOR_ID, { limit: 10, offset: 10 });
+    expect(response.body.data).toMatchObject({
+      reputation_score: 13,
+      community_trust_rating: 0.67,
+      events: [{ rule: 'accurate_submission', points: 10 }],
+      pagination: { current_page: 2, total: 21, has_more: true, next_page: 3 }
+    });
+    expect(response.body.data.rules.map(rule => rule.rule)).toEqual(Object.keys(reputationService.RULES));
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Roles and Permissions Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {
+    auth: { getUser: jest.fn() },
+    rpc: jest.fn()
+  },
+  supabaseAdmin: {}
+}));
+
+const { supabase } = require('../config/supabase');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const roleService = require('../services/roleService');
+const postsService = require('../services/postsService');
+const rolesController = require('../controllers/rolesController');
+const usersRoutes = require('../routes/users');
+const jobsRoutes = require('../routes/jobs');
+const Job = require('../models/Job');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+
+const ADMIN_ID = 'a1b2c3d4-0000-4000-8000-000000000007';
+const MEMBER_ID = 'a1b2c3d4-0000-4000-8000-000000000008';
+
+const ADMIN_ACCESS = { roles: ['admin', 'member'], permissions: ['roles:manage', 'scraping:manage'] };
+const MEMBER_ACCESS = { roles: ['member'], permissions: [] };
+
+function buildUser(overrides = {}) {
+  return new User({ id: MEMBER_ID, username: 'kurla_volunteer', badges: [], ...overrides });
+}
+
+describe('Auth middleware', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function guardedApp(guard, user) {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/guarded', guard, (req, res) => res.json({ success: true }));
+    return app;
+  }
+
+  test('should require authentication before checking a permission', async () => {
+    const response = await request(guardedApp(requirePermission('scraping:manage'))).post('/guarded');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('UNAUTHORIZED');
+  });
+
+  test('should only let users whose roles grant the permission through', async () => {
+    const denied = await request(guardedApp(requirePermission('scraping:manage'), buildUser(MEMBER_ACCESS))).post('/guarded');
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toEqual({
+      code: 'INSUFFICIENT_PERMISSIONS',
+      message: 'scraping:manage permission required'
+    });
+
+    const allowed = await request(guardedApp(requirePermission('scraping:manage'), buildUser(ADMIN_ACCESS))).post('/guarded');
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should check stored roles rather than badges', async () => {
+    const badgeOnly = buildUser({ badges: [{ type: 'admin' }], ...MEMBER_ACCESS });
+
+    const response = await request(guardedApp(requireRole('admin'), badgeOnly)).post('/guarded');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('admin role required');
+    expect(roleService.hasRole(buildUser(), 'member')).toBe(true);
+  });
+
+  test('should load the user\'s roles and permissions when authenticating', async () => {
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: ADMIN_ID } }, error: null });
+    jest.spyOn(User, 'findById').mockResolvedValue(buildUser({ id: ADMIN_ID }));
+    const accessSpy = jest.spyOn(Role, 'getUserAccess').mockResolvedValue(ADMIN_ACCESS);
+
+    const app = express();
+    app.get('/me', authenticateToken, (req, res) => res.json({ roles: req.user.roles, permissions: req.user.permissions }));
+    const response = await request(app).get('/me').set('Authorization', 'Bearer token');
+
+    expect(accessSpy).toHaveBeenCalledWith(ADMIN_ID);
+    expect(response.body).toEqual(ADMIN_ACCESS);
+  });
+});
+
+describe('Role model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should collect roles and permissions from get_user_access rows', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: [
+        { role: 'moderator', permission: 'posts:import' },
+        { role: 'moderator', permission: 'moderation:act' },
+        { role: 'member', permission: null }
+      ],
+      error: null
+    });
+
+    await expect(Role.getUserAccess(MEMBER_ID)).resolves.toEqual({
+      roles: ['member', 'moderator'],
+      permissions: ['moderation:act', 'posts:import']
+    });
+    expect(supabase.rpc).toHaveBeenCalledWith('get_user_access', { p_user_id: MEMBER_ID });
+  });
+});
+
+describe('PostsService verdict roles', () => {
+  test('should act on stored roles, with admins acting as moderators', () => {
+    expect(postsService.getVerdictActorRole({ roles: ['member', 'admin'] })).toBe('moderator');
+    expect(postsService.getVerdictActorRole({ roles: ['member', 'expert'] })).toBe('expert');
+    expect(postsService.getVerdictActorRole({ roles: ['member'], badges: [{ type: 'moderator' }] })).toBe('community');
+  });
+});
+
+describe('RolesController', () => {
+  let app;
+  let admin;
+
+  beforeEach(() => {
+    admin = buildUser({ id: ADMIN_ID, username: 'ops_admin', ...ADMIN_ACCESS });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = admin;
+      next();
+    });
+    app.get('/roles', rolesController.listRoles);
+    app.get('/users/:username/roles', rolesController.getUserRoles);
+    app.post('/users/:username/roles', rolesController.grantRole);
+    app.delete('/users/:username/roles/:role', rolesController.revokeRole);
+
+    jest.spyOn(User, 'findByUsername').mockImplementation(async username => (
+      username === 'kurla_volunteer' ? buildUser({ created_at: '2025-06-01T00:00:00.000Z' }) : null
+    ));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list every role with its permissions', async () => {
+    jest.spyOn(Role, 'findAll').mockResolvedValue([
+      new Role({ name: 'expert', description: 'Reviews posts', role_permissions: [{ permission: 'content:verify' }] })
+    ]);
+
+    const response = await request(app).get('/roles');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.roles).toEqual([{ name: 'expert', description: 'Reviews posts', permissions: ['content:verify'] }]);
+  });
+
+  test('should list a user\'s grants with member first', async () => {
+    jest.spyOn(Role, 'findGrants').mockResolvedValue([
+      { role: 'moderator', granted_at: '2025-07-01T00:00:00.000Z', granted_by: { id: ADMIN_ID, username: 'ops_admin' } }
+    ]);
+
+    const response = await request(app).get('/users/kurla_volunteer/roles');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.roles.map(grant => grant.role)).toEqual(['member', 'moderator']);
+  });
+
+  test('should grant a role and record who granted it', async () => {
+    const grantSpy = jest.spyOn(Role, 'grant').mockResolvedValue({ role: 'moderator', granted_at: '2025-07-02T00:00:00.000Z' });
+
+    const response = await request(app).post('/users/kurla_volunteer/roles').send({ role: 'moderator' });
+
+    expect(response.status).toBe(201);
+    expect(grantSpy).toHaveBeenCalledWith(MEMBER_ID, 'moderator', ADMIN_ID);
+    expect(response.body.data).toMatchObject({ role: 'moderator', granted: true, user: { username: 'kurla_volunteer' } });
+  });
+
+  test('should treat granting a held role as a no-op', async () => {
+    jest.spyOn(Role, 'grant').mockResolvedValue(null);
+
+    const response = await request(app).post('/users/kurla_volunteer/roles').send({ role: 'expert' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.granted).toBe(false);
+  });
+
+  test('should reject unknown and implicit roles', async () => {
+    const grantSpy = jest.spyOn(Role, 'grant');
+
+    const unknown = await request(app).post('/users/kurla_volunteer/roles').send({ role: 'superuser' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.message).toBe('role must be one of: admin, moderator, expert, member, system');
+
+    const member = await request(app).delete('/users/kurla_volunteer/roles/member');
+    expect(member.status).toBe(400);
+
+    expect(grantSpy).not.toHaveBeenCalled();
+  });
+
+  test('should 404 for unknown users and roles the user does not hold', async () => {
+    const missing = await request(app).post('/users/nobody/roles').send({ role: 'expert' });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('USER_NOT_FOUND');
+
+    jest.spyOn(Role, 'revoke').mockResolvedValue('not_held');
+    const notHeld = await request(app).delete('/users/kurla_volunteer/roles/moderator');
+    expect(notHeld.status).toBe(404);
+    expect(notHeld.body.error.code).toBe('ROLE_NOT_HELD');
+  });
+
+  test('should revoke a role but never the last admin', async () => {
+    const revokeSpy = jest.spyOn(Role, 'revoke').mockResolvedValueOnce('revoked').mockResolvedValueOnce('last_admin');
+
+    const revoked = await request(app).delete('/users/kurla_volunteer/roles/moderator');
+    expect(revoked.status).toBe(200);
+    expect(revokeSpy).toHaveBeenCalledWith(MEMBER_ID, 'moderator');
+    expect(revoked.body.data.revoked).toBe(true);
+
+    const lastAdmin = await request(app).delete('/users/kurla_volunteer/roles/admin');
+    expect(lastAdmin.status).toBe(409);
+    expect(lastAdmin.body.error.code).toBe('LAST_ADMIN');
+  });
+});
+
+describe('Role grant routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/users', usersRoutes);
+    app.use('/api/jobs', jobsRoutes);
+
+    supabase.auth.getUser.mockImplementation(async token => ({ data: { user: { id: token } }, error: null }));
+    jest.spyOn(User, 'findById').mockImplementation(async id => buildUser({ id }));
+    jest.spyOn(Role, 'getUserAccess').mockImplementation(async id => (id === ADMIN_ID ? ADMIN_ACCESS : MEMBER_ACCESS));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only let users with roles:manage grant roles', async () => {
+    const grantSpy = jest.spyOn(Role, 'grant').mockResolvedValue({ role: 'admin', granted_at: '2025-07-02T00:00:00.000Z' });
+    jest.spyOn(User, 'findByUsername').mockResolvedValue(buildUser());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const anonymous = await request(app).post('/api/users/kurla_volunteer/roles').send({ role: 'admin' });
+    expect(anonymous.status).toBe(401);
+
+    const member = await request(app)
+      .post('/api/users/kurla_volunteer/roles')
+      .set('Authorization', `Bearer ${MEMBER_ID}`)
+      .send({ role: 'admin' });
+    expect(member.status).toBe(403);
+    expect(grantSpy).not.toHaveBeenCalled();
+
+    const admin = await request(app)
+      .post('/api/users/kurla_volunteer/roles')
+      .set('Authorization', `Bearer ${ADMIN_ID}`)
+      .send({ role: 'admin' });
+    expect(admin.status).toBe(201);
+  });
+
+  test('should keep job payloads away from users without jobs:manage', async () => {
+    const listSpy = jest.spyOn(Job, 'list').mockResolvedValue({ jobs: [], total: 0 });
+    const findSpy = jest.spyOn(Job, 'findById');
+
+    const anonymous = await request(app).get('/api/jobs');
+    expect(anonymous.status).toBe(401);
+
+    for (const path of ['/api/jobs', '/api/jobs/stats', `/api/jobs/${ADMIN_ID}`]) {
+      const member = await request(app).get(path).set('Authorization', `Bearer ${MEMBER_ID}`);
+      expect(member.status).toBe(403);
+    }
+    expect(listSpy).not.toHaveBeenCalled();
+    expect(findSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Syndication Service Unit Tests
+ */
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const Post = require('../models/Post');
+const syndicationService = require('../services/syndicationService');
+
+const POST_ID = '3f1c2a7e-5b6d-4e8f-9a0b-1c2d3e4f5a6b';
+const SELF_URL = 'https://api.factsaura.example/api/posts/feeds/atom?urgency_level=critical';
+
+function buildPost(overrides = {}) {
+  return new Post({
+    id: POST_ID,
+    title: 'Dam gates <opened> & "flooding"',
+    content: 'Forwarded message says the Chembarambakkam dam gates opened at midnight\u0007',
+    post_type: 'user_submitted',
+    urgency_level: 'critical',
+    location_relevance: 'Chennai',
+    harm_category: 'safety',
+    analysis_status: 'completed',
+    confidence_score: 0.9,
+    is_misinformation: true,
+    analysis_explanation: 'PWD has not released water',
+    created_at: '2025-12-01T06:00:00.000Z',
+    analysis_completed_at: '2025-12-01T06:02:00.000Z',
+    updated_at: '2025-12-01T09:30:00.000Z',
+    author: { username: 'chennai_volunteer' },
+    ...overrides
+  });
+}
+
+describe('SyndicationService', () => {
+  test('should build an RSS item with a stable GUID and escaped text', () => {
+    const rss = syndicationService.buildRss([buildPost()], {
+      filters: { urgency_level: 'critical', location: 'Chennai' },
+      selfUrl: SELF_URL
+    });
+
+    expect(rss).toContain('<title>FactSaura alerts: critical, Chennai</title>');
+    expect(rss).toContain('<title>Dam gates &lt;opened&gt; &amp; &quot;flooding&quot;</title>');
+    expect(rss).toContain(`<guid isPermaLink="false">urn:uuid:${POST_ID}</guid>`);
+    expect(rss).toContain('<pubDate>Mon, 01 Dec 2025 06:00:00 GMT</pubDate>');
+    expect(rss).toContain('<category>safety</category>');
+    expect(rss).toContain('AI analysis (90% confidence): PWD has not released water');
+    expect(rss).not.toContain('\u0007');
+  });
+
+  test('should not move an entry\'s updated time on votes', () => {
+    const post = buildPost({ verdict: 'confirmed_false', verdict_changed_at: '2025-12-01T08:00:00.000Z' });
+
+    expect(syndicationService.getEntryUpdated(post).toISOString()).toBe('2025-12-01T08:00:00.000Z');
+    expect(syndicationService.getEntryUpdated(buildPost()).toISOString()).toBe('2025-12-01T06:02:00.000Z');
+  });
+
+  test('should mark retracted entries and lead with the correction notice', () => {
+    const post = buildPost({
+      retracted_at: '2025-12-01T10:00:00.000Z',
+      retraction_reason: 'PWD confirmed the release; see the corrected alert',
+      corrected_post_id: '00000000-0000-4000-8000-000000000002'
+    });
+    const atom = syndicationService.buildAtom([post], { filters: {}, selfUrl: SELF_URL });
+
+    expect(atom).toContain('<title>[Retracted] Dam gates &lt;opened&gt;');
+    expect(syndicationService.getSummary(post)).toMatch(
+      /^Retracted Mon, 01 Dec 2025 10:00:00 GMT: PWD confirmed the release; see the corrected alert Corrected post: \S+\/posts\/00000000-0000-4000-8000-000000000002\n\n/
+    );
+    expect(syndicationService.getEntryUpdated(post).toISOString()).toBe('2025-12-01T10:00:00.000Z');
+  });
+
+  test('should build an Atom feed with entry ids, timestamps and authors', () => {
+    const older = buildPost({
+      id: '00000000-0000-4000-8000-000000000001',
+      created_at: '2025-11-30T06:00:00.000Z',
+      analysis_completed_at: null
+    });
+    const atom = syndicationService.buildAtom([buildPost(), older], { filters: {}, selfUrl: SELF_URL });
+
+    expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(atom).toContain(`<link rel="self" type="application/atom+xml" href="${SELF_URL.replace('&', '&amp;')}"/>`);
+    expect(atom).toContain('  <updated>2025-12-01T06:02:00.000Z</updated>');
+    expect(atom).toContain(`<id>urn:uuid:${POST_ID}</id>`);
+    expect(atom).toContain('<updated>2025-11-30T06:00:00.000Z</updated>');
+    expect(atom).toContain('<author><name>chennai_volunteer</name></author>');
+    expect(atom.match(/<entry>/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * User Profiles and Preferences Unit Tests
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database client before requiring models
+jest.mock('../config/supabase', () => ({
+  supabase: {},
+  supabaseAdmin: {}
+}));
+
+const User = require('../models/User');
+const userProfileService = require('../services/userProfileService');
+const usersController = require('../controllers/usersController');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000004';
+
+function buildUser(overrides = {}) {
+  return new User({
+    id: USER_ID,
+    username: 'sion_pharmacist',
+    email: 'pharmacist@example.com',
+    reputation_score: 240,
+    community_trust_rating: '0.82',
+    badges: [{ type: 'expert', name: 'Verified Expert' }],
+    expertise_areas: ['Health'],
+    is_expert: true,
+    ...overrides
+  });
+}
+
+describe('UsersController', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = buildUser();
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/users/me/preferences', usersController.getMyPreferences);
+    app.put('/users/me/preferences', usersController.updateMyPreferences);
+    app.get('/users/:username', usersController.getProfile);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return a public profile with accuracy and recent published posts', async () => {
+    jest.spyOn(User, 'findByUsername').mockResolvedValue(user);
+    jest.spyOn(user, 'getSubmissionAccuracy').mockResolvedValue({ settled_posts: 4, accurate_posts: 3, ratio: 0.75 });
+    const getPosts = jest.spyOn(user, 'getPosts').mockResolvedValue([
+      { id: '00000000-0000-4000-8000-000000000001', title: 'Paracetamol shortage', content: 'Forwarded', author_id: USER_ID }
+    ]);
+
+    const response = await request(app).get('/users/sion_pharmacist');
+
+    expect(response.status).toBe(200);
+    expect(getPosts).toHaveBeenCalledWith(10, 0, { publishedOnly: true });
+
+    const profile = response.body.data;
+    expect(profile.user.username).toBe('sion_pharmacist');
+    expect(profile.user.email).toBeUndefined();
+    expect(profile.reputation).toEqual({ score: 240, community_trust_rating: 0.82 });
+    expect(profile.badges).toEqual([{ type: 'expert', name: 'Verified Expert' }]);
+    expect(profile.expertise.verified_domains).toEqual(['health']);
+    expect(profile.accuracy.ratio).toBe(0.75);
+    expect(profile.recent_posts.map(post => post.title)).toEqual(['Paracetamol shortage']);
+    expect(profile.preferences).toBeUndefined();
+  });
+
+  test('should return 404 for an unknown username', async () => {
+    jest.spyOn(User, 'findByUsername').mockResolvedValue(null);
+
+    const response = await request(app).get('/users/nobody');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('USER_NOT_FOUND');
+  });
+
+  test('should return the signed-in user\'s preferences with the options on offer', async () => {
+    const response = await request(app).get('/users/me/preferences');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.preferences).toMatchObject({
+      alert_locations: [],
+      languages: ['en'],
+      notification_channels: ['in_app']
+    });
+    expect(response.body.data.options.notification_channels).toEqual(userProfileService.NOTIFICATION_CHANNELS);
+  });
+
+  test('should normalize and store a preferences update', async () => {
+    const update = jest.spyOn(user, 'update').mockImplementation(async updates => Object.assign(user, updates));
+
+    const response = await request(app)
+      .put('/users/me/preferences')
+      .send({ alert_locations: ['  Kurla ', 'Kurla'], languages: ['HI', 'en'] });
+
+    expect(response.status).toBe(200);
+    expect(update).toHaveBeenCalledWith({
+      alert_locations: ['Kurla'],
+      languages: ['hi', 'en']
+    });
+    expect(response.body.data.preferences.notification_channels).toEqual(['in_app']);
+  });
+
+  test.each([
+    [{}, 'at least one'],
+    [{ theme: ['dark'] }, 'Unknown field: theme'],
+    [{ languages: [] }, 'at least one language'],
+    [{ languages: ['klingon'] }, 'languages must only contain'],
+    [{ notification_channels: 'email' }, 'must be a list'],
+    [{ alert_locations: ['A', 'B', 'C', 'D', 'E', 'F'] }, 'at most 5'],
+    [{ alert_locations: [''] }, 'non-empty text'],
+    [{ muted_categories: ['financial'] }, 'Unknown field: muted_categories']
+  ])('should reject invalid preferences %j', async (body, message) => {
+    const update = jest.spyOn(user, 'update');
+
+    const response = await request(app).put('/users/me/preferences').send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.message).toContain(message);
+    expect(update).not.toHaveBeenCalled();
+  });
+});